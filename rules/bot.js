@@ -0,0 +1,245 @@
+// rules/bot.js
+
+const { applyAction, ActionType, EndReason, getHandTotal, getRules } = require('./engine');
+const { isPenaltyCard, isAce } = require('./rules');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const BotDifficulty = {
+  EASY: 'EASY', // Any legal card at random
+  MEDIUM: 'MEDIUM', // Plain cards first, keeps the suit it holds most of
+  HARD: 'HARD', // Hoards penalty cards and counts toward the cutting card
+};
+
+const SUITS = ['H', 'D', 'C', 'S'];
+const VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15];
+const JOKERS = [
+  { v: 50, s: 'R' },
+  { v: 50, s: 'B' },
+];
+const FULL_DECK = [
+  ...SUITS.flatMap((s) => VALUES.map((v) => ({ v, s }))),
+  ...JOKERS,
+];
+
+const MAX_ACTIONS_PER_MOVE = 20; // Guards against looping on skip cards
+const ATTACK_HAND_SIZE = 2; // Hard bots spend penalty cards once an opponent is this close
+
+/**
+ * @typedef {Object} BotMove
+ * @property {Array<{type: ('PLAY'|'DRAW'), v?: number, s?: string}>} cards - Actions in MOVE message form
+ * @property {string} [newSuit] - Suit called by an ace or joker
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Picks the suit the bot holds the most cards of
+ * @param {Object[]} hand - Cards left in hand
+ * @returns {string} Suit to call
+ */
+function getStrongestSuit(hand) {
+  const counts = SUITS.map((suit) => ({
+    suit,
+    count: hand.filter((card) => card.s === suit).length,
+  }));
+  return counts.sort((a, b) => b.count - a.count)[0].suit;
+}
+
+/**
+ * Lists every card in hand the engine accepts, with the state it leads to
+ * @param {Object} state - Game state
+ * @param {string} player - Bot's player id
+ * @param {Function} chooseSuit - Picks a suit for the rest of the hand
+ * @returns {Object[]} Candidates of { action, result }
+ */
+function getLegalPlays(state, player, chooseSuit) {
+  const hand = state.players[player];
+
+  return hand
+    .filter(
+      (card, index) =>
+        hand.findIndex((c) => c.v === card.v && c.s === card.s) === index,
+    )
+    .map((card) => {
+      const rest = hand.filter((c) => c !== card);
+      const action = {
+        type: ActionType.PLAY,
+        player,
+        card: { v: card.v, s: card.s },
+        suit: chooseSuit(rest),
+      };
+      return { action, result: applyAction(state, action) };
+    })
+    .filter(({ result }) => result.valid);
+}
+
+/**
+ * Estimates an opponent's hand total from the cards the bot has not seen
+ * @param {Object} state - Game state
+ * @param {string} player - Bot's player id
+ * @param {number} handSize - Opponent's card count
+ * @returns {number} Expected hand total
+ */
+function estimateHandTotal(state, player, handSize) {
+  const seen = [
+    ...state.players[player],
+    ...state.playedCards,
+    state.cuttingCard,
+  ];
+  const unseen = FULL_DECK.filter(
+    (card) => !seen.some((c) => c && c.v === card.v && c.s === card.s),
+  );
+  if (unseen.length === 0) return 0;
+  return (getHandTotal(unseen, getRules(state)) / unseen.length) * handSize;
+}
+
+/**
+ * Scores a legal play for the hard bot; higher is better
+ * @param {Object} state - State before the play
+ * @param {string} player - Bot's player id
+ * @param {Object} candidate - { action, result }
+ * @returns {number} Score
+ */
+function scoreHardPlay(state, player, { action, result }) {
+  const { card } = action;
+  const next = result.state;
+  const opponents = Object.keys(state.players).filter((id) => id !== player);
+  const fewestCards = Math.min(
+    ...opponents.map((id) => state.players[id].length),
+  );
+
+  if (next.result) {
+    if (next.result.reason === EndReason.NO_CARDS) return 1000;
+    // Only cut when the bot's total should beat every opponent's
+    const ownTotal = getHandTotal(next.players[player], getRules(state));
+    const bestOpponent = Math.min(
+      ...opponents.map((id) =>
+        estimateHandTotal(state, player, state.players[id].length),
+      ),
+    );
+    return ownTotal < bestOpponent ? 500 : -1000;
+  }
+
+  // Answering a penalty: passing it on beats keeping any of it
+  if (state.activePenaltyCount > 0) {
+    return next.pendingDraw > 0 ? 100 - next.pendingDraw : 200;
+  }
+
+  // Keeping the turn is free tempo
+  if (next.currentTurn === player) return 150 + card.v;
+
+  // Penalty cards and aces are held back until an opponent is close to going out
+  if (isPenaltyCard(card, getRules(state)) || isAce(card)) {
+    return fewestCards <= ATTACK_HAND_SIZE ? 300 : -50;
+  }
+
+  // Otherwise shed the heaviest card to keep the cutting-card total low
+  return card.v;
+}
+
+/**
+ * Picks the next action for the bot
+ * @param {Object} state - Game state with the bot to move
+ * @param {string} player - Bot's player id
+ * @param {string} difficulty - One of BotDifficulty
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {Object} Engine action
+ */
+function chooseAction(state, player, difficulty, random) {
+  const draw = { type: ActionType.DRAW, player };
+
+  if (state.pendingDraw > 0) return draw;
+
+  if (difficulty === BotDifficulty.EASY) {
+    const pickSuit = () => SUITS[Math.floor(random() * SUITS.length)];
+    const plays = getLegalPlays(state, player, pickSuit);
+    if (plays.length === 0) return draw;
+    return plays[Math.floor(random() * plays.length)].action;
+  }
+
+  const plays = getLegalPlays(state, player, getStrongestSuit);
+  if (plays.length === 0) return draw;
+
+  if (difficulty === BotDifficulty.MEDIUM) {
+    // Avoid cutting blind and save special cards for when nothing else fits
+    const safe = plays.filter(
+      ({ result }) =>
+        !result.state.result ||
+        result.state.result.reason === EndReason.NO_CARDS,
+    );
+    const pool = safe.length ? safe : plays;
+    const plain = pool.find(
+      ({ action }) => !isPenaltyCard(action.card, getRules(state)) && !isAce(action.card),
+    );
+    return (plain || pool[0]).action;
+  }
+
+  const ranked = plays
+    .map((candidate) => ({
+      candidate,
+      score: scoreHardPlay(state, player, candidate),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Drawing beats a play the hard bot would rather not make
+  if (ranked[0].score < 0 && !(state.activePenaltyCount > 0)) return draw;
+  return ranked[0].candidate.action;
+}
+
+// ============================================================================
+// MOVE SELECTION
+// ============================================================================
+
+/**
+ * Builds a complete move for a bot, checking every action through the engine
+ * @param {Object} state - Game state with the bot to move
+ * @param {string} player - Bot's player id
+ * @param {string} [difficulty] - One of BotDifficulty
+ * @param {Function} [random] - Random source in [0, 1)
+ * @returns {BotMove} The move in the shape of a MOVE message
+ */
+function chooseMove(
+  state,
+  player,
+  difficulty = BotDifficulty.MEDIUM,
+  random = Math.random,
+) {
+  const cards = [];
+  let newSuit;
+  let current = state;
+
+  // Keep playing while skip cards hand the turn straight back
+  while (
+    current.currentTurn === player &&
+    current.status !== 'FINISHED' &&
+    cards.length < MAX_ACTIONS_PER_MOVE
+  ) {
+    const action = chooseAction(current, player, difficulty, random);
+    const result = applyAction(current, action, { shuffle: (pile) => pile });
+    if (!result.valid) break;
+
+    if (action.type === ActionType.DRAW) {
+      cards.push({ type: ActionType.DRAW });
+    } else {
+      cards.push({ type: ActionType.PLAY, v: action.card.v, s: action.card.s });
+      if (result.state.chosenSuit) newSuit = result.state.chosenSuit;
+    }
+    current = result.state;
+  }
+
+  return { cards, newSuit };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  chooseMove,
+  BotDifficulty,
+};
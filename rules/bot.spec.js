@@ -0,0 +1,136 @@
+// __tests__/bot.test.js
+const { chooseMove, BotDifficulty } = require('./bot');
+const { applyAction } = require('./engine');
+
+describe('Bot Player', () => {
+  const card = (value, suit) => ({ v: value, s: suit });
+
+  const createState = (overrides = {}) => ({
+    players: {
+      bot: [card(5, 'H'), card(2, 'C'), card(12, 'C')],
+      player: [card(9, 'D'), card(11, 'H'), card(4, 'S'), card(6, 'D')],
+    },
+    deck: [card(3, 'S'), card(4, 'H'), card(6, 'C'), card(10, 'D'), card(13, 'S'), card(13, 'H')],
+    playedCards: [card(5, 'C')],
+    currentCard: card(5, 'C'),
+    cuttingCard: card(7, 'S'),
+    currentTurn: 'bot',
+    chosenSuit: null,
+    activePenaltyCount: 0,
+    ...overrides,
+  });
+
+  // Deterministic random source for repeatable games
+  const seededRandom = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+
+  // Replays a bot move through the engine the way the server does
+  const applyMove = (state, player, { cards, newSuit }) =>
+    cards.reduce((current, action) => {
+      const result = applyAction(current, {
+        type: action.type,
+        player,
+        card: { v: action.v, s: action.s },
+        suit: newSuit,
+      });
+      expect(result.valid).toBe(true);
+      return result.state;
+    }, state);
+
+  describe('Legal Moves', () => {
+    test.each(Object.values(BotDifficulty))('%s bot should only make legal moves', (difficulty) => {
+      const random = seededRandom(7);
+      const suits = ['H', 'D', 'C', 'S'];
+      const values = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15];
+      const deck = suits.flatMap((s) => values.map((v) => card(v, s)));
+      deck.push(card(50, 'R'), card(50, 'B'));
+
+      let state = {
+        players: { bot: deck.splice(0, 6), other: deck.splice(0, 6) },
+        cuttingCard: deck.shift(),
+        deck,
+        playedCards: [],
+        currentCard: null,
+        currentTurn: 'bot',
+        chosenSuit: null,
+        activePenaltyCount: 0,
+      };
+
+      for (let turn = 0; turn < 200 && state.status !== 'FINISHED'; turn++) {
+        const player = state.currentTurn;
+        const move = chooseMove(state, player, difficulty, random);
+        expect(move.cards.length).toBeGreaterThan(0);
+        state = applyMove(state, player, move);
+        if (state.deck.length === 0) break;
+      }
+    });
+  });
+
+  describe('Easy', () => {
+    test('should draw when no card fits', () => {
+      const state = createState({ currentCard: card(9, 'S') });
+      state.players.bot = [card(5, 'H'), card(12, 'D')];
+
+      expect(chooseMove(state, 'bot', BotDifficulty.EASY).cards).toEqual([{ type: 'DRAW' }]);
+    });
+  });
+
+  describe('Medium', () => {
+    test('should play a plain card before a penalty card', () => {
+      const move = chooseMove(createState(), 'bot', BotDifficulty.MEDIUM);
+      expect(move.cards[0]).toEqual({ type: 'PLAY', v: 5, s: 'H' });
+    });
+
+    test('should call the suit it holds most of for an ace', () => {
+      const state = createState({ currentCard: card(9, 'S') });
+      state.players.bot = [card(15, 'H'), card(4, 'D'), card(6, 'D')];
+
+      expect(chooseMove(state, 'bot', BotDifficulty.MEDIUM).newSuit).toBe('D');
+    });
+  });
+
+  describe('Hard', () => {
+    test('should hoard penalty cards while the opponent has many cards', () => {
+      const state = createState();
+      state.players.bot = [card(2, 'C'), card(9, 'C')];
+
+      const move = chooseMove(state, 'bot', BotDifficulty.HARD);
+      expect(move.cards[0]).toEqual({ type: 'PLAY', v: 9, s: 'C' });
+    });
+
+    test('should attack with a penalty card when the opponent is nearly out', () => {
+      const state = createState();
+      state.players.bot = [card(2, 'C'), card(9, 'C')];
+      state.players.player = [card(9, 'D')];
+
+      const move = chooseMove(state, 'bot', BotDifficulty.HARD);
+      expect(move.cards[0]).toEqual({ type: 'PLAY', v: 2, s: 'C' });
+    });
+
+    test('should answer a penalty rather than draw it', () => {
+      const state = createState({ currentCard: card(2, 'H'), activePenaltyCount: 2 });
+      state.players.bot = [card(2, 'C'), card(9, 'C')];
+
+      const move = chooseMove(state, 'bot', BotDifficulty.HARD);
+      expect(move.cards).toEqual([{ type: 'PLAY', v: 2, s: 'C' }]);
+    });
+
+    test('should cut when its hand total is low', () => {
+      const state = createState({ currentCard: card(9, 'S') });
+      state.players.bot = [card(7, 'S'), card(4, 'H')];
+
+      const move = chooseMove(state, 'bot', BotDifficulty.HARD);
+      expect(move.cards).toEqual([{ type: 'PLAY', v: 7, s: 'S' }]);
+    });
+
+    test('should not cut while holding a heavy hand', () => {
+      const state = createState({ currentCard: card(9, 'S') });
+      state.players.bot = [card(7, 'S'), card(50, 'R'), card(50, 'B')];
+
+      const move = chooseMove(state, 'bot', BotDifficulty.HARD);
+      expect(move.cards).toEqual([{ type: 'DRAW' }]);
+    });
+  });
+});
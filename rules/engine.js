@@ -0,0 +1,427 @@
+// rules/engine.js
+
+const { getNextAction, NextActionType } = require('./rules');
+const { DEFAULT_RULES_PROFILE, TieRule } = require('./profiles');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ActionType = {
+  PLAY: 'PLAY',
+  DRAW: 'DRAW',
+};
+
+const EventType = {
+  CARD_PLAYED: 'CARD_PLAYED',
+  CARDS_DRAWN: 'CARDS_DRAWN',
+  SUIT_CHOSEN: 'SUIT_CHOSEN',
+  TURN_CHANGED: 'TURN_CHANGED',
+  PENALTY_CHANGED: 'PENALTY_CHANGED',
+  DECK_RESHUFFLED: 'DECK_RESHUFFLED',
+};
+
+const EndReason = {
+  NO_CARDS: 'NO_CARDS',
+  CUTTING_CARD: 'CUTTING_CARD',
+};
+
+const SELECTABLE_SUITS = ['H', 'D', 'C', 'S'];
+const MINIMUM_DECK_SIZE = 5; // Reshuffle played cards once the deck gets this low
+
+/**
+ * @typedef {Object} ActionResult
+ * @property {boolean} valid - Whether the action was legal
+ * @property {Object} state - Next state, or the unchanged state when invalid
+ * @property {Object[]} events - Events describing the transition
+ * @property {string} [reason] - Why the action was rejected
+ * @property {Object} [card] - Offending card, if any
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Shuffles cards with Math.random (Fisher-Yates)
+ * @param {Object[]} cards - Cards to shuffle
+ * @returns {Object[]} A shuffled copy
+ */
+function defaultShuffle(cards) {
+  const shuffled = [...cards];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Checks whether two cards are the same card
+ * @param {Object} a - First card
+ * @param {Object} b - Second card
+ * @returns {boolean} True if value and suit match
+ */
+function isSameCard(a, b) {
+  return a.v === b.v && a.s === b.s;
+}
+
+/**
+ * Returns the seating order, falling back to the order players were added
+ * @param {Object} state - Game state
+ * @returns {string[]} Player ids in turn order
+ */
+function getSeats(state) {
+  return state.seats || Object.keys(state.players);
+}
+
+/**
+ * Returns the rules profile the game is played under
+ * @param {Object} state - Game state
+ * @returns {Object} The game's profile, Kampala standard if it has none
+ */
+function getRules(state) {
+  return state.rules || DEFAULT_RULES_PROFILE;
+}
+
+/**
+ * Returns the player seated after the given one, skipping seats as requested
+ * @param {Object} state - Game state
+ * @param {string} player - Player whose turn just ended
+ * @param {number} skip - Number of seats to skip
+ * @returns {string} Next player's id
+ */
+function getNextPlayer(state, player, skip = 0) {
+  const seats = getSeats(state);
+  const index = seats.indexOf(player);
+  return seats[(index + 1 + skip) % seats.length];
+}
+
+/**
+ * Sums the points of a hand, face value unless the profile scores a card differently
+ * @param {Object[]} hand - Cards in hand
+ * @param {Object} [profile] - Rules profile in play
+ * @returns {number} Hand total
+ */
+function getHandTotal(hand, profile = DEFAULT_RULES_PROFILE) {
+  return hand.reduce(
+    (sum, card) => sum + (profile.cardPoints[card.v] ?? Number(card.v)),
+    0,
+  );
+}
+
+/**
+ * Orders players from lowest to highest hand total, keeping seat order on ties
+ * @param {Object} state - Game state
+ * @param {string[]} [playerIds] - Players to rank, all seats by default
+ * @returns {string[]} Ranked player ids
+ */
+function rankByHandTotal(state, playerIds = getSeats(state)) {
+  const profile = getRules(state);
+  return playerIds
+    .map((id) => ({ id, total: getHandTotal(state.players[id], profile) }))
+    .sort((a, b) => a.total - b.total)
+    .map((entry) => entry.id);
+}
+
+/**
+ * Picks the winner among players tied on the lowest total after a cut
+ * @param {Object} state - Game state after the cut
+ * @param {string[]} tied - Tied players in seat order
+ * @param {string} cutter - Player who played the cutting card
+ * @returns {string|null} The winner, or null when the tie stands as a draw
+ */
+function breakTie(state, tied, cutter) {
+  const { tieRule } = getRules(state);
+
+  if (tieRule === TieRule.FEWEST_CARDS) {
+    const counts = tied.map((id) => state.players[id].length);
+    const fewest = Math.min(...counts);
+    const holders = tied.filter((id, i) => counts[i] === fewest);
+    return holders.length === 1 ? holders[0] : null;
+  }
+  if (tieRule === TieRule.CUTTER && tied.includes(cutter)) {
+    return cutter;
+  }
+  return null;
+}
+
+/**
+ * Builds the result of a finished game
+ * @param {Object} state - Game state after the final card
+ * @param {string} reason - One of EndReason
+ * @param {string} player - Player who made the final play
+ * @returns {Object} Result with winner, loser and ranking. A cut that leaves
+ *   players tied on the lowest total either names the tie-break winner in
+ *   tieBreak, or has no winner and lists the drawn players in tied.
+ */
+function buildResult(state, reason, player) {
+  const seats = getSeats(state);
+
+  // Out of cards: the rest of the table is ranked by what they still hold
+  if (reason === EndReason.NO_CARDS) {
+    const ranking = [player, ...rankByHandTotal(state, seats.filter((id) => id !== player))];
+    return {
+      reason,
+      winner: player,
+      loser: ranking.length > 1 ? ranking[ranking.length - 1] : undefined,
+      ranking,
+    };
+  }
+
+  const profile = getRules(state);
+  const totals = Object.fromEntries(
+    seats.map((id) => [id, getHandTotal(state.players[id], profile)]),
+  );
+  let ranking = rankByHandTotal(state, seats);
+  const tied = ranking.filter((id) => totals[id] === totals[ranking[0]]);
+
+  const result = { reason, winner: ranking[0] };
+  if (tied.length > 1) {
+    const winner = breakTie(state, tied, player);
+    if (winner) {
+      ranking = [winner, ...ranking.filter((id) => id !== winner)];
+      Object.assign(result, { winner, tieBreak: profile.tieRule });
+    } else {
+      Object.assign(result, { winner: null, tied });
+    }
+  }
+
+  const last = ranking[ranking.length - 1];
+  result.loser = tied.length < ranking.length || result.tieBreak ? last : undefined;
+  result.ranking = ranking;
+  result.totals = Object.fromEntries(ranking.map((id) => [id, totals[id]]));
+  return result;
+}
+
+/**
+ * Builds an invalid action result that leaves the state untouched
+ * @param {Object} state - Unchanged state
+ * @param {string} reason - Why the action was rejected
+ * @param {Object} [card] - Offending card, if any
+ * @returns {ActionResult} Reducer result
+ */
+function reject(state, reason, card) {
+  return { valid: false, state, events: [], reason, card };
+}
+
+/**
+ * Passes the turn on and records the change
+ * @param {Object} state - Draft state (mutated)
+ * @param {Object[]} events - Event list (mutated)
+ * @param {string} currentTurn - Player to move next
+ */
+function changeTurn(state, events, currentTurn) {
+  state.currentTurn = currentTurn;
+  events.push({ type: EventType.TURN_CHANGED, currentTurn });
+}
+
+/**
+ * Updates the pending penalty and records the change
+ * @param {Object} state - Draft state (mutated)
+ * @param {Object[]} events - Event list (mutated)
+ * @param {number} count - New penalty count
+ */
+function changePenalty(state, events, count) {
+  if ((state.activePenaltyCount || 0) === count) return;
+  state.activePenaltyCount = count;
+  events.push({ type: EventType.PENALTY_CHANGED, activePenaltyCount: count });
+}
+
+/**
+ * Copies the parts of the state an action can change
+ * @param {Object} state - Current state
+ * @returns {Object} Draft state safe to mutate
+ */
+function draft(state) {
+  return {
+    ...state,
+    players: Object.fromEntries(
+      Object.entries(state.players).map(([id, hand]) => [id, [...hand]]),
+    ),
+    deck: [...state.deck],
+    playedCards: [...state.playedCards],
+    activePenaltyCount: state.activePenaltyCount || 0,
+    pendingDraw: state.pendingDraw || 0,
+  };
+}
+
+// ============================================================================
+// ACTION HANDLERS
+// ============================================================================
+
+/**
+ * Plays a card from the player's hand
+ * @param {Object} state - Current state
+ * @param {Object} action - { type: 'PLAY', player, card, suit? }
+ * @returns {ActionResult} Reducer result
+ */
+function applyPlay(state, action) {
+  const { player, card, suit } = action;
+
+  if (state.pendingDraw > 0) {
+    return reject(state, `Must draw ${state.pendingDraw} penalty card(s)`);
+  }
+
+  const hand = state.players[player];
+  const index = hand.findIndex((c) => isSameCard(c, card));
+  if (index === -1) {
+    return reject(state, `Cannot play ${card.v} of ${card.s}: card not in hand`, card);
+  }
+
+  const penaltyCount = state.activePenaltyCount || 0;
+  const result = getNextAction({
+    prevCard: state.currentCard,
+    playedCard: card,
+    isPenaltyActive: penaltyCount > 0,
+    selectedSuit: state.chosenSuit,
+    currentPenaltyCount: penaltyCount,
+    profile: getRules(state),
+  });
+
+  if (!result.valid) {
+    return reject(state, result.message, card);
+  }
+
+  const next = draft(state);
+  const events = [];
+  const playedCard = { v: card.v, s: card.s };
+
+  next.players[player].splice(index, 1);
+  next.playedCards.push(playedCard);
+  next.currentCard = playedCard;
+  next.chosenSuit = null;
+  events.push({ type: EventType.CARD_PLAYED, player, card: playedCard });
+
+  // Game endings take priority over card effects
+  if (next.players[player].length === 0) {
+    next.status = 'FINISHED';
+    next.result = buildResult(next, EndReason.NO_CARDS, player);
+    return { valid: true, state: next, events };
+  }
+  const { cuttingValue } = getRules(next);
+  if (cuttingValue !== null && card.v === cuttingValue && card.s === next.cuttingCard.s) {
+    next.status = 'FINISHED';
+    next.result = buildResult(next, EndReason.CUTTING_CARD, player);
+    return { valid: true, state: next, events };
+  }
+
+  if (result.allowSuitChoice && SELECTABLE_SUITS.includes(suit)) {
+    next.chosenSuit = suit;
+    events.push({ type: EventType.SUIT_CHOSEN, player, suit });
+  }
+
+  // A reduced penalty leaves the remainder for the player to draw
+  const remaining = result.currentPenaltyCount || 0;
+  if (result.type === NextActionType.REDUCE_PENALTY && remaining > 0) {
+    next.pendingDraw = remaining;
+    changePenalty(next, events, 0);
+    return { valid: true, state: next, events };
+  }
+
+  changePenalty(next, events, result.nextPlayerPenaltyCount || 0);
+  changeTurn(next, events, getNextPlayer(next, player, result.skipTurns || 0));
+  return { valid: true, state: next, events };
+}
+
+/**
+ * Draws cards for the player: the pending penalty, else a single card
+ * @param {Object} state - Current state
+ * @param {Object} action - { type: 'DRAW', player, count? }
+ * @param {Object} options - Reducer options
+ * @returns {ActionResult} Reducer result
+ */
+function applyDraw(state, action, options) {
+  const { player, count } = action;
+  const expectedCount = state.pendingDraw || state.activePenaltyCount || 1;
+
+  if (count !== undefined && count !== expectedCount) {
+    return reject(state, `Must draw ${expectedCount} card(s)`);
+  }
+
+  const next = draft(state);
+  const events = [];
+
+  // Refill the deck from the played cards, keeping the top card in play
+  if (
+    next.deck.length <= Math.max(MINIMUM_DECK_SIZE, expectedCount) &&
+    next.playedCards.length > 1
+  ) {
+    const reshuffled = options.shuffle(next.playedCards.slice(0, -1));
+    next.deck = [...reshuffled, ...next.deck];
+    next.playedCards = next.playedCards.slice(-1);
+    events.push({
+      type: EventType.DECK_RESHUFFLED,
+      reshuffledCount: reshuffled.length,
+      cards: reshuffled,
+    });
+  }
+
+  // Deal from the end/top of the deck
+  const cards = next.deck.splice(-expectedCount);
+  next.players[player].push(...cards);
+  next.pendingDraw = 0;
+  events.push({
+    type: EventType.CARDS_DRAWN,
+    player,
+    count: cards.length,
+    cards,
+    deckCount: next.deck.length,
+  });
+
+  changePenalty(next, events, 0);
+  changeTurn(next, events, getNextPlayer(next, player));
+  return { valid: true, state: next, events };
+}
+
+// ============================================================================
+// REDUCER
+// ============================================================================
+
+/**
+ * Applies a single player action to the game state without mutating it
+ * @param {Object} state - Game state ({ players, deck, playedCards, currentCard,
+ *   chosenSuit, activePenaltyCount, pendingDraw, currentTurn, cuttingCard, rules? })
+ * @param {Object} action - PLAY or DRAW action with the acting player
+ * @param {Object} [options] - { shuffle } used when the deck is refilled
+ * @returns {ActionResult} Reducer result
+ */
+function applyAction(state, action, options = {}) {
+  const reducerOptions = { shuffle: defaultShuffle, ...options };
+
+  if (state.status === 'FINISHED') {
+    return reject(state, 'Game is already over');
+  }
+  if (!state.players[action.player]) {
+    return reject(state, 'Player not found in game');
+  }
+  if (state.currentTurn !== action.player) {
+    return reject(state, 'Not your turn');
+  }
+
+  switch (action.type) {
+    case ActionType.PLAY:
+      return applyPlay(state, action);
+    case ActionType.DRAW:
+      return applyDraw(state, action, reducerOptions);
+    default:
+      return reject(state, `Unknown action ${action.type}`);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  applyAction,
+  ActionType,
+  EventType,
+  EndReason,
+  SELECTABLE_SUITS,
+  getSeats,
+  getRules,
+  getNextPlayer,
+  getHandTotal,
+  rankByHandTotal,
+};
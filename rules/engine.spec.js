@@ -0,0 +1,395 @@
+// __tests__/engine.test.js
+const { applyAction, ActionType, EventType, EndReason } = require('./engine');
+const { RULES_PROFILES, TieRule } = require('./profiles');
+
+describe('Game Engine', () => {
+  const card = (value, suit) => ({ v: value, s: suit });
+
+  // Two player game with player1 to move on the five of clubs
+  const createState = (overrides = {}) => ({
+    players: {
+      player1: [card(5, 'H'), card(8, 'C'), card(2, 'C'), card(15, 'D')],
+      player2: [card(9, 'D'), card(11, 'H'), card(3, 'C')],
+    },
+    deck: [card(3, 'S'), card(4, 'H'), card(6, 'C'), card(10, 'D'), card(12, 'S'), card(13, 'H')],
+    playedCards: [card(5, 'C')],
+    currentCard: card(5, 'C'),
+    cuttingCard: card(7, 'S'),
+    currentTurn: 'player1',
+    chosenSuit: null,
+    activePenaltyCount: 0,
+    ...overrides,
+  });
+
+  const play = (player, playedCard, suit) => ({
+    type: ActionType.PLAY,
+    player,
+    card: playedCard,
+    suit,
+  });
+
+  const draw = (player, count) => ({ type: ActionType.DRAW, player, count });
+
+  describe('Purity', () => {
+    test('should not mutate the input state', () => {
+      const state = createState();
+      const snapshot = JSON.parse(JSON.stringify(state));
+
+      applyAction(state, play('player1', card(5, 'H')));
+      applyAction(state, draw('player1'));
+
+      expect(state).toEqual(snapshot);
+    });
+
+    test('should return the same state for an invalid action', () => {
+      const state = createState();
+      const result = applyAction(state, play('player1', card(9, 'D')));
+
+      expect(result.valid).toBe(false);
+      expect(result.state).toBe(state);
+      expect(result.events).toEqual([]);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject actions out of turn', () => {
+      const result = applyAction(createState(), play('player2', card(9, 'D')));
+      expect(result.reason).toBe('Not your turn');
+    });
+
+    test('should reject a card not in hand', () => {
+      const result = applyAction(createState(), play('player1', card(50, 'R')));
+      expect(result.reason).toContain('card not in hand');
+      expect(result.card).toEqual(card(50, 'R'));
+    });
+
+    test('should reject a card the rules do not allow', () => {
+      const state = createState({ currentCard: card(9, 'D') });
+      const result = applyAction(state, play('player1', card(5, 'H')));
+      expect(result.reason).toBe('Cannot play 5 of H');
+    });
+
+    test('should reject unknown actions', () => {
+      const result = applyAction(createState(), { type: 'PASS', player: 'player1' });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('Play', () => {
+    test('should move the card from the hand to the pile and pass the turn', () => {
+      const { state, events } = applyAction(createState(), play('player1', card(5, 'H')));
+
+      expect(state.players.player1).not.toContainEqual(card(5, 'H'));
+      expect(state.playedCards).toEqual([card(5, 'C'), card(5, 'H')]);
+      expect(state.currentCard).toEqual(card(5, 'H'));
+      expect(state.currentTurn).toBe('player2');
+      expect(events).toEqual([
+        { type: EventType.CARD_PLAYED, player: 'player1', card: card(5, 'H') },
+        { type: EventType.TURN_CHANGED, currentTurn: 'player2' },
+      ]);
+    });
+
+    test('should keep the turn with the player after a skip card', () => {
+      const { state } = applyAction(createState(), play('player1', card(8, 'C')));
+      expect(state.currentTurn).toBe('player1');
+    });
+
+    test('should set the chosen suit for an ace', () => {
+      const { state, events } = applyAction(
+        createState(),
+        play('player1', card(15, 'D'), 'S'),
+      );
+
+      expect(state.chosenSuit).toBe('S');
+      expect(events).toContainEqual({ type: EventType.SUIT_CHOSEN, player: 'player1', suit: 'S' });
+    });
+
+    test('should ignore a suit for a card without a suit choice', () => {
+      const { state } = applyAction(createState(), play('player1', card(5, 'H'), 'S'));
+      expect(state.chosenSuit).toBeNull();
+    });
+  });
+
+  describe('Penalties', () => {
+    test('should pass a penalty card on to the next player', () => {
+      const { state, events } = applyAction(createState(), play('player1', card(2, 'C')));
+
+      expect(state.activePenaltyCount).toBe(2);
+      expect(state.currentTurn).toBe('player2');
+      expect(events).toContainEqual({ type: EventType.PENALTY_CHANGED, activePenaltyCount: 2 });
+    });
+
+    test('should transfer a penalty answered with a stronger card', () => {
+      let { state } = applyAction(createState(), play('player1', card(2, 'C')));
+      ({ state } = applyAction(state, play('player2', card(3, 'C'))));
+
+      expect(state.activePenaltyCount).toBe(3);
+      expect(state.currentTurn).toBe('player1');
+    });
+
+    test('should make the player draw the remainder of a reduced penalty', () => {
+      const state = createState({ currentCard: card(3, 'C'), activePenaltyCount: 3 });
+      const reduced = applyAction(state, play('player1', card(2, 'C')));
+
+      expect(reduced.state.pendingDraw).toBe(1);
+      expect(reduced.state.currentTurn).toBe('player1');
+      expect(applyAction(reduced.state, play('player1', card(5, 'H'))).valid).toBe(false);
+
+      const drawn = applyAction(reduced.state, draw('player1'));
+      expect(drawn.state.players.player1).toHaveLength(4);
+      expect(drawn.state.pendingDraw).toBe(0);
+      expect(drawn.state.currentTurn).toBe('player2');
+    });
+
+    test('should draw the whole penalty and clear it', () => {
+      const state = createState({ currentCard: card(2, 'H'), activePenaltyCount: 2 });
+      const { state: next, events } = applyAction(state, draw('player1'));
+
+      expect(next.players.player1).toHaveLength(6);
+      expect(next.activePenaltyCount).toBe(0);
+      expect(events.map((event) => event.type)).toEqual([
+        EventType.CARDS_DRAWN,
+        EventType.PENALTY_CHANGED,
+        EventType.TURN_CHANGED,
+      ]);
+    });
+  });
+
+  describe('Draw', () => {
+    test('should deal from the top of the deck', () => {
+      const { state, events } = applyAction(createState(), draw('player1'));
+
+      expect(state.players.player1).toContainEqual(card(13, 'H'));
+      expect(state.deck).toHaveLength(5);
+      expect(events[0]).toEqual({
+        type: EventType.CARDS_DRAWN,
+        player: 'player1',
+        count: 1,
+        cards: [card(13, 'H')],
+        deckCount: 5,
+      });
+    });
+
+    test('should reject a count that does not match the rules', () => {
+      const result = applyAction(createState(), draw('player1', 3));
+      expect(result.reason).toBe('Must draw 1 card(s)');
+    });
+
+    test('should refill a low deck with the injected shuffle', () => {
+      const shuffle = jest.fn((cards) => [...cards].reverse());
+      const state = createState({
+        deck: [card(6, 'C')],
+        playedCards: [card(4, 'C'), card(9, 'C'), card(5, 'C')],
+      });
+
+      const { state: next, events } = applyAction(state, draw('player1'), { shuffle });
+
+      expect(shuffle).toHaveBeenCalledWith([card(4, 'C'), card(9, 'C')]);
+      expect(next.playedCards).toEqual([card(5, 'C')]);
+      expect(next.deck).toEqual([card(9, 'C'), card(4, 'C')]);
+      expect(events[0]).toEqual({
+        type: EventType.DECK_RESHUFFLED,
+        reshuffledCount: 2,
+        cards: [card(9, 'C'), card(4, 'C')],
+      });
+    });
+  });
+
+  describe('Multi-player Tables', () => {
+    // Four seats with player1 to move on the nine of spades
+    const createTable = () =>
+      createState({
+        players: {
+          player1: [card(5, 'H'), card(8, 'C'), card(2, 'C'), card(7, 'S')],
+          player2: [card(9, 'D'), card(3, 'C')],
+          player3: [card(4, 'D'), card(12, 'H'), card(13, 'S')],
+          player4: [card(6, 'H')],
+        },
+        seats: ['player1', 'player2', 'player3', 'player4'],
+        currentCard: card(9, 'S'),
+      });
+
+    test('should pass the turn to the next seat', () => {
+      const state = createTable();
+      state.currentCard = card(5, 'C');
+
+      const { state: next } = applyAction(state, play('player1', card(5, 'H')));
+      expect(next.currentTurn).toBe('player2');
+    });
+
+    test('should follow the seat order rather than the hand order', () => {
+      const state = createTable();
+      state.currentCard = card(5, 'C');
+      state.seats = ['player1', 'player3', 'player2', 'player4'];
+
+      const { state: next } = applyAction(state, play('player1', card(5, 'H')));
+      expect(next.currentTurn).toBe('player3');
+    });
+
+    test('should skip only the next seat', () => {
+      const state = createTable();
+      state.currentCard = card(5, 'C');
+
+      const { state: next } = applyAction(state, play('player1', card(8, 'C')));
+      expect(next.currentTurn).toBe('player3');
+    });
+
+    test('should wrap around the table', () => {
+      const state = createTable();
+      state.currentTurn = 'player4';
+      state.currentCard = card(6, 'C');
+
+      const { state: next } = applyAction(state, draw('player4'));
+      expect(next.currentTurn).toBe('player1');
+    });
+
+    test('should pass a penalty along the ring', () => {
+      const state = createTable();
+      state.currentCard = card(5, 'C');
+
+      let { state: next } = applyAction(state, play('player1', card(2, 'C')));
+      expect(next.currentTurn).toBe('player2');
+      ({ state: next } = applyAction(next, play('player2', card(3, 'C'))));
+      expect(next.currentTurn).toBe('player3');
+      expect(next.activePenaltyCount).toBe(3);
+
+      ({ state: next } = applyAction(next, draw('player3')));
+      expect(next.players.player3).toHaveLength(6);
+      expect(next.currentTurn).toBe('player4');
+    });
+
+    test('should rank every player by hand total at the cut', () => {
+      const { state } = applyAction(createTable(), play('player1', card(7, 'S')));
+
+      // player1: 15, player2: 12, player3: 29, player4: 6
+      expect(state.result.ranking).toEqual(['player4', 'player2', 'player1', 'player3']);
+      expect(state.result.winner).toBe('player4');
+      expect(state.result.loser).toBe('player3');
+    });
+
+    test('should rank the rest of the table when a player goes out', () => {
+      const state = createTable();
+      state.currentTurn = 'player4';
+      state.currentCard = card(6, 'C');
+
+      const { state: next } = applyAction(state, play('player4', card(6, 'H')));
+      expect(next.result.ranking).toEqual(['player4', 'player2', 'player1', 'player3']);
+      expect(next.result.loser).toBe('player3');
+    });
+  });
+
+  describe('Endings', () => {
+    test('should end the game when the last card is played', () => {
+      const state = createState();
+      state.players.player1 = [card(5, 'H')];
+
+      const { state: next } = applyAction(state, play('player1', card(5, 'H')));
+
+      expect(next.status).toBe('FINISHED');
+      expect(next.result).toEqual({
+        reason: EndReason.NO_CARDS,
+        winner: 'player1',
+        loser: 'player2',
+        ranking: ['player1', 'player2'],
+      });
+    });
+
+    test('should not end the game while cards remain', () => {
+      const { state } = applyAction(createState(), play('player1', card(5, 'H')));
+      expect(state.result).toBeUndefined();
+    });
+
+    test('should rank players by hand total when the cutting card is played', () => {
+      const state = createState({ currentCard: card(9, 'S') });
+      state.players.player1.push(card(7, 'S'));
+
+      const { state: next } = applyAction(state, play('player1', card(7, 'S')));
+
+      // player1: 5 + 8 + 2 + 15 = 30, player2: 9 + 11 + 3 = 23
+      expect(next.result).toEqual({
+        reason: EndReason.CUTTING_CARD,
+        winner: 'player2',
+        loser: 'player1',
+        ranking: ['player2', 'player1'],
+        totals: { player2: 23, player1: 30 },
+      });
+    });
+
+    describe('Cutting Ties', () => {
+      // player1 cuts holding 5 + 8 + 2 + 15 = 30 against player2's 9 + 11 + 10 = 30
+      const cutTied = (rules) => {
+        const state = createState({ currentCard: card(9, 'S'), rules });
+        state.players.player1.push(card(7, 'S'));
+        state.players.player2 = [card(9, 'D'), card(11, 'H'), card(10, 'C')];
+        return applyAction(state, play('player1', card(7, 'S'))).state.result;
+      };
+      const withTieRule = (tieRule) => ({ ...RULES_PROFILES.KAMPALA_STANDARD, tieRule });
+
+      test('should draw a tie by default instead of picking the first seat', () => {
+        expect(cutTied()).toEqual({
+          reason: EndReason.CUTTING_CARD,
+          winner: null,
+          loser: undefined,
+          tied: ['player1', 'player2'],
+          ranking: ['player1', 'player2'],
+          totals: { player1: 30, player2: 30 },
+        });
+      });
+
+      test('should give a tie to the player with fewer cards', () => {
+        const result = cutTied(withTieRule(TieRule.FEWEST_CARDS));
+
+        expect(result.winner).toBe('player2');
+        expect(result.loser).toBe('player1');
+        expect(result.tieBreak).toBe(TieRule.FEWEST_CARDS);
+        expect(result.ranking).toEqual(['player2', 'player1']);
+      });
+
+      test('should draw when fewest cards cannot separate the tie', () => {
+        const rules = withTieRule(TieRule.FEWEST_CARDS);
+        const state = createState({ currentCard: card(9, 'S'), rules });
+        state.players.player1 = [card(7, 'S'), card(10, 'H'), card(4, 'H')];
+        state.players.player2 = [card(9, 'D'), card(5, 'C')];
+
+        const { state: next } = applyAction(state, play('player1', card(7, 'S')));
+
+        expect(next.result.winner).toBeNull();
+        expect(next.result.tied).toEqual(['player1', 'player2']);
+      });
+
+      test('should give a tie to the player who cut', () => {
+        const result = cutTied(withTieRule(TieRule.CUTTER));
+
+        expect(result.winner).toBe('player1');
+        expect(result.loser).toBe('player2');
+        expect(result.tieBreak).toBe(TieRule.CUTTER);
+      });
+
+      test('should count cards by the profile scoring table', () => {
+        const rules = { ...RULES_PROFILES.KAMPALA_STANDARD, cardPoints: { 15: 1 } };
+        const result = cutTied(rules);
+
+        // The ace in player1's hand now counts 1: 5 + 8 + 2 + 1 = 16
+        expect(result.winner).toBe('player1');
+        expect(result.totals).toEqual({ player1: 16, player2: 30 });
+      });
+    });
+
+    test('should play on past the cutting card when the profile has none', () => {
+      const rules = { ...RULES_PROFILES.KAMPALA_STANDARD, cuttingValue: null };
+      const state = createState({ currentCard: card(9, 'S'), rules });
+      state.players.player1.push(card(7, 'S'));
+
+      const { state: next } = applyAction(state, play('player1', card(7, 'S')));
+
+      expect(next.result).toBeUndefined();
+      expect(next.currentTurn).toBe('player2');
+    });
+
+    test('should reject actions after the game is over', () => {
+      const state = createState({ status: 'FINISHED' });
+      const result = applyAction(state, play('player1', card(5, 'H')));
+      expect(result.reason).toBe('Game is already over');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// rules/hints.js
+
+const { getNextAction, NextActionType } = require('./rules');
+const { getRules } = require('./engine');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PlayEffect = {
+  APPLIES_PENALTY: 'APPLIES_PENALTY', // Next player has to answer or draw
+  TRANSFERS_PENALTY: 'TRANSFERS_PENALTY', // Pending penalty moves on to the next player
+  REDUCES_PENALTY: 'REDUCES_PENALTY', // Player draws less of the pending penalty
+  CANCELS_PENALTY: 'CANCELS_PENALTY', // Pending penalty is dropped
+  SKIPS_OPPONENT: 'SKIPS_OPPONENT',
+  CHOOSES_SUIT: 'CHOOSES_SUIT',
+  ENDS_GAME: 'ENDS_GAME', // Last card in hand, or the cutting card
+};
+
+/**
+ * @typedef {Object} LegalPlay
+ * @property {{v: number, s: string}} card - Card to play
+ * @property {string} type - NextActionType the rules give the play
+ * @property {string[]} effects - PlayEffect values, empty for a plain card
+ * @property {number} nextPlayerPenaltyCount - Cards the next player will owe
+ * @property {number} drawCards - Cards the player still draws after playing it
+ * @property {number} skipTurns - Turns the next player loses
+ * @property {string} message - Human readable explanation
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Lists what a legal play does to the game
+ * @param {Object} state - Game state before the play
+ * @param {string} player - Player making it
+ * @param {Object} card - Card played
+ * @param {Object} action - getNextAction result for the card
+ * @returns {string[]} PlayEffect values
+ */
+function getEffects(state, player, card, action) {
+  const effects = [];
+  const penaltyCount = state.activePenaltyCount || 0;
+  const nextPenalty = action.nextPlayerPenaltyCount || 0;
+
+  if (penaltyCount > 0) {
+    if (action.type === NextActionType.REDUCE_PENALTY) {
+      effects.push(PlayEffect.REDUCES_PENALTY);
+    } else if (nextPenalty > 0) {
+      effects.push(PlayEffect.TRANSFERS_PENALTY);
+    } else {
+      effects.push(PlayEffect.CANCELS_PENALTY);
+    }
+  } else if (nextPenalty > 0) {
+    effects.push(PlayEffect.APPLIES_PENALTY);
+  }
+
+  if (action.skipTurns > 0) effects.push(PlayEffect.SKIPS_OPPONENT);
+  if (action.allowSuitChoice) effects.push(PlayEffect.CHOOSES_SUIT);
+
+  const { cuttingValue } = getRules(state);
+  const isCut =
+    cuttingValue !== null &&
+    card.v === cuttingValue &&
+    card.s === state.cuttingCard?.s;
+  if (isCut || state.players[player].length === 1) {
+    effects.push(PlayEffect.ENDS_GAME);
+  }
+
+  return effects;
+}
+
+// ============================================================================
+// LEGAL PLAYS
+// ============================================================================
+
+/**
+ * Lists every card the player may play right now, each with its effect. Uses
+ * the same check as the engine, so a listed card is always accepted.
+ * @param {Object} state - Game state
+ * @param {string} player - Player asking
+ * @returns {LegalPlay[]} Playable cards in hand order, none when it is not the
+ *   player's turn or they have a penalty to draw first
+ */
+function listLegalPlays(state, player) {
+  const hand = state.players[player];
+  if (
+    !hand ||
+    state.status === 'FINISHED' ||
+    state.currentTurn !== player ||
+    state.pendingDraw > 0
+  ) {
+    return [];
+  }
+
+  const penaltyCount = state.activePenaltyCount || 0;
+  const profile = getRules(state);
+
+  return hand
+    .filter(
+      (card, index) =>
+        hand.findIndex((c) => c.v === card.v && c.s === card.s) === index,
+    )
+    .map((card) => ({
+      card: { v: card.v, s: card.s },
+      action: getNextAction({
+        prevCard: state.currentCard,
+        playedCard: card,
+        isPenaltyActive: penaltyCount > 0,
+        selectedSuit: state.chosenSuit,
+        currentPenaltyCount: penaltyCount,
+        profile,
+      }),
+    }))
+    .filter(({ action }) => action.valid)
+    .map(({ card, action }) => ({
+      card,
+      type: action.type,
+      effects: getEffects(state, player, card, action),
+      nextPlayerPenaltyCount: action.nextPlayerPenaltyCount || 0,
+      drawCards: action.drawCards || 0,
+      skipTurns: action.skipTurns || 0,
+      message: action.message,
+    }));
+}
+
+/**
+ * Cards the player takes if they draw instead of playing
+ * @param {Object} state - Game state
+ * @returns {number} Pending draw, else the active penalty, else one card
+ */
+function getDrawCount(state) {
+  return state.pendingDraw || state.activePenaltyCount || 1;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  listLegalPlays,
+  getDrawCount,
+  PlayEffect,
+};
@@ -0,0 +1,135 @@
+// __tests__/hints.test.js
+const { listLegalPlays, getDrawCount, PlayEffect } = require('./hints');
+const { applyAction, ActionType } = require('./engine');
+const { RULES_PROFILES } = require('./profiles');
+
+describe('Legal Play Hints', () => {
+  const card = (value, suit) => ({ v: value, s: suit });
+
+  const createState = (overrides = {}) => ({
+    players: {
+      player1: [card(5, 'H'), card(8, 'C'), card(2, 'C'), card(15, 'D'), card(9, 'D')],
+      player2: [card(9, 'S'), card(11, 'H'), card(3, 'C')],
+    },
+    deck: [card(3, 'S'), card(4, 'H'), card(6, 'C'), card(10, 'D'), card(12, 'S'), card(13, 'H')],
+    playedCards: [card(5, 'C')],
+    currentCard: card(5, 'C'),
+    cuttingCard: card(7, 'S'),
+    currentTurn: 'player1',
+    chosenSuit: null,
+    activePenaltyCount: 0,
+    ...overrides,
+  });
+
+  const playable = (plays) => plays.map(({ card: { v, s } }) => `${v}${s}`);
+
+  const effectsOf = (plays, v, s) =>
+    plays.find(({ card: c }) => c.v === v && c.s === s).effects;
+
+  test('should list matching cards and aces with their effects', () => {
+    const plays = listLegalPlays(createState(), 'player1');
+
+    expect(playable(plays)).toEqual(['5H', '8C', '2C', '15D']);
+    expect(effectsOf(plays, 5, 'H')).toEqual([]);
+    expect(effectsOf(plays, 8, 'C')).toEqual([PlayEffect.SKIPS_OPPONENT]);
+    expect(effectsOf(plays, 2, 'C')).toEqual([PlayEffect.APPLIES_PENALTY]);
+    expect(effectsOf(plays, 15, 'D')).toEqual([PlayEffect.CHOOSES_SUIT]);
+  });
+
+  test('should only list cards of the chosen suit after an ace', () => {
+    const state = createState({ currentCard: card(15, 'H'), chosenSuit: 'D' });
+
+    expect(playable(listLegalPlays(state, 'player1'))).toEqual(['15D', '9D']);
+  });
+
+  test('should tell transferring, reducing and cancelling a penalty apart', () => {
+    const state = createState({
+      players: {
+        player1: [card(2, 'H'), card(3, 'H'), card(2, 'S'), card(15, 'S'), card(9, 'H')],
+        player2: [card(9, 'S')],
+      },
+      currentCard: card(3, 'H'),
+      playedCards: [card(3, 'H')],
+      activePenaltyCount: 3,
+    });
+
+    const plays = listLegalPlays(state, 'player1');
+
+    expect(playable(plays)).toEqual(['2H', '3H', '15S']);
+    expect(effectsOf(plays, 3, 'H')).toEqual([PlayEffect.TRANSFERS_PENALTY]);
+    expect(effectsOf(plays, 2, 'H')).toEqual([PlayEffect.REDUCES_PENALTY]);
+    expect(plays.find(({ card: c }) => c.v === 2).drawCards).toBe(1);
+    expect(effectsOf(plays, 15, 'S')).toEqual([PlayEffect.CANCELS_PENALTY]);
+  });
+
+  test('should flag the joker suit choice and its penalty', () => {
+    const state = createState({
+      players: { player1: [card(50, 'B'), card(4, 'H')], player2: [card(9, 'S')] },
+    });
+
+    expect(effectsOf(listLegalPlays(state, 'player1'), 50, 'B')).toEqual([
+      PlayEffect.APPLIES_PENALTY,
+      PlayEffect.CHOOSES_SUIT,
+    ]);
+  });
+
+  test('should flag plays that end the game', () => {
+    const cut = createState({
+      players: { player1: [card(7, 'C'), card(4, 'H')], player2: [card(9, 'S')] },
+      cuttingCard: card(7, 'C'),
+    });
+    const lastCard = createState({
+      players: { player1: [card(6, 'C')], player2: [card(9, 'S')] },
+    });
+
+    expect(effectsOf(listLegalPlays(cut, 'player1'), 7, 'C')).toEqual([
+      PlayEffect.ENDS_GAME,
+    ]);
+    expect(effectsOf(listLegalPlays(lastCard, 'player1'), 6, 'C')).toEqual([
+      PlayEffect.ENDS_GAME,
+    ]);
+  });
+
+  test('should follow the rules profile of the game', () => {
+    const state = createState({
+      rules: RULES_PROFILES.NO_MASTER_CARD,
+      players: { player1: [card(15, 'S'), card(2, 'H')], player2: [card(9, 'S')] },
+      currentCard: card(3, 'H'),
+      activePenaltyCount: 3,
+    });
+
+    expect(playable(listLegalPlays(state, 'player1'))).toEqual(['2H']);
+  });
+
+  test('should list nothing out of turn or with a penalty left to draw', () => {
+    expect(listLegalPlays(createState(), 'player2')).toEqual([]);
+    expect(listLegalPlays(createState({ pendingDraw: 2 }), 'player1')).toEqual([]);
+    expect(listLegalPlays(createState({ status: 'FINISHED' }), 'player1')).toEqual([]);
+  });
+
+  test('should list exactly the cards the engine accepts', () => {
+    const states = [
+      createState(),
+      createState({ currentCard: card(15, 'H'), chosenSuit: 'D' }),
+      createState({ currentCard: card(2, 'C'), activePenaltyCount: 2 }),
+      createState({ currentCard: card(50, 'R'), chosenSuit: 'H', activePenaltyCount: 5 }),
+    ];
+
+    for (const state of states) {
+      const accepted = state.players.player1.filter(
+        (c) =>
+          applyAction(state, { type: ActionType.PLAY, player: 'player1', card: c })
+            .valid,
+      );
+      expect(playable(listLegalPlays(state, 'player1'))).toEqual(
+        playable(accepted.map((c) => ({ card: c }))),
+      );
+    }
+  });
+
+  test('should draw the pending penalty, else the active one, else one card', () => {
+    expect(getDrawCount(createState())).toBe(1);
+    expect(getDrawCount(createState({ activePenaltyCount: 3 }))).toBe(3);
+    expect(getDrawCount(createState({ activePenaltyCount: 3, pendingDraw: 1 }))).toBe(1);
+  });
+});
@@ -0,0 +1,148 @@
+// rules/invariants.js
+
+const { getSeats, SELECTABLE_SUITS } = require('./engine');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SUITS = ['H', 'D', 'C', 'S'];
+const VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15];
+const FULL_DECK = [
+  ...SUITS.flatMap((s) => VALUES.map((v) => ({ v, s }))),
+  { v: 50, s: 'R' },
+  { v: 50, s: 'B' },
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Names a card for diagnostics, e.g. 7H or 50R
+ * @param {Object} card - Card to name
+ * @returns {string} Value followed by suit
+ */
+function cardKey(card) {
+  return `${card.v}${card.s}`;
+}
+
+/**
+ * Checks that a counter holds a whole number of cards, zero or more
+ * @param {*} count - Counter value
+ * @returns {boolean} True if usable as a count
+ */
+function isCount(count) {
+  return Number.isInteger(count) && count >= 0;
+}
+
+/**
+ * Checks that every card of the deck is in play exactly once: in a hand, the
+ * deck, the played pile or under the deck as the cutting card
+ * @param {Object} state - Game state
+ * @returns {string[]} Violations found
+ */
+function checkCards(state) {
+  const violations = [];
+  if (!state.cuttingCard) violations.push('No cutting card');
+
+  const cards = [
+    ...Object.values(state.players).flat(),
+    ...state.deck,
+    ...state.playedCards,
+    ...(state.cuttingCard ? [state.cuttingCard] : []),
+  ];
+  const counts = new Map(FULL_DECK.map((card) => [cardKey(card), 0]));
+
+  for (const card of cards) {
+    const key = card ? cardKey(card) : String(card);
+    if (!counts.has(key)) {
+      violations.push(`Unknown card ${key}`);
+      continue;
+    }
+    counts.set(key, counts.get(key) + 1);
+  }
+
+  for (const [key, count] of counts) {
+    if (count === 0) violations.push(`Card ${key} is missing`);
+    if (count > 1) violations.push(`Card ${key} appears ${count} times`);
+  }
+
+  // The card to beat is always the top of the played pile
+  const top = state.playedCards[state.playedCards.length - 1];
+  const { currentCard } = state;
+  if (top ? !currentCard || cardKey(currentCard) !== cardKey(top) : currentCard) {
+    violations.push('Current card is not the top of the played pile');
+  }
+
+  return violations;
+}
+
+/**
+ * Checks seating and whose turn it is
+ * @param {Object} state - Game state
+ * @returns {string[]} Violations found
+ */
+function checkTurn(state) {
+  const violations = [];
+  const seats = getSeats(state);
+  const players = Object.keys(state.players);
+
+  if (
+    new Set(seats).size !== seats.length ||
+    seats.length !== players.length ||
+    players.some((uid) => !seats.includes(uid))
+  ) {
+    violations.push('Seats do not match the players');
+  }
+  if (state.status !== 'FINISHED' && !seats.includes(state.currentTurn)) {
+    violations.push(`Turn belongs to ${state.currentTurn}, who is not seated`);
+  }
+
+  return violations;
+}
+
+/**
+ * Checks the penalty counters and the called suit
+ * @param {Object} state - Game state
+ * @returns {string[]} Violations found
+ */
+function checkPenalties(state) {
+  const violations = [];
+  const { activePenaltyCount = 0, pendingDraw = 0, chosenSuit = null } = state;
+
+  if (!isCount(activePenaltyCount)) {
+    violations.push(`Active penalty is ${activePenaltyCount}`);
+  }
+  if (!isCount(pendingDraw)) {
+    violations.push(`Pending draw is ${pendingDraw}`);
+  }
+  if (chosenSuit !== null && !SELECTABLE_SUITS.includes(chosenSuit)) {
+    violations.push(`Chosen suit is ${chosenSuit}`);
+  }
+
+  return violations;
+}
+
+// ============================================================================
+// INVARIANTS
+// ============================================================================
+
+/**
+ * Lists everything that makes a state impossible under the rules. An empty
+ * list means the state is sound.
+ * @param {Object} state - Game state, as passed to the engine
+ * @returns {string[]} Human readable violations
+ */
+function checkInvariants(state) {
+  return [...checkCards(state), ...checkTurn(state), ...checkPenalties(state)];
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  checkInvariants,
+  FULL_DECK,
+};
@@ -0,0 +1,116 @@
+// __tests__/invariants.test.js
+const { checkInvariants, FULL_DECK } = require('./invariants');
+const { applyAction } = require('./engine');
+const { chooseMove, BotDifficulty } = require('./bot');
+
+describe('State Invariants', () => {
+  const card = (value, suit) => ({ v: value, s: suit });
+
+  // Full 54 card game: seven cards each, the rest in the deck, one played
+  const createState = (overrides = {}) => {
+    const deck = FULL_DECK.map(({ v, s }) => card(v, s)).filter(
+      (c) => !(c.v === 7 && c.s === 'S') && !(c.v === 5 && c.s === 'C'),
+    );
+    return {
+      players: { player1: deck.splice(0, 7), player2: deck.splice(0, 7) },
+      seats: ['player1', 'player2'],
+      deck,
+      playedCards: [card(5, 'C')],
+      currentCard: card(5, 'C'),
+      cuttingCard: card(7, 'S'),
+      currentTurn: 'player1',
+      chosenSuit: null,
+      activePenaltyCount: 0,
+      pendingDraw: 0,
+      ...overrides,
+    };
+  };
+
+  test('should accept a sound state', () => {
+    expect(checkInvariants(createState())).toEqual([]);
+  });
+
+  test('should report duplicated and missing cards', () => {
+    const state = createState();
+    state.players.player1.push(card(5, 'C'));
+    state.deck.shift();
+
+    expect(checkInvariants(state)).toEqual(['Card 3D is missing', 'Card 5C appears 2 times']);
+  });
+
+  test('should report cards that are not in the deck', () => {
+    const state = createState();
+    state.deck.push(card(14, 'H'));
+
+    expect(checkInvariants(state)).toEqual(['Unknown card 14H']);
+  });
+
+  test('should report a lost cutting card', () => {
+    expect(checkInvariants(createState({ cuttingCard: null }))).toEqual([
+      'No cutting card',
+      'Card 7S is missing',
+    ]);
+  });
+
+  test('should report a current card that is not on top of the pile', () => {
+    expect(checkInvariants(createState({ currentCard: card(2, 'H') }))).toEqual([
+      'Current card is not the top of the played pile',
+    ]);
+    expect(
+      checkInvariants(createState({ playedCards: [], currentCard: card(5, 'C') })),
+    ).toContain('Current card is not the top of the played pile');
+  });
+
+  test('should report a turn held by nobody at the table', () => {
+    expect(checkInvariants(createState({ currentTurn: 'player3' }))).toEqual([
+      'Turn belongs to player3, who is not seated',
+    ]);
+    expect(checkInvariants(createState({ seats: ['player1'] }))).toEqual([
+      'Seats do not match the players',
+    ]);
+  });
+
+  test('should report negative or broken penalty counters', () => {
+    expect(
+      checkInvariants(
+        createState({ activePenaltyCount: -2, pendingDraw: 1.5, chosenSuit: 'R' }),
+      ),
+    ).toEqual(['Active penalty is -2', 'Pending draw is 1.5', 'Chosen suit is R']);
+  });
+
+  test('should hold after every action of bot games', () => {
+    let seed = 11;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return (seed - 1) / 2147483646;
+    };
+
+    for (let game = 0; game < 20; game++) {
+      const shuffled = [...FULL_DECK].sort(() => random() - 0.5);
+      let state = {
+        players: { bot1: shuffled.splice(0, 7), bot2: shuffled.splice(0, 7) },
+        seats: ['bot1', 'bot2'],
+        cuttingCard: shuffled.pop(),
+        deck: shuffled,
+        playedCards: [],
+        currentCard: null,
+        currentTurn: 'bot1',
+        chosenSuit: null,
+        activePenaltyCount: 0,
+      };
+
+      for (let turn = 0; turn < 200 && state.status !== 'FINISHED'; turn++) {
+        const player = state.currentTurn;
+        const { cards, newSuit } = chooseMove(state, player, BotDifficulty.EASY, random);
+        for (const action of cards) {
+          state = applyAction(
+            state,
+            { type: action.type, player, card: { v: action.v, s: action.s }, suit: newSuit },
+            { shuffle: (pile) => pile },
+          ).state;
+          expect(checkInvariants(state)).toEqual([]);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,599 @@
+// rules/notation.js
+
+const { applyAction, ActionType, EventType, EndReason } = require('./engine');
+const { getRulesProfile } = require('./profiles');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CARD_SUITS = ['H', 'D', 'C', 'S'];
+const JOKER_SUITS = ['R', 'B'];
+const CARD_VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15];
+const JOKER_VALUE = 50;
+const DECK_SIZE = CARD_SUITS.length * CARD_VALUES.length + JOKER_SUITS.length;
+const LINE_WIDTH = 80;
+
+// Tags written first, in this order; any others follow alphabetically
+const TAG_ORDER = [
+  'Event',
+  'GameId',
+  'Date',
+  'Players',
+  'Stake',
+  'Rules',
+  'Seed',
+  'CuttingCard',
+  'Result',
+  'Reason',
+  'Ranking',
+];
+
+const DECK_LABEL = 'Deck';
+
+/**
+ * @typedef {Object} NotatedAction
+ * @property {'PLAY'|'DRAW'} type
+ * @property {Object} [card] - Played card { v, s }
+ * @property {string} [suit] - Suit called with the card, e.g. after an ace
+ * @property {number} [count] - Cards drawn, when more than one
+ * @property {Object[]} [reshuffled] - New bottom of the deck when the draw
+ *   refilled it from the played cards
+ */
+
+/**
+ * @typedef {Object} NotatedTurn
+ * @property {string} player - Player who took the turn
+ * @property {NotatedAction[]} actions - Everything they did before the turn passed
+ */
+
+/**
+ * @typedef {Object} NotatedGame
+ * @property {Object<string, string>} tags - Header tags
+ * @property {string[]} seats - Players in turn order; the first seat starts
+ * @property {Object} deal - { players, deck, cuttingCard } with the deck top last
+ * @property {Object} [rules] - Rules profile to replay under; parseGame takes it
+ *   from the Rules tag and serializeGame leaves the tag to the caller
+ * @property {NotatedTurn[]} turns - Turns in order
+ */
+
+class NotationError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} [line] - 1-based line of the text, when parsing
+   */
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'NotationError';
+    this.line = line;
+  }
+}
+
+// ============================================================================
+// CARDS
+// ============================================================================
+
+/**
+ * Formats a card as its value followed by its suit, e.g. 15S or 50R
+ * @param {Object} card - Card { v, s }
+ * @returns {string} Card code
+ */
+function formatCard(card) {
+  return `${card.v}${card.s}`;
+}
+
+/**
+ * Parses a card code, accepting only cards that exist in the deck
+ * @param {string} code - Card code such as 15S
+ * @returns {Object|null} Card { v, s }, or null if the code is not a card
+ */
+function parseCard(code) {
+  const match = /^(\d{1,2})([HDCSRB])$/.exec(code);
+  if (!match) return null;
+
+  const v = Number(match[1]);
+  const s = match[2];
+  const isCard = CARD_SUITS.includes(s) && CARD_VALUES.includes(v);
+  const isJoker = JOKER_SUITS.includes(s) && v === JOKER_VALUE;
+  return isCard || isJoker ? { v, s } : null;
+}
+
+/**
+ * Formats a list of cards separated by spaces
+ * @param {Object[]} cards - Cards
+ * @returns {string} Card codes
+ */
+function formatCards(cards) {
+  return cards.map(formatCard).join(' ');
+}
+
+// ============================================================================
+// SERIALIZER
+// ============================================================================
+
+/**
+ * Formats one action of a turn
+ * @param {NotatedAction} action - Action
+ * @returns {string} Action token, plus the reshuffled cards if any
+ */
+function formatAction(action) {
+  if (action.type === ActionType.PLAY) {
+    return action.suit
+      ? `${formatCard(action.card)}=${action.suit}`
+      : formatCard(action.card);
+  }
+
+  const draw = action.count > 1 ? `D${action.count}` : 'D';
+  return action.reshuffled
+    ? `${draw} [${formatCards(action.reshuffled)}]`
+    : draw;
+}
+
+/**
+ * Breaks tokens into lines no wider than LINE_WIDTH
+ * @param {string[]} tokens - Tokens in order
+ * @returns {string[]} Lines
+ */
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = '';
+
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > LINE_WIDTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Writes a game as text: header tags, the deal and the numbered turns
+ * @param {NotatedGame} game - Game to write
+ * @returns {string} Game notation
+ */
+function serializeGame(game) {
+  const tags = {
+    Event: 'Matatu',
+    ...game.tags,
+    Players: game.seats.join(' '),
+    CuttingCard: formatCard(game.deal.cuttingCard),
+  };
+
+  const names = [
+    ...TAG_ORDER.filter((name) => tags[name] !== undefined),
+    ...Object.keys(tags)
+      .filter((name) => !TAG_ORDER.includes(name) && tags[name] !== undefined)
+      .sort(),
+  ];
+  const header = names.map((name) => {
+    const value = String(tags[name]).replace(/[\\"]/g, '\\$&');
+    return `[${name} "${value}"]`;
+  });
+
+  const deal = [
+    ...game.seats.map(
+      (uid) => `${uid}: ${formatCards(game.deal.players[uid])}`,
+    ),
+    `${DECK_LABEL}: ${formatCards(game.deal.deck)}`,
+  ];
+
+  const moves = wrapTokens(
+    game.turns.flatMap((turn, index) => [
+      `${index + 1}.`,
+      ...turn.actions.map(formatAction),
+    ]),
+  );
+
+  return [...header, '', ...deal, '', ...moves, ''].join('\n');
+}
+
+/**
+ * Groups engine events into turns: a turn lasts while play stays with one player
+ * @param {Object[]} events - Engine events in order
+ * @returns {NotatedTurn[]} Turns
+ */
+function turnsFromEvents(events) {
+  const turns = [];
+  let reshuffled = null;
+
+  const addAction = (player, action) => {
+    const turn = turns[turns.length - 1];
+    if (turn && turn.player === player) {
+      turn.actions.push(action);
+    } else {
+      turns.push({ player, actions: [action] });
+    }
+  };
+
+  for (const event of events) {
+    switch (event.type) {
+      case EventType.CARD_PLAYED:
+        addAction(event.player, { type: ActionType.PLAY, card: event.card });
+        break;
+      case EventType.SUIT_CHOSEN: {
+        const turn = turns[turns.length - 1];
+        turn.actions[turn.actions.length - 1].suit = event.suit;
+        break;
+      }
+      case EventType.DECK_RESHUFFLED:
+        reshuffled = event.cards;
+        break;
+      case EventType.CARDS_DRAWN:
+        // The count is left to the rules, which may deal fewer from a short deck
+        addAction(event.player, {
+          type: ActionType.DRAW,
+          ...(reshuffled && { reshuffled }),
+        });
+        reshuffled = null;
+        break;
+      default:
+        break;
+    }
+  }
+  return turns;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Reads the header tags at the top of the text
+ * @param {string[]} lines - Lines of the text
+ * @returns {{ tags: Object<string, string>, next: number }} Tags and the index
+ *   of the first line after them
+ */
+function parseTags(lines) {
+  const tags = {};
+  let index = 0;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line) continue;
+    if (!line.startsWith('[')) break;
+
+    const match = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+    if (!match) {
+      throw new NotationError(`Malformed tag: ${line}`, index + 1);
+    }
+    if (tags[match[1]] !== undefined) {
+      throw new NotationError(`Duplicate tag ${match[1]}`, index + 1);
+    }
+    tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+  }
+  return { tags, next: index };
+}
+
+/**
+ * Parses a space separated list of card codes
+ * @param {string} text - Card codes
+ * @param {number} line - Line number for errors
+ * @returns {Object[]} Cards
+ */
+function parseCardList(text, line) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((code) => {
+      const card = parseCard(code);
+      if (!card) throw new NotationError(`Unknown card ${code}`, line);
+      return card;
+    });
+}
+
+/**
+ * Reads the deal: one line of cards per seat, then the deck
+ * @param {string[]} lines - Lines of the text
+ * @param {number} start - Index of the first line after the tags
+ * @param {string[]} seats - Players in turn order
+ * @param {Object} cuttingCard - Cutting card from the tags
+ * @returns {{ deal: Object, next: number }} Deal and the index of the first
+ *   move line
+ */
+function parseDeal(lines, start, seats, cuttingCard) {
+  const players = {};
+  let deck = null;
+  let index = start;
+
+  for (; index < lines.length && deck === null; index++) {
+    const line = lines[index].trim();
+    if (!line) continue;
+
+    // Labels may contain colons themselves, as bot ids do
+    const match = /^(\S+):(.*)$/.exec(line);
+    if (!match) {
+      throw new NotationError('Expected a hand or the deck', index + 1);
+    }
+
+    const [, label, cards] = match;
+    if (label === DECK_LABEL) {
+      deck = parseCardList(cards, index + 1);
+    } else if (!seats.includes(label)) {
+      throw new NotationError(`${label} is not in the Players tag`, index + 1);
+    } else if (players[label]) {
+      throw new NotationError(`Duplicate hand for ${label}`, index + 1);
+    } else {
+      players[label] = parseCardList(cards, index + 1);
+    }
+  }
+
+  const missing = seats.find((uid) => !players[uid]);
+  if (missing) throw new NotationError(`Missing hand for ${missing}`);
+  if (deck === null) throw new NotationError('Missing deck');
+
+  // Every card of the deck exactly once
+  const codes = [
+    ...Object.values(players).flat(),
+    ...deck,
+    cuttingCard,
+  ].map(formatCard);
+  const duplicate = codes.find((code, i) => codes.indexOf(code) !== i);
+  if (duplicate) throw new NotationError(`Card ${duplicate} dealt twice`);
+  if (codes.length !== DECK_SIZE) {
+    throw new NotationError(
+      `The deal has ${codes.length} cards instead of ${DECK_SIZE}`,
+    );
+  }
+
+  return { deal: { players, deck, cuttingCard }, next: index };
+}
+
+/**
+ * Splits the move text into tokens, dropping {comments}
+ * @param {string[]} lines - Move lines
+ * @param {number} offset - Index of the first move line in the text
+ * @returns {{ text: string, line: number }[]} Tokens with their line numbers
+ */
+function tokenizeMoves(lines, offset) {
+  const tokens = [];
+  let inComment = false;
+
+  lines.forEach((raw, i) => {
+    const pattern = /\{|\}|\[[^\]]*\]|[^\s{}[]+/g;
+    let match;
+    while ((match = pattern.exec(raw))) {
+      const text = match[0];
+      if (text === '{') inComment = true;
+      else if (text === '}') inComment = false;
+      else if (!inComment) tokens.push({ text, line: offset + i + 1 });
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Reads the numbered turns of the move text
+ * @param {{ text: string, line: number }[]} tokens - Move tokens
+ * @returns {{ number: number, line: number, actions: NotatedAction[] }[]} Turns
+ */
+function parseTurns(tokens) {
+  const turns = [];
+
+  for (const { text, line } of tokens) {
+    const number = /^(\d+)\.$/.exec(text);
+    if (number) {
+      const expected = turns.length + 1;
+      if (Number(number[1]) !== expected) {
+        throw new NotationError(`Expected turn ${expected}, found ${text}`, line);
+      }
+      turns.push({ number: expected, line, actions: [] });
+      continue;
+    }
+
+    const turn = turns[turns.length - 1];
+    if (!turn) throw new NotationError(`Move ${text} before turn 1`, line);
+
+    if (text.startsWith('[')) {
+      const draw = turn.actions[turn.actions.length - 1];
+      if (!draw || draw.type !== ActionType.DRAW || draw.reshuffled) {
+        throw new NotationError('Reshuffled cards must follow a draw', line);
+      }
+      draw.reshuffled = parseCardList(text.slice(1, -1), line);
+      continue;
+    }
+
+    const draw = /^D(\d+)?$/.exec(text);
+    if (draw) {
+      turn.actions.push({
+        type: ActionType.DRAW,
+        ...(draw[1] && { count: Number(draw[1]) }),
+      });
+      continue;
+    }
+
+    const [code, suit, ...rest] = text.split('=');
+    const card = parseCard(code);
+    if (!card || rest.length || (suit !== undefined && !CARD_SUITS.includes(suit))) {
+      throw new NotationError(`Unknown move ${text}`, line);
+    }
+    turn.actions.push({ type: ActionType.PLAY, card, ...(suit && { suit }) });
+  }
+
+  const empty = turns.find((turn) => turn.actions.length === 0);
+  if (empty) throw new NotationError(`Turn ${empty.number} is empty`, empty.line);
+  return turns;
+}
+
+/**
+ * Builds the shuffle for a recorded draw, which must hand back exactly the
+ * played cards it was given
+ * @param {Object[]} [recorded] - Reshuffled cards written after the draw
+ * @param {number} line - Line number for errors
+ * @returns {{ shuffle: Function, used: () => boolean }} Shuffle and whether it ran
+ */
+function recordedShuffle(recorded, line) {
+  let used = false;
+
+  const shuffle = (cards) => {
+    used = true;
+    if (!recorded) {
+      throw new NotationError('The draw reshuffles the deck but no order is given', line);
+    }
+    const given = cards.map(formatCard).sort();
+    const written = recorded.map(formatCard).sort();
+    if (given.join() !== written.join()) {
+      throw new NotationError('Reshuffled cards do not match the played cards', line);
+    }
+    return recorded;
+  };
+  return { shuffle, used: () => used };
+}
+
+/**
+ * Replays a game through the rules engine, rejecting the first illegal action
+ * @param {NotatedGame} game - Game to check; turns may leave out the player
+ * @param {number[]} [lines] - Turn line numbers for errors, by turn index
+ * @returns {{ state: Object, turns: NotatedTurn[] }} Engine state after the
+ *   last turn, and the turns with the player who took each
+ */
+function replayGame(game, lines = []) {
+  let state = {
+    players: game.deal.players,
+    seats: game.seats,
+    deck: game.deal.deck,
+    playedCards: [],
+    currentCard: null,
+    cuttingCard: game.deal.cuttingCard,
+    rules: game.rules,
+    currentTurn: game.seats[0],
+    chosenSuit: null,
+    activePenaltyCount: 0,
+  };
+
+  const turns = game.turns.map((turn, index) => {
+    const line = lines[index];
+    const player = state.currentTurn;
+    if (turn.player !== undefined && turn.player !== player) {
+      throw new NotationError(`Turn ${index + 1} belongs to ${player}, not ${turn.player}`, line);
+    }
+
+    for (const action of turn.actions) {
+      const { shuffle, used } = recordedShuffle(action.reshuffled, line);
+      const result = applyAction(
+        state,
+        { ...action, player, suit: action.suit },
+        { shuffle },
+      );
+
+      if (!result.valid) {
+        throw new NotationError(`Turn ${index + 1}: ${result.reason}`, line);
+      }
+      if (action.reshuffled && !used()) {
+        throw new NotationError(`Turn ${index + 1}: the draw does not reshuffle the deck`, line);
+      }
+      if (action.suit && !result.events.some((event) => event.type === EventType.SUIT_CHOSEN)) {
+        throw new NotationError(
+          `Turn ${index + 1}: ${formatCard(action.card)} cannot call a suit`,
+          line,
+        );
+      }
+      state = result.state;
+    }
+
+    // Only a game that ended off the board, such as on a timeout, may stop mid-turn
+    const isLast = index === game.turns.length - 1;
+    const turnEnded = state.status === 'FINISHED' || state.currentTurn !== player;
+    if (!turnEnded && !isLast) {
+      throw new NotationError(`Turn ${index + 1} ends before ${player} is done`, line);
+    }
+    return { player, actions: turn.actions };
+  });
+
+  return { state, turns };
+}
+
+/**
+ * Checks the result tags against the result the rules produced
+ * @param {Object<string, string>} tags - Header tags
+ * @param {Object} state - Engine state after the last turn
+ */
+function checkResult(tags, state) {
+  const { result } = state;
+
+  if (!result) {
+    if (Object.values(EndReason).includes(tags.Reason)) {
+      throw new NotationError(`The moves do not end the game by ${tags.Reason}`);
+    }
+    return;
+  }
+
+  if (tags.Reason !== undefined && tags.Reason !== result.reason) {
+    throw new NotationError(`Reason is ${tags.Reason} but the game ended by ${result.reason}`);
+  }
+  const outcome = formatResult(result);
+  if (tags.Result !== undefined && tags.Result !== outcome) {
+    throw new NotationError(`Result is ${tags.Result} but the game ended ${outcome}`);
+  }
+  if (tags.Ranking !== undefined && tags.Ranking !== result.ranking.join(' ')) {
+    throw new NotationError(`Ranking is ${tags.Ranking} but the game ranked ${result.ranking.join(' ')}`);
+  }
+}
+
+/**
+ * Writes the Result tag value: the winner, or the drawn players joined by '='
+ * @param {Object} result - Engine result
+ * @returns {string} Tag value
+ */
+function formatResult(result) {
+  return result.winner ?? result.tied.join('=');
+}
+
+/**
+ * Reads a game written by serializeGame and replays it to prove it legal
+ * @param {string} text - Game notation
+ * @returns {NotatedGame & { state: Object }} Parsed game, with the player of
+ *   each turn filled in, and its final state
+ * @throws {NotationError} On malformed text or an illegal move
+ */
+function parseGame(text) {
+  const lines = text.split(/\r?\n/);
+  const { tags, next: dealStart } = parseTags(lines);
+
+  if (!tags.Players) throw new NotationError('Missing Players tag');
+  if (!tags.CuttingCard) throw new NotationError('Missing CuttingCard tag');
+
+  const seats = tags.Players.split(/\s+/).filter(Boolean);
+  if (seats.length < 2 || new Set(seats).size !== seats.length) {
+    throw new NotationError('Players must name at least two different players');
+  }
+  const cuttingCard = parseCard(tags.CuttingCard);
+  if (!cuttingCard) {
+    throw new NotationError(`Unknown cutting card ${tags.CuttingCard}`);
+  }
+  const rules = getRulesProfile(tags.Rules);
+  if (!rules) {
+    throw new NotationError(`Unknown rules profile ${tags.Rules}`);
+  }
+
+  const { deal, next: movesStart } = parseDeal(lines, dealStart, seats, cuttingCard);
+  const parsedTurns = parseTurns(
+    tokenizeMoves(lines.slice(movesStart), movesStart),
+  );
+
+  const { state, turns } = replayGame(
+    { seats, deal, rules, turns: parsedTurns },
+    parsedTurns.map((turn) => turn.line),
+  );
+  checkResult(tags, state);
+
+  return { tags, seats, deal, turns, state };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  serializeGame,
+  parseGame,
+  replayGame,
+  turnsFromEvents,
+  formatCard,
+  formatResult,
+  parseCard,
+  NotationError,
+};
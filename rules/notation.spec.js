@@ -0,0 +1,237 @@
+// __tests__/notation.test.js
+const {
+  serializeGame,
+  parseGame,
+  turnsFromEvents,
+  formatCard,
+  formatResult,
+  parseCard,
+  NotationError,
+} = require('./notation');
+const { applyAction, EventType } = require('./engine');
+const { chooseMove } = require('./bot');
+
+describe('Game Notation', () => {
+  const card = (value, suit) => ({ v: value, s: suit });
+  const cards = (codes) => codes.split(' ').map(parseCard);
+
+  // Full deck split into two hands, the cutting card and the rest, top last
+  const createGame = (turns = []) => {
+    const players = {
+      alice: cards('5H 8C 9C 15D 4S 6S 13C'),
+      bob: cards('5D 9H 11H 3C 12D 10S 6H'),
+    };
+    const cuttingCard = card(9, 'S');
+    const dealt = [...players.alice, ...players.bob, cuttingCard].map(formatCard);
+    const deck = ['H', 'D', 'C', 'S']
+      .flatMap((s) => [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15].map((v) => card(v, s)))
+      .concat(card(50, 'R'), card(50, 'B'))
+      .filter((c) => !dealt.includes(formatCard(c)));
+
+    return {
+      tags: { GameId: 'g1', Stake: '1000' },
+      seats: ['alice', 'bob'],
+      deal: { players, deck, cuttingCard },
+      turns,
+    };
+  };
+
+  const play = (code, suit) => ({ type: 'PLAY', card: parseCard(code), ...(suit && { suit }) });
+  const draw = () => ({ type: 'DRAW' });
+
+  // Move text for a game serialized without turns
+  const withMoves = (text, moves) => `${text}${moves}\n`;
+
+  describe('Cards', () => {
+    test('should format and parse card codes', () => {
+      expect(formatCard(card(15, 'S'))).toBe('15S');
+      expect(parseCard('50R')).toEqual(card(50, 'R'));
+      expect(parseCard('14S')).toBeNull();
+      expect(parseCard('50H')).toBeNull();
+    });
+  });
+
+  describe('Serializer', () => {
+    test('should write tags, the deal and numbered turns', () => {
+      const text = serializeGame(
+        createGame([
+          { player: 'alice', actions: [play('5H')] },
+          { player: 'bob', actions: [play('5D')] },
+          { player: 'alice', actions: [play('15D', 'C')] },
+          { player: 'bob', actions: [draw()] },
+        ]),
+      );
+      const lines = text.split('\n');
+
+      expect(lines.slice(0, 6)).toEqual([
+        '[Event "Matatu"]',
+        '[GameId "g1"]',
+        '[Players "alice bob"]',
+        '[Stake "1000"]',
+        '[CuttingCard "9S"]',
+        '',
+      ]);
+      expect(lines[6]).toBe('alice: 5H 8C 9C 15D 4S 6S 13C');
+      expect(lines[8]).toMatch(/^Deck: /);
+      expect(lines[10]).toBe('1. 5H 2. 5D 3. 15D=C 4. D');
+    });
+
+    test('should escape quotes in tag values', () => {
+      const game = createGame();
+      game.tags.Event = 'The "big" one';
+
+      expect(serializeGame(game)).toContain('[Event "The \\"big\\" one"]');
+      expect(parseGame(serializeGame(game)).tags.Event).toBe('The "big" one');
+    });
+  });
+
+  describe('Parser', () => {
+    test('should read back a serialized game and work out each player', () => {
+      const game = createGame([
+        { player: 'alice', actions: [play('8C'), play('9C')] },
+        { player: 'bob', actions: [play('9H')] },
+        { player: 'alice', actions: [draw()] },
+      ]);
+
+      const parsed = parseGame(serializeGame(game));
+
+      expect(parsed.seats).toEqual(['alice', 'bob']);
+      expect(parsed.deal).toEqual(game.deal);
+      expect(parsed.turns).toEqual(game.turns);
+      expect(parsed.state.currentTurn).toBe('bob');
+    });
+
+    test('should skip comments in the move text', () => {
+      const text = withMoves(serializeGame(createGame()), '1. 5H {opening} 2. 5D');
+      expect(parseGame(text).turns).toHaveLength(2);
+    });
+
+    test('should reject an illegal move with its line', () => {
+      const text = withMoves(serializeGame(createGame()), '1. 5H 2. 12D');
+
+      expect(() => parseGame(text)).toThrow(NotationError);
+      expect(() => parseGame(text)).toThrow(/^Line 11: Turn 2: Cannot play 12 of D/);
+    });
+
+    test('should reject a card the player does not hold', () => {
+      const text = withMoves(serializeGame(createGame()), '1. 5D');
+      expect(() => parseGame(text)).toThrow(/card not in hand/);
+    });
+
+    test('should reject a turn that stops before the turn passes', () => {
+      const text = withMoves(serializeGame(createGame()), '1. 8C 2. 9C');
+      expect(() => parseGame(text)).toThrow(/Turn 1 ends before alice is done/);
+    });
+
+    test('should reject a suit call on a card that cannot call one', () => {
+      const text = withMoves(serializeGame(createGame()), '1. 5H=D');
+      expect(() => parseGame(text)).toThrow(/5H cannot call a suit/);
+    });
+
+    test('should reject turns out of order', () => {
+      const text = withMoves(serializeGame(createGame()), '1. 5H 3. 5D');
+      expect(() => parseGame(text)).toThrow(/Expected turn 2/);
+    });
+
+    test('should reject a deal with a card twice', () => {
+      const text = serializeGame(createGame()).replace('bob: 5D', 'bob: 5H');
+      expect(() => parseGame(text)).toThrow(/Card 5H dealt twice/);
+    });
+
+    test('should reject a deal that is not the full deck', () => {
+      const text = serializeGame(createGame()).replace('alice: 5H ', 'alice: ');
+      expect(() => parseGame(text)).toThrow(/53 cards instead of 54/);
+    });
+
+    test('should write a drawn result as the tied players', () => {
+      expect(formatResult({ winner: null, tied: ['alice', 'bob'] })).toBe('alice=bob');
+      expect(formatResult({ winner: 'bob' })).toBe('bob');
+    });
+
+    test('should reject a result the moves do not produce', () => {
+      const game = createGame([{ player: 'alice', actions: [play('5H')] }]);
+      game.tags.Reason = 'NO_CARDS';
+
+      expect(() => parseGame(serializeGame(game))).toThrow(/do not end the game/);
+    });
+
+    test('should accept an unfinished game ended off the board', () => {
+      const game = createGame([{ player: 'alice', actions: [play('8C')] }]);
+      game.tags.Reason = 'TIMEOUT';
+      game.tags.Result = 'bob';
+
+      expect(parseGame(serializeGame(game)).state.result).toBeUndefined();
+    });
+  });
+
+  describe('Recorded Games', () => {
+    // Deterministic random source for repeatable games
+    const seededRandom = (seed) => () => {
+      seed = (seed * 16807) % 2147483647;
+      return (seed - 1) / 2147483646;
+    };
+
+    // Two bots play a whole game through the engine, recording every event
+    const playGame = (seed) => {
+      const game = createGame();
+      const random = seededRandom(seed);
+      const shuffle = (played) => [...played].sort(() => random() - 0.5);
+      const events = [];
+      let state = {
+        ...game.deal,
+        seats: game.seats,
+        playedCards: [],
+        currentCard: null,
+        currentTurn: 'alice',
+        chosenSuit: null,
+        activePenaltyCount: 0,
+      };
+
+      for (let turn = 0; turn < 300 && state.status !== 'FINISHED'; turn++) {
+        const player = state.currentTurn;
+        const { cards: actions, newSuit } = chooseMove(state, player, 'EASY', random);
+        for (const action of actions) {
+          const result = applyAction(
+            state,
+            { type: action.type, player, card: { v: action.v, s: action.s }, suit: newSuit },
+            { shuffle },
+          );
+          state = result.state;
+          events.push(...result.events);
+        }
+        if (state.deck.length === 0) break;
+      }
+
+      return { game, events, state };
+    };
+
+    test.each([3, 4, 11])('should replay a recorded game exactly (seed %i)', (seed) => {
+      const { game, events, state } = playGame(seed);
+      game.turns = turnsFromEvents(events);
+      if (state.result) {
+        game.tags.Result = formatResult(state.result);
+        game.tags.Reason = state.result.reason;
+      }
+
+      const parsed = parseGame(serializeGame(game));
+
+      expect(parsed.state.players).toEqual(state.players);
+      expect(parsed.state.deck).toEqual(state.deck);
+      expect(parsed.state.result).toEqual(state.result);
+    });
+
+    test('should record the order of a reshuffle', () => {
+      // Seed 4 runs the deck low enough to refill it
+      const { events } = playGame(4);
+      expect(events.map((event) => event.type)).toContain(EventType.DECK_RESHUFFLED);
+
+      const turns = turnsFromEvents(events);
+      const reshuffled = turns
+        .flatMap((turn) => turn.actions)
+        .find((action) => action.reshuffled);
+
+      expect(reshuffled.type).toBe('DRAW');
+      expect(serializeGame({ ...createGame(), turns })).toMatch(/D \[(\d+[HDCSRB] ?)+\]/);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+// rules/profiles.js
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PLAIN_VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]; // Everything but aces and jokers
+const SCORED_VALUES = [...PLAIN_VALUES, 15, 50];
+const CARD_SUITS = ['H', 'D', 'C', 'S'];
+const MAX_JOKER_PENALTY = 10;
+
+/**
+ * @typedef {Object} RulesProfile
+ * @property {string} id - Stable identifier stored with tables and games
+ * @property {string} name - Display name
+ * @property {number[]} penaltyValues - Card values that make the next player draw that many cards
+ * @property {number} jokerPenalty - Cards a joker makes the next player draw
+ * @property {number[]} skipValues - Card values that skip the next player
+ * @property {{v: number, s: string}|null} masterCard - Card that cancels a penalty, if any
+ * @property {number|null} cuttingValue - Value that ends the game when played in the
+ *   cutting card's suit, or null to play until someone runs out of cards
+ * @property {Object<number, number>} cardPoints - Points a card value counts for when
+ *   hands are totalled after a cut; values not listed count their face value
+ * @property {string} tieRule - One of TieRule, for players tied on the lowest total
+ */
+
+// How a tie for the lowest hand after a cut is settled. A tie the rule cannot
+// separate is a draw.
+const TieRule = {
+  DRAW: 'DRAW', // Tied players share the win
+  FEWEST_CARDS: 'FEWEST_CARDS', // The tied player holding fewest cards wins
+  CUTTER: 'CUTTER', // The player who cut wins if tied
+};
+
+const RulesProfileId = {
+  KAMPALA_STANDARD: 'KAMPALA_STANDARD',
+  NO_MASTER_CARD: 'NO_MASTER_CARD',
+  JOKERS_3: 'JOKERS_3',
+};
+
+/** @type {RulesProfile} */
+const KAMPALA_STANDARD = {
+  id: RulesProfileId.KAMPALA_STANDARD,
+  name: 'Kampala standard',
+  penaltyValues: [2, 3],
+  jokerPenalty: 5,
+  skipValues: [8, 11],
+  masterCard: { v: 15, s: 'S' }, // Ace of spades
+  cuttingValue: 7,
+  cardPoints: {}, // Face value, so jokers count 50 and aces 15
+  tieRule: TieRule.DRAW,
+};
+
+const RULES_PROFILES = {
+  [RulesProfileId.KAMPALA_STANDARD]: KAMPALA_STANDARD,
+  [RulesProfileId.NO_MASTER_CARD]: {
+    ...KAMPALA_STANDARD,
+    id: RulesProfileId.NO_MASTER_CARD,
+    name: 'No master card',
+    masterCard: null,
+  },
+  [RulesProfileId.JOKERS_3]: {
+    ...KAMPALA_STANDARD,
+    id: RulesProfileId.JOKERS_3,
+    name: 'Jokers 3 cards',
+    jokerPenalty: 3,
+  },
+};
+
+const DEFAULT_RULES_PROFILE = KAMPALA_STANDARD;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks a value list holds distinct plain card values
+ * @param {*} values - Candidate list
+ * @returns {boolean} True if usable as penalty or skip values
+ */
+function isValueList(values) {
+  return (
+    Array.isArray(values) &&
+    values.every((v) => PLAIN_VALUES.includes(v)) &&
+    new Set(values).size === values.length
+  );
+}
+
+/**
+ * Lists everything wrong with a rules profile
+ * @param {Object} profile - Candidate profile
+ * @returns {string[]} Problems found, empty when the profile is usable
+ */
+function validateRulesProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return ['Rules profile must be an object'];
+  }
+
+  const errors = [];
+  const {
+    id,
+    name,
+    penaltyValues,
+    jokerPenalty,
+    skipValues,
+    masterCard,
+    cuttingValue,
+    cardPoints,
+    tieRule,
+  } = profile;
+
+  if (typeof id !== 'string' || !id) errors.push('id must be a non-empty string');
+  if (typeof name !== 'string' || !name) errors.push('name must be a non-empty string');
+
+  if (!isValueList(penaltyValues)) {
+    errors.push('penaltyValues must be distinct card values from 2 to 13');
+  }
+  if (!isValueList(skipValues)) {
+    errors.push('skipValues must be distinct card values from 2 to 13');
+  }
+  if (
+    isValueList(penaltyValues) &&
+    isValueList(skipValues) &&
+    penaltyValues.some((v) => skipValues.includes(v))
+  ) {
+    errors.push('A card value cannot both penalise and skip');
+  }
+
+  if (
+    !Number.isInteger(jokerPenalty) ||
+    jokerPenalty < 1 ||
+    jokerPenalty > MAX_JOKER_PENALTY
+  ) {
+    errors.push(`jokerPenalty must be a whole number from 1 to ${MAX_JOKER_PENALTY}`);
+  }
+
+  if (
+    masterCard !== null &&
+    !(
+      masterCard &&
+      (PLAIN_VALUES.includes(masterCard.v) || masterCard.v === 15) &&
+      CARD_SUITS.includes(masterCard.s)
+    )
+  ) {
+    errors.push('masterCard must be a card of a plain suit or null');
+  }
+
+  if (cuttingValue !== null && !PLAIN_VALUES.includes(cuttingValue)) {
+    errors.push('cuttingValue must be a card value from 2 to 13 or null');
+  }
+
+  if (
+    !cardPoints ||
+    typeof cardPoints !== 'object' ||
+    !Object.entries(cardPoints).every(
+      ([v, points]) =>
+        SCORED_VALUES.includes(Number(v)) && Number.isInteger(points) && points >= 0,
+    )
+  ) {
+    errors.push('cardPoints must map card values to whole numbers of points');
+  }
+
+  if (!Object.values(TieRule).includes(tieRule)) {
+    errors.push(`tieRule must be one of ${Object.values(TieRule).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Looks up a named profile, defaulting when none is given
+ * @param {string} [id] - Profile id
+ * @returns {RulesProfile|null} The profile, or null if the id is unknown
+ */
+function getRulesProfile(id) {
+  if (id === undefined || id === null) return DEFAULT_RULES_PROFILE;
+  return RULES_PROFILES[id] || null;
+}
+
+// The built-in profiles must hold up to the same checks as any other
+for (const profile of Object.values(RULES_PROFILES)) {
+  const errors = validateRulesProfile(profile);
+  if (errors.length) {
+    throw new Error(`Invalid rules profile ${profile.id}: ${errors.join('; ')}`);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  RulesProfileId,
+  TieRule,
+  RULES_PROFILES,
+  DEFAULT_RULES_PROFILE,
+  validateRulesProfile,
+  getRulesProfile,
+};
@@ -0,0 +1,76 @@
+// __tests__/profiles.test.js
+const {
+  RulesProfileId,
+  RULES_PROFILES,
+  DEFAULT_RULES_PROFILE,
+  validateRulesProfile,
+  getRulesProfile,
+} = require('./profiles');
+
+describe('Rules Profiles', () => {
+  describe('Lookup', () => {
+    test('should default to Kampala standard', () => {
+      expect(getRulesProfile()).toBe(DEFAULT_RULES_PROFILE);
+      expect(DEFAULT_RULES_PROFILE.id).toBe(RulesProfileId.KAMPALA_STANDARD);
+    });
+
+    test('should find a profile by id and return null for an unknown one', () => {
+      expect(getRulesProfile('JOKERS_3').jokerPenalty).toBe(3);
+      expect(getRulesProfile('NO_SUCH_RULES')).toBeNull();
+    });
+  });
+
+  describe('Validation', () => {
+    test.each(Object.keys(RULES_PROFILES))('should accept the built-in %s profile', (id) => {
+      expect(validateRulesProfile(RULES_PROFILES[id])).toEqual([]);
+    });
+
+    test('should accept a profile without a master card or cutting card', () => {
+      const profile = { ...DEFAULT_RULES_PROFILE, masterCard: null, cuttingValue: null };
+      expect(validateRulesProfile(profile)).toEqual([]);
+    });
+
+    test('should reject aces and jokers as penalty or skip values', () => {
+      const profile = { ...DEFAULT_RULES_PROFILE, penaltyValues: [2, 15], skipValues: [50] };
+      expect(validateRulesProfile(profile)).toEqual([
+        'penaltyValues must be distinct card values from 2 to 13',
+        'skipValues must be distinct card values from 2 to 13',
+      ]);
+    });
+
+    test('should reject a value that both penalises and skips', () => {
+      const profile = { ...DEFAULT_RULES_PROFILE, skipValues: [3, 8] };
+      expect(validateRulesProfile(profile)).toEqual([
+        'A card value cannot both penalise and skip',
+      ]);
+    });
+
+    test('should reject a bad joker penalty, master card and cutting value', () => {
+      const profile = {
+        ...DEFAULT_RULES_PROFILE,
+        jokerPenalty: 0,
+        masterCard: { v: 50, s: 'R' },
+        cuttingValue: 15,
+      };
+      expect(validateRulesProfile(profile)).toHaveLength(3);
+    });
+
+    test('should reject a bad scoring table and tie rule', () => {
+      const profile = {
+        ...DEFAULT_RULES_PROFILE,
+        cardPoints: { 50: -1, 14: 3 },
+        tieRule: 'COIN_FLIP',
+      };
+      expect(validateRulesProfile(profile)).toEqual([
+        'cardPoints must map card values to whole numbers of points',
+        'tieRule must be one of DRAW, FEWEST_CARDS, CUTTER',
+      ]);
+    });
+
+    test('should reject a profile that is not an object', () => {
+      expect(validateRulesProfile('KAMPALA_STANDARD')).toEqual([
+        'Rules profile must be an object',
+      ]);
+    });
+  });
+});
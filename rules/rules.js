@@ -1,5 +1,7 @@
 // src/rules.js
 
+const { DEFAULT_RULES_PROFILE } = require('./profiles');
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -27,17 +29,11 @@ const SUIT_COLORS = {
 };
 
 const SPECIAL_CARDS = {
-  PENALTY_VALUES: [CARD_VALUES.TWO, CARD_VALUES.THREE, 50],
   JOKERS: [SUITS.RED_JOKER, SUITS.BLACK_JOKER],
-  SKIP_VALUES: [CARD_VALUES.EIGHT, CARD_VALUES.JACK],
 };
 
-const JOKER_PENALTY_VALUE = 5; // Jokers apply 5 penalty cards when played
-
-const MASTER_CARD = {
-  value: CARD_VALUES.ACE,
-  suit: SUITS.SPADES,
-};
+// Penalty and skip values, the joker penalty and the master card come from the
+// table's rules profile (see profiles.js), Kampala standard unless told otherwise
 
 // ============================================================================
 // ENUMS
@@ -54,6 +50,19 @@ const NextActionType = {
   TRANSFER_PENALTY: 'TRANSFER_PENALTY',
 };
 
+/**
+ * @typedef {Object} NextAction
+ * @property {boolean} valid - Whether the played card is legal
+ * @property {string} type - One of NextActionType
+ * @property {string} message - Human readable explanation
+ * @property {number} [nextPlayerPenaltyCount] - Cards the next player must draw
+ * @property {number} [currentPenaltyCount] - Cards the current player still owes
+ * @property {number} [penaltyCards] - Penalty applied by the card itself
+ * @property {number} [skipTurns] - Turns the next player skips
+ * @property {boolean} [allowSuitChoice] - Whether the player may choose a suit
+ * @property {number} [drawCards] - Cards to draw after a reduced penalty
+ */
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -89,12 +98,14 @@ function isValidJokerMove(card, prevCard, selectedSuit = null) {
 // ============================================================================
 
 /**
- * Checks if a card is the master card (Ace of Spades)
+ * Checks if a card is the master card (Ace of Spades by default)
  * @param {Object} card - Card to check
+ * @param {Object} [profile] - Rules profile in play
  * @returns {boolean} True if card is master card
  */
-function isMasterCard(card) {
-  return card.v === MASTER_CARD.value && card.s === MASTER_CARD.suit;
+function isMasterCard(card, profile = DEFAULT_RULES_PROFILE) {
+  const { masterCard } = profile;
+  return Boolean(masterCard) && card.v === masterCard.v && card.s === masterCard.s;
 }
 
 /**
@@ -107,12 +118,13 @@ function isAce(card) {
 }
 
 /**
- * Checks if a card is a penalty card (2, 3, or jokers)
+ * Checks if a card is a penalty card (2, 3, or jokers by default)
  * @param {Object} card - Card to check
+ * @param {Object} [profile] - Rules profile in play
  * @returns {boolean} True if card is a penalty card
  */
-function isPenaltyCard(card) {
-  return SPECIAL_CARDS.PENALTY_VALUES.includes(card.v) || isJoker(card);
+function isPenaltyCard(card, profile = DEFAULT_RULES_PROFILE) {
+  return profile.penaltyValues.includes(card.v) || isJoker(card);
 }
 
 /**
@@ -155,21 +167,22 @@ function isBasicMatch(card, prevCard, selectedSuit = null) {
  * Determines the action to take based on the card played
  * @param {Object} card - The card that was played
  * @param {boolean} isPenaltyActive - Whether penalties are currently active
+ * @param {Object} [profile] - Rules profile in play
  * @returns {Object} Action object describing what should happen next
  */
-function getCardEffectAction(card, isPenaltyActive) {
+function getCardEffectAction(card, isPenaltyActive, profile = DEFAULT_RULES_PROFILE) {
   // Handle jokers
   if (isJoker(card)) {
     return {
       type: NextActionType.CHOOSE_SUIT,
       allowSuitChoice: true,
-      penaltyCards: JOKER_PENALTY_VALUE,
+      penaltyCards: profile.jokerPenalty,
       message: 'Choose a suit for the joker',
     };
   }
 
   // Handle master card during penalty
-  if (isMasterCard(card) && isPenaltyActive) {
+  if (isMasterCard(card, profile) && isPenaltyActive) {
     return {
       type: NextActionType.END_TURN,
       message: 'Master card cancels all penalties',
@@ -186,42 +199,26 @@ function getCardEffectAction(card, isPenaltyActive) {
   }
 
   // Handle special card effects
-  switch (card.v) {
-    case CARD_VALUES.TWO:
-      return {
-        type: NextActionType.APPLY_PENALTY,
-        penaltyCards: 2,
-        message: 'Next player draws 2 cards',
-      };
-
-    case CARD_VALUES.THREE:
-      return {
-        type: NextActionType.APPLY_PENALTY,
-        penaltyCards: 3,
-        message: 'Next player draws 3 cards',
-      };
-
-    case CARD_VALUES.EIGHT:
-    case CARD_VALUES.JACK:
-      return {
-        type: NextActionType.SKIP_TURN,
-        skipTurns: 1,
-        message: 'Next player skips their turn',
-      };
-
-    case 50: // Joker value for penalty calculations
-      return {
-        type: NextActionType.APPLY_PENALTY,
-        penaltyCards: JOKER_PENALTY_VALUE,
-        message: 'Next player draws 5 cards',
-      };
+  if (profile.penaltyValues.includes(card.v)) {
+    return {
+      type: NextActionType.APPLY_PENALTY,
+      penaltyCards: card.v,
+      message: `Next player draws ${card.v} cards`,
+    };
+  }
 
-    default:
-      return {
-        type: NextActionType.END_TURN,
-        message: 'Turn ends normally',
-      };
+  if (profile.skipValues.includes(card.v)) {
+    return {
+      type: NextActionType.SKIP_TURN,
+      skipTurns: 1,
+      message: 'Next player skips their turn',
+    };
   }
+
+  return {
+    type: NextActionType.END_TURN,
+    message: 'Turn ends normally',
+  };
 }
 
 // ============================================================================
@@ -229,13 +226,14 @@ function getCardEffectAction(card, isPenaltyActive) {
 // ============================================================================
 
 /**
- * Gets the penalty value for a card (jokers have penalty value 5, others use their face value)
+ * Gets the penalty value for a card (jokers use the profile's joker penalty, others their face value)
  * @param {Object} card - The card to get penalty value for
+ * @param {Object} [profile] - Rules profile in play
  * @returns {number} The penalty value of the card
  */
-function getCardPenaltyValue(card) {
+function getCardPenaltyValue(card, profile = DEFAULT_RULES_PROFILE) {
   if (isJoker(card)) {
-    return JOKER_PENALTY_VALUE; // Jokers have penalty value 5
+    return profile.jokerPenalty;
   }
   return card.v; // Regular penalty cards use their face value
 }
@@ -246,6 +244,7 @@ function getCardPenaltyValue(card) {
  * @param {Object} prevCard - The previous card
  * @param {number} currentPenaltyCount - Current penalty count
  * @param {string|null} selectedSuit - Currently selected suit
+ * @param {Object} [profile] - Rules profile in play
  * @returns {Object} Penalty action result
  */
 function calculatePenaltyAction(
@@ -253,19 +252,18 @@ function calculatePenaltyAction(
   prevCard,
   currentPenaltyCount,
   selectedSuit = null,
+  profile = DEFAULT_RULES_PROFILE,
 ) {
   const referenceSuit = selectedSuit || prevCard.s;
-  const prevPenaltyValue = getCardPenaltyValue(prevCard);
-  const playedPenaltyValue = getCardPenaltyValue(playedCard);
+  const prevPenaltyValue = getCardPenaltyValue(prevCard, profile);
+  const playedPenaltyValue = getCardPenaltyValue(playedCard, profile);
+  const isPrevPenalty = isPenaltyCard(prevCard, profile);
 
   // Card relationship checks - now includes jokers as penalty cards
-  const hasSameValue =
-    isPenaltyCard(prevCard) && prevPenaltyValue === playedPenaltyValue;
-  const hasSameSuit = isPenaltyCard(prevCard) && referenceSuit === playedCard.s;
-  const isPrevCardStronger =
-    isPenaltyCard(prevCard) && prevPenaltyValue > playedPenaltyValue;
-  const isPrevCardWeaker =
-    isPenaltyCard(prevCard) && prevPenaltyValue < playedPenaltyValue;
+  const hasSameValue = isPrevPenalty && prevPenaltyValue === playedPenaltyValue;
+  const hasSameSuit = isPrevPenalty && referenceSuit === playedCard.s;
+  const isPrevCardStronger = isPrevPenalty && prevPenaltyValue > playedPenaltyValue;
+  const isPrevCardWeaker = isPrevPenalty && prevPenaltyValue < playedPenaltyValue;
   const hasColorMatch = isValidJokerMove(playedCard, prevCard, selectedSuit);
 
   // Handle different penalty scenarios
@@ -331,7 +329,7 @@ function calculatePenaltyAction(
   }
 
   // Default penalty card action
-  const cardEffect = getCardEffectAction(playedCard);
+  const cardEffect = getCardEffectAction(playedCard, false, profile);
   return {
     ...cardEffect,
     nextPlayerPenaltyCount:
@@ -347,7 +345,7 @@ function calculatePenaltyAction(
 /**
  * Validates if a move is legal and returns the appropriate action
  * @param {Object} params - Move validation parameters
- * @returns {Object} Validation result with next action
+ * @returns {NextAction} Validation result with next action
  */
 function getNextAction(params) {
   const {
@@ -357,11 +355,12 @@ function getNextAction(params) {
     selectedSuit = null,
     currentPenaltyCount = 0,
     nextPlayerPenaltyCount = 0,
+    profile = DEFAULT_RULES_PROFILE,
   } = params;
 
   // First move - any card is valid
   if (!prevCard) {
-    const cardEffect = getCardEffectAction(playedCard, isPenaltyActive);
+    const cardEffect = getCardEffectAction(playedCard, isPenaltyActive, profile);
     return {
       valid: true,
       nextPlayerPenaltyCount: cardEffect.penaltyCards || 0,
@@ -373,7 +372,7 @@ function getNextAction(params) {
   // Check if move is fundamentally invalid
   const isValidMove =
     isBasicMatch(playedCard, prevCard, selectedSuit) ||
-    isMasterCard(playedCard) ||
+    isMasterCard(playedCard, profile) ||
     (selectedSuit && playedCard.s === selectedSuit) ||
     isValidJokerMove(playedCard, prevCard, selectedSuit) ||
     isAce(playedCard);
@@ -391,8 +390,8 @@ function getNextAction(params) {
   // Handle active penalty situations
   if (isPenaltyActive && currentPenaltyCount > 0) {
     // Master card cancels all penalties
-    if (isMasterCard(playedCard)) {
-      const cardEffect = getCardEffectAction(playedCard, isPenaltyActive);
+    if (isMasterCard(playedCard, profile)) {
+      const cardEffect = getCardEffectAction(playedCard, isPenaltyActive, profile);
       return {
         valid: true,
         nextPlayerPenaltyCount: 0,
@@ -404,7 +403,7 @@ function getNextAction(params) {
 
     // Handle penalty cards during active penalties
     if (
-      isPenaltyCard(playedCard) &&
+      isPenaltyCard(playedCard, profile) &&
       isBasicMatch(playedCard, prevCard, selectedSuit)
     ) {
       const penaltyAction = calculatePenaltyAction(
@@ -412,6 +411,7 @@ function getNextAction(params) {
         prevCard,
         currentPenaltyCount,
         selectedSuit,
+        profile,
       );
       return {
         valid: true,
@@ -425,13 +425,13 @@ function getNextAction(params) {
       type: NextActionType.INVALID_MOVE,
       nextPlayerPenaltyCount,
       currentPenaltyCount,
-      message: `Must play a penalty card (2 or 3) or master card when penalty is active (${currentPenaltyCount} cards pending)`,
+      message: `Must play a penalty card (${profile.penaltyValues.join(' or ')}) or master card when penalty is active (${currentPenaltyCount} cards pending)`,
     };
   }
 
   // Handle special cards (Aces, Master card, Jokers)
   if (isAce(playedCard) || isJoker(playedCard)) {
-    const cardEffect = getCardEffectAction(playedCard, isPenaltyActive);
+    const cardEffect = getCardEffectAction(playedCard, isPenaltyActive, profile);
     return {
       valid: true,
       nextPlayerPenaltyCount: cardEffect.penaltyCards || 0,
@@ -444,7 +444,7 @@ function getNextAction(params) {
   }
 
   // Regular card play
-  const cardEffect = getCardEffectAction(playedCard, isPenaltyActive);
+  const cardEffect = getCardEffectAction(playedCard, isPenaltyActive, profile);
   return {
     valid: true,
     nextPlayerPenaltyCount: cardEffect.penaltyCards || 0,
@@ -1,5 +1,6 @@
 // __tests__/rules.test.js
 const { getNextAction, NextActionType } = require('./rules');
+const { RULES_PROFILES } = require('./profiles');
 
 describe('Card Game Rules', () => {
   // Helper function to create card objects
@@ -796,15 +797,50 @@ describe('Card Game Rules', () => {
         selectedSuit: 'H',
       });
 
-      console.log('==XXXX3===');
-      console.log(result3);
-      console.log('====================================');
+      // Once the joker's penalty is drawn, an 8 in the chosen suit skips as usual
+      expectValid(result3, NextActionType.SKIP_TURN, { skipTurns: 1 });
+    });
+  });
 
-      expectValid(result3, NextActionType.APPLY_PENALTY, {
-        currentPenaltyCount: 0,
-        nextPlayerPenaltyCount: 2,
-        valid: true,
+  describe('Rules Profiles', () => {
+    test('should not let the ace of spades cancel a penalty without a master card', () => {
+      const result = getNextAction({
+        prevCard: card(2, 'S'),
+        playedCard: card(15, 'S'),
+        isPenaltyActive: true,
+        currentPenaltyCount: 2,
+        profile: RULES_PROFILES.NO_MASTER_CARD,
       });
+      expectInvalid(result);
+    });
+
+    test('should apply the profile joker penalty', () => {
+      const result = getNextAction({
+        prevCard: card(5, 'H'),
+        playedCard: card(50, 'R'),
+        profile: RULES_PROFILES.JOKERS_3,
+      });
+      expectValid(result, NextActionType.CHOOSE_SUIT, {
+        nextPlayerPenaltyCount: 3,
+      });
+    });
+
+    test('should use the profile penalty and skip values', () => {
+      const profile = {
+        ...RULES_PROFILES.KAMPALA_STANDARD,
+        penaltyValues: [2, 3, 4],
+        skipValues: [11],
+      };
+
+      expectValid(
+        getNextAction({ prevCard: card(5, 'H'), playedCard: card(4, 'H'), profile }),
+        NextActionType.APPLY_PENALTY,
+        { nextPlayerPenaltyCount: 4 },
+      );
+      expectValid(
+        getNextAction({ prevCard: card(5, 'H'), playedCard: card(8, 'H'), profile }),
+        NextActionType.END_TURN,
+      );
     });
   });
 });
@@ -0,0 +1,376 @@
+import {
+  forfeitBattle,
+  recordBattleRound,
+  resumeActiveBattles,
+  startBattle,
+} from './battle.controller';
+import BattleSession from '../models/BattleSession';
+import User from '../models/User';
+import { GameState as GameStateModel } from '../models/GameState';
+import { clients, gameStates, playerGameMap } from '../websocket/state';
+import { createGame } from '../websocket/createGame';
+import { broadcastGameView } from '../websocket/gameView';
+import { getStakeSettings, startWaitTimeout } from '../websocket/wsUtil';
+import { endGame, settleStakes } from '../websocket/handlers/endGame';
+import { GameOutcome, settleGame } from '../utils/settlement';
+import { GameState } from '../websocket/types';
+import { DEFAULT_RULES_PROFILE } from '../../rules/profiles';
+
+// Battles kept in memory, with just enough of a mongoose document to run on
+jest.mock('../models/BattleSession', () => {
+  const docs: Record<string, unknown>[] = [];
+  const matches = (doc: Record<string, unknown>, query: Record<string, unknown>) =>
+    Object.entries(query).every(([key, value]) => doc[key] === value);
+
+  class MockBattleSession {
+    [key: string]: unknown;
+    static docs = docs;
+
+    constructor(data: Record<string, unknown>) {
+      Object.assign(this, {
+        gameIds: [],
+        currentGameId: null,
+        currentRound: 1,
+        winner: null,
+        settledAt: null,
+        ...data,
+        wins: new Map(Object.entries(data.wins || {})),
+      });
+    }
+
+    set(key: string, value: unknown) {
+      this[key] = value;
+    }
+
+    async save() {
+      if (!docs.includes(this)) docs.push(this);
+      return this;
+    }
+
+    static async findOne(query: Record<string, unknown>) {
+      return docs.find((doc) => matches(doc, query)) || null;
+    }
+
+    static async findOneAndUpdate(
+      query: Record<string, unknown>,
+      update: Record<string, unknown>,
+    ) {
+      const doc = docs.find((candidate) => matches(candidate, query));
+      return doc ? Object.assign(doc, update) : null;
+    }
+
+    static async updateOne(
+      query: Record<string, unknown>,
+      update: Record<string, unknown>,
+    ) {
+      const doc = docs.find((candidate) => matches(candidate, query));
+      if (doc) Object.assign(doc, update);
+    }
+
+    static async find() {
+      return docs.filter(
+        (doc) =>
+          doc.status === 'ONGOING' ||
+          (doc.status === 'COMPLETED' && !doc.settledAt),
+      );
+    }
+  }
+
+  return { __esModule: true, default: MockBattleSession };
+});
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../models/GameState', () => ({ GameState: { findOne: jest.fn() } }));
+jest.mock('../websocket/createGame');
+jest.mock('../websocket/gameView');
+jest.mock('../websocket/wsUtil');
+jest.mock('../websocket/handlers/endGame');
+jest.mock('../websocket/state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  playerGameMap: new Map(),
+  bestOf: 3,
+}));
+
+describe('battle series', () => {
+  const stake = { amount: 1000, charge: 50, points: 5 };
+  const battles = (
+    BattleSession as unknown as { docs: InstanceType<typeof BattleSession>[] }
+  ).docs;
+  let dealt: number;
+  let sent: Record<string, { type: string; data: Record<string, unknown> }[]>;
+
+  const battle = () => battles[0];
+
+  const start = () =>
+    startBattle({
+      requestId: 'r1',
+      players: ['alice', 'bob'],
+      stake,
+      rules: DEFAULT_RULES_PROFILE,
+      timeControl: { bank: null, increment: 0, warnings: [] },
+      meta: {},
+      serverSeed: 'seed',
+      clientSeeds: {},
+    });
+
+  // Finishes the round being played
+  const finishRound = (
+    outcome: GameOutcome,
+    { winner = null, ready = ['alice', 'bob'] }: { winner?: string | null; ready?: string[] } = {},
+  ) =>
+    recordBattleRound({
+      battleId: 'b1',
+      gameId: battle().currentGameId,
+      winner,
+      outcome,
+      ready,
+    });
+
+  const lastSent = (uid: string) => sent[uid][sent[uid].length - 1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    battles.length = 0;
+    gameStates.clear();
+    playerGameMap.clear();
+    clients.clear();
+
+    dealt = 0;
+    sent = { alice: [], bob: [] };
+    for (const uid of ['alice', 'bob']) {
+      const send = (message: string) => sent[uid].push(JSON.parse(message));
+      clients.set(uid, { ws: { send }, uid } as never);
+    }
+
+    (User.find as jest.Mock).mockResolvedValue([
+      { uid: 'alice', username: 'Alice', avatar: 1, balance: 5000 },
+      { uid: 'bob', username: 'Bob', avatar: 2, balance: 5000 },
+    ]);
+    (getStakeSettings as jest.Mock).mockResolvedValue({
+      rules: DEFAULT_RULES_PROFILE,
+      timeControl: { bank: null, increment: 0, warnings: [] },
+    });
+    (createGame as jest.Mock).mockImplementation(
+      ({ seats }) => ({ gameId: `game${++dealt}`, seats }) as GameState,
+    );
+    (settleStakes as jest.Mock).mockImplementation(async ({ payouts }) => ({
+      payouts,
+      loserStake: null,
+    }));
+    jest.requireMock('../websocket/wsUtil').generateId.mockReturnValue('b1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should open the series on accept and deal the first round', async () => {
+    const gameState = await start();
+
+    expect(gameState.gameId).toBe('game1');
+    expect(createGame).toHaveBeenCalledWith(
+      expect.objectContaining({
+        seats: ['alice', 'bob'],
+        isBattle: true,
+        battleId: 'b1',
+        stake,
+      }),
+    );
+    expect(battle()).toMatchObject({
+      battleId: 'b1',
+      status: 'ONGOING',
+      bestOf: 3,
+      currentGameId: 'game1',
+    });
+    expect(Object.fromEntries(battle().wins)).toEqual({ alice: 0, bob: 0 });
+  });
+
+  test('should count a won round and deal the next with the seats swapped', async () => {
+    await start();
+
+    await finishRound(GameOutcome.WIN, { winner: 'alice' });
+
+    expect(battle().wins.get('alice')).toBe(1);
+    expect(battle().currentRound).toBe(2);
+    expect(battle().gameIds).toEqual(['game1']);
+    expect(createGame).toHaveBeenLastCalledWith(
+      expect.objectContaining({ seats: ['bob', 'alice'] }),
+    );
+    expect(broadcastGameView).toHaveBeenCalledWith({
+      gameState: { gameId: 'game2', seats: ['bob', 'alice'] },
+      type: 'NEXT_BATTLE_ROUND',
+      data: { battleId: 'b1', currentRound: 2, bestOf: 3, wins: { alice: 1, bob: 0 } },
+    });
+    expect(startWaitTimeout).toHaveBeenCalledWith('game2', 'bob');
+    expect(settleStakes).not.toHaveBeenCalled();
+  });
+
+  test('should replay a drawn round under the same number', async () => {
+    await start();
+
+    await finishRound(GameOutcome.DRAW);
+
+    expect(battle().currentRound).toBe(1);
+    expect(battle().currentGameId).toBe('game2');
+  });
+
+  test('should settle the series stake once when a player wins it', async () => {
+    await start();
+    await finishRound(GameOutcome.WIN, { winner: 'bob' });
+    const decidingRound = battle().currentGameId;
+    await finishRound(GameOutcome.WIN, { winner: 'bob' });
+
+    // The same round reported again changes nothing
+    await recordBattleRound({
+      battleId: 'b1',
+      gameId: decidingRound,
+      winner: 'bob',
+      outcome: GameOutcome.WIN,
+      ready: [],
+    });
+
+    const payouts = settleGame(GameOutcome.WIN, ['bob', 'alice'], 1000, 50);
+    expect(battle()).toMatchObject({ status: 'COMPLETED', winner: 'bob', reason: 'WON' });
+    expect(settleStakes).toHaveBeenCalledTimes(1);
+    expect(settleStakes).toHaveBeenCalledWith({
+      escrowId: 'b1',
+      stake: { amount: 1000, charge: 50 },
+      payouts,
+      points: 5,
+      winner: 'bob',
+      loser: 'alice',
+    });
+    expect(lastSent('alice')).toEqual({
+      type: 'BATTLE_COMPLETE',
+      data: {
+        battleId: 'b1',
+        currentRound: 3,
+        bestOf: 3,
+        wins: { alice: 0, bob: 2 },
+        winner: 'bob',
+        loser: 'alice',
+        reason: 'WON',
+        payouts,
+      },
+    });
+  });
+
+  test('should award the series to the player who turned up for a round', async () => {
+    await start();
+
+    await finishRound(GameOutcome.ABORTED_BEFORE_START, { ready: ['alice'] });
+
+    expect(battle()).toMatchObject({ winner: 'alice', reason: 'FORFEIT' });
+    expect(settleStakes).toHaveBeenCalledWith(
+      expect.objectContaining({ winner: 'alice', loser: 'bob' }),
+    );
+  });
+
+  test('should call off a series nobody turned up for and refund the stakes', async () => {
+    await start();
+
+    await finishRound(GameOutcome.ABORTED_BEFORE_START, { ready: [] });
+
+    expect(battle()).toMatchObject({ status: 'COMPLETED', winner: null, reason: 'ABANDONED' });
+    expect(settleStakes).toHaveBeenCalledWith(
+      expect.objectContaining({ escrowId: 'b1', payouts: {}, winner: null }),
+    );
+  });
+
+  test('should forfeit a player who started another game between rounds', async () => {
+    await start();
+    playerGameMap.set('bob', 'elsewhere');
+
+    await finishRound(GameOutcome.WIN, { winner: 'bob' });
+
+    expect(battle()).toMatchObject({ winner: 'alice', reason: 'FORFEIT' });
+    expect(createGame).toHaveBeenCalledTimes(1);
+  });
+
+  describe('forfeitBattle', () => {
+    test('should concede the series and call off the dealt round', async () => {
+      const gameState = await start();
+      gameStates.set('game1', { ...gameState, status: 'ACTIVE' });
+
+      expect(await forfeitBattle('b1', 'alice')).toBeNull();
+
+      expect(battle()).toMatchObject({ winner: 'bob', reason: 'FORFEIT' });
+      expect(endGame).toHaveBeenCalledWith({
+        gameId: 'game1',
+        outcome: GameOutcome.ABORTED_BEFORE_START,
+        reason: 'BATTLE_FORFEIT',
+      });
+    });
+
+    test('should refuse while a round is being played', async () => {
+      const gameState = await start();
+      gameStates.set('game1', { ...gameState, status: 'STARTED' });
+
+      expect(await forfeitBattle('b1', 'alice')).toBe('Finish the current round first');
+      expect(battle().status).toBe('ONGOING');
+    });
+
+    test('should refuse a player who is not in the series', async () => {
+      await start();
+      expect(await forfeitBattle('b1', 'carol')).toBe('No battle in progress');
+    });
+  });
+
+  describe('resumeActiveBattles', () => {
+    test('should count a round that ended just before a restart', async () => {
+      await start();
+      (GameStateModel.findOne as jest.Mock).mockReturnValue({
+        lean: async () => ({
+          result: { winner: 'alice', outcome: GameOutcome.WIN },
+          ready: ['alice', 'bob'],
+        }),
+      });
+
+      await resumeActiveBattles();
+
+      expect(battle().wins.get('alice')).toBe(1);
+      expect(battle().currentGameId).toBe('game2');
+    });
+
+    test('should leave a round that was restored with the other games', async () => {
+      const gameState = await start();
+      gameStates.set('game1', gameState);
+
+      await resumeActiveBattles();
+
+      expect(createGame).toHaveBeenCalledTimes(1);
+    });
+
+    test('should deal the next round of a series stopped between rounds', async () => {
+      await start();
+      battle().set('currentGameId', null);
+
+      await resumeActiveBattles();
+
+      expect(battle().currentGameId).toBe('game2');
+    });
+
+    test('should pay out a series that was won but never settled', async () => {
+      await start();
+      Object.assign(battle(), { status: 'COMPLETED', winner: 'alice' });
+
+      await resumeActiveBattles();
+      await resumeActiveBattles();
+
+      expect(settleStakes).toHaveBeenCalledTimes(1);
+      expect(battle().settledAt).toBeInstanceOf(Date);
+    });
+
+    test('should refund a series that was abandoned but never settled', async () => {
+      await start();
+      Object.assign(battle(), { status: 'COMPLETED', winner: null });
+
+      await resumeActiveBattles();
+
+      expect(settleStakes).toHaveBeenCalledWith(
+        expect.objectContaining({ escrowId: 'b1', payouts: {} }),
+      );
+    });
+  });
+});
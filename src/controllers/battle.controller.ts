@@ -1,109 +1,318 @@
 // battleController.ts
-// import { v4 as uuidv4 } from 'uuid';
 import BattleSession from '../models/BattleSession';
+import User from '../models/User';
+import { GameState as GameStateModel } from '../models/GameState';
 import { WebSocketMessageType } from '../types/messageTypes';
-// import { battleSessions } from '../state';
-// import { clients } from '../state';
-// import { WebSocketMessageType } from '../../types/messageTypes';
-import { clients } from '../websocket/state';
+import { bestOf, clients, gameStates, playerGameMap } from '../websocket/state';
+import { GameState, RulesProfile, TimeControl } from '../websocket/types';
+import { createGame } from '../websocket/createGame';
+import { broadcastGameView } from '../websocket/gameView';
+import { generateId, getStakeSettings, startWaitTimeout } from '../websocket/wsUtil';
+import { endGame, settleStakes } from '../websocket/handlers/endGame';
+import { GameOutcome, settleGame } from '../utils/settlement';
+import { generateSeed } from '../utils/fairness';
 
+type Battle = InstanceType<typeof BattleSession>;
+
+interface DealRoundProps {
+  rules: RulesProfile;
+  timeControl: TimeControl;
+  meta: GameState['meta'];
+  serverSeed?: string;
+  clientSeeds?: Record<string, string>;
+}
+
+const getStake = (battle: Battle): GameState['stake'] => ({
+  amount: battle.stake!.amount,
+  charge: battle.stake!.charge,
+  points: battle.stake!.points,
+});
+
+const getOpponent = (battle: Battle, uid: string): string =>
+  battle.players.find((player) => player !== uid)!;
+
+const summarize = (battle: Battle) => ({
+  battleId: battle.battleId,
+  currentRound: battle.currentRound,
+  bestOf: battle.bestOf,
+  wins: Object.fromEntries(battle.wins),
+});
+
+// Deals the battle's next game. The players swap who moves first every game,
+// replayed rounds included.
+const dealRound = (
+  battle: Battle,
+  { rules, timeControl, meta, serverSeed = generateSeed(), clientSeeds = {} }: DealRoundProps,
+): GameState => {
+  const { players } = battle;
+  const offset = battle.gameIds.length % players.length;
+
+  const gameState = createGame({
+    seats: [...players.slice(offset), ...players.slice(0, offset)],
+    stake: getStake(battle),
+    isBattle: true,
+    battleId: battle.battleId,
+    rules,
+    timeControl,
+    meta,
+    serverSeed,
+    clientSeeds,
+  });
+  battle.currentGameId = gameState.gameId;
+  return gameState;
+};
+
+// Pays the series stake to the winner, or refunds both players when there is
+// none. The escrow only pays out once, so this can be called again until
+// settledAt is recorded.
+const settleBattle = async (battle: Battle): Promise<Record<string, number>> => {
+  const { battleId, winner } = battle;
+  if (battle.settledAt) return {};
+
+  const { amount, charge, points } = getStake(battle);
+  const loser = winner ? getOpponent(battle, winner) : undefined;
+  const { payouts } = await settleStakes({
+    escrowId: battleId,
+    stake: { amount, charge },
+    payouts: winner
+      ? settleGame(GameOutcome.WIN, [winner, loser!], amount, charge)
+      : {},
+    points,
+    winner,
+    loser,
+  });
+
+  await BattleSession.updateOne({ battleId }, { settledAt: new Date() });
+  return payouts;
+};
+
+// Ends the series. `winner` is null when both players walked away, in which
+// case their stakes are refunded.
+const completeBattle = async (
+  battle: Battle,
+  winner: string | null,
+  reason: 'WON' | 'FORFEIT' | 'ABANDONED',
+): Promise<void> => {
+  battle.status = 'COMPLETED';
+  battle.set('winner', winner);
+  battle.reason = reason;
+  await battle.save();
+
+  const payouts = await settleBattle(battle);
+  console.log(`Battle ${battle.battleId} completed (${reason}), winner ${winner}`);
+
+  notifyPlayers(battle.players, {
+    type: WebSocketMessageType.BATTLE_COMPLETE,
+    data: {
+      ...summarize(battle),
+      winner,
+      loser: winner ? getOpponent(battle, winner) : null,
+      reason,
+      payouts,
+    },
+  });
+};
+
+// Deals and announces the next round. A player who has started another game
+// in the meantime has left the series and forfeits it.
+const startNextRound = async (battle: Battle): Promise<void> => {
+  const stake = getStake(battle);
+  const [users, { rules, timeControl }] = await Promise.all([
+    User.find({ uid: { $in: battle.players } }),
+    getStakeSettings(stake),
+  ]);
+
+  const gone = battle.players.find((uid) => playerGameMap.has(uid));
+  if (gone) {
+    await completeBattle(battle, getOpponent(battle, gone), 'FORFEIT');
+    return;
+  }
+
+  const gameState = dealRound(battle, {
+    rules,
+    timeControl,
+    meta: Object.fromEntries(
+      users.map((user) => [
+        user.uid,
+        {
+          username: user.username,
+          avatar: String(user.avatar ?? ''),
+          balance: user.balance,
+        },
+      ]),
+    ),
+  });
+  await battle.save();
+
+  broadcastGameView({
+    gameState,
+    type: WebSocketMessageType.NEXT_BATTLE_ROUND,
+    data: summarize(battle),
+  });
+
+  // Players have the usual wait to ready up; whoever does not show forfeits
+  startWaitTimeout(gameState.gameId, gameState.seats![0]);
+};
+
+interface StartBattleProps extends DealRoundProps {
+  battleId?: string; // The id stakes were held under
+  requestId: string;
+  players: string[]; // Challenger first
+  stake: GameState['stake'];
+}
+
+// Opens a series when a battle request is accepted and deals its first round.
+// The round is dealt before anything is awaited, so the caller's checks that
+// the players are free still hold when they are seated.
+export const startBattle = async ({
+  battleId = generateId(),
+  requestId,
+  players,
+  stake,
+  ...round
+}: StartBattleProps): Promise<GameState> => {
+  const battle = new BattleSession({
+    battleId,
+    requestId,
+    players,
+    bestOf,
+    stake,
+    status: 'ONGOING',
+    wins: Object.fromEntries(players.map((uid) => [uid, 0])),
+  });
+
+  const gameState = dealRound(battle, round);
+  await battle.save();
+  return gameState;
+};
+
+interface RecordBattleRoundProps {
+  battleId: string;
+  gameId: string;
+  winner: string | null;
+  outcome: GameOutcome;
+  ready: string[]; // Players who readied up for the round
+}
+
+// Counts a finished round towards its series, then completes the series or
+// deals the next round. A round is only ever counted once.
 export const recordBattleRound = async ({
   battleId,
-  winner,
   gameId,
-}: {
-  battleId: string;
-  winner: string;
-  gameId: string;
-}) => {
+  winner,
+  outcome,
+  ready,
+}: RecordBattleRoundProps) => {
   const battle = await BattleSession.findOne({ battleId });
-  if (!battle || battle.status === 'COMPLETED') return;
+  if (!battle || battle.status === 'COMPLETED' || battle.gameIds.includes(gameId)) {
+    return;
+  }
 
-  battle.wins.set(winner, (battle.wins.get(winner) || 0) + 1);
-  battle.currentRound += 1;
   battle.gameIds.push(gameId);
+  battle.set('currentGameId', null);
 
-  const requiredWins = Math.ceil(battle.bestOf / 2);
-  const winnerScore = battle.wins.get(winner);
-
-  if (winnerScore >= requiredWins) {
-    battle.status = 'COMPLETED';
-    battle.winner = winner;
-    notifyPlayers(battle.players, {
-      type: WebSocketMessageType.BATTLE_COMPLETE,
-      data: {
-        battleId,
-        winner,
-        rounds: battle.bestOf,
-        wins: Object.fromEntries(battle.wins),
-      },
-    });
-    // battleSessions.delete(battleId);
-  } else {
-    notifyPlayers(battle.players, {
-      type: WebSocketMessageType.NEXT_BATTLE_ROUND,
-      data: {
-        battleId,
-        currentRound: battle.currentRound,
-        wins: Object.fromEntries(battle.wins),
-      },
-    });
-    // battleSessions.set(battleId, battle);
+  // A round nobody moved in because a player never turned up
+  if (outcome === GameOutcome.ABORTED_BEFORE_START) {
+    const present = battle.players.filter((uid) => ready.includes(uid));
+    if (present.length === 0) {
+      await completeBattle(battle, null, 'ABANDONED');
+      return;
+    }
+    if (present.length === 1) {
+      await completeBattle(battle, present[0], 'FORFEIT');
+      return;
+    }
   }
 
-  await battle.save();
-};
+  if (outcome === GameOutcome.WIN && winner) {
+    battle.wins.set(winner, (battle.wins.get(winner) || 0) + 1);
+    battle.currentRound += 1;
 
-export const deleteBattleByRequestId = async (requestId: string) => {
-  try {
-    const battle = await BattleSession.findOneAndDelete({ requestId });
-
-    if (battle) {
-      console.log(`🗑️ Battle with requestId ${requestId} deleted`);
-    } else {
-      console.log(`⚠️ No battle found with requestId ${requestId}`);
+    const requiredWins = Math.ceil(battle.bestOf / 2);
+    if (battle.wins.get(winner)! >= requiredWins) {
+      await completeBattle(battle, winner, 'WON');
+      return;
     }
-  } catch (error) {
-    console.error('❌ Failed to delete battle:', error.message);
-    throw error;
   }
+
+  // Drawn and called-off rounds are replayed under the same round number
+  await startNextRound(battle);
 };
 
-export const updateBattleStatusByRequestId = async (
-  requestId: string,
-  newStatus: 'PENDING' | 'ONGOING' | 'COMPLETED',
-): Promise<boolean> => {
-  try {
-    const battle = await BattleSession.findOneAndUpdate(
-      { requestId },
-      { status: newStatus },
-      { new: true },
-    );
-
-    if (!battle) {
-      console.warn(`⚠️ No battle found for requestId ${requestId}`);
-      return false;
-    }
+// Lets a player walk away from a series between rounds, conceding it. A round
+// in progress has to be finished, or forfeited like any other game, first.
+export const forfeitBattle = async (
+  battleId: string,
+  uid: string,
+): Promise<string | null> => {
+  const battle = await BattleSession.findOne({ battleId, status: 'ONGOING' });
+  if (!battle || !battle.players.includes(uid)) {
+    return 'No battle in progress';
+  }
+
+  const current = battle.currentGameId
+    ? gameStates.get(battle.currentGameId)
+    : undefined;
+  if (current?.status === 'STARTED') {
+    return 'Finish the current round first';
+  }
 
-    // Update in-memory store if applicable
-    console.log(
-      `✅ Battle status updated to '${newStatus}' for requestId ${requestId}`,
-    );
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to update battle status:', error.message);
-    return false;
+  await completeBattle(battle, getOpponent(battle, uid), 'FORFEIT');
+
+  // The dealt round is called off; the completed series ignores it
+  if (current && !current.result) {
+    await endGame({
+      gameId: current.gameId,
+      outcome: GameOutcome.ABORTED_BEFORE_START,
+      reason: 'BATTLE_FORFEIT',
+    });
   }
+  return null;
 };
 
+// Picks up every series the last server run left open. Run after
+// restoreGames: a round still in memory carries on by itself.
 export const resumeActiveBattles = async () => {
-  const activeBattles = await BattleSession.find({ status: 'ONGOING' });
-  activeBattles.forEach((battle) => {
-    // battleSessions.set(battle.battleId, battle);
+  const battles = await BattleSession.find({
+    $or: [
+      { status: 'ONGOING' },
+      { status: 'COMPLETED', settledAt: null },
+    ],
   });
+
+  for (const battle of battles) {
+    try {
+      if (battle.status === 'COMPLETED') {
+        await settleBattle(battle);
+        continue;
+      }
+
+      const { currentGameId } = battle;
+      if (currentGameId && gameStates.has(currentGameId)) continue;
+
+      // The round ended but the server stopped before it was counted
+      const game = currentGameId
+        ? await GameStateModel.findOne({ gameId: currentGameId }).lean()
+        : null;
+      if (game?.result) {
+        await recordBattleRound({
+          battleId: battle.battleId,
+          gameId: currentGameId!,
+          winner: game.result.winner ?? null,
+          outcome: game.result.outcome as GameOutcome,
+          ready: game.ready || [],
+        });
+        continue;
+      }
+
+      await startNextRound(battle);
+    } catch (err) {
+      console.error(`Failed to resume battle ${battle.battleId}:`, err);
+    }
+  }
 };
 
-function notifyPlayers(uids: string[], message: any) {
+function notifyPlayers(uids: string[], message: Record<string, unknown>) {
   uids.forEach((uid) => {
     const client = clients.get(uid);
     if (client?.ws) {
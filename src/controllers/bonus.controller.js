@@ -1,4 +1,9 @@
+import mongoose from 'mongoose';
 import User from '../models/User';
+import { LedgerEntryType, SystemAccount, transfer } from '../utils/ledger';
+
+// Paid into the balance when bonus coins are claimed
+const BONUS_AMOUNT = 25;
 
 export const updateBonusCoins = async (user) => {
   const now = Date.now();
@@ -45,11 +50,34 @@ export const claimBonus = async (req, res) => {
   const { user } = req;
   try {
     if (user.bonusCoins > 0) {
-      user.balance += 25;
-      user.bonusCoins = 0;
-      user.lastBonusTime = new Date();
-      await user.save();
-      return res.status(200).send({ balance: user.balance });
+      // The coins are spent in the same transaction that pays them out, so
+      // they can only be claimed once
+      let balance = null;
+      await mongoose.connection.transaction(async (session) => {
+        const { modifiedCount } = await User.updateOne(
+          { uid: user.uid, bonusCoins: { $gt: 0 } },
+          { bonusCoins: 0, lastBonusTime: new Date() },
+          { session },
+        );
+        if (!modifiedCount) return;
+
+        const [, credit] = await transfer(
+          {
+            type: LedgerEntryType.Bonus,
+            from: SystemAccount.Promotions,
+            to: user.uid,
+            amount: BONUS_AMOUNT,
+            description: 'Bonus coins',
+          },
+          { session },
+        );
+        balance = credit.balanceAfter;
+      });
+
+      if (balance === null) {
+        return res.status(400).json({ error: 'No bonus coins to claim.' });
+      }
+      return res.status(200).send({ balance });
     } else {
       return res.status(400).json({ error: 'No bonus coins to claim.' });
     }
@@ -0,0 +1,144 @@
+import { GameState } from '../models/GameState';
+import GameEvent from '../models/GameEvent';
+import {
+  formatResult,
+  serializeGame,
+  turnsFromEvents,
+} from '../../rules/notation';
+import { listLiveGames } from '../websocket/spectators';
+
+// Loads a finished game the caller played in, or answers with the reason not
+const findFinishedGame = async (req, res) => {
+  const { gameId } = req.params;
+  const game = await GameState.findOne({ gameId }).lean();
+
+  if (!game) {
+    res.status(404).json({
+      success: false,
+      error: 'Game not found',
+    });
+    return null;
+  }
+
+  if (!game.seats.includes(req.user.uid)) {
+    res.status(403).json({
+      success: false,
+      error: 'You did not play in this game',
+    });
+    return null;
+  }
+
+  // The log holds every hand, so it stays closed until the game is over
+  if (!game.endedAt) {
+    res.status(409).json({
+      success: false,
+      error: 'Game is still in progress',
+    });
+    return null;
+  }
+
+  return game;
+};
+
+// Games being played right now that can be watched, highest stakes first
+export const getLiveGames = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listLiveGames(),
+    });
+  } catch (error) {
+    console.error('Error listing live games:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list live games',
+    });
+  }
+};
+
+// Replayable timeline of a finished game: the opening deal, every event in
+// order with its time, and the result. Only players of the game can see it.
+export const getGameReplay = async (req, res) => {
+  try {
+    const game = await findFinishedGame(req, res);
+    if (!game) return;
+
+    const { gameId } = game;
+    const events = await GameEvent.find({ gameId }).sort({ index: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        gameId,
+        seats: game.seats,
+        meta: game.meta,
+        stake: game.stake,
+        result: game.result,
+        createdAt: game.createdAt,
+        endedAt: game.endedAt,
+        timeline: events.map(({ index, seq, type, data, at }) => ({
+          index,
+          seq,
+          type,
+          at,
+          data,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching game replay:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch game replay',
+    });
+  }
+};
+
+// The same game in the text notation of rules/notation.js
+export const getGameNotation = async (req, res) => {
+  try {
+    const game = await findFinishedGame(req, res);
+    if (!game) return;
+
+    const { gameId } = game;
+    const events = await GameEvent.find({ gameId }).sort({ index: 1 }).lean();
+    const created = events.find((event) => event.type === 'GAME_CREATED');
+    const over = events.find((event) => event.type === 'GAME_OVER');
+
+    if (!created) {
+      return res.status(404).json({
+        success: false,
+        error: 'No event log for this game',
+      });
+    }
+
+    const { seats, players, deck, cuttingCard } = created.data;
+    const text = serializeGame({
+      tags: {
+        GameId: gameId,
+        Date: game.createdAt.toISOString().slice(0, 10).replace(/-/g, '.'),
+        Stake: game.stake?.amount,
+        Rules: game.rules?.id,
+        Seed: over?.data.fairness?.serverSeed,
+        Result: game.result && formatResult(game.result),
+        Reason: game.result?.reason,
+        Ranking: game.result?.ranking?.join(' '),
+      },
+      seats,
+      deal: { players, deck, cuttingCard },
+      turns: turnsFromEvents(
+        events.filter((event) => event.seq != null).map(
+          ({ type, data }) => ({ type, ...data }),
+        ),
+      ),
+    });
+
+    res.type('text/plain').send(text);
+  } catch (error) {
+    console.error('Error fetching game notation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch game notation',
+    });
+  }
+};
@@ -1,5 +1,7 @@
+import mongoose from 'mongoose';
 import User from '../models/User';
 import AccountCounter from '../models/AccountCounter';
+import { LedgerEntryType, SystemAccount, transfer } from '../utils/ledger';
 
 const handleNearbyPlayers = async (uid) => {
   // Fetch top players sorted by points
@@ -111,13 +113,49 @@ export const getUser = async (req, res) => {
   }
 };
 
+// Profile fields a client may change. Balances move through the ledger, and
+// records and points only through games.
+const UPDATABLE_FIELDS = [
+  'username',
+  'email',
+  'photoURL',
+  'avatar',
+  'phoneNumber',
+  'fcmToken',
+];
+
 export const updateUser = async (req, res) => {
   const { uid } = req.params;
-  const updateData = req.body;
+  const { balance } = req.body;
+  const updateData = Object.fromEntries(
+    UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+      (field) => [field, req.body[field]],
+    ),
+  );
 
   try {
-    const user = await User.findOneAndUpdate({ uid }, updateData, {
-      new: true,
+    let user = null;
+    await mongoose.connection.transaction(async (session) => {
+      user = await User.findOneAndUpdate({ uid }, updateData, {
+        new: true,
+        session,
+      });
+      if (!user || balance === undefined) return;
+
+      // A new balance is posted as an adjustment, not written over the old one
+      const change = Number(balance) - user.balance;
+      if (!change) return;
+      await transfer(
+        {
+          type: LedgerEntryType.Adjustment,
+          from: change > 0 ? SystemAccount.Adjustments : uid,
+          to: change > 0 ? uid : SystemAccount.Adjustments,
+          amount: Math.abs(change),
+          description: 'Balance updated',
+        },
+        { session, requireFunds: false },
+      );
+      user = await User.findOne({ uid }).session(session);
     });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
@@ -0,0 +1,56 @@
+import { Request, Response } from 'express';
+import { updateUser } from './user.controller';
+import User from '../models/User';
+import { transfer } from '../utils/ledger';
+
+jest.mock('mongoose', () => ({
+  connection: {
+    transaction: (run: (session: unknown) => Promise<void>) => run({}),
+  },
+}));
+jest.mock('../models/User', () => ({
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock('../models/AccountCounter', () => ({}));
+jest.mock('../utils/ledger', () => ({
+  LedgerEntryType: { Adjustment: 'ADJUSTMENT' },
+  SystemAccount: { Adjustments: 'ADJUSTMENTS' },
+  transfer: jest.fn(),
+}));
+
+describe('updateUser', () => {
+  const update = (body: Record<string, unknown>) => {
+    const res = { json: jest.fn(), status: jest.fn() };
+    res.status.mockReturnValue(res);
+    return updateUser(
+      { params: { uid: 'alice' }, body } as unknown as Request,
+      res as unknown as Response,
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    (User.findOneAndUpdate as jest.Mock).mockResolvedValue({
+      uid: 'alice',
+      balance: 500,
+    });
+  });
+
+  test('should only write the profile fields a player may change', async () => {
+    await update({
+      username: 'Alice',
+      avatar: 3,
+      points: 9999,
+      $inc: { balance: 1000000 },
+      $set: { balance: 1000000 },
+    });
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { uid: 'alice' },
+      { username: 'Alice', avatar: 3 },
+      expect.anything(),
+    );
+    expect(transfer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+import LedgerEntry from '../models/LedgerEntry';
+import { LedgerEntryType, reconcileBalance } from '../utils/ledger';
+
+// Every movement of the caller's balance, newest first, with the balance as
+// cached and as the ledger adds it up
+export const getLedger = async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { limit = 20, page = 1, type, gameId } = req.query;
+
+    // Filters are matched as plain strings, never as query operators
+    const query = { account: uid };
+    if (type) {
+      if (!Object.values(LedgerEntryType).includes(String(type))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown entry type ${type}`,
+        });
+      }
+      query.type = String(type);
+    }
+    if (gameId) query.gameId = String(gameId);
+
+    const [entries, total, balance] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .select('-_id -__v -account')
+        .lean(),
+      LedgerEntry.countDocuments(query),
+      reconcileBalance(uid),
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      balance,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ledger',
+    });
+  }
+};
@@ -1,22 +1,37 @@
 // models/BattleSession.ts
 import mongoose from 'mongoose';
 
+const stakeSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true },
+    charge: { type: Number, default: 0 },
+    points: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
 const BattleSessionSchema = new mongoose.Schema({
+  battleId: { type: String, required: true, unique: true },
   requestId: { type: String, required: true, unique: true },
   players: { type: [String], required: true }, // [uid1, uid2]
-  gameIds: { type: [String], default: [] },
+  gameIds: { type: [String], default: [] }, // Rounds played, drawn ones included
+  currentGameId: { type: String, default: null },
   currentRound: { type: Number, default: 1 },
   bestOf: { type: Number, required: true, default: 11 },
   wins: { type: Map, of: Number, default: {} },
-  stake: { type: Number, required: true },
+  stake: { type: stakeSchema, required: true }, // Staked once on the whole series
   status: {
     type: String,
     enum: ['PENDING', 'ONGOING', 'COMPLETED'],
     default: 'PENDING',
   },
   winner: { type: String, default: null },
+  reason: { type: String }, // WON, FORFEIT or ABANDONED once completed
+  settledAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
 });
 
+BattleSessionSchema.index({ status: 1 });
+
 const BattleSession = mongoose.model('BattleSession', BattleSessionSchema);
 export default BattleSession;
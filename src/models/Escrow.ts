@@ -0,0 +1,32 @@
+// models/Escrow.ts
+import mongoose from 'mongoose';
+
+const holdSchema = new mongoose.Schema(
+  {
+    uid: { type: String, required: true },
+    amount: { type: Number, required: true },
+    charge: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+// Stakes taken out of the players' balances when a game or battle series is
+// dealt, kept until it is settled or refunded
+const EscrowSchema = new mongoose.Schema({
+  escrowId: { type: String, required: true, unique: true }, // gameId, or battleId for a series
+  holds: { type: [holdSchema], required: true },
+  status: {
+    type: String,
+    enum: ['HELD', 'SETTLED', 'REFUNDED'],
+    default: 'HELD',
+  },
+  payouts: { type: Map, of: Number }, // Balance change per player once settled
+  houseCut: { type: Number, default: 0 }, // Charges paid to the house account
+  settledAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+EscrowSchema.index({ status: 1 });
+
+const Escrow = mongoose.model('Escrow', EscrowSchema);
+export default Escrow;
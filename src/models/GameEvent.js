@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Append-only log of everything that happened in a game, in order.
+// Entries are only ever inserted, never updated or removed.
+const gameEventSchema = new mongoose.Schema({
+  gameId: { type: String, required: true },
+  index: { type: Number, required: true }, // Position in the game's log
+  seq: { type: Number }, // Sequence number sent to clients, for engine events
+  type: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  at: { type: Date, required: true },
+});
+
+gameEventSchema.index({ gameId: 1, index: 1 }, { unique: true });
+
+export default mongoose.model('GameEvent', gameEventSchema);
@@ -1,86 +1,156 @@
 import mongoose from 'mongoose';
 
+// Cards are stored the way the handlers use them: { v: 2-15 or 50, s: 'H' | 'D' | 'C' | 'S' | 'R' | 'B' }
 const cardSchema = new mongoose.Schema(
   {
-    id: {
-      type: String,
-      required: true,
-    },
-    value: {
+    v: {
       type: Number,
       required: true,
     },
-    suit: {
+    s: {
       type: String,
       required: true,
-      enum: ['HEARTS', 'DIAMONDS', 'CLUBS', 'SPADES', 'BLACK', 'RED'],
-    },
-    type: {
-      type: String,
-      enum: ['player', 'opponent', 'pile', 'transitioning', 'played'],
+      enum: ['H', 'D', 'C', 'S', 'R', 'B'],
     },
   },
   { _id: false } // 👈 prevents automatic _id on card subdocs
 );
 
-const pendingDrawSchema = new mongoose.Schema(
+const stakeSchema = new mongoose.Schema(
   {
-    player: {
+    charge: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    points: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const resultSchema = new mongoose.Schema(
+  {
+    reason: { type: String, required: true },
+    winner: { type: String, default: null }, // null when the game is drawn
+    loser: { type: String },
+    ranking: { type: [String], default: [] },
+    tied: { type: [String], default: undefined }, // Players sharing a drawn win
+    tieBreak: { type: String }, // Tie rule that decided the winner, if one did
+    outcome: {
       type: String,
-      required: true,
-    },
-    count: {
-      type: Number,
-      required: true,
+      enum: ['WIN', 'DRAW', 'ABORTED_BEFORE_START', 'SERVER_ERROR', 'MUTUAL_AGREEMENT'],
     },
+    totals: { type: Map, of: Number },
   },
-  { _id: false } // 👈 optional, same if you don't want _id here
+  { _id: false }
 );
 
-const gameStateSchema = new mongoose.Schema({
-  userId: {
-    type: String,
-    required: true,
-  },
-  chosenSuit: {
-    type: String,
-    enum: ['HEARTS', 'DIAMONDS', 'CLUBS', 'SPADES'],
-  },
-  players: {
-    type: Map,
-    of: [cardSchema], // 👈 these card arrays won't have _id
-    required: true,
-  },
-  deck: {
-    type: [cardSchema], // 👈 same here
-    required: true,
-  },
-  playedCards: {
-    type: [cardSchema], // 👈 and here
-    required: true,
-    default: [],
-  },
-  cuttingCard: {
-    type: cardSchema,
-    required: true,
-  },
-  currentCard: {
-    type: cardSchema,
-  },
-  currentTurn: {
-    type: String,
-    required: true,
+const timeoutsSchema = new mongoose.Schema(
+  {
+    consecutive: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
   },
-  winner: {
-    type: String,
+  { _id: false }
+);
+
+const timeControlSchema = new mongoose.Schema(
+  {
+    bank: { type: Number, default: null },
+    increment: { type: Number, default: 0 },
+    warnings: { type: [Number], default: [] },
   },
-  pendingDraw: {
-    type: pendingDrawSchema,
+  { _id: false }
+);
+
+const metaSchema = new mongoose.Schema(
+  {
+    username: { type: String },
+    avatar: { type: String },
+    balance: { type: Number },
   },
-  createdAt: {
-    type: Date,
-    default: Date.now,
+  { _id: false }
+);
+
+const gameStateSchema = new mongoose.Schema(
+  {
+    gameId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'STARTED', 'FINISHED'],
+      default: 'ACTIVE',
+    },
+    seats: {
+      type: [String],
+      required: true,
+    },
+    players: {
+      type: Map,
+      of: [cardSchema], // 👈 these card arrays won't have _id
+      required: true,
+    },
+    deck: {
+      type: [cardSchema], // 👈 same here
+      required: true,
+    },
+    playedCards: {
+      type: [cardSchema], // 👈 and here
+      required: true,
+      default: [],
+    },
+    cuttingCard: {
+      type: cardSchema,
+      required: true,
+    },
+    currentCard: {
+      type: cardSchema,
+      default: null,
+    },
+    currentTurn: {
+      type: String,
+      required: true,
+    },
+    chosenSuit: {
+      type: String,
+      enum: ['H', 'D', 'C', 'S', null],
+      default: null,
+    },
+    activePenaltyCount: { type: Number, default: 0 },
+    pendingDraw: { type: Number, default: 0 },
+    ready: { type: [String], default: [] },
+    endOffers: { type: [String], default: [] },
+    seq: { type: Number, default: 0 },
+    logSize: { type: Number, default: 0 },
+    turnExpiresAt: { type: Number },
+    waitExpiresAt: { type: Number },
+    turnRemaining: { type: Number },
+    disconnected: { type: Map, of: Number },
+    timeouts: { type: Map, of: timeoutsSchema },
+    timeControl: { type: timeControlSchema },
+    clocks: { type: Map, of: Number },
+    stake: { type: stakeSchema, required: true },
+    isBattle: { type: Boolean, default: false },
+    battleId: { type: String },
+    isPractice: { type: Boolean, default: false },
+    bots: { type: Map, of: String },
+    meta: { type: Map, of: metaSchema },
+    fairness: { type: mongoose.Schema.Types.Mixed },
+    rules: { type: mongoose.Schema.Types.Mixed }, // Rules profile the game is played under
+    result: { type: resultSchema },
+    // Set once endGame has settled the game; unset games are recovered on boot
+    endedAt: { type: Date, default: null },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
   },
-});
+  { timestamps: { createdAt: false, updatedAt: true } }
+);
+
+gameStateSchema.index({ endedAt: 1 });
 
 export const GameState = mongoose.model('GameState', gameStateSchema);
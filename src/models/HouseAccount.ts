@@ -0,0 +1,12 @@
+// models/HouseAccount.ts
+import mongoose from 'mongoose';
+
+// Cached balance of one of the system's own ledger accounts, e.g. HOUSE for
+// game charges or ESCROW for stakes in play
+const HouseAccountSchema = new mongoose.Schema({
+  accountId: { type: String, required: true, unique: true },
+  balance: { type: Number, default: 0 },
+});
+
+const HouseAccount = mongoose.model('HouseAccount', HouseAccountSchema);
+export default HouseAccount;
@@ -0,0 +1,57 @@
+// models/LedgerEntry.ts
+import mongoose from 'mongoose';
+
+// One side of a movement of money. Every movement is a posting of two entries,
+// one per account, whose amounts sum to zero.
+const LedgerEntrySchema = new mongoose.Schema({
+  postingId: { type: String, required: true }, // Shared by both sides
+  account: { type: String, required: true }, // A player's uid, or a system account
+  counterparty: { type: String, required: true }, // The account on the other side
+  amount: { type: Number, required: true }, // Positive into the account, negative out
+  balanceAfter: { type: Number, required: true }, // Cached balance of the account once applied
+  type: {
+    type: String,
+    enum: [
+      'DEPOSIT',
+      'WITHDRAWAL',
+      'STAKE_HOLD',
+      'STAKE_RELEASE',
+      'WIN',
+      'CHARGE',
+      'BONUS',
+      'ADJUSTMENT',
+    ],
+    required: true,
+  },
+  transactionId: { type: String, default: null }, // Payment behind a deposit or withdrawal
+  gameId: { type: String, default: null }, // Game, or battleId for a series
+  description: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+LedgerEntrySchema.index({ account: 1, createdAt: -1 });
+LedgerEntrySchema.index({ postingId: 1 });
+
+// Entries are never changed or removed; a mistake is corrected by a new
+// ADJUSTMENT posting
+LedgerEntrySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  function (next) {
+    next(new Error('Ledger entries cannot be changed'));
+  },
+);
+LedgerEntrySchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Ledger entries cannot be changed'));
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+export default LedgerEntry;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { RulesProfileId, getRulesProfile } from '../../rules/profiles';
 
 const rewardItemSchema = new mongoose.Schema({
   range: {
@@ -15,6 +16,17 @@ const rewardItemSchema = new mongoose.Schema({
   },
 });
 
+// Chess clock for a level, times in milliseconds. Without a bank every turn
+// gets the fixed turn time.
+const timeControlSchema = new mongoose.Schema(
+  {
+    bank: { type: Number, default: null, min: 1000 },
+    increment: { type: Number, default: 0, min: 0 },
+    warnings: { type: [{ type: Number, min: 1 }], default: [10000] },
+  },
+  { _id: false }
+);
+
 const rewardsListItemSchema = new mongoose.Schema({
   amount: {
     type: Number,
@@ -32,6 +44,19 @@ const rewardsListItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // House rules played at this level, one of the profiles in rules/profiles.js
+  rules: {
+    type: String,
+    default: RulesProfileId.KAMPALA_STANDARD,
+    validate: {
+      validator: (id) => Boolean(getRulesProfile(id)),
+      message: (props) => `Unknown rules profile ${props.value}`,
+    },
+  },
+  timeControl: {
+    type: timeControlSchema,
+    default: () => ({}),
+  },
 });
 
 const prizeSchema = new mongoose.Schema({
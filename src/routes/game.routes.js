@@ -0,0 +1,14 @@
+import express from 'express';
+import {
+  getGameNotation,
+  getGameReplay,
+  getLiveGames,
+} from '../controllers/game.controller';
+
+const router = express.Router();
+
+router.get('/live', getLiveGames);
+router.get('/:gameId/replay', getGameReplay);
+router.get('/:gameId/notation', getGameNotation);
+
+export default router;
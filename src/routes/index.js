@@ -4,6 +4,8 @@ import paymentRoutes from './payment.routes';
 import transactionRoutes from './transaction.routes';
 import bonusRoutes from './bonus.routes';
 import prizesRoutes from './prizes.routes';
+import gameRoutes from './game.routes';
+import walletRoutes from './wallet.routes';
 import { verifyToken } from '../middleware/auth';
 
 const router = express.Router();
@@ -13,5 +15,7 @@ router.use('/payments', paymentRoutes);
 router.use('/transactions', verifyToken, transactionRoutes);
 router.use('/bonus', verifyToken, bonusRoutes);
 router.use('/prizes', prizesRoutes);
+router.use('/games', verifyToken, gameRoutes);
+router.use('/wallet', verifyToken, walletRoutes);
 
 export default router;
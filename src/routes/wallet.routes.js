@@ -0,0 +1,8 @@
+import express from 'express';
+import { getLedger } from '../controllers/wallet.controller';
+
+const router = express.Router();
+
+router.get('/ledger', getLedger);
+
+export default router;
@@ -8,6 +8,9 @@ import { handleWebSocketConnection } from './websocket/wsHandler';
 import router from './routes/index';
 import { startBonusCron } from './utils/bonusCron';
 import Prize from './models/Prize';
+import { restoreGames } from './websocket/restoreGames';
+import { resumeActiveBattles } from './controllers/battle.controller';
+import { openLedgers } from './utils/ledger';
 
 dotenv.config();
 
@@ -89,6 +92,20 @@ mongoose
 
     // Run seeder only after successful connection
     await seedDefaultPrize();
+
+    // Balances from before the ledger get an opening entry, before any game
+    // settles against them
+    await openLedgers().catch((err) =>
+      console.error('❌ Failed to open ledgers:', err),
+    );
+
+    // Pick up games that were in progress when the server last stopped
+    await restoreGames().catch((err) =>
+      console.error('❌ Failed to restore games:', err),
+    );
+    await resumeActiveBattles().catch((err) =>
+      console.error('❌ Failed to resume battles:', err),
+    );
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err);
@@ -6,6 +6,7 @@ export const WebSocketMessageType = {
   WIN: 'WIN',
   PING: 'PING',
   GAME_REQUEST: 'GAME_REQUEST',
+  GAME_REQUEST_SENT: 'GAME_REQUEST_SENT',
   GAME_REQUEST_ACCEPTED: 'GAME_REQUEST_ACCEPTED',
   GAME_REQUEST_DECLINED: 'GAME_REQUEST_DECLINED',
   ONLINE_USERS: 'ONLINE_USERS',
@@ -18,4 +19,24 @@ export const WebSocketMessageType = {
   GAME_OVER: 'GAME_OVER',
   START: 'START',
   RESHUFFLE: 'RESHUFFLE',
+  INVALID_MOVE: 'INVALID_MOVE',
+  GAME_EVENTS: 'GAME_EVENTS',
+  SYNC: 'SYNC',
+  OFFER_END_GAME: 'OFFER_END_GAME',
+  END_GAME_OFFERED: 'END_GAME_OFFERED',
+  PLAYER_DISCONNECTED: 'PLAYER_DISCONNECTED',
+  TURN_TIMED_OUT: 'TURN_TIMED_OUT',
+  TURN_WARNING: 'TURN_WARNING',
+  PLAYER_RECONNECTED: 'PLAYER_RECONNECTED',
+  REMATCH_OFFER: 'REMATCH_OFFER',
+  REMATCH_ACCEPT: 'REMATCH_ACCEPT',
+  REMATCH_DECLINE: 'REMATCH_DECLINE',
+  REMATCH_OFFERED: 'REMATCH_OFFERED',
+  REMATCH_DECLINED: 'REMATCH_DECLINED',
+  NEXT_BATTLE_ROUND: 'NEXT_BATTLE_ROUND',
+  BATTLE_COMPLETE: 'BATTLE_COMPLETE',
+  BATTLE_FORFEIT: 'BATTLE_FORFEIT',
+  SPECTATE: 'SPECTATE',
+  UNSPECTATE: 'UNSPECTATE',
+  HINT: 'HINT',
 };
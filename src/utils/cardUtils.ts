@@ -4,14 +4,29 @@ export interface DeckInitializationResult {
   deck: CardType[];
   playerHands: Record<string, CardType[]>;
   cuttingCard: CardType;
+  dealRule: DealRule;
 }
 
+// How the opening hands are dealt; sent to players so the rule is explicit.
+// SPECIAL_CARD_SPLIT (two players only): each player gets two aces, two jacks
+// and two eights, then one player a joker and the other a 2 or a 3.
+// ROUND_ROBIN: seven cards each, dealt in turn from the shuffled deck.
+export enum DealRule {
+  SpecialCardSplit = 'SPECIAL_CARD_SPLIT',
+  RoundRobin = 'ROUND_ROBIN',
+}
+
+type RandomSource = () => number;
+
 export interface ReshuffleResult {
   newDeck: CardType[];
   shuffledPlayedCards: CardType[];
 }
 
 // Constants
+export const MIN_TABLE_SIZE = 2;
+export const MAX_TABLE_SIZE = 6;
+const HAND_SIZE = 7;
 const SUITS: Suit[] = [Suit.Hearts, Suit.Diamonds, Suit.Clubs, Suit.Spades];
 const VALUES: number[] = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15]; // 11=J, 12=Q, 13=K, 15=A
 const JOKERS: CardType[] = [
@@ -20,7 +35,17 @@ const JOKERS: CardType[] = [
 ];
 
 // Main Function
-export function initializeDeck(players: string[]): DeckInitializationResult {
+// `random` defaults to Math.random; games pass a seeded source so the deal can be verified
+export function initializeDeck(
+  players: string[],
+  random: RandomSource = Math.random,
+): DeckInitializationResult {
+  if (players.length < MIN_TABLE_SIZE || players.length > MAX_TABLE_SIZE) {
+    throw new Error(
+      `A table needs ${MIN_TABLE_SIZE} to ${MAX_TABLE_SIZE} players, got ${players.length}`,
+    );
+  }
+
   // Create standard 52 + 2 Joker deck
   let deck: CardType[] = SUITS.flatMap((s) =>
     VALUES.map((v) => ({
@@ -33,22 +58,28 @@ export function initializeDeck(players: string[]): DeckInitializationResult {
   deck.push(...JOKERS);
 
   // Shuffle the deck
-  deck = shuffleArray([...deck]);
+  deck = shuffleArray([...deck], random);
 
   // Ensure no 7 is at top or bottom of deck
   deck = ensureNo7AtEnds(deck);
 
-  // Separate special cards from the deck
-  const specialCards = extractSpecialCards(deck);
-  
   // Initialize player hands with empty arrays
-  const playerHands: Record<string, CardType[]> = {
-    [players[0]]: [],
-    [players[1]]: [],
-  };
+  const playerHands: Record<string, CardType[]> = Object.fromEntries(
+    players.map((player) => [player, []]),
+  );
+
+  if (players.length === 2) {
+    // Separate special cards from the deck
+    const specialCards = extractSpecialCards(deck);
 
-  // Distribute special cards strategically (jokers, 2s, 3s, aces, jacks, and 8s)
-  distributeSpecialCards(playerHands, players, specialCards, deck);
+    // Distribute special cards strategically (jokers, 2s, 3s, aces, jacks, and 8s)
+    distributeSpecialCards(playerHands, players, specialCards, deck, random);
+
+    // Cards put back during the split land on top; shuffle them in again
+    deck = ensureNo7AtEnds(shuffleArray(deck, random));
+  } else {
+    dealHands(playerHands, players, deck);
+  }
 
   // Get cutting card (last card in deck)
   const cuttingCard: CardType = deck.pop()!; // Non-null assertion as we know deck has cards
@@ -57,9 +88,24 @@ export function initializeDeck(players: string[]): DeckInitializationResult {
     deck,
     playerHands,
     cuttingCard,
+    dealRule:
+      players.length === 2 ? DealRule.SpecialCardSplit : DealRule.RoundRobin,
   };
 }
 
+// Deal round the table from the front of the deck so the last card stays the cutting card
+function dealHands(
+  playerHands: Record<string, CardType[]>,
+  players: string[],
+  deck: CardType[],
+): void {
+  for (let round = 0; round < HAND_SIZE; round++) {
+    for (const player of players) {
+      playerHands[player].push(deck.shift()!);
+    }
+  }
+}
+
 // Extract special cards (jokers, 2s, 3s, aces, jacks, and 8s) from deck
 function extractSpecialCards(deck: CardType[]): {
   jokers: CardType[];
@@ -117,7 +163,8 @@ function distributeSpecialCards(
     jacks: CardType[];
     eights: CardType[];
   },
-  remainingDeck: CardType[]
+  remainingDeck: CardType[],
+  random: RandomSource,
 ): void {
   const player1 = players[0];
   const player2 = players[1];
@@ -134,22 +181,22 @@ function distributeSpecialCards(
   }
   
   // Shuffle and distribute aces (2 to each player)
-  const shuffledAces = shuffleArray(specialCards.aces);
+  const shuffledAces = shuffleArray(specialCards.aces, random);
   playerHands[player1].push(...shuffledAces.slice(0, 2));
   playerHands[player2].push(...shuffledAces.slice(2, 4));
   
   // Shuffle and distribute jacks (2 to each player)
-  const shuffledJacks = shuffleArray(specialCards.jacks);
+  const shuffledJacks = shuffleArray(specialCards.jacks, random);
   playerHands[player1].push(...shuffledJacks.slice(0, 2));
   playerHands[player2].push(...shuffledJacks.slice(2, 4));
   
   // Shuffle and distribute eights (2 to each player)
-  const shuffledEights = shuffleArray(specialCards.eights);
+  const shuffledEights = shuffleArray(specialCards.eights, random);
   playerHands[player1].push(...shuffledEights.slice(0, 2));
   playerHands[player2].push(...shuffledEights.slice(2, 4));
   
   // Randomly decide which player gets jokers (and which gets 2s/3s)
-  const jokerPlayer = Math.random() < 0.5 ? player1 : player2;
+  const jokerPlayer = random() < 0.5 ? player1 : player2;
   const penaltyPlayer = jokerPlayer === player1 ? player2 : player1;
   
   // Give all jokers to the joker player (2 cards)
@@ -179,7 +226,7 @@ function distributeSpecialCards(
     
     // If we have other cards, remove them first
     if (playerOtherCards.length >= excessCards) {
-      const shuffledOthers = shuffleArray(playerOtherCards);
+      const shuffledOthers = shuffleArray(playerOtherCards, random);
       const othersToKeep = shuffledOthers.slice(0, playerOtherCards.length - excessCards);
       const othersToReturn = shuffledOthers.slice(othersToKeep.length);
       
@@ -189,18 +236,16 @@ function distributeSpecialCards(
       // If not enough other cards, we need to remove some guaranteed cards
       // Priority: keep 2 aces, 2 jacks, 2 eights, then jokers
       const guaranteedCards = [...playerAces, ...playerJacks, ...playerEights];
-      const shuffledGuaranteed = shuffleArray(guaranteedCards);
+      const shuffledGuaranteed = shuffleArray(guaranteedCards, random);
       const guaranteedToKeep = shuffledGuaranteed.slice(0, Math.min(6, guaranteedCards.length));
       const guaranteedToReturn = shuffledGuaranteed.slice(guaranteedToKeep.length);
       
       // Try to maintain at least 2 of each type if possible
-      let finalCards = [...guaranteedToKeep, ...playerJokers, ...playerOtherCards];
-      if (finalCards.length > 7) {
-        finalCards = finalCards.slice(0, 7);
-      }
+      const finalCards = [...guaranteedToKeep, ...playerJokers, ...playerOtherCards];
       
-      playerHands[jokerPlayer] = finalCards;
-      remainingDeck.push(...guaranteedToReturn);
+      // Anything over 7 goes back to the deck rather than out of the game
+      playerHands[jokerPlayer] = finalCards.slice(0, 7);
+      remainingDeck.push(...guaranteedToReturn, ...finalCards.slice(7));
     }
   } else if (jokerPlayerNeed > 0) {
     // Need more cards
@@ -227,7 +272,7 @@ function distributeSpecialCards(
     const guaranteedCards = [...playerAces, ...playerJacks, ...playerEights]; // 6 cards
     const availableSlots = 7 - guaranteedCards.length; // 1 slot
     
-    const shuffledPenaltyCards = shuffleArray(playerPenaltyCards);
+    const shuffledPenaltyCards = shuffleArray(playerPenaltyCards, random);
     const penaltyCardsToKeep = shuffledPenaltyCards.slice(0, Math.min(availableSlots, playerPenaltyCards.length));
     const penaltyCardsToReturn = shuffledPenaltyCards.slice(penaltyCardsToKeep.length);
     
@@ -263,7 +308,7 @@ function distributeSpecialCards(
       // Keep all aces, jacks, and eights, then fill remaining slots with other cards
       const guaranteedCards = [...aces, ...jacks, ...eights];
       const availableSlots = 7 - guaranteedCards.length;
-      const shuffledOthers = shuffleArray(otherCards);
+      const shuffledOthers = shuffleArray(otherCards, random);
       
       playerHands[player] = [...guaranteedCards, ...shuffledOthers.slice(0, availableSlots)];
       
@@ -274,8 +319,8 @@ function distributeSpecialCards(
   });
   
   // Shuffle each player's hand to randomize card order
-  playerHands[player1] = shuffleArray(playerHands[player1]);
-  playerHands[player2] = shuffleArray(playerHands[player2]);
+  playerHands[player1] = shuffleArray(playerHands[player1], random);
+  playerHands[player2] = shuffleArray(playerHands[player2], random);
   
   // Verify distribution
   const player1Aces = playerHands[player1].filter(card => card.v === 15).length;
@@ -296,18 +341,13 @@ function distributeSpecialCards(
   if (player1Eights < 2 || player2Eights < 2) {
     console.warn(`Eight distribution warning: ${player1} has ${player1Eights} eights, ${player2} has ${player2Eights} eights`);
   }
-  
-  console.log(`${jokerPlayer} received all jokers (${specialCards.jokers.length} jokers)`);
-  console.log(`${penaltyPlayer} received penalty cards (${playerHands[penaltyPlayer].filter(c => c.v === 2 || c.v === 3).length} penalty cards)`);
-  console.log(`Card distribution: ${player1} - Aces: ${player1Aces}, Jacks: ${player1Jacks}, Eights: ${player1Eights}`);
-  console.log(`Card distribution: ${player2} - Aces: ${player2Aces}, Jacks: ${player2Jacks}, Eights: ${player2Eights}`);
-  console.log(`Final hand sizes: ${player1}=${playerHands[player1].length}, ${player2}=${playerHands[player2].length}`);
 }
 
 // New Function: Reshuffle played cards and add to bottom of deck
 export function reshufflePlayedCards(
   currentDeck: CardType[],
   playedCards: CardType[],
+  random: RandomSource = Math.random,
 ): ReshuffleResult {
   // Don't reshuffle if there are no played cards
   if (playedCards.length === 0) {
@@ -318,7 +358,7 @@ export function reshufflePlayedCards(
   }
 
   // Shuffle the played cards (no special restrictions needed)
-  const shuffledPlayedCards = shuffleArray([...playedCards]);
+  const shuffledPlayedCards = shuffleArray([...playedCards], random);
 
   // Add shuffled played cards to the bottom of the current deck
   const newDeck = [...currentDeck, ...shuffledPlayedCards];
@@ -334,6 +374,7 @@ export function reshuffleWhenLow(
   currentDeck: CardType[],
   playedCards: CardType[],
   minimumCards: number = 5,
+  random: RandomSource = Math.random,
 ): ReshuffleResult {
   // Only reshuffle if current deck is running low
   if (currentDeck.length >= minimumCards) {
@@ -343,14 +384,14 @@ export function reshuffleWhenLow(
     };
   }
 
-  return reshufflePlayedCards(currentDeck, playedCards);
+  return reshufflePlayedCards(currentDeck, playedCards, random);
 }
 
 // Utility Functions
-function shuffleArray(array: CardType[]): CardType[] {
+function shuffleArray(array: CardType[], random: RandomSource): CardType[] {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -1,5 +1,7 @@
+import mongoose from 'mongoose';
 import Transaction from '../models/Transaction';
 import User from '../models/User';
+import { LedgerEntryType, SystemAccount, transfer } from './ledger';
 
 export const depositApi = async ({ amount, provider, transactionId }) => {
   try {
@@ -19,29 +21,42 @@ export const depositApi = async ({ amount, provider, transactionId }) => {
       points += 1; // Add 10 points for 1,000 deposit
     }
 
-    // Find and update transaction status to SUCCESS in one go
-    const transaction = await Transaction.findOneAndUpdate(
-      { transactionId },
-      { status: 'SUCCESS', provider },
-      { new: true },
-    );
+    // Mark the transaction SUCCESS and credit it in one go. A transaction that
+    // already succeeded is not credited again.
+    let transaction = null;
+    await mongoose.connection.transaction(async (session) => {
+      transaction = await Transaction.findOneAndUpdate(
+        { transactionId, status: { $ne: 'SUCCESS' } },
+        { status: 'SUCCESS', provider },
+        { new: true, session },
+      );
+      if (!transaction) return;
 
+      // Update user balance and points
+      await transfer(
+        {
+          type: LedgerEntryType.Deposit,
+          from: SystemAccount.External,
+          to: transaction.userUID,
+          amount,
+          transactionId,
+          description: `Deposit via ${provider}`,
+        },
+        { session },
+      );
+      await User.updateOne(
+        { uid: transaction.userUID },
+        { $inc: { points } },
+        { session },
+      );
+    });
+
+    // Either credited by an earlier notification, or unknown
     if (!transaction) {
-      throw new Error('Transaction not found');
+      transaction = await Transaction.findOne({ transactionId });
+      if (!transaction) throw new Error('Transaction not found');
     }
 
-    // Update user balance and points
-    const user = await User.findOneAndUpdate(
-      { uid: transaction.userUID },
-      {
-        $inc: {
-          balance: amount,
-          points: points,
-        },
-      },
-      { new: true },
-    );
-
     return transaction;
   } catch (error) {
     console.error('Deposit processing error:', error);
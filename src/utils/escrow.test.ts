@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+import { holdStakes, refundEscrow, settleEscrow } from './escrow';
+import { LedgerEntryType, SystemAccount, transfer } from './ledger';
+import Escrow from '../models/Escrow';
+import User from '../models/User';
+
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../models/Escrow', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('./ledger', () => ({
+  ...jest.requireActual('./ledger'),
+  transfer: jest.fn(),
+}));
+
+describe('escrow', () => {
+  const stake = { amount: 1000, charge: 50 };
+  const session = { id: 'session' };
+
+  const user = (uid: string, balance: number) => ({
+    uid,
+    balance,
+    points: 0,
+    gamesPlayed: 0,
+    gamesWon: 0,
+    winRate: 0,
+    save: jest.fn(),
+  });
+
+  let users: Record<string, ReturnType<typeof user>>;
+  let escrows: Record<string, Record<string, unknown>>;
+  let accounts: Record<string, number>; // System accounts
+  let postings: { type: string; from: string; to: string; amount: number }[];
+
+  // Queries resolve like mongoose's, after .session()
+  const query = (result: unknown) => ({ session: async () => result });
+
+  const move = (account: string, change: number) => {
+    if (users[account]) users[account].balance += change;
+    else accounts[account] = (accounts[account] || 0) + change;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    users = { alice: user('alice', 5000), bob: user('bob', 1050) };
+    escrows = {};
+    accounts = {};
+    postings = [];
+
+    // A failed transaction leaves everything as it was
+    jest
+      .spyOn(mongoose.connection, 'transaction')
+      .mockImplementation((async (fn: (s: unknown) => Promise<unknown>) => {
+        const snapshot = JSON.stringify({ users, escrows, accounts, postings });
+        try {
+          return await fn(session);
+        } catch (err) {
+          const restored = JSON.parse(snapshot);
+          for (const uid of Object.keys(users)) {
+            Object.assign(users[uid], restored.users[uid]);
+          }
+          ({ escrows, accounts, postings } = restored);
+          throw err;
+        }
+      }) as never);
+
+    (transfer as jest.Mock).mockImplementation(
+      async ({ type, from, to, amount }, { requireFunds = true } = {}) => {
+        if (amount < 0) throw new Error(`Cannot transfer ${amount}`);
+        if (amount === 0) return [];
+        if (users[from] && requireFunds && users[from].balance < amount) {
+          return null;
+        }
+        move(from, -amount);
+        move(to, amount);
+        postings.push({ type, from, to, amount });
+        return [];
+      },
+    );
+    (User.find as jest.Mock).mockImplementation(({ uid }) =>
+      query(uid.$in.map((id: string) => users[id]).filter(Boolean)),
+    );
+    (Escrow.findOne as jest.Mock).mockImplementation(({ escrowId }) => {
+      const doc = escrows[escrowId];
+      return query(
+        doc && {
+          ...doc,
+          set: (key: string, value: unknown) => (doc[key] = value),
+          save: async function (this: Record<string, unknown>) {
+            Object.assign(doc, this, { payouts: doc.payouts });
+          },
+        },
+      );
+    });
+    (Escrow.create as jest.Mock).mockImplementation(async ([doc]) => {
+      escrows[doc.escrowId] = { status: 'HELD', ...doc };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should take every stake and charge into escrow', async () => {
+    expect(await holdStakes('g1', ['alice', 'bob'], stake)).toBe(true);
+
+    expect(users.alice.balance).toBe(3950);
+    expect(users.bob.balance).toBe(0);
+    expect(accounts[SystemAccount.Escrow]).toBe(2100);
+    expect(postings).toEqual([
+      { type: LedgerEntryType.StakeHold, from: 'alice', to: 'ESCROW', amount: 1050 },
+      { type: LedgerEntryType.StakeHold, from: 'bob', to: 'ESCROW', amount: 1050 },
+    ]);
+    expect(escrows.g1).toMatchObject({
+      status: 'HELD',
+      holds: [
+        { uid: 'alice', amount: 1000, charge: 50 },
+        { uid: 'bob', amount: 1000, charge: 50 },
+      ],
+    });
+  });
+
+  test('should hold nothing if any player is short', async () => {
+    users.bob.balance = 1049;
+
+    expect(await holdStakes('g1', ['alice', 'bob'], stake)).toBe(false);
+
+    expect(users.alice.balance).toBe(5000);
+    expect(users.bob.balance).toBe(1049);
+    expect(postings).toEqual([]);
+    expect(escrows.g1).toBeUndefined();
+  });
+
+  test('should take the stakes regardless when funds are not required', async () => {
+    users.bob.balance = 100;
+
+    expect(
+      await holdStakes('g1', ['alice', 'bob'], stake, { requireFunds: false }),
+    ).toBe(true);
+
+    expect(users.bob.balance).toBe(-950);
+  });
+
+  test('should not hold the same escrow twice', async () => {
+    await holdStakes('g1', ['alice', 'bob'], stake);
+    users.bob.balance = 1050;
+
+    expect(await holdStakes('g1', ['alice', 'bob'], stake)).toBe(true);
+
+    expect(users.alice.balance).toBe(3950);
+    expect(users.bob.balance).toBe(1050);
+  });
+
+  test('should pay the winner and the charges to the house', async () => {
+    await holdStakes('g1', ['alice', 'bob'], stake);
+    postings = [];
+
+    const payouts = await settleEscrow({
+      escrowId: 'g1',
+      payouts: { alice: 950, bob: -1050 },
+      points: 5,
+      winner: 'alice',
+    });
+
+    expect(payouts).toEqual({ alice: 950, bob: -1050 });
+    expect(postings).toEqual([
+      { type: LedgerEntryType.StakeRelease, from: 'ESCROW', to: 'alice', amount: 1050 },
+      { type: LedgerEntryType.Win, from: 'ESCROW', to: 'alice', amount: 950 },
+      { type: LedgerEntryType.Charge, from: 'ESCROW', to: 'HOUSE', amount: 100 },
+    ]);
+    expect(users.alice).toMatchObject({
+      balance: 5950,
+      points: 5,
+      gamesPlayed: 1,
+      gamesWon: 1,
+      winRate: 100,
+    });
+    expect(users.bob).toMatchObject({ balance: 0, gamesPlayed: 1, winRate: 0 });
+    expect(accounts).toEqual({ ESCROW: 0, HOUSE: 100 });
+    expect(escrows.g1).toMatchObject({ status: 'SETTLED', houseCut: 100 });
+  });
+
+  test('should release only what comes back of a stake', async () => {
+    await holdStakes('g1', ['alice', 'bob'], stake);
+    postings = [];
+
+    // Stakes returned, charges kept
+    await settleEscrow({ escrowId: 'g1', payouts: { alice: -50, bob: -50 } });
+
+    expect(postings.map(({ type, amount }) => [type, amount])).toEqual([
+      [LedgerEntryType.StakeRelease, 1000],
+      [LedgerEntryType.StakeRelease, 1000],
+      [LedgerEntryType.Charge, 100],
+    ]);
+  });
+
+  test('should pay out once however often it is settled', async () => {
+    await holdStakes('g1', ['alice', 'bob'], stake);
+    const settle = () =>
+      settleEscrow({ escrowId: 'g1', payouts: { alice: 950, bob: -1050 } });
+
+    await settle();
+    escrows.g1.payouts = new Map(Object.entries(escrows.g1.payouts as object));
+    const again = await settle();
+
+    expect(again).toEqual({ alice: 950, bob: -1050 });
+    expect(users.alice.balance).toBe(5950);
+    expect(accounts.HOUSE).toBe(100);
+  });
+
+  test('should give everyone their stake back on a refund', async () => {
+    await holdStakes('g1', ['alice', 'bob'], stake);
+
+    expect(await refundEscrow('g1')).toEqual({ alice: 0, bob: 0 });
+
+    expect(users.alice).toMatchObject({ balance: 5000, gamesPlayed: 0 });
+    expect(users.bob.balance).toBe(1050);
+    expect(accounts).toEqual({ ESCROW: 0 });
+    expect(escrows.g1.status).toBe('REFUNDED');
+  });
+
+  test('should refuse to pay out more than it holds', async () => {
+    await holdStakes('g1', ['alice', 'bob'], stake);
+
+    await expect(
+      settleEscrow({ escrowId: 'g1', payouts: { alice: 1100, bob: -1050 } }),
+    ).rejects.toThrow('cannot pay out more than it holds');
+    expect(users.alice.balance).toBe(3950);
+    expect(escrows.g1.status).toBe('HELD');
+  });
+
+  test('should report an escrow that was never held', async () => {
+    expect(await settleEscrow({ escrowId: 'g9', payouts: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import Escrow from '../models/Escrow';
+import User from '../models/User';
+import { LedgerEntryType, SystemAccount, transfer } from './ledger';
+
+export interface Stake {
+  amount: number;
+  charge: number;
+}
+
+// Thrown inside a hold to roll it back; never leaves this module
+class InsufficientBalanceError extends Error {
+  constructor(uid: string) {
+    super(`${uid} cannot cover the stake`);
+  }
+}
+
+// Moves every player's stake and charge from their balance into escrow, in one
+// transaction: either all of them can cover it and all are held, or nothing
+// is. Returns false if anyone is short. Holding an escrow that is already
+// held changes nothing. `requireFunds: false` takes the stakes regardless.
+export const holdStakes = async (
+  escrowId: string,
+  uids: string[],
+  { amount, charge }: Stake,
+  { requireFunds = true }: { requireFunds?: boolean } = {},
+): Promise<boolean> => {
+  const total = amount + charge;
+  let held = false;
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      const existing = await Escrow.findOne({ escrowId }).session(session);
+      if (existing) {
+        held = existing.status === 'HELD';
+        return;
+      }
+
+      for (const uid of uids) {
+        const entries = await transfer(
+          {
+            type: LedgerEntryType.StakeHold,
+            from: uid,
+            to: SystemAccount.Escrow,
+            amount: total,
+            gameId: escrowId,
+          },
+          { session, requireFunds },
+        );
+        if (!entries) throw new InsufficientBalanceError(uid);
+      }
+
+      await Escrow.create(
+        [{ escrowId, holds: uids.map((uid) => ({ uid, amount, charge })) }],
+        { session },
+      );
+      held = true;
+    });
+  } catch (err) {
+    if (err instanceof InsufficientBalanceError) return false;
+    throw err;
+  }
+
+  return held;
+};
+
+interface SettleEscrowProps {
+  escrowId: string;
+  // Balance change per player against what they had before the stake was
+  // held, as settleGame works it out. Empty to refund everyone.
+  payouts: Record<string, number>;
+  points?: number;
+  winner?: string | null;
+}
+
+// Pays out an escrow in one transaction. Each player gets back their stake
+// and charge plus their payout, and whatever is left goes to the house as the
+// charge. A settled game also counts towards every player's record; a refund
+// does not. The escrow is marked settled in the same transaction, so a retry
+// pays nothing twice and returns the payouts already made. Returns null when
+// nothing was held under `escrowId`.
+export const settleEscrow = async ({
+  escrowId,
+  payouts,
+  points = 0,
+  winner = null,
+}: SettleEscrowProps): Promise<Record<string, number> | null> => {
+  let settled: Record<string, number> | null = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    settled = null;
+    const escrow = await Escrow.findOne({ escrowId }).session(session);
+    if (!escrow) return;
+
+    if (escrow.status !== 'HELD') {
+      settled = Object.fromEntries(escrow.payouts || []);
+      return;
+    }
+
+    const refund = Object.keys(payouts).length === 0;
+    const applied: Record<string, number> = Object.fromEntries(
+      escrow.holds.map(({ uid }) => [uid, payouts[uid] ?? 0]),
+    );
+    const houseCut = -Object.values(applied).reduce(
+      (sum, payout) => sum + payout,
+      0,
+    );
+    if (houseCut < 0) {
+      throw new Error(`Escrow ${escrowId} cannot pay out more than it holds`);
+    }
+
+    escrow.status = refund ? 'REFUNDED' : 'SETTLED';
+    escrow.set('payouts', applied);
+    escrow.houseCut = houseCut;
+    escrow.settledAt = new Date();
+    await escrow.save({ session });
+
+    // Up to what they put in comes back as their stake, anything more is won
+    for (const { uid, amount, charge } of escrow.holds) {
+      const credit = amount + charge + applied[uid];
+      const release = Math.min(credit, amount + charge);
+      const movements: [LedgerEntryType, number][] = [
+        [LedgerEntryType.StakeRelease, release],
+        [LedgerEntryType.Win, credit - release],
+      ];
+      for (const [type, value] of movements) {
+        await transfer(
+          { type, from: SystemAccount.Escrow, to: uid, amount: value, gameId: escrowId },
+          { session },
+        );
+      }
+    }
+    await transfer(
+      {
+        type: LedgerEntryType.Charge,
+        from: SystemAccount.Escrow,
+        to: SystemAccount.House,
+        amount: houseCut,
+        gameId: escrowId,
+      },
+      { session },
+    );
+
+    if (!refund) {
+      const users = await User.find({
+        uid: { $in: escrow.holds.map(({ uid }) => uid) },
+      }).session(session);
+
+      for (const user of users) {
+        user.points += points;
+        user.gamesPlayed += 1;
+        if (user.uid === winner) user.gamesWon += 1;
+        user.winRate = Math.round((user.gamesWon / user.gamesPlayed) * 100);
+        user.lastPlayed = new Date();
+        await user.save({ session });
+      }
+    }
+
+    settled = applied;
+  });
+
+  return settled;
+};
+
+// Gives everyone their stake and charge back, e.g. when a game that stakes
+// were held for is never dealt
+export const refundEscrow = (escrowId: string) =>
+  settleEscrow({ escrowId, payouts: {} });
@@ -0,0 +1,114 @@
+import {
+  createSeededRandom,
+  dealGame,
+  getReshuffleRandom,
+  hashSeed,
+  publicFairness,
+  sanitizeClientSeed,
+  verifyDeal,
+} from './fairness';
+import { DealRule } from './cardUtils';
+
+describe('fairness', () => {
+  const seats = ['player1', 'player2'];
+  const clientSeeds = { player1: 'lucky', player2: 'seven' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should produce the same numbers for the same seeds', () => {
+    const a = createSeededRandom('server', 'client', 0);
+    const b = createSeededRandom('server', 'client', 0);
+    const values = Array.from({ length: 20 }, () => a());
+
+    expect(values).toEqual(Array.from({ length: 20 }, () => b()));
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should change the numbers with any seed or the nonce', () => {
+    const first = createSeededRandom('server', 'client', 0)();
+
+    expect(createSeededRandom('other', 'client', 0)()).not.toBe(first);
+    expect(createSeededRandom('server', 'other', 0)()).not.toBe(first);
+    expect(createSeededRandom('server', 'client', 1)()).not.toBe(first);
+  });
+
+  test('should publish the hash of the server seed and keep the seed back', () => {
+    const { fairness } = dealGame(seats, 'server', clientSeeds);
+
+    expect(fairness.serverSeedHash).toBe(hashSeed('server'));
+    expect(publicFairness(fairness)).toEqual({
+      serverSeedHash: hashSeed('server'),
+      clientSeeds,
+      unseededSeats: [],
+      dealRule: DealRule.SpecialCardSplit,
+    });
+  });
+
+  test('should list players who sent no seed instead of inventing one', () => {
+    const { fairness } = dealGame(seats, 'server', { player1: 'lucky' });
+
+    expect(fairness.clientSeeds).toEqual({ player1: 'lucky' });
+    expect(fairness.unseededSeats).toEqual(['player2']);
+    expect(verifyDeal(fairness).hashMatches).toBe(true);
+  });
+
+  test.each([
+    ['two players', seats],
+    ['a table', ['player1', 'player2', 'player3', 'player4']],
+  ])('should rebuild the deal of %s from the revealed seeds', (_, table) => {
+    const { deck, playerHands, cuttingCard, fairness } = dealGame(
+      table,
+      'server',
+      clientSeeds,
+    );
+    const verification = verifyDeal(fairness);
+
+    expect(verification.hashMatches).toBe(true);
+    expect(verification.playerHands).toEqual(playerHands);
+    expect(verification.cuttingCard).toEqual(cuttingCard);
+    expect(verification.deck).toEqual(deck);
+  });
+
+  test('should keep all 54 cards in a two player deal', () => {
+    const { deck, playerHands, cuttingCard } = dealGame(seats, 'server');
+    const cards = [...deck, ...Object.values(playerHands).flat(), cuttingCard];
+
+    expect(new Set(cards.map(({ v, s }) => `${v}${s}`)).size).toBe(54);
+    expect(cuttingCard.v).not.toBe(7);
+  });
+
+  test('should flag a server seed that does not match the hash', () => {
+    const { fairness } = dealGame(seats, 'server', clientSeeds);
+
+    expect(verifyDeal({ ...fairness, serverSeed: 'swapped' }).hashMatches).toBe(
+      false,
+    );
+  });
+
+  test('should seed each reshuffle separately', () => {
+    const { fairness } = dealGame(seats, 'server', clientSeeds);
+
+    expect(getReshuffleRandom(fairness, 1)()).toBe(
+      getReshuffleRandom(fairness, 1)(),
+    );
+    expect(getReshuffleRandom(fairness, 1)()).not.toBe(
+      getReshuffleRandom(fairness, 2)(),
+    );
+    expect(getReshuffleRandom(undefined, 1)).toBe(Math.random);
+  });
+
+  test('should only accept string client seeds', () => {
+    expect(sanitizeClientSeed(42)).toBeUndefined();
+    expect(sanitizeClientSeed('')).toBeUndefined();
+    expect(sanitizeClientSeed('x'.repeat(100))).toHaveLength(64);
+  });
+});
@@ -0,0 +1,125 @@
+import { createHash, createHmac, randomBytes } from 'node:crypto';
+import { DeckInitializationResult, initializeDeck } from './cardUtils';
+
+// Nonce of the opening deal; reshuffles during the game use 1, 2, 3...
+export const DEAL_NONCE = 0;
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+// Everything needed to rebuild a game's deal. The server seed is kept secret
+// until the game ends; players only see its hash before then.
+export interface GameFairness {
+  serverSeed: string;
+  serverSeedHash: string;
+  clientSeeds: Record<string, string>; // Only the seeds players sent
+  // Players who sent no seed, so only the server's seed stands for them.
+  // Missing from games dealt before it was recorded.
+  unseededSeats?: string[];
+  seats: string[];
+  dealRule: string;
+  reshuffles: number;
+}
+
+export type FairnessReveal = Omit<GameFairness, 'dealRule' | 'reshuffles'> &
+  Partial<GameFairness>;
+
+export interface DealVerification extends DeckInitializationResult {
+  hashMatches: boolean;
+}
+
+export const generateSeed = (): string => randomBytes(32).toString('hex');
+
+export const hashSeed = (seed: string): string =>
+  createHash('sha256').update(seed).digest('hex');
+
+// Client seeds are plain strings chosen by the players; anything else is ignored
+export const sanitizeClientSeed = (seed: unknown): string | undefined =>
+  typeof seed === 'string' && seed.length > 0
+    ? seed.slice(0, MAX_CLIENT_SEED_LENGTH)
+    : undefined;
+
+// Every player's seed in seat order, so no single seed decides the deal
+export const combineClientSeeds = (
+  seats: string[],
+  clientSeeds: Record<string, string>,
+): string => seats.map((uid) => clientSeeds[uid] || '').join(':');
+
+// Uniform numbers in [0, 1) from HMAC-SHA256(serverSeed, clientSeed:nonce:round),
+// four bytes at a time
+export const createSeededRandom = (
+  serverSeed: string,
+  clientSeed: string,
+  nonce: number,
+): (() => number) => {
+  let round = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  return () => {
+    if (offset + 4 > block.length) {
+      block = createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${round++}`)
+        .digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value / 2 ** 32;
+  };
+};
+
+const randomFor = (
+  fairness: Pick<GameFairness, 'serverSeed' | 'clientSeeds' | 'seats'>,
+  nonce: number,
+) =>
+  createSeededRandom(
+    fairness.serverSeed,
+    combineClientSeeds(fairness.seats, fairness.clientSeeds),
+    nonce,
+  );
+
+// Deals a new game from the committed server seed and the players' seeds.
+// A player who sent no seed adds nothing to the deal, and is listed as such
+// rather than given a seed they never chose.
+export const dealGame = (
+  seats: string[],
+  serverSeed: string = generateSeed(),
+  clientSeeds: Record<string, string> = {},
+): DeckInitializationResult & { fairness: GameFairness } => {
+  const seeded = seats.filter((uid) => clientSeeds[uid]);
+  const fairness = {
+    serverSeed,
+    serverSeedHash: hashSeed(serverSeed),
+    clientSeeds: Object.fromEntries(
+      seeded.map((uid) => [uid, clientSeeds[uid]]),
+    ),
+    unseededSeats: seats.filter((uid) => !clientSeeds[uid]),
+    seats,
+    reshuffles: 0,
+  };
+  const deal = initializeDeck(seats, randomFor(fairness, DEAL_NONCE));
+
+  return { ...deal, fairness: { ...fairness, dealRule: deal.dealRule } };
+};
+
+// Random source for the nth reshuffle of the played cards
+export const getReshuffleRandom = (
+  fairness: GameFairness | undefined,
+  reshuffle: number,
+): (() => number) =>
+  fairness ? randomFor(fairness, DEAL_NONCE + reshuffle) : Math.random;
+
+// What players may see while the game is running
+export const publicFairness = (fairness: GameFairness) => ({
+  serverSeedHash: fairness.serverSeedHash,
+  clientSeeds: fairness.clientSeeds,
+  unseededSeats: fairness.unseededSeats,
+  dealRule: fairness.dealRule,
+});
+
+// Rebuilds the opening deal from revealed seeds and checks the server seed
+// against the hash published when the game started
+export const verifyDeal = (reveal: FairnessReveal): DealVerification => ({
+  hashMatches: hashSeed(reveal.serverSeed) === reveal.serverSeedHash,
+  ...initializeDeck(reveal.seats, randomFor(reveal, DEAL_NONCE)),
+});
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import {
+  LedgerEntryType,
+  SystemAccount,
+  openLedgers,
+  reconcileBalance,
+  transfer,
+} from './ledger';
+import LedgerEntry from '../models/LedgerEntry';
+import HouseAccount from '../models/HouseAccount';
+import User from '../models/User';
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn(),
+}));
+jest.mock('../models/HouseAccount', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../models/LedgerEntry', () => ({
+  create: jest.fn(),
+  aggregate: jest.fn(),
+  distinct: jest.fn(),
+  exists: jest.fn(),
+}));
+
+describe('ledger', () => {
+  const session = { id: 'session' };
+  let balances: Record<string, number>;
+  let system: Record<string, number>;
+  let entries: Record<string, unknown>[];
+
+  const deposit = (amount: number) => ({
+    type: LedgerEntryType.Deposit,
+    from: SystemAccount.External,
+    to: 'alice',
+    amount,
+    transactionId: 't1',
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    balances = { alice: 500 };
+    system = {};
+    entries = [];
+
+    jest
+      .spyOn(mongoose.connection, 'transaction')
+      .mockImplementation((async (fn: (s: unknown) => Promise<unknown>) =>
+        fn(session)) as never);
+
+    (User.findOneAndUpdate as jest.Mock).mockImplementation(
+      async ({ uid, balance }, { $inc }) => {
+        if (!(uid in balances) || balances[uid] < (balance?.$gte ?? -Infinity)) {
+          return null;
+        }
+        balances[uid] += $inc.balance;
+        return { uid, balance: balances[uid] };
+      },
+    );
+    (HouseAccount.findOneAndUpdate as jest.Mock).mockImplementation(
+      async ({ accountId }, { $inc }) => {
+        system[accountId] = (system[accountId] || 0) + $inc.balance;
+        return { accountId, balance: system[accountId] };
+      },
+    );
+    (LedgerEntry.create as jest.Mock).mockImplementation(async (docs) => {
+      entries.push(...docs);
+      return docs;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transfer', () => {
+    test('should move the money and record both sides', async () => {
+      const posted = await transfer(deposit(1000), {
+        session: session as never,
+      });
+
+      expect(balances.alice).toBe(1500);
+      expect(system.EXTERNAL).toBe(-1000);
+      expect(posted).toEqual([
+        expect.objectContaining({
+          account: 'EXTERNAL',
+          counterparty: 'alice',
+          amount: -1000,
+          balanceAfter: -1000,
+          type: 'DEPOSIT',
+          transactionId: 't1',
+          gameId: null,
+        }),
+        expect.objectContaining({
+          account: 'alice',
+          counterparty: 'EXTERNAL',
+          amount: 1000,
+          balanceAfter: 1500,
+        }),
+      ]);
+      expect(posted![0].postingId).toBe(posted![1].postingId);
+    });
+
+    test('should run in a transaction of its own without a session', async () => {
+      await transfer(deposit(1000));
+
+      expect(mongoose.connection.transaction).toHaveBeenCalledTimes(1);
+      expect(LedgerEntry.create).toHaveBeenCalledWith(expect.any(Array), {
+        session,
+        ordered: true,
+      });
+    });
+
+    test('should move nothing when a player cannot cover it', async () => {
+      const posted = await transfer({
+        type: LedgerEntryType.Withdrawal,
+        from: 'alice',
+        to: SystemAccount.External,
+        amount: 600,
+      });
+
+      expect(posted).toBeNull();
+      expect(balances.alice).toBe(500);
+      expect(system).toEqual({});
+      expect(entries).toEqual([]);
+    });
+
+    test('should let a player go below zero when funds are not required', async () => {
+      await transfer(
+        {
+          type: LedgerEntryType.Withdrawal,
+          from: 'alice',
+          to: SystemAccount.External,
+          amount: 600,
+        },
+        { requireFunds: false },
+      );
+
+      expect(balances.alice).toBe(-100);
+      expect(entries).toHaveLength(2);
+    });
+
+    test('should record nothing for a zero amount and refuse a negative one', async () => {
+      expect(await transfer(deposit(0))).toEqual([]);
+      await expect(transfer(deposit(-5))).rejects.toThrow('Cannot transfer -5');
+      expect(entries).toEqual([]);
+    });
+
+    test('should refuse to pay a player who does not exist', async () => {
+      await expect(transfer({ ...deposit(10), to: 'nobody' })).rejects.toThrow(
+        'No account nobody',
+      );
+    });
+  });
+
+  test('should reconcile the cached balance against the ledger', async () => {
+    (User.findOne as jest.Mock).mockReturnValue({
+      lean: async () => ({ uid: 'alice', balance: 500 }),
+    });
+    (LedgerEntry.aggregate as jest.Mock).mockResolvedValue([{ balance: 450 }]);
+
+    expect(await reconcileBalance('alice')).toEqual({
+      balance: 500,
+      ledger: 450,
+      difference: 50,
+    });
+  });
+
+  test('should open the ledger of a balance from before it', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    (LedgerEntry.distinct as jest.Mock).mockResolvedValue(['bob']);
+    (User.find as jest.Mock).mockReturnValue({
+      lean: async () => [{ uid: 'alice' }],
+    });
+    (LedgerEntry.exists as jest.Mock).mockReturnValue({
+      session: async () => null,
+    });
+    (User.findOne as jest.Mock).mockReturnValue({
+      session: async () => ({ uid: 'alice', balance: 500 }),
+    });
+
+    expect(await openLedgers()).toBe(1);
+
+    expect(User.find).toHaveBeenCalledWith(
+      { uid: { $nin: ['bob'] }, balance: { $ne: 0 } },
+      'uid',
+    );
+    expect(balances.alice).toBe(500);
+    expect(system.ADJUSTMENTS).toBe(-500);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        account: 'ADJUSTMENTS',
+        amount: -500,
+        type: 'ADJUSTMENT',
+        description: 'Opening balance',
+      }),
+      expect.objectContaining({ account: 'alice', amount: 500, balanceAfter: 500 }),
+    ]);
+  });
+});
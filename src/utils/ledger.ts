@@ -0,0 +1,195 @@
+import { randomUUID } from 'node:crypto';
+import mongoose, { ClientSession } from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry';
+import HouseAccount from '../models/HouseAccount';
+import User from '../models/User';
+
+export enum LedgerEntryType {
+  Deposit = 'DEPOSIT',
+  Withdrawal = 'WITHDRAWAL',
+  StakeHold = 'STAKE_HOLD',
+  StakeRelease = 'STAKE_RELEASE',
+  Win = 'WIN', // Winnings on top of the stake released
+  Charge = 'CHARGE',
+  Bonus = 'BONUS',
+  Adjustment = 'ADJUSTMENT',
+}
+
+// Accounts that belong to the system rather than a player. Their balances are
+// cached in HouseAccount.
+export enum SystemAccount {
+  House = 'HOUSE', // Game charges
+  Escrow = 'ESCROW', // Stakes of games being played
+  External = 'EXTERNAL', // Mobile money, where deposits come from and withdrawals go
+  Promotions = 'PROMOTIONS', // Bonuses
+  Adjustments = 'ADJUSTMENTS', // Manual corrections and opening balances
+}
+
+export interface Transfer {
+  type: LedgerEntryType;
+  from: string; // A player's uid or a SystemAccount
+  to: string;
+  amount: number;
+  transactionId?: string;
+  gameId?: string;
+  description?: string;
+}
+
+interface TransferOptions {
+  session?: ClientSession; // A transaction of its own when not given
+  requireFunds?: boolean; // Refuse to take a player below zero; true by default
+}
+
+type Entry = InstanceType<typeof LedgerEntry>;
+
+const isSystemAccount = (account: string): boolean =>
+  (Object.values(SystemAccount) as string[]).includes(account);
+
+// Applies a change to an account's cached balance. Returns the new balance, or
+// null when there is no such player or they cannot cover it.
+const applyToAccount = async (
+  account: string,
+  change: number,
+  session: ClientSession,
+  requireFunds: boolean,
+): Promise<number | null> => {
+  if (isSystemAccount(account)) {
+    const house = await HouseAccount.findOneAndUpdate(
+      { accountId: account },
+      { $inc: { balance: change } },
+      { upsert: true, new: true, session },
+    );
+    return house.balance;
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      uid: account,
+      ...(requireFunds && change < 0 ? { balance: { $gte: -change } } : {}),
+    },
+    { $inc: { balance: change } },
+    { new: true, session },
+  );
+  return user ? user.balance : null;
+};
+
+// Writes both sides of a posting, given the balances they leave behind
+const recordPosting = (
+  { type, from, to, amount, transactionId, gameId, description = '' }: Transfer,
+  [debited, credited]: [number, number],
+  session: ClientSession,
+): Promise<Entry[]> => {
+  const posting = {
+    postingId: randomUUID(),
+    type,
+    transactionId: transactionId ?? null,
+    gameId: gameId ?? null,
+    description,
+  };
+  return LedgerEntry.create(
+    [
+      {
+        ...posting,
+        account: from,
+        counterparty: to,
+        amount: -amount,
+        balanceAfter: debited,
+      },
+      {
+        ...posting,
+        account: to,
+        counterparty: from,
+        amount,
+        balanceAfter: credited,
+      },
+    ],
+    { session, ordered: true },
+  );
+};
+
+// Moves money between two accounts and records the posting. Returns its two
+// entries, debit first, or null if the player debited cannot cover it, in
+// which case nothing moves. A zero amount moves nothing and records nothing.
+export const transfer = async (
+  movement: Transfer,
+  { session, requireFunds = true }: TransferOptions = {},
+): Promise<Entry[] | null> => {
+  if (!session) {
+    let entries: Entry[] | null = null;
+    await mongoose.connection.transaction(async (own) => {
+      entries = await transfer(movement, { session: own, requireFunds });
+    });
+    return entries;
+  }
+
+  const { from, to, amount } = movement;
+  if (!(amount >= 0)) throw new Error(`Cannot transfer ${amount}`);
+  if (amount === 0) return [];
+
+  const debited = await applyToAccount(from, -amount, session, requireFunds);
+  if (debited === null) return null;
+  const credited = await applyToAccount(to, amount, session, false);
+  if (credited === null) throw new Error(`No account ${to}`);
+
+  return recordPosting(movement, [debited, credited], session);
+};
+
+// What an account's balance should be: the sum of its entries
+export const getLedgerBalance = async (account: string): Promise<number> => {
+  const [total] = await LedgerEntry.aggregate([
+    { $match: { account } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } },
+  ]);
+  return total?.balance ?? 0;
+};
+
+// Compares a player's cached balance with their ledger. Anything but a zero
+// difference means the balance was changed without a posting.
+export const reconcileBalance = async (uid: string) => {
+  const [user, ledger] = await Promise.all([
+    User.findOne({ uid }).lean(),
+    getLedgerBalance(uid),
+  ]);
+  const balance = user?.balance ?? 0;
+  return { balance, ledger, difference: balance - ledger };
+};
+
+// Puts balances from before the ledger on it: every player with money and no
+// entries gets an opening ADJUSTMENT for what they hold, leaving the balance
+// itself as it is. Run at boot.
+export const openLedgers = async (): Promise<number> => {
+  const onLedger = await LedgerEntry.distinct('account');
+  const users = await User.find(
+    { uid: { $nin: onLedger }, balance: { $ne: 0 } },
+    'uid',
+  ).lean();
+
+  for (const { uid } of users) {
+    await mongoose.connection.transaction(async (session) => {
+      if (await LedgerEntry.exists({ account: uid }).session(session)) return;
+      const user = await User.findOne({ uid }).session(session);
+      if (!user?.balance) return;
+
+      const adjustments = await applyToAccount(
+        SystemAccount.Adjustments,
+        -user.balance,
+        session,
+        false,
+      );
+      await recordPosting(
+        {
+          type: LedgerEntryType.Adjustment,
+          from: SystemAccount.Adjustments,
+          to: uid,
+          amount: user.balance,
+          description: 'Opening balance',
+        },
+        [adjustments!, user.balance],
+        session,
+      );
+    });
+  }
+
+  console.log(`Opened ${users.length} ledger(s)`);
+  return users.length;
+};
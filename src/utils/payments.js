@@ -1,6 +1,7 @@
 import axios from 'axios';
 import User from '../models/User';
 import Transaction from '../models/Transaction';
+import { LedgerEntryType, SystemAccount, transfer } from './ledger';
 
 const formatMsisdn = (phone) => {
   if (phone.startsWith('0')) {
@@ -157,11 +158,18 @@ export const sendPayment = async (
       { headers }
     );
 
-    // 6. Update user balance AFTER successful payment
-    await User.findOneAndUpdate(
-      { uid: userUID },
-      { $inc: { balance: -amount } },
-      { new: true }
+    // 6. Update user balance AFTER successful payment. The money has left,
+    // so it is recorded even if the balance no longer covers it.
+    await transfer(
+      {
+        type: LedgerEntryType.Withdrawal,
+        from: userUID,
+        to: SystemAccount.External,
+        amount,
+        transactionId: reference,
+        description,
+      },
+      { requireFunds: false }
     );
 
     console.log('=====response.data======',  response.data);
@@ -0,0 +1,56 @@
+import { GameOutcome, settleGame, splitPot } from './settlement';
+
+describe('splitPot', () => {
+  test('should pay the whole pot to the winner of a two player game', () => {
+    expect(splitPot(['a', 'b'], 1000, 50)).toEqual({ a: 950, b: -1050 });
+  });
+
+  test('should hand back each stake, less the charge, on a two player draw', () => {
+    expect(splitPot(['a', 'b'], 1000, 50, ['a', 'b'])).toEqual({
+      a: -50,
+      b: -50,
+    });
+  });
+
+  test('should let drawn players share the places they hold', () => {
+    // Pot of 4000 pays 2800 and 1200; a and b share both places
+    expect(splitPot(['a', 'b', 'c', 'd'], 1000, 0, ['a', 'b'])).toEqual({
+      a: 1000,
+      b: 1000,
+      c: -1000,
+      d: -1000,
+    });
+  });
+
+  test('should give the first drawn player any rounding leftover', () => {
+    const payouts = splitPot(['a', 'b', 'c'], 333, 0, ['a', 'b']);
+
+    expect(payouts).toEqual({ a: 167, b: 166, c: -333 });
+    expect(Object.values(payouts).reduce((sum, change) => sum + change, 0)).toBe(0);
+  });
+});
+
+describe('settleGame', () => {
+  const ranking = ['a', 'b'];
+
+  test('should split the pot for a win', () => {
+    expect(settleGame(GameOutcome.WIN, ranking, 1000, 50)).toEqual({
+      a: 950,
+      b: -1050,
+    });
+  });
+
+  test.each([GameOutcome.ABORTED_BEFORE_START, GameOutcome.SERVER_ERROR])(
+    'should refund everything for %s',
+    (outcome) => {
+      expect(settleGame(outcome, ranking, 1000, 50)).toEqual({ a: 0, b: 0 });
+    },
+  );
+
+  test('should only take the charge on mutual agreement', () => {
+    expect(settleGame(GameOutcome.MUTUAL_AGREEMENT, ranking, 1000, 50)).toEqual({
+      a: -50,
+      b: -50,
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// Share of the pot paid to each finishing place, by number of players settled
+const POT_SHARES: Record<number, number[]> = {
+  2: [1],
+  3: [1],
+  4: [0.7, 0.3],
+  5: [0.7, 0.3],
+  6: [0.6, 0.3, 0.1],
+};
+
+// Balance change for every ranked player: each pays their stake plus the
+// charge into the pot, which is split down the ranking. Rounding leftovers go
+// to the winner so the pot always pays out in full. Players who drew lead the
+// ranking and share the payouts of the places they hold equally.
+export function splitPot(
+  ranking: string[],
+  amount: number,
+  charge: number,
+  tied: string[] = [],
+): Record<string, number> {
+  const pot = amount * ranking.length;
+  const shares = POT_SHARES[ranking.length] || [1];
+  const payouts = ranking.map((uid, place) => Math.floor(pot * (shares[place] || 0)));
+  payouts[0] += pot - payouts.reduce((sum, payout) => sum + payout, 0);
+
+  if (tied.length > 1) {
+    const shared = payouts
+      .slice(0, tied.length)
+      .reduce((sum, payout) => sum + payout, 0);
+    const each = Math.floor(shared / tied.length);
+    payouts.fill(each, 0, tied.length);
+    payouts[0] += shared - each * tied.length;
+  }
+
+  return Object.fromEntries(
+    ranking.map((uid, place) => [
+      uid,
+      (payouts[place] || 0) - amount - charge,
+    ]),
+  );
+}
+
+// How a game ended, as far as money is concerned
+export const GameOutcome = {
+  WIN: 'WIN',
+  DRAW: 'DRAW',
+  ABORTED_BEFORE_START: 'ABORTED_BEFORE_START', // Ended before anyone moved
+  SERVER_ERROR: 'SERVER_ERROR', // The server could not carry the game on
+  MUTUAL_AGREEMENT: 'MUTUAL_AGREEMENT', // Every player agreed to stop
+} as const;
+
+export type GameOutcome = (typeof GameOutcome)[keyof typeof GameOutcome];
+
+export const SettlementRule = {
+  SPLIT: 'SPLIT', // The pot is paid down the ranking, see splitPot
+  CHARGE_ONLY: 'CHARGE_ONLY', // Stakes come back, the charge is kept
+  FULL_REFUND: 'FULL_REFUND', // Nobody pays anything
+} as const;
+
+export type SettlementRule = (typeof SettlementRule)[keyof typeof SettlementRule];
+
+export const OUTCOME_SETTLEMENT: Record<GameOutcome, SettlementRule> = {
+  WIN: SettlementRule.SPLIT,
+  DRAW: SettlementRule.SPLIT,
+  ABORTED_BEFORE_START: SettlementRule.FULL_REFUND,
+  SERVER_ERROR: SettlementRule.FULL_REFUND,
+  MUTUAL_AGREEMENT: SettlementRule.CHARGE_ONLY,
+};
+
+// Balance change for every ranked player under the outcome's settlement rule
+export function settleGame(
+  outcome: GameOutcome,
+  ranking: string[],
+  amount: number,
+  charge: number,
+  tied: string[] = [],
+): Record<string, number> {
+  switch (OUTCOME_SETTLEMENT[outcome]) {
+    case SettlementRule.SPLIT:
+      return splitPot(ranking, amount, charge, tied);
+    case SettlementRule.CHARGE_ONLY:
+      return Object.fromEntries(ranking.map((uid) => [uid, -charge]));
+    default:
+      return Object.fromEntries(ranking.map((uid) => [uid, 0]));
+  }
+}
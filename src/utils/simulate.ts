@@ -0,0 +1,72 @@
+// Self-play through the real deal and rules engine, for rule and deal balance:
+//   yarn simulate --games 5000 --players HARD,EASY --rules JOKERS_3 --seed x
+// --players takes one bot difficulty per seat (MEDIUM,MEDIUM by default);
+// --json prints the raw report.
+import { parseArgs } from 'node:util';
+import { runSimulation, SimulationReport } from './simulation';
+import { BotDifficulty } from '../../rules/bot';
+import { getRulesProfile } from '../../rules/profiles';
+import { MAX_TABLE_SIZE, MIN_TABLE_SIZE } from './cardUtils';
+
+const { values } = parseArgs({
+  options: {
+    games: { type: 'string', default: '1000' },
+    players: { type: 'string', default: 'MEDIUM,MEDIUM' },
+    rules: { type: 'string' },
+    seed: { type: 'string', default: 'simulation' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+const fail = (message: string): never => {
+  console.error(message);
+  process.exit(1);
+};
+
+const games = Number(values.games);
+const strategies = values.players.split(',').map((s) => s.trim().toUpperCase());
+const rules = getRulesProfile(values.rules);
+
+if (!Number.isInteger(games) || games < 1) fail('--games must be a positive number');
+if (strategies.some((s) => !Object.values(BotDifficulty).includes(s))) {
+  fail(`--players takes ${Object.values(BotDifficulty).join(', ')}`);
+}
+if (strategies.length < MIN_TABLE_SIZE || strategies.length > MAX_TABLE_SIZE) {
+  fail(`--players needs ${MIN_TABLE_SIZE} to ${MAX_TABLE_SIZE} bots`);
+}
+if (!rules) fail(`Unknown rules profile ${values.rules}`);
+
+const percent = (share: number) => `${(share * 100).toFixed(1)}%`;
+
+const print = (report: SimulationReport) => {
+  const { firstMover, length } = report;
+  console.log(
+    `${report.games} games (${report.draws} drawn, ${report.stalled} stalled), rules ${rules!.id}`,
+  );
+  console.log(
+    `First mover won ${percent(firstMover.winRate)} of ${firstMover.games} decided games (fair share ${percent(firstMover.expected)})`,
+  );
+  console.log('Win rate by player:');
+  for (const [player, { games: played, winRate }] of Object.entries(report.byStrategy)) {
+    console.log(`  ${player}: ${percent(winRate)} of ${played}`);
+  }
+  console.log('Win rate by opening hand:');
+  for (const [hand, { games: dealt, winRate }] of Object.entries(report.byHand)) {
+    console.log(`  ${hand}: ${percent(winRate)} of ${dealt} hands`);
+  }
+  console.log('Endings:');
+  for (const [reason, share] of Object.entries(report.endings)) {
+    console.log(`  ${reason}: ${percent(share)}`);
+  }
+  console.log(
+    `Game length in turns: mean ${length.mean.toFixed(1)}, median ${length.median}, p90 ${length.p90}, max ${length.max}`,
+  );
+};
+
+const report = runSimulation({ games, strategies, rules: rules!, seed: values.seed });
+
+if (values.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  print(report);
+}
@@ -0,0 +1,95 @@
+import {
+  HandComposition,
+  playGame,
+  runSimulation,
+  SimulatedGame,
+  STALLED,
+  summarizeGames,
+} from './simulation';
+
+describe('simulation', () => {
+  const strategies = ['MEDIUM', 'HARD'];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should replay the same games from the same seed', () => {
+    const a = runSimulation({ games: 10, strategies, seed: 'x' });
+    const b = runSimulation({ games: 10, strategies, seed: 'x' });
+
+    expect(a).toEqual(b);
+    expect(a.games).toBe(10);
+    expect(a.stalled).toBe(0);
+  });
+
+  test('should play every game to an end the engine accepts', () => {
+    for (let index = 0; index < 10; index++) {
+      const game = playGame(index, { strategies, seed: 'y' });
+
+      expect(['NO_CARDS', 'CUTTING_CARD']).toContain(game.reason);
+      expect(game.turns).toBeGreaterThan(0);
+    }
+  });
+
+  test('should rotate who moves first', () => {
+    expect(playGame(0, { strategies }).seats).toEqual(['P1', 'P2']);
+    expect(playGame(1, { strategies }).seats).toEqual(['P2', 'P1']);
+  });
+
+  test('should split jokers from twos and threes in a two-player deal', () => {
+    const { hands } = playGame(0, { strategies, seed: 'z' });
+
+    expect(Object.values(hands).sort()).toEqual([
+      HandComposition.Jokers,
+      HandComposition.PenaltyCards,
+    ]);
+  });
+
+  test('should give up on games that run past the turn limit', () => {
+    const game = playGame(0, { strategies, seed: 'y', maxTurns: 1 });
+
+    expect(game).toMatchObject({ reason: STALLED, winner: null, turns: 1 });
+  });
+
+  test('should report seat, player, hand, ending and length figures', () => {
+    const game = (overrides: Partial<SimulatedGame>): SimulatedGame => ({
+      seats: ['P1', 'P2'],
+      strategies: { P1: 'HARD', P2: 'EASY' },
+      hands: { P1: HandComposition.Jokers, P2: HandComposition.PenaltyCards },
+      winner: 'P1',
+      reason: 'NO_CARDS',
+      turns: 10,
+      ...overrides,
+    });
+
+    const report = summarizeGames([
+      game({}),
+      game({ seats: ['P2', 'P1'], reason: 'CUTTING_CARD', turns: 20 }),
+      game({ winner: 'P2', turns: 30 }),
+      game({ winner: null, turns: 40 }),
+      game({ winner: null, reason: STALLED, turns: 1000 }),
+    ]);
+
+    expect(report).toMatchObject({
+      games: 5,
+      draws: 1,
+      stalled: 1,
+      firstMover: { games: 3, wins: 1, expected: 0.5 },
+      byStrategy: {
+        'P1 (HARD)': { games: 4, wins: 2, winRate: 0.5 },
+        'P2 (EASY)': { games: 4, wins: 1, winRate: 0.25 },
+      },
+      byHand: {
+        JOKERS: { games: 4, wins: 2 },
+        PENALTY_CARDS: { games: 4, wins: 1 },
+      },
+      endings: { NO_CARDS: 0.75, CUTTING_CARD: 0.25 },
+      length: { mean: 25, median: 30, p90: 40, max: 40 },
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import { CardType, GameState, RulesProfile } from '../websocket/types';
+import { reshufflePlayedCards } from './cardUtils';
+import {
+  createSeededRandom,
+  dealGame,
+  getReshuffleRandom,
+  hashSeed,
+} from './fairness';
+import { applyAction } from '../../rules/engine';
+import { checkInvariants } from '../../rules/invariants';
+import { chooseMove } from '../../rules/bot';
+import { isJoker, isPenaltyCard } from '../../rules/rules';
+import { DEFAULT_RULES_PROFILE } from '../../rules/profiles';
+
+// Moves after which a game that has not ended is given up on
+const DEFAULT_MAX_TURNS = 1000;
+
+// What an opening hand holds of the cards the two-player deal splits up
+export enum HandComposition {
+  Jokers = 'JOKERS',
+  PenaltyCards = 'PENALTY_CARDS', // Twos and threes under the standard rules
+  Both = 'BOTH',
+  Neither = 'NEITHER',
+}
+
+export interface SimulationOptions {
+  games: number;
+  strategies: string[]; // One BotDifficulty per player; the table size
+  rules?: RulesProfile;
+  seed?: string; // Same seed, same games
+  maxTurns?: number;
+}
+
+export interface SimulatedGame {
+  seats: string[]; // Seat order of the game; the first seat moves first
+  strategies: Record<string, string>;
+  hands: Record<string, HandComposition>;
+  winner: string | null; // null for drawn and unfinished games
+  reason: string; // EndReason, or STALLED when maxTurns ran out
+  turns: number;
+}
+
+interface Rate {
+  games: number;
+  wins: number;
+  winRate: number;
+}
+
+export interface SimulationReport {
+  games: number;
+  draws: number;
+  stalled: number;
+  firstMover: Rate & { expected: number }; // expected: 1 / table size
+  byStrategy: Record<string, Rate>; // Keyed by player, e.g. P1 (HARD)
+  byHand: Record<string, Rate>; // Keyed by HandComposition; games = hands dealt
+  endings: Record<string, number>; // Share of finished games per EndReason
+  length: { mean: number; median: number; p90: number; max: number };
+}
+
+export const STALLED = 'STALLED';
+
+const describeHand = (
+  hand: CardType[],
+  rules: RulesProfile,
+): HandComposition => {
+  const jokers = hand.some((card) => isJoker(card));
+  const penalty = hand.some(
+    (card) => !isJoker(card) && isPenaltyCard(card, rules),
+  );
+  if (jokers && penalty) return HandComposition.Both;
+  if (jokers) return HandComposition.Jokers;
+  if (penalty) return HandComposition.PenaltyCards;
+  return HandComposition.Neither;
+};
+
+// Plays game number `index` of a run from deal to finish: dealt by the
+// server's seeded deal, each move picked by the bots and checked by the engine
+export const playGame = (
+  index: number,
+  {
+    strategies,
+    rules = DEFAULT_RULES_PROFILE,
+    seed = '',
+    maxTurns = DEFAULT_MAX_TURNS,
+  }: Omit<SimulationOptions, 'games'>,
+): SimulatedGame => {
+  const players = strategies.map((_, i) => `P${i + 1}`);
+  // Every player takes every seat in turn, so seat effects and strategy
+  // effects can be told apart
+  const offset = index % players.length;
+  const seats = [...players.slice(offset), ...players.slice(0, offset)];
+
+  const serverSeed = hashSeed(`${seed}:${index}`);
+  const { deck, playerHands, cuttingCard, fairness } = dealGame(
+    seats,
+    serverSeed,
+    Object.fromEntries(seats.map((uid) => [uid, `simulation:${index}`])),
+  );
+  const random = createSeededRandom(serverSeed, 'bots', index);
+
+  let state = {
+    players: playerHands,
+    seats,
+    deck,
+    playedCards: [],
+    currentCard: null,
+    cuttingCard,
+    currentTurn: seats[0],
+    chosenSuit: null,
+    activePenaltyCount: 0,
+    pendingDraw: 0,
+    status: 'STARTED',
+    rules,
+  } as unknown as GameState;
+
+  const hands = Object.fromEntries(
+    players.map((uid) => [uid, describeHand(playerHands[uid], rules)]),
+  );
+
+  let reshuffles = 0;
+  const shuffle = (played: CardType[]): CardType[] =>
+    reshufflePlayedCards([], played, getReshuffleRandom(fairness, ++reshuffles))
+      .newDeck;
+
+  let turns = 0;
+  while (state.status !== 'FINISHED' && turns < maxTurns) {
+    const player = state.currentTurn;
+    const strategy = strategies[players.indexOf(player)];
+    const { cards, newSuit } = chooseMove(state, player, strategy, random);
+    if (cards.length === 0) break;
+
+    for (const action of cards) {
+      const result = applyAction(
+        state,
+        {
+          type: action.type,
+          player,
+          card: { v: action.v, s: action.s },
+          suit: newSuit,
+        },
+        { shuffle },
+      );
+      if (!result.valid) {
+        throw new Error(`Game ${index}: engine rejected a bot move: ${result.reason}`);
+      }
+      state = result.state as GameState;
+
+      const violations = checkInvariants(state);
+      if (violations.length) {
+        throw new Error(`Game ${index}: impossible state: ${violations.join('; ')}`);
+      }
+    }
+    turns += 1;
+  }
+
+  return {
+    seats,
+    strategies: Object.fromEntries(
+      players.map((uid, i) => [uid, strategies[i]]),
+    ),
+    hands,
+    winner: state.result?.winner ?? null,
+    reason: state.result?.reason ?? STALLED,
+    turns,
+  };
+};
+
+const rate = (games: number, wins: number): Rate => ({
+  games,
+  wins,
+  winRate: games ? wins / games : 0,
+});
+
+const percentile = (sorted: number[], p: number): number =>
+  sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+
+// Aggregates a run. Stalled games count towards nothing but `stalled`.
+export const summarizeGames = (games: SimulatedGame[]): SimulationReport => {
+  const finished = games.filter((game) => game.reason !== STALLED);
+  const decided = finished.filter((game) => game.winner);
+
+  const byStrategy: Record<string, Rate> = {};
+  const byHand: Record<string, Rate> = {};
+  const tally = (
+    rates: Record<string, Rate>,
+    key: string,
+    won: boolean,
+  ) => {
+    const { games: played, wins } = rates[key] || rate(0, 0);
+    rates[key] = rate(played + 1, wins + (won ? 1 : 0));
+  };
+
+  for (const game of finished) {
+    for (const uid of game.seats) {
+      const won = game.winner === uid;
+      tally(byStrategy, `${uid} (${game.strategies[uid]})`, won);
+      tally(byHand, game.hands[uid], won);
+    }
+  }
+
+  const endings: Record<string, number> = {};
+  for (const game of finished) {
+    endings[game.reason] = (endings[game.reason] || 0) + 1;
+  }
+  for (const reason of Object.keys(endings)) {
+    endings[reason] /= finished.length;
+  }
+
+  const lengths = finished.map((game) => game.turns).sort((a, b) => a - b);
+  const firstMoverWins = decided.filter(
+    (game) => game.winner === game.seats[0],
+  ).length;
+
+  return {
+    games: games.length,
+    draws: finished.length - decided.length,
+    stalled: games.length - finished.length,
+    firstMover: {
+      ...rate(decided.length, firstMoverWins),
+      expected: games.length ? 1 / games[0].seats.length : 0,
+    },
+    byStrategy,
+    byHand,
+    endings,
+    length: {
+      mean: lengths.length
+        ? lengths.reduce((sum, turns) => sum + turns, 0) / lengths.length
+        : 0,
+      median: percentile(lengths, 0.5),
+      p90: percentile(lengths, 0.9),
+      max: lengths.length ? lengths[lengths.length - 1] : 0,
+    },
+  };
+};
+
+export const runSimulation = ({
+  games,
+  ...options
+}: SimulationOptions): SimulationReport =>
+  summarizeGames(
+    Array.from({ length: games }, (_, index) => playGame(index, options)),
+  );
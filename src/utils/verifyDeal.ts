@@ -0,0 +1,36 @@
+// Offline check of a finished game's deal:
+//   yarn verify game-over.json
+// The file holds the GAME_OVER data (or just its `fairness` object).
+import { readFileSync } from 'node:fs';
+import { verifyDeal } from './fairness';
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: yarn verify <game-over.json>');
+  process.exit(1);
+}
+
+const data = JSON.parse(readFileSync(file, 'utf8'));
+const reveal = data.fairness || data;
+const { hashMatches, playerHands, cuttingCard, deck, dealRule } =
+  verifyDeal(reveal);
+
+console.log(`Deal rule: ${dealRule}`);
+console.log(
+  `Server seed ${hashMatches ? 'matches' : 'DOES NOT MATCH'} the published hash`,
+);
+// Games from before unseededSeats was recorded had a seed for every player
+const unseeded: string[] = reveal.unseededSeats || [];
+if (unseeded.length === reveal.seats.length) {
+  console.log('SERVER SEED ONLY: no player sent a seed for this deal');
+}
+for (const uid of reveal.seats) {
+  const seed = unseeded.includes(uid)
+    ? 'no seed sent, server seed only'
+    : `seed ${JSON.stringify(reveal.clientSeeds[uid])}`;
+  console.log(`${uid} [${seed}]: ${JSON.stringify(playerHands[uid])}`);
+}
+console.log(`Cutting card: ${JSON.stringify(cuttingCard)}`);
+console.log(`Deck (top last): ${JSON.stringify(deck)}`);
+
+process.exit(hashMatches ? 0 : 2);
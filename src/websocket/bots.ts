@@ -0,0 +1,68 @@
+import { gameStates, PLAY_TIMEOUT_DURATION } from './state';
+import { GameState, MoveData } from './types';
+import { chooseMove } from '../../rules/bot';
+import { endGame } from './handlers/endGame';
+import { GameOutcome } from '../utils/settlement';
+
+export const BOT_ID_PREFIX = 'bot:';
+
+const BOT_MIN_DELAY = 1000;
+const BOT_MAX_DELAY = 3000;
+
+type MoveApplier = (
+  gameState: GameState,
+  move: MoveData,
+) => { valid: boolean; reason?: string };
+
+export const isBot = (uid: string): boolean => uid.startsWith(BOT_ID_PREFIX);
+
+// Plays a bot's turn after a short pause, always well inside the turn timer.
+// The move goes through the same applyMove path as a player's MOVE message.
+export const scheduleBotTurn = (
+  gameState: GameState,
+  applyMove: MoveApplier,
+): void => {
+  const player = gameState.currentTurn;
+  const difficulty = gameState.bots?.[player];
+  if (!difficulty) return;
+
+  if (gameState.botTimeout) {
+    clearTimeout(gameState.botTimeout);
+  }
+
+  const delay = Math.min(
+    BOT_MIN_DELAY + Math.random() * (BOT_MAX_DELAY - BOT_MIN_DELAY),
+    PLAY_TIMEOUT_DURATION / 2,
+  );
+
+  gameState.botTimeout = setTimeout(() => {
+    gameState.botTimeout = null;
+
+    // The game may have ended or moved on while the bot was thinking
+    if (
+      gameStates.get(gameState.gameId) !== gameState ||
+      gameState.result ||
+      gameState.currentTurn !== player
+    ) {
+      return;
+    }
+
+    const { cards, newSuit } = chooseMove(gameState, player, difficulty);
+    const result = applyMove(gameState, {
+      gameId: gameState.gameId,
+      from: player,
+      cards,
+      newSuit,
+    });
+
+    // A bot the engine refuses would otherwise stall the game until it times out
+    if (!result.valid) {
+      console.error(`Bot ${player} made an invalid move: ${result.reason}`);
+      endGame({
+        gameId: gameState.gameId,
+        outcome: GameOutcome.SERVER_ERROR,
+        reason: 'BOT_ERROR',
+      });
+    }
+  }, delay);
+};
@@ -0,0 +1,47 @@
+import { PLAY_TIMEOUT_DURATION } from './state';
+import { GameState, TimeControl } from './types';
+
+// Fixed turns with a single warning, for levels and games without a clock
+export const DEFAULT_TIME_CONTROL: TimeControl = {
+  bank: null,
+  increment: 0,
+  warnings: [10000],
+};
+
+// Every seat starts with the full bank; fixed-turn games keep no clocks
+export const createClocks = (
+  seats: string[],
+  timeControl: TimeControl,
+): Record<string, number> | undefined => {
+  if (timeControl.bank === null) return undefined;
+  return Object.fromEntries(seats.map((uid) => [uid, timeControl.bank!]));
+};
+
+// Time `uid` gets for a turn: what is left of their bank, or the fixed turn time
+export const getTurnDuration = (
+  gameState: GameState,
+  uid: string = gameState.currentTurn,
+): number => gameState.clocks?.[uid] ?? PLAY_TIMEOUT_DURATION;
+
+// Stops the clock of `uid` after their move: the bank keeps whatever the turn
+// left unused, plus the increment. Returns true when the bank ran out during
+// the turn, so the player has lost on time and gets no increment; fixed turns
+// never run out.
+export const chargeClock = (
+  gameState: GameState,
+  uid: string,
+  now: number = Date.now(),
+): boolean => {
+  if (gameState.clocks?.[uid] === undefined) return false;
+
+  const left = gameState.turnExpiresAt
+    ? Math.max(0, gameState.turnExpiresAt - now)
+    : (gameState.turnRemaining ?? gameState.clocks[uid]);
+  // The flag falls before the increment could save it
+  if (left <= 0) {
+    gameState.clocks[uid] = 0;
+    return true;
+  }
+  gameState.clocks[uid] = left + (gameState.timeControl?.increment || 0);
+  return false;
+};
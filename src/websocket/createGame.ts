@@ -0,0 +1,82 @@
+import { dealGame } from '../utils/fairness';
+import { gameStates, playerGameMap } from './state';
+import { GameState, RulesProfile, TimeControl } from './types';
+import { generateId } from './wsUtil';
+import { saveGame } from './gameStore';
+import { logGameCreated } from './eventLog';
+import { createClocks } from './clock';
+
+interface CreateGameProps {
+  gameId?: string; // The id stakes were held under, if any
+  seats: string[]; // Seat order; the first seat moves first
+  stake: GameState['stake'];
+  isBattle?: boolean;
+  battleId?: string;
+  rules: RulesProfile;
+  timeControl: TimeControl;
+  meta: GameState['meta'];
+  serverSeed: string;
+  clientSeeds: Record<string, string>;
+  bots?: Record<string, string>; // Bot seats -> difficulty; makes it a practice game
+}
+
+// Deals a new game from the committed seeds, registers it and writes it
+// through. Callers tell the players.
+export const createGame = ({
+  gameId = generateId(),
+  seats,
+  stake,
+  isBattle = false,
+  battleId,
+  rules,
+  timeControl,
+  meta,
+  serverSeed,
+  clientSeeds,
+  bots,
+}: CreateGameProps): GameState => {
+  const { deck, playerHands, cuttingCard, fairness } = dealGame(
+    seats,
+    serverSeed,
+    clientSeeds,
+  );
+
+  const gameState: GameState = {
+    gameId,
+    players: playerHands,
+    seats,
+    status: 'ACTIVE',
+    userId: seats[0],
+    currentTurn: seats[0],
+    cuttingCard,
+    deck,
+    // Bots are always ready; the game starts once the players are
+    ready: new Set(Object.keys(bots || {})),
+    playedCards: [],
+    currentCard: null,
+    chosenSuit: null,
+    seq: 0,
+    createdAt: new Date(),
+    stake,
+    isBattle,
+    battleId,
+    fairness,
+    rules,
+    timeControl,
+    clocks: createClocks(seats, timeControl),
+    meta,
+    ...(bots && { isPractice: true, bots }),
+  };
+
+  console.log(
+    `Game ${gameId} dealt under ${rules.name} rules, server seed hash ${fairness.serverSeedHash}`,
+  );
+
+  // Update player-game mappings
+  seats.forEach((uid) => playerGameMap.set(uid, gameId));
+  gameStates.set(gameId, gameState);
+  logGameCreated(gameState);
+  saveGame(gameState);
+
+  return gameState;
+};
@@ -0,0 +1,93 @@
+import GameEvent from '../models/GameEvent';
+import { GameState } from './types';
+import { GameEvent as SequencedEvent } from './gameEvents';
+import { publicFairness } from '../utils/fairness';
+
+// Log entries that are not engine events
+export const LogEntryType = {
+  GAME_CREATED: 'GAME_CREATED',
+  GAME_STARTED: 'GAME_STARTED',
+  TURN_TIMED_OUT: 'TURN_TIMED_OUT',
+  PLAYER_DISCONNECTED: 'PLAYER_DISCONNECTED',
+  PLAYER_RECONNECTED: 'PLAYER_RECONNECTED',
+  INVARIANT_VIOLATED: 'INVARIANT_VIOLATED', // Diagnostic of a halted game
+  GAME_OVER: 'GAME_OVER',
+};
+
+// Latest pending append per game, so entries are written in log order
+const pendingAppends = new Map<string, Promise<void>>();
+
+// Appends one entry to the game's log. The entry is numbered straight away so
+// the order is fixed even while earlier writes are still in flight.
+export const appendGameLog = (
+  gameState: GameState,
+  type: string,
+  data: Record<string, unknown> = {},
+  seq?: number,
+): Promise<void> => {
+  const { gameId } = gameState;
+  const entry = {
+    gameId,
+    index: gameState.logSize || 0,
+    seq,
+    type,
+    data: structuredClone(data),
+    at: new Date(),
+  };
+  gameState.logSize = entry.index + 1;
+
+  const previous = pendingAppends.get(gameId) || Promise.resolve();
+  const append = previous
+    .then(() => GameEvent.create(entry))
+    .then(() => undefined)
+    .catch((err: unknown) => {
+      console.error(`Failed to log ${type} for game ${gameId}:`, err);
+    });
+
+  pendingAppends.set(gameId, append);
+  append.finally(() => {
+    if (pendingAppends.get(gameId) === append) pendingAppends.delete(gameId);
+  });
+
+  return append;
+};
+
+// Engine events are logged unredacted, drawn cards included
+export const logGameEvents = (
+  gameState: GameState,
+  events: SequencedEvent[],
+): void => {
+  for (const { seq, type, ...data } of events) {
+    appendGameLog(gameState, type, data, seq);
+  }
+};
+
+// The full deal, so a replay can start from the exact opening position
+export const logGameCreated = (gameState: GameState): void => {
+  appendGameLog(gameState, LogEntryType.GAME_CREATED, {
+    seats: gameState.seats,
+    players: gameState.players,
+    deck: gameState.deck,
+    cuttingCard: gameState.cuttingCard,
+    currentTurn: gameState.currentTurn,
+    stake: gameState.stake,
+    isBattle: gameState.isBattle,
+    isPractice: gameState.isPractice,
+    rules: gameState.rules,
+    fairness: gameState.fairness && publicFairness(gameState.fairness),
+  });
+};
+
+// Engine events after `afterSeq`, in order, read back once every pending write
+// for the game has landed
+export const getEventsSince = async (
+  gameId: string,
+  afterSeq: number,
+): Promise<SequencedEvent[]> => {
+  await pendingAppends.get(gameId);
+  const entries = await GameEvent.find({ gameId, seq: { $gt: afterSeq } })
+    .sort({ index: 1 })
+    .lean();
+
+  return entries.map(({ seq, type, data }) => ({ seq, type, ...data }));
+};
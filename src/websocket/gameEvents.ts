@@ -0,0 +1,78 @@
+import { WebSocketMessageType } from '../types/messageTypes';
+import { clients } from './state';
+import { GameState } from './types';
+import { sendToSpectators } from './spectators';
+import { EventType } from '../../rules/engine';
+
+// Event types are defined by the rules engine that produces them
+export const GameEventType = EventType;
+
+// An event as produced by the engine, before it is sequenced
+export interface GameEventData {
+  type: string;
+  [key: string]: unknown;
+}
+
+export interface GameEvent extends GameEventData {
+  seq: number;
+}
+
+// Stamps an event with the next sequence number of its game
+export const createGameEvent = (
+  gameState: GameState,
+  event: GameEventData,
+): GameEvent => {
+  gameState.seq = (gameState.seq || 0) + 1;
+  return { seq: gameState.seq, ...event };
+};
+
+// Drawn cards are only revealed to the player who drew them, and the order of
+// a reshuffled deck to nobody. Without a `uid` nothing drawn is revealed.
+export const redactGameEvent = (event: GameEvent, uid?: string): GameEvent => {
+  if (
+    (event.type === GameEventType.CARDS_DRAWN && event.player !== uid) ||
+    event.type === GameEventType.DECK_RESHUFFLED
+  ) {
+    const publicEvent = { ...event };
+    delete publicEvent.cards;
+    return publicEvent;
+  }
+  return event;
+};
+
+interface BroadcastGameEventsProps {
+  gameState: GameState;
+  events: GameEvent[];
+}
+
+// Sends the events of one transition to every player, redacted per recipient,
+// and later to spectators with every draw hidden
+export const broadcastGameEvents = ({
+  gameState,
+  events,
+}: BroadcastGameEventsProps): void => {
+  if (!events.length) return;
+
+  for (const uid of Object.keys(gameState.players)) {
+    const client = clients.get(uid);
+    if (client) {
+      client.ws.send(
+        JSON.stringify({
+          type: WebSocketMessageType.GAME_EVENTS,
+          data: {
+            gameId: gameState.gameId,
+            events: events.map((event) => redactGameEvent(event, uid)),
+          },
+        }),
+      );
+    }
+  }
+
+  sendToSpectators(gameState, {
+    type: WebSocketMessageType.GAME_EVENTS,
+    data: {
+      gameId: gameState.gameId,
+      events: events.map((event) => redactGameEvent(event)),
+    },
+  });
+};
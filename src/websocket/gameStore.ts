@@ -0,0 +1,61 @@
+import { GameState as GameStateModel } from '../models/GameState';
+import { GameState } from './types';
+
+// Latest pending write per game, so writes land in the order they were made
+const pendingWrites = new Map<string, Promise<void>>();
+
+// Plain copy of the game without its timers, ready to store
+const toDocument = (gameState: GameState) => {
+  const document: Record<string, unknown> = {
+    ...gameState,
+    ready: [...gameState.ready],
+  };
+  delete document.waitTimeout;
+  delete document.moveTimeout;
+  delete document.botTimeout;
+  delete document.graceTimeouts;
+  delete document.warningTimeouts;
+  delete document.spectators;
+
+  return structuredClone(document);
+};
+
+// Writes the game through to MongoDB. Failures are logged and the game carries
+// on from memory; the next transition writes the whole state again.
+export const saveGame = (gameState: GameState): Promise<void> => {
+  const { gameId } = gameState;
+  const document = toDocument(gameState);
+  const previous = pendingWrites.get(gameId) || Promise.resolve();
+
+  const write = previous
+    .then(() =>
+      GameStateModel.updateOne({ gameId }, document, { upsert: true }),
+    )
+    .then(() => undefined)
+    .catch((err: unknown) => {
+      console.error(`Failed to save game ${gameId}:`, err);
+    });
+
+  pendingWrites.set(gameId, write);
+  write.finally(() => {
+    if (pendingWrites.get(gameId) === write) pendingWrites.delete(gameId);
+  });
+
+  return write;
+};
+
+// Games that endGame has not settled yet, as live game states
+export const loadUnfinishedGames = async (): Promise<GameState[]> => {
+  const documents = await GameStateModel.find({ endedAt: null });
+
+  return documents.map((document) => {
+    const game: Record<string, unknown> = document.toObject({
+      flattenMaps: true,
+    });
+    delete game._id;
+    delete game.__v;
+    delete game.updatedAt;
+
+    return { ...game, ready: new Set(game.ready as string[]) } as unknown as GameState;
+  });
+};
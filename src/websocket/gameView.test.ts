@@ -0,0 +1,32 @@
+import { buildPlayerView } from './gameView';
+import { GameState } from './types';
+
+jest.mock('./spectators');
+jest.mock('./state', () => ({ clients: new Map() }));
+
+describe('buildPlayerView', () => {
+  const gameState = {
+    gameId: 'g1',
+    players: {
+      alice: [{ v: 7, s: 'H' }],
+      bob: [{ v: 9, s: 'S' }],
+    },
+    seats: ['alice', 'bob'],
+    deck: [],
+    stake: { amount: 1000, charge: 50, points: 5 },
+    meta: {
+      alice: { username: 'Alice', avatar: 'a.png', balance: 3000 },
+      bob: { username: 'Bob', avatar: 'b.png', balance: 900 },
+    },
+  } as unknown as GameState;
+
+  test('should show a player their own balance and nobody else\'s', () => {
+    const view = buildPlayerView(gameState, 'alice');
+
+    expect(view.meta).toEqual({
+      alice: { username: 'Alice', avatar: 'a.png', balance: 3000 },
+      bob: { username: 'Bob', avatar: 'b.png' },
+    });
+    expect(view.hand).toEqual([{ v: 7, s: 'H' }]);
+  });
+});
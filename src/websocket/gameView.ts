@@ -0,0 +1,142 @@
+import { clients } from './state';
+import {
+  CardType,
+  GameState,
+  RulesProfile,
+  TimeControl,
+  TurnTimeouts,
+} from './types';
+import { publicFairness } from '../utils/fairness';
+import { DEFAULT_RULES_PROFILE } from '../../rules/profiles';
+import { DEFAULT_TIME_CONTROL } from './clock';
+import { sendToSpectators } from './spectators';
+
+// What anyone watching is allowed to see of a game
+export interface SpectatorGameView {
+  gameId: string;
+  status: string;
+  userId: string;
+  currentTurn: string;
+  turnExpiresAt?: number;
+  createdAt: Date;
+  stake: GameState['stake'];
+  isBattle?: boolean;
+  battleId?: string;
+  isPractice?: boolean;
+  meta: Record<string, { username: string; avatar: string }>; // No balances
+  seats: string[];
+  handCounts: Record<string, number>;
+  deckCount: number;
+  currentCard: CardType | null;
+  cuttingCard: CardType;
+  chosenSuit: string | null;
+  activePenaltyCount: number;
+  pendingDraw: number;
+  seq: number;
+  rules: RulesProfile;
+  disconnected: Record<string, number>; // Players away -> reconnect deadline
+  timeouts: Record<string, TurnTimeouts>;
+  timeControl: TimeControl;
+  clocks?: Record<string, number>; // The mover's clock runs down to turnExpiresAt
+  fairness?: ReturnType<typeof publicFairness>; // Seed hash only, never the seed
+  spectatorCount: number;
+}
+
+// What a single player is allowed to see of a game
+export interface PlayerGameView extends SpectatorGameView {
+  // Only the player's own entry has a balance
+  meta: Record<string, { username: string; avatar: string; balance?: number }>;
+  hand: CardType[];
+}
+
+// Projects the game state with every hand hidden: only card counts and the
+// deck size without its order
+export const buildSpectatorView = (gameState: GameState): SpectatorGameView => {
+  const handCounts: Record<string, number> = {};
+  for (const [playerId, cards] of Object.entries(gameState.players)) {
+    handCounts[playerId] = cards.length;
+  }
+  const meta: SpectatorGameView['meta'] = {};
+  for (const [playerId, { username, avatar }] of Object.entries(
+    gameState.meta || {},
+  )) {
+    meta[playerId] = { username, avatar };
+  }
+
+  return {
+    gameId: gameState.gameId,
+    status: gameState.status,
+    userId: gameState.userId,
+    currentTurn: gameState.currentTurn,
+    turnExpiresAt: gameState.turnExpiresAt,
+    createdAt: gameState.createdAt,
+    stake: gameState.stake,
+    isBattle: gameState.isBattle,
+    battleId: gameState.battleId,
+    isPractice: gameState.isPractice,
+    meta,
+    seats: gameState.seats || Object.keys(gameState.players),
+    handCounts,
+    deckCount: gameState.deck.length,
+    currentCard: gameState.currentCard,
+    cuttingCard: gameState.cuttingCard,
+    chosenSuit: gameState.chosenSuit,
+    activePenaltyCount: gameState.activePenaltyCount || 0,
+    pendingDraw: gameState.pendingDraw || 0,
+    seq: gameState.seq || 0,
+    rules: gameState.rules || DEFAULT_RULES_PROFILE,
+    disconnected: { ...gameState.disconnected },
+    timeouts: { ...gameState.timeouts },
+    timeControl: gameState.timeControl || DEFAULT_TIME_CONTROL,
+    clocks: gameState.clocks && { ...gameState.clocks },
+    fairness: gameState.fairness && publicFairness(gameState.fairness),
+    spectatorCount: gameState.spectators?.size || 0,
+  };
+};
+
+// Projects the game state for one player: the public view plus their own hand
+// and balance
+export const buildPlayerView = (
+  gameState: GameState,
+  uid: string,
+): PlayerGameView => {
+  const view = buildSpectatorView(gameState);
+  const own = gameState.meta?.[uid];
+
+  return {
+    ...view,
+    meta: own ? { ...view.meta, [uid]: { ...own } } : view.meta,
+    hand: [...(gameState.players[uid] || [])],
+  };
+};
+
+interface BroadcastGameViewProps {
+  gameState: GameState;
+  type: string;
+  data?: Record<string, unknown>;
+}
+
+// Sends every player in the game the same message, each with their own view.
+// Spectators get it later with the public view.
+export const broadcastGameView = ({
+  gameState,
+  type,
+  data = {},
+}: BroadcastGameViewProps): void => {
+  for (const uid of Object.keys(gameState.players)) {
+    const client = clients.get(uid);
+    if (client) {
+      client.ws.send(
+        JSON.stringify({
+          type,
+          data: { ...data, gameState: buildPlayerView(gameState, uid) },
+        }),
+      );
+    }
+  }
+
+  sendToSpectators(gameState, {
+    type,
+    data: { ...data, gameState: buildSpectatorView(gameState) },
+  });
+};
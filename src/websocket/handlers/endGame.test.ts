@@ -0,0 +1,128 @@
+import { endGame } from './endGame';
+import { clients, gameStates, playerGameMap } from './../state';
+import { connectPlayers, received, TestSocket } from './../testClients';
+import { GameState } from './../types';
+import { settleEscrow } from './../../utils/escrow';
+import { GameOutcome } from './../../utils/settlement';
+
+jest.mock('./../wsUtil');
+jest.mock('./../gameStore');
+jest.mock('./../eventLog');
+jest.mock('./../spectators');
+jest.mock('./handleNearbyPlayers');
+jest.mock('./handleRematch');
+jest.mock('./../../controllers/battle.controller');
+jest.mock('./../../models/User', () => ({ findOne: jest.fn() }));
+jest.mock('./../../utils/escrow');
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  playerGameMap: new Map(),
+}));
+
+describe('endGame', () => {
+  let gameState: GameState;
+  let sockets: Record<string, TestSocket>;
+
+  const gameOver = (uid: string) =>
+    received(sockets[uid]).find(({ type }) => type === 'GAME_OVER');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    gameStates.clear();
+    playerGameMap.clear();
+
+    sockets = connectPlayers('alice', 'bob');
+    (settleEscrow as jest.Mock).mockImplementation(async ({ payouts }) => payouts);
+    gameState = {
+      gameId: 'g1',
+      players: { alice: [{ v: 5, s: 'H' }], bob: [{ v: 9, s: 'D' }] },
+      seats: ['alice', 'bob'],
+      status: 'STARTED',
+      currentTurn: 'alice',
+      seq: 0,
+      stake: { amount: 1000, charge: 50, points: 5 },
+    } as unknown as GameState;
+    gameStates.set('g1', gameState);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should settle a disconnect as a win once anyone has moved', async () => {
+    gameState.seq = 3;
+
+    await endGame({
+      gameId: 'g1',
+      winner: 'alice',
+      loser: 'bob',
+      reason: 'DISCONNECTED',
+    });
+
+    expect(settleEscrow).toHaveBeenCalledWith(
+      expect.objectContaining({
+        escrowId: 'g1',
+        payouts: { alice: 950, bob: -1050 },
+        winner: 'alice',
+      }),
+    );
+    expect(gameOver('bob').data).toMatchObject({
+      outcome: 'WIN',
+      winner: 'alice',
+      loser: 'bob',
+    });
+  });
+
+  test('should stop the grace period of a player who is away', async () => {
+    const forfeit = jest.fn();
+    gameState.graceTimeouts = { bob: setTimeout(forfeit, 60000) };
+
+    await endGame({
+      gameId: 'g1',
+      winner: 'alice',
+      loser: 'bob',
+      reason: 'WINNER',
+    });
+    jest.advanceTimersByTime(60000);
+
+    expect(forfeit).not.toHaveBeenCalled();
+    expect(gameState.graceTimeouts).toEqual({});
+  });
+
+  test('should refund a forfeit before the first move', async () => {
+    await endGame({
+      gameId: 'g1',
+      winner: 'alice',
+      loser: 'bob',
+      reason: 'DISCONNECTED',
+    });
+
+    expect(settleEscrow).toHaveBeenCalledWith(
+      expect.objectContaining({ escrowId: 'g1', payouts: {} }),
+    );
+    expect(gameOver('alice').data).toMatchObject({
+      outcome: 'ABORTED_BEFORE_START',
+      settlement: 'FULL_REFUND',
+      winner: null,
+    });
+  });
+
+  test('should keep a server error as such before the first move', async () => {
+    await endGame({
+      gameId: 'g1',
+      outcome: GameOutcome.SERVER_ERROR,
+      reason: 'STATE_CORRUPTED',
+    });
+
+    expect(gameOver('alice').data).toMatchObject({
+      outcome: 'SERVER_ERROR',
+      settlement: 'FULL_REFUND',
+    });
+  });
+});
@@ -4,20 +4,76 @@ import { WebSocketMessageType } from '../../types/messageTypes';
 import { clients, gameStates, playerGameMap } from '../state';
 import { handleNearbyPlayers } from './handleNearbyPlayers';
 import { validateNewStake } from '../wsUtil';
+import {
+  GameOutcome,
+  OUTCOME_SETTLEMENT,
+  SettlementRule,
+  settleGame,
+} from '../../utils/settlement';
+import { saveGame } from '../gameStore';
+import { appendGameLog, LogEntryType } from '../eventLog';
+import { openRematch } from './handleRematch';
+import { releaseSpectators, sendToSpectators } from '../spectators';
+import { recordBattleRound } from '../../controllers/battle.controller';
+import { holdStakes, settleEscrow, Stake } from '../../utils/escrow';
 
 interface EndGameProps {
   gameId: string;
-  winner: string;
+  winner?: string | null; // null when the game is drawn or called off
+  outcome?: GameOutcome; // WIN, or DRAW when there is no winner, unless given
   loser?: string;
+  ranking?: string[]; // Every player, best first; defaults to winner then loser
+  tied?: string[]; // Players who drew; they lead the ranking and share its payouts
   reason: string;
   additionalData?: Record<string, any>;
 }
 
+interface SettleStakesProps {
+  escrowId: string; // gameId, or battleId for a series
+  stake: Stake;
+  payouts: Record<string, number>; // Every player settled, with their payout; empty to refund
+  points: number;
+  winner?: string | null;
+  loser?: string;
+}
+
+// Settles or refunds the stakes held for a game or battle series. Safe to call
+// again for the same escrow: the payouts already made are returned, not
+// repeated. Returns them with the stake level the loser can still afford.
+export const settleStakes = async ({
+  escrowId,
+  stake,
+  payouts,
+  points,
+  winner = null,
+  loser,
+}: SettleStakesProps) => {
+  // Games dealt before stakes were escrowed have theirs taken now, so they
+  // settle the same way. An escrow already held is left as it is.
+  const players = Object.keys(payouts);
+  if (players.length) {
+    await holdStakes(escrowId, players, stake, { requireFunds: false });
+  }
+
+  const settled = await settleEscrow({ escrowId, payouts, points, winner });
+  if (!settled) return { payouts: {}, loserStake: null };
+
+  let loserStake = null;
+  if (loser && loser in settled) {
+    const user = await User.findOne({ uid: loser });
+    if (user) loserStake = await validateNewStake(user.balance);
+  }
+  return { payouts: settled, loserStake };
+};
+
 // Implementation
 export const endGame = async ({
   gameId,
-  winner,
+  winner = null,
   loser,
+  ranking,
+  tied,
+  outcome,
   reason,
   additionalData = {},
 }: EndGameProps): Promise<void> => {
@@ -25,8 +81,8 @@ export const endGame = async ({
   console.log('GAME_OVER 0000');
   if (!gameState) return;
 
-  playerGameMap.delete(winner);
-  playerGameMap.delete(loser!);
+  const allPlayers = Object.keys(gameState.players);
+  allPlayers.forEach((playerId) => playerGameMap.delete(playerId));
 
   // Clear timeout if exists
   if (gameState.moveTimeout) {
@@ -40,57 +96,96 @@ export const endGame = async ({
     gameState.waitTimeout = null;
   }
 
-  const { charge = 0, amount = 0, points = 0 } = gameState.stake || {};
-  handleNearbyPlayers(winner);
-  handleNearbyPlayers(loser!);
+  gameState.warningTimeouts?.forEach(clearTimeout);
+  gameState.warningTimeouts = [];
 
-  let loserStake = null;
+  if (gameState.botTimeout) {
+    clearTimeout(gameState.botTimeout);
+    gameState.botTimeout = null;
+  }
 
-  // Update balances
-  try {
-    const [winnerUser, loserUser] = await Promise.all([
-      User.findOne({ uid: winner }),
-      User.findOne({ uid: loser }),
-    ]);
-
-    if (winnerUser) {
-      winnerUser.balance += amount - charge;
-      winnerUser.points += points;
-      winnerUser.gamesPlayed += 1;
-      winnerUser.gamesWon += 1;
-      winnerUser.winRate = Math.round(
-        (winnerUser.gamesWon / winnerUser.gamesPlayed) * 100,
-      );
-      winnerUser.lastPlayed = new Date();
-      await winnerUser.save();
-    }
+  // A player still away would otherwise forfeit a game that is already over
+  Object.values(gameState.graceTimeouts || {}).forEach(clearTimeout);
+  gameState.graceTimeouts = {};
 
-    if (loserUser) {
-      loserUser.balance -= amount + charge;
-      loserUser.points += points;
-      loserUser.gamesPlayed += 1;
-      loserUser.winRate = Math.round(
-        (loserUser.gamesWon / loserUser.gamesPlayed) * 100,
-      );
-      loserStake = await validateNewStake(loserUser.balance);
-      loserUser.lastPlayed = new Date();
-      await loserUser.save();
+  const { charge = 0, amount = 0, points = 0 } = gameState.stake || {};
+  const standings =
+    ranking ||
+    [winner, loser].filter((uid): uid is string => Boolean(uid));
+
+  // Nothing is owed for a game that ends before its first move, however it
+  // ends. Only moves advance `seq`, so a game won on the board never has 0.
+  const gameOutcome: GameOutcome =
+    !gameState.seq && outcome !== GameOutcome.SERVER_ERROR
+      ? GameOutcome.ABORTED_BEFORE_START
+      : outcome || (winner ? GameOutcome.WIN : GameOutcome.DRAW);
+  const settlement = OUTCOME_SETTLEMENT[gameOutcome];
+
+  // Only a won game has a winner and loser to record
+  if (gameOutcome !== GameOutcome.WIN) {
+    winner = null;
+    if (gameOutcome !== GameOutcome.DRAW) loser = undefined;
+  }
+
+  // Record the outcome before settling so a restart can finish the job
+  gameState.status = 'FINISHED';
+  gameState.result = gameState.result || {
+    reason,
+    winner,
+    loser,
+    ranking: standings,
+    tied,
+  };
+  gameState.result.outcome = gameOutcome;
+  saveGame(gameState);
+  standings.forEach((playerId) => handleNearbyPlayers(playerId));
+
+  let loserStake = null;
+  let payouts: Record<string, number> = {};
+  let settledOk = true;
+
+  // Practice games against bots have no stakes, and battle rounds are settled
+  // once for the whole series. Everything else settles its escrow, or refunds
+  // it when there is nobody to pay.
+  if (!gameState.isPractice && !gameState.battleId) {
+    const isPaid =
+      settlement !== SettlementRule.FULL_REFUND && standings.length > 1;
+    try {
+      ({ payouts, loserStake } = await settleStakes({
+        escrowId: gameId,
+        stake: { amount, charge },
+        payouts: isPaid
+          ? settleGame(gameOutcome, standings, amount, charge, tied)
+          : {},
+        points,
+        winner,
+        loser,
+      }));
+    } catch (err) {
+      // Left unsettled so the next restart tries again
+      console.error(`Failed to settle game ${gameId}:`, err);
+      settledOk = false;
     }
-  } catch (err) {
-    console.error('Failed to update balances:', err);
   }
 
   // Notify players
   const gameOverData = {
+    outcome: gameOutcome,
+    settlement,
     winner,
     loser,
     reason,
     stake: gameState.stake,
     loserStake,
+    ranking: standings,
+    tied,
+    payouts,
+    // Reveal the seeds so players can rebuild the deal with `yarn verify`
+    fairness: gameState.fairness,
+    rematch: openRematch(gameState),
     ...additionalData,
   };
 
-  const allPlayers = Object.keys(gameState.players);
   allPlayers.forEach((playerId) => {
     let client = clients.get(playerId);
 
@@ -108,9 +203,29 @@ export const endGame = async ({
       );
     }
   });
+  sendToSpectators(gameState, {
+    type: WebSocketMessageType.GAME_OVER,
+    data: gameOverData,
+  });
+  releaseSpectators(gameState);
 
   // await broadcastOnlineUsers();
 
+  appendGameLog(gameState, LogEntryType.GAME_OVER, gameOverData);
+  if (settledOk) gameState.endedAt = new Date();
+  saveGame(gameState);
+
+  // The series deals its next round, or settles if this round decided it
+  if (gameState.battleId) {
+    await recordBattleRound({
+      battleId: gameState.battleId,
+      gameId,
+      winner,
+      outcome: gameOutcome,
+      ready: [...(gameState.ready || [])],
+    });
+  }
+
   // Clean up game state
   setTimeout(() => {
     gameStates.delete(gameId);
@@ -0,0 +1,23 @@
+import { WebSocket } from 'ws';
+import { forfeitBattle } from '../../controllers/battle.controller';
+
+interface HandleBattleForfeitProps {
+  ws: WebSocket & { uid?: string };
+  data: {
+    battleId: string;
+  };
+}
+
+// Concedes a battle series between rounds; both players hear BATTLE_COMPLETE
+export const handleBattleForfeit = async ({
+  ws,
+  data,
+}: HandleBattleForfeitProps): Promise<void> => {
+  const error = ws.uid
+    ? await forfeitBattle(data.battleId, ws.uid)
+    : 'Invalid player';
+
+  if (error) {
+    ws.send(JSON.stringify({ type: 'ERROR', message: error }));
+  }
+};
@@ -0,0 +1,107 @@
+import { handleGameRequest } from './handleGameRequest';
+import { clients, pendingRequests } from './../state';
+import { connectPlayers, received, TestSocket } from './../testClients';
+import { RequestData } from './../types';
+import { generateId, getStakeLevel } from './../wsUtil';
+import { hashSeed } from './../../utils/fairness';
+
+jest.mock('./../wsUtil');
+jest.mock('./../../utils/pushNotifications', () => ({
+  sendPushNotification: jest.fn(),
+}));
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  pendingRequests: new Map(),
+  playerGameMap: new Map(),
+}));
+
+describe('sending a game request', () => {
+  const level = { amount: 1000, charge: 50, points: 5 };
+  let sockets: Record<string, TestSocket>;
+
+  const player = (uid: string) => ({
+    uid,
+    username: uid,
+    avatar: '',
+    balance: 5000,
+    stake: level,
+  });
+
+  const challenge = (uid: string, data: Partial<RequestData> = {}) =>
+    handleGameRequest({
+      ws: sockets[uid],
+      data: {
+        user: player('alice'),
+        opponent: player('bob'),
+        stake: { amount: 1000, charge: 50, points: 5 },
+        ...data,
+      } as RequestData,
+    });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    pendingRequests.clear();
+
+    sockets = connectPlayers('alice', 'bob', 'mallory');
+    (generateId as jest.Mock).mockReturnValue('r1');
+    (getStakeLevel as jest.Mock).mockResolvedValue(level);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should hold the request at the Prize level price and commit its seed', async () => {
+    await challenge('alice', { stake: { amount: 1000, charge: 50, points: 5000 } });
+
+    expect(getStakeLevel).toHaveBeenCalledWith({
+      amount: 1000,
+      charge: 50,
+      points: 5000,
+    });
+    expect(pendingRequests.get('r1')?.stake).toEqual(level);
+    const { serverSeed } = pendingRequests.get('r1')!;
+    expect(received(sockets.alice)).toEqual([
+      {
+        type: 'GAME_REQUEST_SENT',
+        data: {
+          requestId: 'r1',
+          serverSeedHash: hashSeed(serverSeed),
+          expiresAt: Date.now() + 10000,
+        },
+      },
+    ]);
+    expect(received(sockets.bob)).toEqual([
+      expect.objectContaining({
+        type: 'GAME_REQUEST',
+        data: expect.objectContaining({ requestId: 'r1', stake: level }),
+      }),
+    ]);
+  });
+
+  test('should refuse a challenge on behalf of another player', async () => {
+    await challenge('mallory');
+
+    expect(received(sockets.mallory)).toEqual([
+      { type: 'ERROR', message: 'You can only challenge as yourself' },
+    ]);
+    expect(received(sockets.bob)).toEqual([]);
+    expect(pendingRequests.size).toBe(0);
+  });
+
+  test('should refuse a stake that matches no Prize level', async () => {
+    (getStakeLevel as jest.Mock).mockResolvedValue(null);
+
+    await challenge('alice', { stake: { amount: 1, charge: 0, points: 0 } });
+
+    expect(received(sockets.alice)).toEqual([
+      { type: 'ERROR', message: 'Unknown stake level' },
+    ]);
+    expect(pendingRequests.size).toBe(0);
+  });
+});
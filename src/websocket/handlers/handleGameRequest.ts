@@ -1,37 +1,99 @@
-import BattleSession from '../../models/BattleSession';
 import { WebSocketMessageType } from '../../types/messageTypes';
 import { sendPushNotification } from '../../utils/pushNotifications';
 import { clients, pendingRequests, playerGameMap } from '../state';
 import { WsRequestProps } from '../types';
-import { generateId } from '../wsUtil';
+import { generateId, getStakeLevel } from '../wsUtil';
+import { MAX_TABLE_SIZE, MIN_TABLE_SIZE } from '../../utils/cardUtils';
+import {
+  generateSeed,
+  hashSeed,
+  sanitizeClientSeed,
+} from '../../utils/fairness';
 
 export const handleGameRequest = async ({ ws, data }: WsRequestProps) => {
-  const { user, opponent, stake, isBattle } = data;
-  // Check if either player is already in a game
-  if (playerGameMap.has(user.uid) || playerGameMap.has(opponent.uid)) {
+  const { user, opponent, isBattle } = data;
+  // A table request invites several opponents; a plain request just one
+  const opponents = data.opponents?.length ? data.opponents : [opponent];
+  const tableSize = opponents.length + 1;
+
+  if (tableSize < MIN_TABLE_SIZE || tableSize > MAX_TABLE_SIZE) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: `A table needs ${MIN_TABLE_SIZE} to ${MAX_TABLE_SIZE} players`,
+      }),
+    );
+    return;
+  }
+  if (isBattle && tableSize > 2) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'Battles are between two players',
+      }),
+    );
+    return;
+  }
+
+  // Only the signed-in player can challenge, or anyone could stake someone
+  // else's balance
+  if (user?.uid !== ws.uid) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'You can only challenge as yourself',
+      }),
+    );
+    return;
+  }
+
+  // Everyone is staked the Prize level's price, not what the client sent
+  const stake = await getStakeLevel(data.stake);
+  if (!stake) {
     ws.send(
       JSON.stringify({
         type: 'ERROR',
-        message: 'One or both players are already in a game',
+        message: 'Unknown stake level',
+      }),
+    );
+    return;
+  }
+
+  // Check if any player is already in a game
+  if ([user, ...opponents].some((player) => playerGameMap.has(player.uid))) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'One or more players are already in a game',
       }),
     );
     return;
   }
 
-  const toPlayer = clients.get(opponent.uid);
   const requestId = generateId();
 
+  // Commit to the server seed before any invitee picks theirs
+  const serverSeed = generateSeed();
+  const serverSeedHash = hashSeed(serverSeed);
+  const clientSeeds: Record<string, string> = {};
+  const clientSeed = sanitizeClientSeed(data.clientSeed);
+  if (clientSeed) clientSeeds[user.uid] = clientSeed;
+
   if (!isBattle) {
     const expiryTimeout = setTimeout(() => {
       pendingRequests.delete(requestId);
     }, 10000);
     pendingRequests.set(requestId, {
       user,
-      opponent,
+      opponent: opponents[0],
+      opponents,
+      accepted: new Set(),
       stake,
       isBattle,
       timestamp: Date.now(),
       timeout: expiryTimeout,
+      serverSeed,
+      clientSeeds,
     });
   } else {
     pendingRequests.set(requestId, {
@@ -40,43 +102,50 @@ export const handleGameRequest = async ({ ws, data }: WsRequestProps) => {
       stake,
       isBattle,
       timestamp: Date.now(),
-    });
-    BattleSession.create({
-      requestId,
-      players: [user.uid, opponent.uid],
-      stake,
-      wins: { [user.uid]: 0, [opponent.uid]: 0 },
+      serverSeed,
+      clientSeeds,
     });
   }
 
-  if (toPlayer) {
-    toPlayer.ws.send(
-      JSON.stringify({
-        type: WebSocketMessageType.GAME_REQUEST,
-        data: {
-          requestId,
-          user,
-          opponent,
-          stake,
-          expiresAt: Date.now() + 10000,
-        },
-      }),
-    );
-  }
+  // The challenger gets the commitment too, to check the deal against later
+  ws.send(
+    JSON.stringify({
+      type: WebSocketMessageType.GAME_REQUEST_SENT,
+      data: { requestId, serverSeedHash, expiresAt: Date.now() + 10000 },
+    }),
+  );
 
-  console.log('opponent.uid=========', opponent.uid);
+  for (const invitee of opponents) {
+    const toPlayer = clients.get(invitee.uid);
+    if (toPlayer) {
+      toPlayer.ws.send(
+        JSON.stringify({
+          type: WebSocketMessageType.GAME_REQUEST,
+          data: {
+            requestId,
+            user,
+            opponent: invitee,
+            opponents,
+            stake,
+            serverSeedHash,
+            expiresAt: Date.now() + 10000,
+          },
+        }),
+      );
+    }
 
-  await sendPushNotification(
-    opponent.uid,
-    isBattle ? '⚔️ Battle Challenge!' : '🎮 Game Request!',
-    `${user.username} has challenged you to a ${
-      isBattle ? 'battle' : 'game'
-    }! Tap to join.`,
-    {
-      requestId,
-      type: isBattle ? 'BATTLE_REQUEST' : 'GAME_REQUEST',
-      stake: JSON.stringify(stake),
-    },
-  );
+    await sendPushNotification(
+      invitee.uid,
+      isBattle ? '⚔️ Battle Challenge!' : '🎮 Game Request!',
+      `${user.username} has challenged you to a ${
+        isBattle ? 'battle' : 'game'
+      }! Tap to join.`,
+      {
+        requestId,
+        type: isBattle ? 'BATTLE_REQUEST' : 'GAME_REQUEST',
+        stake: JSON.stringify(stake),
+      },
+    );
+  }
   console.log(`Game request sent (ID: ${requestId})`);
 };
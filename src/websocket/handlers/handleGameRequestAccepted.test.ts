@@ -0,0 +1,81 @@
+import { handleGameRequestAccepted } from './handleGameRequestAccepted';
+import { clients, pendingRequests } from './../state';
+import { connectPlayers, received, TestSocket } from './../testClients';
+import { GameRequest } from './../types';
+import { generateId, getStakeSettings } from './../wsUtil';
+import { createGame } from './../createGame';
+import { holdStakes } from './../../utils/escrow';
+import { DEFAULT_RULES_PROFILE } from './../../../rules/profiles';
+
+jest.mock('./../wsUtil');
+jest.mock('./../gameView');
+jest.mock('./../createGame');
+jest.mock('./../../utils/escrow');
+jest.mock('./../../controllers/battle.controller');
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  pendingRequests: new Map(),
+  playerGameMap: new Map(),
+}));
+
+describe('accepting a game request', () => {
+  const stake = { amount: 1000, charge: 50, points: 5 };
+  let sockets: Record<string, TestSocket>;
+
+  const player = (uid: string) => ({
+    uid,
+    username: uid,
+    avatar: '',
+    balance: 5000,
+    // What the client claimed; only the request's stake is charged
+    stake: { amount: 1, charge: 0, points: 0 },
+  });
+
+  const accept = (uid: string) =>
+    handleGameRequestAccepted({ ws: sockets[uid], data: { requestId: 'r1' } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clients.clear();
+    pendingRequests.clear();
+
+    sockets = connectPlayers('alice', 'bob', 'mallory');
+    pendingRequests.set('r1', {
+      user: player('alice'),
+      opponent: player('bob'),
+      stake,
+      timestamp: Date.now(),
+      serverSeed: 'seed',
+      clientSeeds: {},
+    } as unknown as GameRequest);
+
+    (generateId as jest.Mock).mockReturnValue('g1');
+    (getStakeSettings as jest.Mock).mockResolvedValue({
+      rules: DEFAULT_RULES_PROFILE,
+      timeControl: { bank: null, increment: 0, warnings: [] },
+    });
+    (holdStakes as jest.Mock).mockResolvedValue(true);
+    (createGame as jest.Mock).mockReturnValue({ gameId: 'g1' });
+  });
+
+  test('should hold the stakes and deal when the invitee accepts', async () => {
+    await accept('bob');
+
+    expect(holdStakes).toHaveBeenCalledWith('g1', ['alice', 'bob'], stake);
+    expect(createGame).toHaveBeenCalledWith(
+      expect.objectContaining({ gameId: 'g1', seats: ['alice', 'bob'] }),
+    );
+    expect(pendingRequests.has('r1')).toBe(false);
+  });
+
+  test('should refuse anyone else accepting for the invitee', async () => {
+    await accept('mallory');
+
+    expect(received(sockets.mallory)).toEqual([
+      { type: 'ERROR', message: 'You are not invited to this table' },
+    ]);
+    expect(holdStakes).not.toHaveBeenCalled();
+    expect(createGame).not.toHaveBeenCalled();
+    expect(pendingRequests.has('r1')).toBe(true);
+  });
+});
@@ -1,20 +1,24 @@
-import { updateBattleStatusByRequestId } from '../../controllers/battle.controller';
+import { WebSocket } from 'ws';
+import { startBattle } from '../../controllers/battle.controller';
 import { WebSocketMessageType } from '../../types/messageTypes';
-import { initializeDeck } from '../../utils/cardUtils';
-import { clients, gameStates, pendingRequests, playerGameMap } from '../state';
+import { sanitizeClientSeed } from '../../utils/fairness';
+import { clients, pendingRequests, playerGameMap } from '../state';
 import {
   ClientsMap,
-  GameState,
   GameStatesMap,
   PendingRequestsMap,
   PlayerGameMap,
 } from '../types';
-import { generateId } from '../wsUtil';
+import { generateId, getStakeSettings } from '../wsUtil';
+import { broadcastGameView } from '../gameView';
+import { createGame } from '../createGame';
+import { holdStakes, refundEscrow } from '../../utils/escrow';
 
 interface HandleGameRequestAcceptedProps {
-  ws: WebSocket;
+  ws: WebSocket & { uid?: string };
   data: {
     requestId: string;
+    clientSeed?: string;
   };
 }
 
@@ -36,113 +40,138 @@ export const handleGameRequestAccepted = async ({
     return;
   }
 
+  const { user, opponent, stake, isBattle } = request;
+  const opponents = request.opponents || [opponent];
+  const uid = ws.uid;
+
+  // Only an invitee can accept, or anyone could stake someone else's balance
+  if (!uid || !opponents.some((invitee) => invitee.uid === uid)) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'You are not invited to this table',
+      }),
+    );
+    return;
+  }
+
+  if (opponents.length > 1) {
+    request.accepted = request.accepted || new Set();
+    request.accepted.add(uid);
+  }
+
+  // Each invitee can mix a seed of their own into the deal
+  const clientSeed = sanitizeClientSeed(data.clientSeed);
+  if (clientSeed) {
+    request.clientSeeds[uid] = clientSeed;
+  }
+
+  // A table only starts once every invitee has accepted
+  if (opponents.length > 1 && request.accepted!.size < opponents.length) {
+    return;
+  }
+
   if (request.timeout) {
     clearTimeout(request.timeout);
   }
 
   pendingRequests.delete(requestId);
 
-  const { user, opponent, isBattle } = request;
+  // Looked up before the checks below so nothing can slip in between them
+  const { rules, timeControl } = await getStakeSettings(stake);
+  const players = [user, ...opponents];
 
   // Double check players aren't in other games (race condition)
-  if (playerGameMap.has(user.uid) || playerGameMap.has(opponent.uid)) {
+  if (players.some((player) => playerGameMap.has(player.uid))) {
     ws.send(
       JSON.stringify({
         type: 'ERROR',
-        message: 'One or both players are already in a game',
+        message: 'One or more players are already in a game',
       }),
     );
     return;
   }
 
-  if (!isBattle) {
-    if (opponent.balance < opponent.stake.amount + opponent.stake.charge) {
-      ws.send(
-        JSON.stringify({
-          type: 'ERROR',
-          message: 'opponent low balance',
-        }),
-      );
-      return;
-    }
+  // A battle stakes the same amount once on the whole series
+  const lowBalance = opponents.some(
+    (invitee) => invitee.balance < stake.amount + stake.charge,
+  );
+  if (lowBalance) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'opponent low balance',
+      }),
+    );
+    return;
   }
-  //
-  // else {
-  //   if (opponent.balance < opponent.stake.amount + opponent.stake.charge) {
-  //     ws.send(
-  //       JSON.stringify({
-  //         type: 'ERROR',
-  //         message: 'opponent low balance',
-  //       }),
-  //     );
-  //     return;
-  //   }
-  // }
-
-  const fromPlayer = clients.get(user.uid);
-  const toPlayer = clients.get(opponent.uid);
-
-  if (!fromPlayer || !toPlayer) {
+
+  if (players.some((player) => !clients.has(player.uid))) {
     ws.send(
       JSON.stringify({
         type: 'ERROR',
-        message: 'One or both players disconnected',
+        message: 'One or more players disconnected',
       }),
     );
     return;
   }
 
-  const { deck, playerHands, cuttingCard } = initializeDeck([
-    user.uid,
-    opponent.uid,
-  ]);
-
-  const gameId = generateId();
-  const gameState: GameState = {
-    gameId,
-    players: playerHands,
-    status: 'ACTIVE',
-    userId: user.uid,
-    currentTurn: user.uid,
-    cuttingCard,
-    deck,
-    ready: new Set(),
-    playedCards: [],
-    currentCard: null,
-    chosenSuit: null,
-    createdAt: new Date(),
-    stake: opponent.stake,
-    isBattle,
-    meta: {
-      [user.uid]: {
-        username: user.username,
-        avatar: user.avatar,
-        balance: user.balance,
-      },
-      [opponent.uid]: {
-        username: opponent.username,
-        avatar: opponent.avatar,
-        balance: opponent.balance,
-      },
-    },
-  };
+  // The challenger sits first and the invitees follow in the order invited
+  const seats = players.map((player) => player.uid);
 
-  console.log(JSON.stringify(gameState));
+  // Everyone's stake is taken before the deal; the game or series is then
+  // dealt under the escrow's id
+  const escrowId = generateId();
+  const held = await holdStakes(escrowId, seats, stake);
+  if (!held) {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'Not enough balance to cover the stake',
+      }),
+    );
+    return;
+  }
 
-  // Update player-game mappings
-  playerGameMap.set(user.uid, gameId);
-  playerGameMap.set(opponent.uid, gameId);
-  gameStates.set(gameId, gameState);
+  // Players may have started another game or left while the stakes were held
+  if (
+    players.some(
+      (player) => playerGameMap.has(player.uid) || !clients.has(player.uid),
+    )
+  ) {
+    await refundEscrow(escrowId);
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message: 'One or more players are no longer available',
+      }),
+    );
+    return;
+  }
 
-  const response = {
-    type: WebSocketMessageType.GAME_REQUEST_ACCEPTED,
-    data: {
-      gameState,
-    },
+  const round = {
+    stake,
+    rules,
+    timeControl,
+    meta: Object.fromEntries(
+      players.map((player) => [
+        player.uid,
+        {
+          username: player.username,
+          avatar: player.avatar,
+          balance: player.balance,
+        },
+      ]),
+    ),
+    serverSeed: request.serverSeed,
+    clientSeeds: request.clientSeeds,
   };
+  const gameState = isBattle
+    ? await startBattle({ battleId: escrowId, requestId, players: seats, ...round })
+    : createGame({ gameId: escrowId, seats, ...round });
 
-  fromPlayer.ws.send(JSON.stringify(response));
-  toPlayer.ws.send(JSON.stringify(response));
-
-  await updateBattleStatusByRequestId(requestId, 'ONGOING');
+  broadcastGameView({
+    gameState,
+    type: WebSocketMessageType.GAME_REQUEST_ACCEPTED,
+  });
 };
@@ -1,4 +1,3 @@
-import { deleteBattleByRequestId } from '../../controllers/battle.controller';
 import { WebSocketMessageType } from '../../types/messageTypes';
 import { sendPushNotification } from '../../utils/pushNotifications';
 import { clients, pendingRequests } from '../state';
@@ -15,16 +14,24 @@ export const handleGameRequestDeclined = async (payload: WsRequestProps) => {
 
   pendingRequests.delete(requestId);
 
-  const sender = clients.get(request.user.uid);
-  if (sender) {
-    sender.ws.send(
-      JSON.stringify({
-        type: WebSocketMessageType.GAME_REQUEST_DECLINED,
-        to: request.opponent.uid,
-        from: request.user.uid,
-      }),
-    );
-  }
+  // One decline calls off the whole table
+  const decliner = payload.ws.uid || request.opponent.uid;
+  const others = (request.opponents || [request.opponent]).filter(
+    (invitee) => invitee.uid !== decliner,
+  );
+
+  [request.user, ...others].forEach((player) => {
+    const client = clients.get(player.uid);
+    if (client) {
+      client.ws.send(
+        JSON.stringify({
+          type: WebSocketMessageType.GAME_REQUEST_DECLINED,
+          to: decliner,
+          from: request.user.uid,
+        }),
+      );
+    }
+  });
 
   if (request.isBattle) {
     await sendPushNotification(
@@ -37,6 +44,5 @@ export const handleGameRequestDeclined = async (payload: WsRequestProps) => {
         opponentId: request.opponent.uid,
       },
     );
-    await deleteBattleByRequestId(requestId);
   }
 };
@@ -0,0 +1,66 @@
+import { WebSocket } from 'ws';
+import { handleHint } from './handleHint';
+import { gameStates } from './../state';
+import { sendToClient } from './../wsUtil';
+import { GameState } from './../types';
+
+jest.mock('./../wsUtil');
+jest.mock('./../state', () => ({
+  gameStates: new Map(),
+}));
+
+describe('handleHint', () => {
+  const socket = (uid: string) =>
+    ({ uid, send: jest.fn() }) as unknown as WebSocket & { uid: string };
+
+  const sentMessage = () => (sendToClient as jest.Mock).mock.calls[0][0].message;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    gameStates.clear();
+    gameStates.set('g1', {
+      gameId: 'g1',
+      players: {
+        alice: [{ v: 5, s: 'H' }, { v: 9, s: 'C' }, { v: 2, s: 'C' }],
+        bob: [{ v: 4, s: 'S' }],
+      },
+      seats: ['alice', 'bob'],
+      deck: [],
+      playedCards: [{ v: 5, s: 'C' }],
+      currentCard: { v: 5, s: 'C' },
+      cuttingCard: { v: 7, s: 'S' },
+      currentTurn: 'alice',
+      chosenSuit: null,
+      activePenaltyCount: 0,
+      seq: 4,
+    } as unknown as GameState);
+  });
+
+  it('lists the cards the player can play', async () => {
+    await handleHint({ ws: socket('alice'), data: { gameId: 'g1' } });
+
+    const { type, data } = sentMessage();
+    expect(type).toBe('HINT');
+    expect(data).toMatchObject({ gameId: 'g1', seq: 4, drawCount: 1 });
+    expect(data.plays.map(({ card }: { card: unknown }) => card)).toEqual([
+      { v: 5, s: 'H' },
+      { v: 9, s: 'C' },
+      { v: 2, s: 'C' },
+    ]);
+    expect(data.plays[2].effects).toEqual(['APPLIES_PENALTY']);
+  });
+
+  it('lists nothing while waiting for a turn', async () => {
+    await handleHint({ ws: socket('bob'), data: { gameId: 'g1' } });
+
+    expect(sentMessage().data).toMatchObject({ plays: [], drawCount: 0 });
+  });
+
+  it('refuses anyone not playing the game', async () => {
+    const ws = socket('carol');
+    await handleHint({ ws, data: { gameId: 'g1' } });
+
+    expect(sendToClient).not.toHaveBeenCalled();
+    expect(JSON.parse((ws.send as jest.Mock).mock.calls[0][0]).type).toBe('ERROR');
+  });
+});
@@ -0,0 +1,43 @@
+import { WebSocket } from 'ws';
+import { WebSocketMessageType } from '../../types/messageTypes';
+import { gameStates } from '../state';
+import { sendToClient } from '../wsUtil';
+import { getDrawCount, listLegalPlays } from '../../../rules/hints';
+
+interface HandleHintProps {
+  ws: WebSocket & { uid?: string };
+  data: {
+    gameId: string;
+  };
+}
+
+// Lists the cards the player can play right now and what each would do. `seq`
+// ties the answer to the game state it was worked out for.
+export const handleHint = async ({
+  ws,
+  data,
+}: HandleHintProps): Promise<void> => {
+  const { gameId } = data;
+  const gameState = gameStates.get(gameId);
+
+  if (!gameState || !ws.uid || !gameState.players[ws.uid]) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'Invalid game or player' }),
+    );
+    return;
+  }
+
+  const isTurn = gameState.currentTurn === ws.uid && !gameState.result;
+  sendToClient({
+    ws,
+    message: {
+      type: WebSocketMessageType.HINT,
+      data: {
+        gameId,
+        seq: gameState.seq || 0,
+        plays: listLegalPlays(gameState, ws.uid),
+        drawCount: isTurn ? getDrawCount(gameState) : 0,
+      },
+    },
+  });
+};
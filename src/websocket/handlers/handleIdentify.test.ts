@@ -0,0 +1,125 @@
+import { WebSocket } from 'ws';
+import { handleIdentify, IdentifyData } from './handleIdentify';
+import { clients, gameStates, playerGameMap } from './../state';
+import {
+  broadcastToGame,
+  registerClient,
+  resumePlayer,
+  sendToClient,
+} from './../wsUtil';
+import { getEventsSince } from './../eventLog';
+import { GameState } from './../types';
+
+jest.mock('./../wsUtil');
+jest.mock('./../eventLog');
+jest.mock('./../gameStore');
+jest.mock('./broadcastOnlineUsers');
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  playerGameMap: new Map(),
+}));
+
+describe('handleIdentify', () => {
+  let ws: jest.Mocked<WebSocket> & { uid: string };
+
+  const identify = (extra: Partial<IdentifyData> = {}) =>
+    handleIdentify({
+      ws,
+      data: { uid: 'player1', username: 'p1', ...extra } as IdentifyData,
+    });
+
+  // Message sent back to a reconnecting player
+  const sentMessage = () => (sendToClient as jest.Mock).mock.calls[0][0].message;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    gameStates.clear();
+    playerGameMap.clear();
+
+    (registerClient as jest.Mock).mockImplementation(({ ws: socket, uid }) =>
+      clients.set(uid, { ws: socket, uid } as never),
+    );
+    ws = { send: jest.fn() } as unknown as jest.Mocked<WebSocket> & { uid: string };
+
+    gameStates.set('g1', {
+      gameId: 'g1',
+      players: {
+        player1: [{ v: 5, s: 'H' }],
+        player2: [{ v: 9, s: 'D' }, { v: 4, s: 'C' }],
+      },
+      seats: ['player1', 'player2'],
+      status: 'STARTED',
+      currentTurn: 'player1',
+      deck: [],
+      playedCards: [],
+      currentCard: { v: 5, s: 'C' },
+      cuttingCard: { v: 7, s: 'S' },
+      chosenSuit: null,
+      seq: 6,
+      disconnected: { player1: Date.now() + 30000 },
+    } as unknown as GameState);
+    playerGameMap.set('player1', 'g1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should send the view and the events missed since lastSeq', async () => {
+    (getEventsSince as jest.Mock).mockResolvedValue([
+      { seq: 5, type: 'CARDS_DRAWN', player: 'player2', count: 1, cards: [{ v: 4, s: 'C' }] },
+      { seq: 6, type: 'TURN_CHANGED', currentTurn: 'player1' },
+      { seq: 7, type: 'CARD_PLAYED', player: 'player1', card: { v: 5, s: 'H' } },
+    ]);
+
+    await identify({ lastSeq: 4 });
+
+    expect(getEventsSince).toHaveBeenCalledWith('g1', 4);
+    const { type, data } = sentMessage();
+    expect(type).toBe('IDENTIFY');
+    expect(data.gameState.hand).toEqual([{ v: 5, s: 'H' }]);
+    // Someone else's draw is redacted and nothing past the snapshot is sent
+    expect(data.events).toEqual([
+      { seq: 5, type: 'CARDS_DRAWN', player: 'player2', count: 1 },
+      { seq: 6, type: 'TURN_CHANGED', currentTurn: 'player1' },
+    ]);
+  });
+
+  test('should not look up events for a client that is up to date', async () => {
+    await identify({ lastSeq: 6 });
+
+    expect(getEventsSince).not.toHaveBeenCalled();
+    expect(sentMessage().data.events).toEqual([]);
+  });
+
+  test('should end the grace window and tell the other players', async () => {
+    (resumePlayer as jest.Mock).mockReturnValue(true);
+
+    await identify();
+
+    expect(resumePlayer).toHaveBeenCalledWith('g1', 'player1');
+    expect(broadcastToGame).toHaveBeenCalledWith({
+      gameId: 'g1',
+      message: {
+        type: 'PLAYER_RECONNECTED',
+        data: { gameId: 'g1', uid: 'player1', turnExpiresAt: undefined },
+      },
+    });
+    expect(clients.get('player1')?.ws).toBe(ws);
+  });
+
+  test('should identify a player with no game without a view', async () => {
+    playerGameMap.clear();
+
+    await identify();
+
+    expect(JSON.parse((ws.send as jest.Mock).mock.calls[0][0])).toEqual({
+      type: 'IDENTIFY',
+    });
+    expect(sendToClient).not.toHaveBeenCalled();
+    expect(resumePlayer).not.toHaveBeenCalled();
+  });
+});
@@ -2,12 +2,21 @@ import { WebSocket } from 'ws';
 import { WebSocketMessageType } from '../../types/messageTypes';
 import { broadcastOnlineUsers } from './broadcastOnlineUsers';
 import { clients, gameStates, playerGameMap } from '../state';
-import { registerClient, sendToClient } from '../wsUtil';
-import { GameStatesMap, PlayerData } from '../types';
-import { log } from 'console';
+import {
+  broadcastToGame,
+  registerClient,
+  resumePlayer,
+  sendToClient,
+} from '../wsUtil';
+import { buildPlayerView } from '../gameView';
+import { GameEvent, redactGameEvent } from '../gameEvents';
+import { appendGameLog, getEventsSince, LogEntryType } from '../eventLog';
+import { saveGame } from '../gameStore';
+import { GameState, GameStatesMap, PlayerData } from '../types';
 
 export interface IdentifyData extends PlayerData {
   gameStates: GameStatesMap;
+  lastSeq?: number; // Last game event the client saw, when reconnecting
 }
 
 interface HandleIdentifyProps {
@@ -15,79 +24,80 @@ interface HandleIdentifyProps {
   data: IdentifyData;
 }
 
+// Events the client missed while away, redacted for it. The snapshot sent with
+// them is authoritative, so a failed lookup only costs the client its catch-up.
+const getMissedEvents = async (
+  gameState: GameState,
+  uid: string,
+  lastSeq?: number,
+): Promise<GameEvent[]> => {
+  if (typeof lastSeq !== 'number' || lastSeq >= gameState.seq) return [];
+
+  try {
+    const events = await getEventsSince(gameState.gameId, lastSeq);
+    return events.map((event) => redactGameEvent(event, uid));
+  } catch (err) {
+    console.error(`Failed to load missed events for ${uid}:`, err);
+    return [];
+  }
+};
+
 // Implementation
 export const handleIdentify = async ({
   ws,
   data,
 }: HandleIdentifyProps): Promise<void> => {
-  const { uid, username, balance, stake, avatar } = data;
+  const { uid, username, balance, stake, avatar, lastSeq } = data;
 
   console.log('====stake====', stake);
 
   const playerData = { ws, username, balance, stake, avatar, uid };
 
   const gameId = playerGameMap.get(uid);
+  const gameState = gameId ? gameStates.get(gameId) : undefined;
+
   // Reconnection case
-  if (playerGameMap.has(uid) && gameId) {
-    const oldGameState = gameStates.get(gameId);
-    const { ...gameState } = oldGameState;
-
-    if (gameState) {
-      const now = Date.now();
-      const isExpired =
-        gameState.turnExpiresAt && now > gameState.turnExpiresAt;
-      const isInvalidReadyState = gameState.ready && gameState.ready.size !== 2;
-
-      if (isExpired) {
-        // Clean up the expired/invalid game
-        console.log(
-          `Cleaning up ${isExpired ? 'expired' : 'invalid'} game ${gameId}`,
-        );
-
-        ws.uid = uid;
-
-        clients.set(uid, {
-          ws,
-          username,
-          balance,
-          avatar,
-          uid,
-        });
-
-        ws.send(
-          JSON.stringify({
-            type: WebSocketMessageType.IDENTIFY,
-          }),
-        );
-
-        // Cleanup game state
-        gameStates.delete(gameId);
-        await broadcastOnlineUsers();
-        return;
-      } else {
-        // Game is valid, proceed with reconnection
-        const { moveTimeout, waitTimeout, newGameState } = gameState;
-        sendToClient({
-          ws,
-          message: {
-            type: WebSocketMessageType.IDENTIFY,
-            data: { gameState: newGameState },
-          },
-        });
-
-        playerData.ws.uid = uid;
-
-        registerClient(playerData);
-        console.log(`Player ${uid} reconnected to valid game ${gameId}`);
-        return;
-      }
+  if (gameId && gameState) {
+    const missed = await getMissedEvents(gameState, uid, lastSeq);
+
+    // Nothing below yields, so no live event can fall between the snapshot
+    // and the client's registration. The others hear of the return first.
+    if (resumePlayer(gameId, uid)) {
+      appendGameLog(gameState, LogEntryType.PLAYER_RECONNECTED, { player: uid });
+      broadcastToGame({
+        gameId,
+        message: {
+          type: WebSocketMessageType.PLAYER_RECONNECTED,
+          data: { gameId, uid, turnExpiresAt: gameState.turnExpiresAt },
+        },
+      });
+      saveGame(gameState);
     }
 
-    // Cleanup stale mapping if game no longer exists
-    playerGameMap.delete(uid);
+    playerData.ws.uid = uid;
+    registerClient(playerData);
+
+    const view = buildPlayerView(gameState, uid);
+    sendToClient({
+      ws,
+      message: {
+        type: WebSocketMessageType.IDENTIFY,
+        data: {
+          gameState: view,
+          events: missed.filter((event) => event.seq <= view.seq),
+        },
+      },
+    });
+
+    console.log(`Player ${uid} reconnected to game ${gameId}`);
+    await broadcastOnlineUsers();
+    return;
   }
 
-  // New connection or cleaned up invalid game
+  // Cleanup stale mapping if game no longer exists
+  playerGameMap.delete(uid);
+
+  // New connection
   ws.uid = uid;
   clients.set(uid, {
     ws,
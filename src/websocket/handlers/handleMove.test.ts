@@ -1,16 +1,28 @@
-import { handleMove } from './handleMove';
+import { applyMove, handleMove } from './handleMove';
 import { WebSocket } from 'ws';
 import { WebSocketMessageType } from './../../types/messageTypes';
-import { CardType, GameState } from './../types';
+import { CardType, GameState, MoveData } from './../types';
 import { endGame } from './endGame';
 import { clients, gameStates, PLAY_TIMEOUT_DURATION } from './../state';
-import { startTimeout } from './../wsUtil';
+import { getForfeitRanking, startTimeout } from './../wsUtil';
 import { reshufflePlayedCards } from './../../utils/cardUtils';
+import { buildPlayerView } from './../gameView';
+import { GameEventType } from './../gameEvents';
+import { saveGame } from './../gameStore';
+import { appendGameLog, logGameEvents } from './../eventLog';
+import { RULES_PROFILES } from './../../../rules/profiles';
+import { checkInvariants } from './../../../rules/invariants';
 
 // Mock dependencies
 jest.mock('./endGame');
 jest.mock('./../wsUtil');
 jest.mock('./../../utils/cardUtils');
+jest.mock('./../gameStore');
+jest.mock('./../eventLog');
+// These states hold a few cards, not a full deck; see rules/invariants.spec.js
+jest.mock('./../../../rules/invariants', () => ({
+  checkInvariants: jest.fn(() => []),
+}));
 jest.mock('./../state', () => ({
   clients: new Map(),
   gameStates: new Map(),
@@ -18,11 +30,17 @@ jest.mock('./../state', () => ({
 }));
 
 describe('handleMove', () => {
-  let mockWs: jest.Mocked<WebSocket>;
+  let mockWs: jest.Mocked<WebSocket> & { uid?: string };
   let mockGameState: GameState;
   let mockClients: Map<string, { ws: jest.Mocked<WebSocket> }>;
   let mockGameStates: Map<string, GameState>;
 
+  // Events of the GAME_EVENTS message last sent to a socket
+  const getEvents = (ws: jest.Mocked<WebSocket>) => {
+    const calls = ws.send.mock.calls;
+    return JSON.parse(calls[calls.length - 1][0] as string).data.events;
+  };
+
   const createMockCard = (value: number, suit: string): CardType => ({
     v: value,
     s: suit,
@@ -32,26 +50,28 @@ describe('handleMove', () => {
     gameId: 'test-game-id',
     players: {
       'player1': [
-        createMockCard(5, 'hearts'),
-        createMockCard(7, 'spades'),
-        createMockCard(2, 'clubs'),
+        createMockCard(5, 'H'),
+        createMockCard(7, 'S'),
+        createMockCard(2, 'C'),
       ],
       'player2': [
-        createMockCard(9, 'diamonds'),
-        createMockCard(11, 'hearts'),
+        createMockCard(9, 'D'),
+        createMockCard(11, 'H'),
       ],
     },
     deck: [
-      createMockCard(3, 'spades'),
-      createMockCard(4, 'hearts'),
-      createMockCard(6, 'clubs'),
+      createMockCard(3, 'S'),
+      createMockCard(4, 'H'),
+      createMockCard(6, 'C'),
     ],
-    playedCards: [createMockCard(8, 'diamonds')],
-    currentCard: createMockCard(8, 'diamonds'),
+    playedCards: [createMockCard(5, 'C')],
+    currentCard: createMockCard(5, 'C'),
     currentTurn: 'player1',
-    cuttingCard: createMockCard(7, 'spades'),
+    cuttingCard: createMockCard(7, 'S'),
     chosenSuit: null,
     activePenaltyCount: 0,
+    status: 'STARTED',
+    seq: 0,
     turnExpiresAt: Date.now() + 30000,
     waitTimeout: null,
     moveTimeout: null,
@@ -62,8 +82,9 @@ describe('handleMove', () => {
     jest.clearAllMocks();
     
     mockWs = {
+      uid: 'player1',
       send: jest.fn(),
-    } as any;
+    } as unknown as typeof mockWs;
 
     mockGameState = createMockGameState();
     
@@ -78,7 +99,7 @@ describe('handleMove', () => {
     mockClients.set('player2', { ws: mockWs });
 
     (reshufflePlayedCards as jest.Mock).mockReturnValue({
-      newDeck: [createMockCard(1, 'hearts'), createMockCard(2, 'hearts')],
+      newDeck: [createMockCard(1, 'H'), createMockCard(2, 'H')],
     });
   });
 
@@ -102,6 +123,8 @@ describe('handleMove', () => {
     });
 
     test('should return error when player not found in game', async () => {
+      mockWs.uid = 'nonexistent-player';
+
       await handleMove({
         ws: mockWs,
         data: {
@@ -116,45 +139,215 @@ describe('handleMove', () => {
         JSON.stringify({ type: 'ERROR', message: 'Player not found in game' })
       );
     });
+
+    test('should refuse moves until every player is ready', async () => {
+      mockGameState.status = 'ACTIVE';
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'DRAW' }],
+        },
+      });
+
+      expect(mockWs.send).toHaveBeenCalledWith(
+        JSON.stringify({ type: 'ERROR', message: 'Game has not started yet' })
+      );
+      expect(mockGameState.seq).toBe(0);
+      expect(endGame).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Move Validation', () => {
+    const getReply = () => JSON.parse(mockWs.send.mock.calls[0][0]);
+
+    test('should refuse a move made for another player', async () => {
+      mockGameState.currentTurn = 'player2';
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player2',
+          to: 'player1',
+          cards: [{ type: 'PLAY', v: 9, s: 'D' }],
+        },
+      });
+
+      expect(getReply()).toEqual({
+        type: 'ERROR',
+        message: 'Cannot move for another player',
+      });
+      expect(mockGameState.players['player2']).toHaveLength(2);
+      expect(mockGameState.currentTurn).toBe('player2');
+    });
+
+    test('should move for the player the socket belongs to', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        } as Omit<MoveData, 'from'> as MoveData,
+      });
+
+      expect(mockGameState.players['player1']).toHaveLength(2);
+      expect(mockGameState.currentTurn).toBe('player2');
+    });
+
+    test('should reject a move when it is not the player\'s turn', async () => {
+      mockWs.uid = 'player2';
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player2',
+          to: 'player1',
+          cards: [{ type: 'PLAY', v: 9, s: 'D' }],
+        },
+      });
+
+      expect(getReply()).toEqual({
+        type: WebSocketMessageType.INVALID_MOVE,
+        data: { gameId: 'test-game-id', reason: 'Not your turn' },
+      });
+      expect(mockGameState.players['player2']).toHaveLength(2);
+    });
+
+    test('should reject a card the player does not hold', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 50, s: 'B' }],
+        },
+      });
+
+      const reply = getReply();
+      expect(reply.type).toBe(WebSocketMessageType.INVALID_MOVE);
+      expect(reply.data.card).toEqual(createMockCard(50, 'B'));
+      expect(reply.data.reason).toContain('not in hand');
+      expect(mockGameState.currentCard).toEqual(createMockCard(5, 'C'));
+    });
+
+    test('should reject a card that does not match and leave state untouched', async () => {
+      const handBefore = [...mockGameState.players['player1']];
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 7, s: 'S' }],
+        },
+      });
+
+      const reply = getReply();
+      expect(reply.type).toBe(WebSocketMessageType.INVALID_MOVE);
+      expect(reply.data.reason).toBe('Cannot play 7 of S');
+      expect(mockGameState.players['player1']).toEqual(handBefore);
+      expect(mockGameState.playedCards).toEqual([createMockCard(5, 'C')]);
+      expect(mockGameState.currentTurn).toBe('player1');
+      expect(startTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should reject a whole move when a later card is illegal', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [
+            { type: 'PLAY', v: 5, s: 'H' },
+            { type: 'PLAY', v: 7, s: 'S' },
+          ],
+        },
+      });
+
+      expect(getReply().type).toBe(WebSocketMessageType.INVALID_MOVE);
+      expect(mockGameState.players['player1']).toContainEqual(createMockCard(5, 'H'));
+      expect(mockGameState.currentCard).toEqual(createMockCard(5, 'C'));
+    });
+
+    test('should require a penalty answer while a penalty is active', async () => {
+      mockGameState.currentCard = createMockCard(2, 'H');
+      mockGameState.activePenaltyCount = 2;
+      mockGameState.players['player1'].push(createMockCard(9, 'H'));
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 9, s: 'H' }],
+        },
+      });
+
+      const reply = getReply();
+      expect(reply.type).toBe(WebSocketMessageType.INVALID_MOVE);
+      expect(reply.data.reason).toContain('Must play a penalty card');
+      expect(mockGameState.activePenaltyCount).toBe(2);
+    });
+
+    test('should clear an active penalty once the player draws', async () => {
+      mockGameState.currentCard = createMockCard(2, 'H');
+      mockGameState.activePenaltyCount = 2;
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'DRAW' }],
+        },
+      });
+
+      expect(mockGameState.players['player1']).toHaveLength(5);
+      expect(mockGameState.activePenaltyCount).toBe(0);
+      expect(mockGameState.currentTurn).toBe('player2');
+    });
   });
 
   describe('Draw Actions', () => {
-    test('should successfully process valid draw action', async () => {
-      const drawnCards = [createMockCard(6, 'clubs')]; // Top card from deck
-      
+    test('should deal the top card of the deck for a plain draw', async () => {
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'DRAW', v: 6, s: 'clubs' }],
+          cards: [{ type: 'DRAW' }],
         },
       });
 
       // Verify card was added to player's hand
-      expect(mockGameState.players['player1']).toContainEqual(createMockCard(6, 'clubs'));
+      expect(mockGameState.players['player1']).toContainEqual(createMockCard(6, 'C'));
       // Verify card was removed from deck
       expect(mockGameState.deck).toHaveLength(2);
-      expect(mockGameState.deck).not.toContainEqual(createMockCard(6, 'clubs'));
+      expect(mockGameState.deck).not.toContainEqual(createMockCard(6, 'C'));
     });
 
-    test('should handle multiple card draw', async () => {
-      const drawnCards = [
-        createMockCard(6, 'clubs'),
-        createMockCard(4, 'hearts'),
-      ];
-      
+    test('should draw the pending penalty when no count is given', async () => {
+      mockGameState.currentCard = createMockCard(2, 'H');
+      mockGameState.activePenaltyCount = 2;
+
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [
-            { type: 'DRAW', v: 4, s: 'hearts' },
-            { type: 'DRAW', v: 6, s: 'clubs' },
-          ],
+          cards: [{ type: 'DRAW' }],
         },
       });
 
@@ -162,56 +355,117 @@ describe('handleMove', () => {
       expect(mockGameState.deck).toHaveLength(1);
     });
 
-    test('should return error for invalid drawn cards', async () => {
+    test('should ignore client supplied card values', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'DRAW', v: 50, s: 'R' }],
+        },
+      });
+
+      expect(mockGameState.players['player1']).not.toContainEqual(createMockCard(50, 'R'));
+      expect(mockGameState.players['player1']).toContainEqual(createMockCard(6, 'C'));
+    });
+
+    test('should send the drawn cards privately to the drawing player', async () => {
+      const opponentWs = { send: jest.fn() } as unknown as jest.Mocked<WebSocket>;
+      mockClients.set('player2', { ws: opponentWs });
+
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'DRAW', v: 999, s: 'invalid' }],
+          cards: [{ type: 'DRAW' }],
+        },
+      });
+
+      const playerDraw = getEvents(mockWs).find(
+        (event: { type: string }) => event.type === GameEventType.CARDS_DRAWN,
+      );
+      expect(playerDraw.cards).toEqual([createMockCard(6, 'C')]);
+
+      const opponentDraw = getEvents(opponentWs).find(
+        (event: { type: string }) => event.type === GameEventType.CARDS_DRAWN,
+      );
+      expect(opponentDraw).toEqual({
+        seq: playerDraw.seq,
+        type: GameEventType.CARDS_DRAWN,
+        player: 'player1',
+        count: 1,
+        deckCount: 2,
+      });
+    });
+
+    test('should reject a draw count that does not match the rules', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'DRAW', count: 2 }],
         },
       });
 
       expect(mockWs.send).toHaveBeenCalledWith(
         JSON.stringify({
-          type: 'ERROR',
-          message: 'Network issue: drawn cards do not match deck state',
+          type: WebSocketMessageType.INVALID_MOVE,
+          data: { gameId: 'test-game-id', reason: 'Must draw 1 card(s)' },
         })
       );
+      expect(mockGameState.deck).toHaveLength(3);
     });
 
-    test('should return error when trying to draw more cards than available in deck', async () => {
-      mockGameState.deck = [createMockCard(1, 'hearts')]; // Only one card in deck
-      
+    test('should reject a move that leaves a reduced penalty undrawn', async () => {
+      mockGameState.currentCard = createMockCard(3, 'C');
+      mockGameState.activePenaltyCount = 3;
+
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [
-            { type: 'DRAW', v: 1, s: 'hearts' },
-            { type: 'DRAW', v: 2, s: 'hearts' },
-          ],
+          cards: [{ type: 'PLAY', v: 2, s: 'C' }],
         },
       });
 
       expect(mockWs.send).toHaveBeenCalledWith(
-        JSON.stringify({
-          type: 'ERROR',
-          message: 'Network issue: drawn cards do not match deck state',
-        })
+        expect.stringContaining('Must draw 1 penalty card(s)')
       );
     });
+
+    test('should draw the remainder after reducing a penalty', async () => {
+      mockGameState.currentCard = createMockCard(3, 'C');
+      mockGameState.activePenaltyCount = 3;
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 2, s: 'C' }, { type: 'DRAW' }],
+        },
+      });
+
+      expect(mockGameState.currentCard).toEqual(createMockCard(2, 'C'));
+      expect(mockGameState.players['player1']).toContainEqual(createMockCard(6, 'C'));
+      expect(mockGameState.activePenaltyCount).toBe(0);
+    });
   });
 
   describe('Deck Reshuffling', () => {
-    test('should trigger reshuffle when deck is low and notify players', async () => {
-      mockGameState.deck = [createMockCard(1, 'hearts')]; // Below minimum
+    test('should reshuffle played cards below the top card when deck is low', async () => {
+      mockGameState.deck = [createMockCard(6, 'C')]; // Below minimum
       mockGameState.playedCards = [
-        createMockCard(2, 'spades'),
-        createMockCard(3, 'hearts'),
+        createMockCard(2, 'S'),
+        createMockCard(5, 'C'),
       ];
 
       await handleMove({
@@ -220,23 +474,48 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'DRAW', v: 1, s: 'hearts' }],
+          cards: [{ type: 'DRAW' }],
         },
       });
 
       expect(reshufflePlayedCards).toHaveBeenCalledWith(
-        mockGameState.deck,
-        mockGameState.playedCards
-      );
-      
-      expect(mockWs.send).toHaveBeenCalledWith(
-        expect.stringContaining(WebSocketMessageType.DECK_RESHUFFLED)
+        [],
+        [createMockCard(2, 'S')],
+        expect.any(Function),
       );
+      expect(mockGameState.playedCards).toEqual([createMockCard(5, 'C')]);
+    });
+
+    test('should count reshuffles of a seeded game', async () => {
+      mockGameState.deck = [createMockCard(6, 'C')];
+      mockGameState.playedCards = [
+        createMockCard(2, 'S'),
+        createMockCard(5, 'C'),
+      ];
+      mockGameState.fairness = {
+        serverSeed: 'server',
+        serverSeedHash: 'hash',
+        clientSeeds: { player1: 'a', player2: 'b' },
+        seats: ['player1', 'player2'],
+        dealRule: 'SPECIAL_CARD_SPLIT',
+        reshuffles: 2,
+      };
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          cards: [{ type: 'DRAW' }],
+        },
+      });
+
+      expect(mockGameState.fairness.reshuffles).toBe(3);
     });
 
     test('should not reshuffle when deck size is sufficient', async () => {
       mockGameState.deck = Array(10).fill(null).map((_, i) => 
-        createMockCard(i + 1, 'hearts')
+        createMockCard(i + 1, 'H')
       );
 
       await handleMove({
@@ -245,7 +524,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'DRAW', v: 10, s: 'hearts' }],
+          cards: [{ type: 'DRAW' }],
         },
       });
 
@@ -253,7 +532,7 @@ describe('handleMove', () => {
     });
 
     test('should not reshuffle when no played cards available', async () => {
-      mockGameState.deck = [createMockCard(1, 'hearts')];
+      mockGameState.deck = [createMockCard(6, 'C')];
       mockGameState.playedCards = [];
 
       await handleMove({
@@ -262,7 +541,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'DRAW', v: 1, s: 'hearts' }],
+          cards: [{ type: 'DRAW' }],
         },
       });
 
@@ -272,7 +551,7 @@ describe('handleMove', () => {
 
   describe('Play Actions', () => {
     test('should successfully process valid play action', async () => {
-      const playCard = createMockCard(5, 'hearts');
+      const playCard = createMockCard(5, 'H');
       
       await handleMove({
         ws: mockWs,
@@ -280,7 +559,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
@@ -292,23 +571,40 @@ describe('handleMove', () => {
       expect(mockGameState.currentCard).toEqual(playCard);
     });
 
-    test('should handle newSuit parameter for joker cards', async () => {
+    test('should handle newSuit parameter for aces', async () => {
+      mockGameState.players['player1'].push(createMockCard(15, 'H'));
+
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
-          newSuit: 'diamonds',
+          cards: [{ type: 'PLAY', v: 15, s: 'H' }],
+          newSuit: 'D',
         },
       });
 
-      expect(mockGameState.chosenSuit).toBe('diamonds');
+      expect(mockGameState.chosenSuit).toBe('D');
+    });
+
+    test('should ignore newSuit when the card does not allow a suit choice', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+          newSuit: 'D',
+        },
+      });
+
+      expect(mockGameState.chosenSuit).toBeNull();
     });
 
     test('should clear chosen suit when playing regular cards', async () => {
-      mockGameState.chosenSuit = 'diamonds';
+      mockGameState.chosenSuit = 'H';
       
       await handleMove({
         ws: mockWs,
@@ -316,7 +612,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
@@ -332,7 +628,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 2, s: 'clubs' }],
+          cards: [{ type: 'PLAY', v: 2, s: 'C' }],
         },
       });
 
@@ -340,7 +636,8 @@ describe('handleMove', () => {
     });
 
     test('should set penalty count for penalty card 3', async () => {
-      mockGameState.players['player1'].push(createMockCard(3, 'hearts'));
+      mockGameState.currentCard = createMockCard(5, 'H');
+      mockGameState.players['player1'].push(createMockCard(3, 'H'));
       
       await handleMove({
         ws: mockWs,
@@ -348,7 +645,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 3, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 3, s: 'H' }],
         },
       });
 
@@ -356,7 +653,8 @@ describe('handleMove', () => {
     });
 
     test('should set penalty count to 5 for penalty card 50', async () => {
-      mockGameState.players['player1'].push(createMockCard(50, 'hearts'));
+      mockGameState.currentCard = createMockCard(5, 'H');
+      mockGameState.players['player1'].push(createMockCard(50, 'R'));
       
       await handleMove({
         ws: mockWs,
@@ -364,15 +662,33 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 50, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 50, s: 'R' }],
         },
       });
 
       expect(mockGameState.activePenaltyCount).toBe(5);
     });
 
+    test('should use the joker penalty of the game\'s rules profile', async () => {
+      mockGameState.rules = RULES_PROFILES.JOKERS_3;
+      mockGameState.currentCard = createMockCard(5, 'H');
+      mockGameState.players['player1'].push(createMockCard(50, 'R'));
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 50, s: 'R' }],
+        },
+      });
+
+      expect(mockGameState.activePenaltyCount).toBe(3);
+    });
+
     test('should stack same penalty cards', async () => {
-      mockGameState.currentCard = createMockCard(2, 'spades');
+      mockGameState.currentCard = createMockCard(2, 'S');
       mockGameState.activePenaltyCount = 2;
       
       await handleMove({
@@ -381,7 +697,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 2, s: 'clubs' }],
+          cards: [{ type: 'PLAY', v: 2, s: 'C' }],
         },
       });
 
@@ -389,9 +705,9 @@ describe('handleMove', () => {
     });
 
     test('should use higher penalty value when different penalty cards are played', async () => {
-      mockGameState.currentCard = createMockCard(2, 'spades');
+      mockGameState.currentCard = createMockCard(2, 'S');
       mockGameState.activePenaltyCount = 2;
-      mockGameState.players['player1'].push(createMockCard(3, 'hearts'));
+      mockGameState.players['player1'].push(createMockCard(3, 'S'));
       
       await handleMove({
         ws: mockWs,
@@ -399,32 +715,33 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 3, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 3, s: 'S' }],
         },
       });
 
       expect(mockGameState.activePenaltyCount).toBe(3);
     });
 
-    test('should reset penalty count after move is processed', async () => {
+    test('should keep penalty pending for the next player after the move', async () => {
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 2, s: 'clubs' }],
+          cards: [{ type: 'PLAY', v: 2, s: 'C' }],
         },
       });
 
-      // Penalty count should be reset to 0 after processing
-      expect(mockGameState.activePenaltyCount).toBe(0);
+      // Penalty stays active until player2 draws or passes it on
+      expect(mockGameState.activePenaltyCount).toBe(2);
     });
   });
 
   describe('Cutting Card Logic', () => {
     test('should end game when cutting card is played', async () => {
-      mockGameState.cuttingCard = createMockCard(7, 'spades');
+      mockGameState.cuttingCard = createMockCard(7, 'S');
+      mockGameState.currentCard = createMockCard(9, 'S');
       
       await handleMove({
         ws: mockWs,
@@ -432,7 +749,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 7, s: 'spades' }],
+          cards: [{ type: 'PLAY', v: 7, s: 'S' }],
         },
       });
 
@@ -440,17 +757,20 @@ describe('handleMove', () => {
         gameId: 'test-game-id',
         winner: 'player1', // Player with lower card total
         loser: 'player2',
+        ranking: ['player1', 'player2'],
         reason: 'CUTTING_CARD',
         additionalData: {
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 7, s: 'spades' }],
+          cards: [{ type: 'PLAY', v: 7, s: 'S' }],
         },
       });
     });
 
     test('should not end game for non-cutting card of same value', async () => {
-      mockGameState.cuttingCard = createMockCard(7, 'spades');
+      mockGameState.cuttingCard = createMockCard(7, 'S');
+      mockGameState.currentCard = createMockCard(9, 'H');
+      mockGameState.players['player1'].push(createMockCard(7, 'H'));
       
       await handleMove({
         ws: mockWs,
@@ -458,7 +778,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 7, s: 'hearts' }], // Different suit
+          cards: [{ type: 'PLAY', v: 7, s: 'H' }], // Different suit
         },
       });
 
@@ -468,7 +788,8 @@ describe('handleMove', () => {
     test('should determine winner by lowest card total when cutting card played', async () => {
       // Player1 has total value: 5 + 7 + 2 = 14 (after removing played card)
       // Player2 has total value: 9 + 11 = 20
-      mockGameState.cuttingCard = createMockCard(7, 'spades');
+      mockGameState.cuttingCard = createMockCard(7, 'S');
+      mockGameState.currentCard = createMockCard(9, 'S');
       
       await handleMove({
         ws: mockWs,
@@ -476,7 +797,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 7, s: 'spades' }],
+          cards: [{ type: 'PLAY', v: 7, s: 'S' }],
         },
       });
 
@@ -492,7 +813,7 @@ describe('handleMove', () => {
 
   describe('Game End Conditions', () => {
     test('should end game when player runs out of cards', async () => {
-      mockGameState.players['player1'] = [createMockCard(5, 'hearts')]; // Only one card
+      mockGameState.players['player1'] = [createMockCard(5, 'H')]; // Only one card
       
       await handleMove({
         ws: mockWs,
@@ -500,7 +821,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
@@ -508,17 +829,18 @@ describe('handleMove', () => {
         gameId: 'test-game-id',
         winner: 'player1',
         loser: 'player2',
+        ranking: ['player1', 'player2'],
         reason: 'NO_CARDS',
         additionalData: {
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
     });
 
     test('should handle duplicate end game check gracefully', async () => {
-      mockGameState.players['player1'] = [createMockCard(5, 'hearts')];
+      mockGameState.players['player1'] = [createMockCard(5, 'H')];
       
       await handleMove({
         ws: mockWs,
@@ -526,7 +848,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
@@ -536,7 +858,7 @@ describe('handleMove', () => {
   });
 
   describe('Mixed Actions', () => {
-    test('should handle both draw and play actions in same move', async () => {
+    test('should reject playing after drawing', async () => {
       const initialHandSize = mockGameState.players['player1'].length;
       
       await handleMove({
@@ -546,19 +868,25 @@ describe('handleMove', () => {
           from: 'player1',
           to: 'player2',
           cards: [
-            { type: 'DRAW', v: 6, s: 'clubs' },
-            { type: 'PLAY', v: 5, s: 'hearts' },
+            { type: 'DRAW' },
+            { type: 'PLAY', v: 5, s: 'H' },
           ],
         },
       });
 
-      // Should have same number of cards (drew 1, played 1)
+      // Drawing passes the turn, so the play that follows is out of turn
+      expect(mockWs.send).toHaveBeenCalledWith(
+        expect.stringContaining('Not your turn')
+      );
       expect(mockGameState.players['player1']).toHaveLength(initialHandSize);
-      expect(mockGameState.currentCard).toEqual(createMockCard(5, 'hearts'));
+      expect(mockGameState.currentCard).toEqual(createMockCard(5, 'C'));
     });
 
-    test('should process multiple play actions', async () => {
-      mockGameState.players['player1'].push(createMockCard(9, 'diamonds'));
+    test('should process multiple play actions after a skip', async () => {
+      mockGameState.players['player1'].push(
+        createMockCard(8, 'C'),
+        createMockCard(9, 'C'),
+      );
       
       await handleMove({
         ws: mockWs,
@@ -567,15 +895,38 @@ describe('handleMove', () => {
           from: 'player1',
           to: 'player2',
           cards: [
-            { type: 'PLAY', v: 5, s: 'hearts' },
-            { type: 'PLAY', v: 9, s: 'diamonds' },
+            { type: 'PLAY', v: 8, s: 'C' },
+            { type: 'PLAY', v: 9, s: 'C' },
           ],
         },
       });
 
-      expect(mockGameState.playedCards).toContainEqual(createMockCard(5, 'hearts'));
-      expect(mockGameState.playedCards).toContainEqual(createMockCard(9, 'diamonds'));
-      expect(mockGameState.currentCard).toEqual(createMockCard(9, 'diamonds'));
+      expect(mockGameState.playedCards).toContainEqual(createMockCard(8, 'C'));
+      expect(mockGameState.playedCards).toContainEqual(createMockCard(9, 'C'));
+      expect(mockGameState.currentCard).toEqual(createMockCard(9, 'C'));
+      expect(mockGameState.currentTurn).toBe('player2');
+    });
+
+    test('should reject a second play once the turn has passed', async () => {
+      mockGameState.players['player1'].push(createMockCard(9, 'H'));
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [
+            { type: 'PLAY', v: 5, s: 'H' },
+            { type: 'PLAY', v: 9, s: 'H' },
+          ],
+        },
+      });
+
+      expect(mockWs.send).toHaveBeenCalledWith(
+        expect.stringContaining('Not your turn')
+      );
+      expect(mockGameState.currentCard).toEqual(createMockCard(5, 'C'));
     });
   });
 
@@ -587,13 +938,60 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+
+      expect(mockGameState.currentTurn).toBe('player2');
+    });
+
+    test('should pick the next player on the server, ignoring to', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player1',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
       expect(mockGameState.currentTurn).toBe('player2');
     });
 
+    test('should give the turn back to the player after a skip card', async () => {
+      mockGameState.players['player1'].push(createMockCard(11, 'C'));
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 11, s: 'C' }],
+        },
+      });
+
+      expect(mockGameState.currentTurn).toBe('player1');
+      expect(startTimeout).toHaveBeenCalledWith('test-game-id');
+    });
+
+    test('should rotate through every seat at a larger table', async () => {
+      mockGameState.players['player3'] = [createMockCard(4, 'S')];
+      mockGameState.seats = ['player1', 'player3', 'player2'];
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+
+      expect(mockGameState.currentTurn).toBe('player3');
+    });
+
     test('should start timeout and set turn expiry', async () => {
       const beforeTime = Date.now();
       
@@ -603,7 +1001,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
@@ -612,7 +1010,7 @@ describe('handleMove', () => {
     });
 
     test('should clear wait timeout', async () => {
-      mockGameState.waitTimeout = 'some-timeout' as any;
+      mockGameState.waitTimeout = setTimeout(() => {}, 0);
       
       await handleMove({
         ws: mockWs,
@@ -620,12 +1018,162 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
       expect(mockGameState.waitTimeout).toBeNull();
     });
+
+    test('should save the game after a legal move but not a rejected one', async () => {
+      mockWs.uid = 'player2';
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player2',
+          cards: [{ type: 'PLAY', v: 9, s: 'D' }],
+        },
+      });
+      expect(saveGame).not.toHaveBeenCalled();
+
+      mockWs.uid = 'player1';
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+      expect(saveGame).toHaveBeenCalledWith(mockGameState);
+    });
+
+    test('should log the sequenced events of a move', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+
+      const [, events] = (logGameEvents as jest.Mock).mock.calls[0];
+      expect(events.map((event: { seq: number }) => event.seq)).toEqual([1, 2]);
+      expect(events[0]).toMatchObject({
+        type: GameEventType.CARD_PLAYED,
+        player: 'player1',
+      });
+    });
+    test('should clear a run of timeouts once the player moves themselves', async () => {
+      mockGameState.timeouts = { player1: { consecutive: 2, total: 2 } };
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+
+      expect(mockGameState.timeouts.player1).toEqual({ consecutive: 0, total: 2 });
+    });
+
+    test('should charge the time used to the bank and add the increment', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      mockGameState.timeControl = { bank: 60000, increment: 2000, warnings: [] };
+      mockGameState.clocks = { player1: 60000, player2: 45000 };
+      mockGameState.turnExpiresAt = now + 50000;
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+
+      expect(mockGameState.clocks).toEqual({ player1: 52000, player2: 45000 });
+      expect(mockGameState.turnExpiresAt).toBe(now + 45000);
+      const turnChanged = getEvents(mockWs).find(
+        (event: { type: string }) => event.type === GameEventType.TURN_CHANGED,
+      );
+      expect(turnChanged).toMatchObject({
+        turnExpiresAt: now + 45000,
+        clocks: { player1: 52000, player2: 45000 },
+      });
+      jest.restoreAllMocks();
+    });
+
+    test('should end the game on time when a move empties the bank', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      (getForfeitRanking as jest.Mock).mockReturnValue(['player2', 'player1']);
+      mockGameState.timeControl = { bank: 60000, increment: 0, warnings: [] };
+      mockGameState.clocks = { player1: 8000, player2: 45000 };
+      mockGameState.turnExpiresAt = now - 100;
+
+      const result = applyMove(
+        mockGameState,
+        { gameId: 'test-game-id', from: 'player1', cards: [{ type: 'DRAW' }] },
+        { timedOut: true },
+      );
+
+      expect(result.valid).toBe(true);
+      expect(mockGameState.clocks.player1).toBe(0);
+      expect(getForfeitRanking).toHaveBeenCalledWith(mockGameState, 'player1');
+      expect(endGame).toHaveBeenCalledWith(
+        expect.objectContaining({
+          gameId: 'test-game-id',
+          winner: 'player2',
+          loser: 'player1',
+          ranking: ['player2', 'player1'],
+          reason: 'TIMEOUT',
+        }),
+      );
+      expect(startTimeout).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    test('should end the game on time even when the level has an increment', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      (getForfeitRanking as jest.Mock).mockReturnValue(['player2', 'player1']);
+      mockGameState.timeControl = { bank: 60000, increment: 2000, warnings: [] };
+      mockGameState.clocks = { player1: 8000, player2: 45000 };
+      mockGameState.turnExpiresAt = now - 100;
+
+      applyMove(
+        mockGameState,
+        { gameId: 'test-game-id', from: 'player1', cards: [{ type: 'DRAW' }] },
+        { timedOut: true },
+      );
+
+      expect(mockGameState.clocks.player1).toBe(0);
+      expect(endGame).toHaveBeenCalledWith(
+        expect.objectContaining({ loser: 'player1', reason: 'TIMEOUT' }),
+      );
+      expect(startTimeout).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    test('should keep the run going for a draw made after a timeout', () => {
+      mockGameState.timeouts = { player1: { consecutive: 1, total: 1 } };
+
+      const result = applyMove(
+        mockGameState,
+        { gameId: 'test-game-id', from: 'player1', cards: [{ type: 'DRAW' }] },
+        { timedOut: true },
+      );
+
+      expect(result.valid).toBe(true);
+      expect(mockGameState.players['player1']).toHaveLength(4);
+      expect(mockGameState.timeouts.player1).toEqual({ consecutive: 1, total: 1 });
+    });
   });
 
   describe('Player Notifications', () => {
@@ -636,18 +1184,18 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
       expect(mockWs.send).toHaveBeenCalledWith(
-        expect.stringContaining(WebSocketMessageType.MOVE)
+        expect.stringContaining(WebSocketMessageType.GAME_EVENTS)
       );
     });
 
-    test('should include reshuffle info in move notification when reshuffle occurs', async () => {
-      mockGameState.deck = [createMockCard(1, 'hearts')];
-      mockGameState.playedCards = [createMockCard(2, 'spades')];
+    test('should include a reshuffle event when reshuffle occurs', async () => {
+      mockGameState.deck = [createMockCard(6, 'C')];
+      mockGameState.playedCards = [createMockCard(2, 'S'), createMockCard(5, 'C')];
       
       await handleMove({
         ws: mockWs,
@@ -655,33 +1203,181 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'DRAW', v: 1, s: 'hearts' }],
+          cards: [{ type: 'DRAW' }],
         },
       });
 
-      const sentMessage = JSON.parse(mockWs.send.mock.calls[1][0]); // Second call (first is reshuffle notification)
-      expect(sentMessage.data.reshuffleInfo.occurred).toBe(true);
+      expect(getEvents(mockWs).map((event: { type: string }) => event.type)).toEqual([
+        GameEventType.DECK_RESHUFFLED,
+        GameEventType.CARDS_DRAWN,
+        GameEventType.TURN_CHANGED,
+      ]);
     });
 
-    test('should exclude timeout properties from game state in notifications', async () => {
+    test('should not serialise the game state with move events', async () => {
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
       const sentMessage = JSON.parse(mockWs.send.mock.calls[0][0]);
-      expect(sentMessage.data.gameState.waitTimeout).toBeUndefined();
-      expect(sentMessage.data.gameState.moveTimeout).toBeUndefined();
+      expect(sentMessage.data.gameState).toBeUndefined();
+      expect(JSON.stringify(sentMessage)).not.toContain('deck');
+    });
+  });
+
+  describe('Game Events', () => {
+    test('should number events with increasing sequence numbers', async () => {
+      mockGameState.seq = 4;
+      mockGameState.players['player1'].push(createMockCard(15, 'H'));
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 15, s: 'H' }],
+          newSuit: 'S',
+        },
+      });
+
+      expect(getEvents(mockWs)).toEqual([
+        { seq: 5, type: GameEventType.CARD_PLAYED, player: 'player1', card: createMockCard(15, 'H') },
+        { seq: 6, type: GameEventType.SUIT_CHOSEN, player: 'player1', suit: 'S' },
+        {
+          seq: 7,
+          type: GameEventType.TURN_CHANGED,
+          currentTurn: 'player2',
+          turnExpiresAt: mockGameState.turnExpiresAt,
+        },
+      ]);
+      expect(mockGameState.seq).toBe(7);
+    });
+
+    test('should emit a penalty change when a penalty card is played', async () => {
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 2, s: 'C' }],
+        },
+      });
+
+      expect(getEvents(mockWs)).toContainEqual(
+        expect.objectContaining({
+          type: GameEventType.PENALTY_CHANGED,
+          activePenaltyCount: 2,
+        }),
+      );
+    });
+
+    test('should not advance the sequence for a rejected move', async () => {
+      mockGameState.seq = 3;
+
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player1',
+          to: 'player2',
+          cards: [{ type: 'PLAY', v: 7, s: 'S' }],
+        },
+      });
+
+      expect(mockGameState.seq).toBe(3);
+    });
+  });
+
+  describe('State Invariants', () => {
+    const move: MoveData = {
+      gameId: 'test-game-id',
+      from: 'player1',
+      cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('should check the state every move leads to', () => {
+      applyMove(mockGameState, move);
+
+      expect(checkInvariants).toHaveBeenCalledWith(
+        expect.objectContaining({ currentCard: createMockCard(5, 'H') }),
+      );
+    });
+
+    test('should halt and refund a game that reaches an impossible state', () => {
+      (checkInvariants as jest.Mock).mockReturnValueOnce(['Card 5H appears 2 times']);
+
+      const result = applyMove(mockGameState, move);
+
+      expect(result.valid).toBe(true);
+      expect(endGame).toHaveBeenCalledWith({
+        gameId: 'test-game-id',
+        outcome: 'SERVER_ERROR',
+        reason: 'STATE_CORRUPTED',
+        additionalData: { violations: ['Card 5H appears 2 times'] },
+      });
+      expect(appendGameLog).toHaveBeenCalledWith(
+        mockGameState,
+        'INVARIANT_VIOLATED',
+        expect.objectContaining({
+          violations: ['Card 5H appears 2 times'],
+          move,
+          before: expect.objectContaining({ currentCard: createMockCard(5, 'C') }),
+          after: expect.objectContaining({ currentCard: createMockCard(5, 'H') }),
+        }),
+      );
+    });
+
+    test('should keep the last sound state of a halted game', () => {
+      (checkInvariants as jest.Mock).mockReturnValueOnce(['Pending draw is -1']);
+
+      applyMove(mockGameState, move);
+
+      expect(mockGameState.players.player1).toContainEqual(createMockCard(5, 'H'));
+      expect(mockGameState.currentCard).toEqual(createMockCard(5, 'C'));
+      expect(mockGameState.seq).toBe(0);
+      expect(startTimeout).not.toHaveBeenCalled();
+      expect(saveGame).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Redacted Game State', () => {
+    test('should only give each player their own hand', () => {
+      const playerView = buildPlayerView(mockGameState, 'player1');
+      const opponentView = buildPlayerView(mockGameState, 'player2');
+
+      expect(playerView.hand).toEqual(mockGameState.players['player1']);
+      expect(opponentView.hand).toEqual(mockGameState.players['player2']);
+      expect(playerView.handCounts).toEqual({ player1: 3, player2: 2 });
+      expect(opponentView.handCounts).toEqual({ player1: 3, player2: 2 });
+    });
+
+    test('should hide the deck order and keep public cards', () => {
+      const view: Record<string, unknown> = { ...buildPlayerView(mockGameState, 'player1') };
+
+      expect(view.players).toBeUndefined();
+      expect(view.deck).toBeUndefined();
+      expect(view.moveTimeout).toBeUndefined();
+      expect(view.deckCount).toBe(3);
+      expect(view.currentCard).toEqual(createMockCard(5, 'C'));
+      expect(view.cuttingCard).toEqual(createMockCard(7, 'S'));
+      expect(view.seq).toBe(0);
     });
   });
 
   describe('Edge Cases', () => {
-    test('should handle empty cards array', async () => {
+    test('should reject an empty cards array', async () => {
       await handleMove({
         ws: mockWs,
         data: {
@@ -692,12 +1388,15 @@ describe('handleMove', () => {
         },
       });
 
-      expect(mockGameState.currentTurn).toBe('player2');
-      expect(startTimeout).toHaveBeenCalled();
+      expect(mockWs.send).toHaveBeenCalledWith(
+        expect.stringContaining('Move has no actions')
+      );
+      expect(mockGameState.currentTurn).toBe('player1');
+      expect(startTimeout).not.toHaveBeenCalled();
     });
 
     test('should handle card with undefined value gracefully', async () => {
-      mockGameState.players['player1'].push({ v: undefined, s: 'hearts' } as any);
+      mockGameState.players['player1'].push({ s: 'H' } as unknown as CardType);
       
       await handleMove({
         ws: mockWs,
@@ -705,16 +1404,19 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: undefined, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: undefined, s: 'H' }],
         },
       });
 
-      // Should not crash and should continue processing
-      expect(mockGameState.currentTurn).toBe('player2');
+      // Should not crash, and the unmatched card is rejected
+      expect(mockWs.send).toHaveBeenCalledWith(
+        expect.stringContaining(WebSocketMessageType.INVALID_MOVE)
+      );
+      expect(mockGameState.currentTurn).toBe('player1');
     });
 
     test('should handle missing game state properties', async () => {
-      delete (mockGameState as any).chosenSuit;
+      delete (mockGameState as Partial<GameState>).chosenSuit;
       
       await handleMove({
         ws: mockWs,
@@ -722,36 +1424,45 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
       expect(mockWs.send).toHaveBeenCalled();
     });
 
-    test('should handle player with no cards in hand', async () => {
-      mockGameState.players['player1'] = [];
-      
+    test('should reject moves once the game is over', async () => {
+      mockGameState.players['player1'] = [createMockCard(5, 'H')];
+
       await handleMove({
         ws: mockWs,
         data: {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
+        },
+      });
+      mockGameState.currentTurn = 'player2';
+      mockWs.uid = 'player2';
+      await handleMove({
+        ws: mockWs,
+        data: {
+          gameId: 'test-game-id',
+          from: 'player2',
+          to: 'player1',
+          cards: [{ type: 'DRAW' }],
         },
       });
 
-      expect(endGame).toHaveBeenCalledWith(
-        expect.objectContaining({
-          winner: 'player1',
-          reason: 'NO_CARDS',
-        })
+      expect(mockWs.send).toHaveBeenCalledWith(
+        expect.stringContaining('Game is already over')
       );
+      expect(endGame).toHaveBeenCalledTimes(1);
     });
 
     test('should handle single player game state', async () => {
-      mockGameState.players = { 'player1': [createMockCard(5, 'hearts')] };
+      mockGameState.players = { 'player1': [createMockCard(5, 'H')] };
       
       await handleMove({
         ws: mockWs,
@@ -759,7 +1470,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 5, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 5, s: 'H' }],
         },
       });
 
@@ -776,7 +1487,7 @@ describe('handleMove', () => {
   describe('Performance and Memory', () => {
     test('should handle large number of cards efficiently', async () => {
       const manyCards = Array(100).fill(null).map((_, i) => 
-        createMockCard(i % 13 + 1, ['hearts', 'diamonds', 'clubs', 'spades'][i % 4])
+        createMockCard(i % 13 + 1, ['H', 'D', 'C', 'S'][i % 4])
       );
       
       mockGameState.players['player1'] = [...manyCards];
@@ -790,7 +1501,7 @@ describe('handleMove', () => {
           gameId: 'test-game-id',
           from: 'player1',
           to: 'player2',
-          cards: [{ type: 'PLAY', v: 1, s: 'hearts' }],
+          cards: [{ type: 'PLAY', v: 1, s: 'H' }],
         },
       });
       
@@ -1,219 +1,244 @@
 import { WebSocket } from 'ws';
 import { WebSocketMessageType } from '../../types/messageTypes';
-import { CardType, GameState, WsProps } from '../types';
+import { CardType, GameState, MoveData } from '../types';
 import { endGame } from './endGame';
-import { clients, gameStates, PLAY_TIMEOUT_DURATION } from '../state';
-import { startTimeout } from '../wsUtil';
+import { gameStates } from '../state';
+import { getForfeitRanking, startTimeout } from '../wsUtil';
+import {
+  broadcastGameEvents,
+  createGameEvent,
+  GameEventData,
+  GameEventType,
+} from '../gameEvents';
 import { reshufflePlayedCards } from '../../utils/cardUtils';
-
-const PENALTY_CARDS = [2, 3, 50];
-
-// Helper function to validate drawn cards against deck
-const validateDrawnCards = (
-  deck: CardType[],
-  drawnCards: CardType[],
-): boolean => {
-  if (drawnCards.length > deck.length) {
-    return false;
+import { getReshuffleRandom } from '../../utils/fairness';
+import { applyAction } from '../../../rules/engine';
+import { checkInvariants } from '../../../rules/invariants';
+import { scheduleBotTurn } from '../bots';
+import { saveGame } from '../gameStore';
+import { appendGameLog, LogEntryType, logGameEvents } from '../eventLog';
+import { chargeClock, getTurnDuration } from '../clock';
+import { GameOutcome } from '../../utils/settlement';
+
+export interface MoveResult {
+  valid: boolean;
+  reason?: string;
+  card?: CardType;
+}
+
+interface ReducedMove extends MoveResult {
+  state?: GameState;
+  events?: GameEventData[];
+}
+
+// Runs every action of a move through the rules engine without touching the live game
+const reduceMove = (gameState: GameState, move: MoveData): ReducedMove => {
+  const { from, cards, newSuit } = move;
+
+  if (!cards || cards.length === 0) {
+    return { valid: false, reason: 'Move has no actions' };
   }
 
-  // Get the last N cards from deck (top of stack) where N is the number of drawn cards
-  const topCards = deck.slice(-drawnCards.length);
-
-  // Check if each drawn card matches the corresponding card from the top of deck
-  return drawnCards.every((drawnCard, index) => {
-    const deckCard = topCards[index];
-    return deckCard && deckCard.v === drawnCard.v && deckCard.s === drawnCard.s;
-  });
-};
-
-// Helper function to handle deck reshuffling
-const handleDeckReshuffle = (
-  gameState: GameState,
-  gameId: string,
-  from,
-): { reshuffled: boolean; count: number } => {
-  const minimumDeckSize = 5;
-
-  if (
-    gameState.deck.length <= minimumDeckSize &&
-    gameState.playedCards.length > 1 // Need at least 2 cards to keep top card and reshuffle others
-  ) {
-    // Keep the top card (last played card) in played cards
-    const topCard = gameState.playedCards[gameState.playedCards.length - 1];
-
-    // Get all played cards except the top one for reshuffling
-    const cardsToReshuffle = gameState.playedCards.slice(0, -1);
-
-    // Store the current deck cards (will go on top)
-    const remainingDeckCards = [...gameState.deck];
-
-    // Reshuffle the played cards (excluding top card)
-    const reshuffleResult = reshufflePlayedCards(
-      [], // Start with empty deck
-      cardsToReshuffle,
+  let state = gameState;
+  const events: GameEventData[] = [];
+
+  // Played cards go back under the deck, each reshuffle seeded from the game's seeds
+  let reshuffles = gameState.fairness?.reshuffles || 0;
+  const shuffle = (played: CardType[]): CardType[] =>
+    reshufflePlayedCards(
+      [],
+      played,
+      getReshuffleRandom(gameState.fairness, ++reshuffles),
+    ).newDeck;
+
+  for (const action of cards) {
+    const result = applyAction(
+      state,
+      {
+        type: action.type,
+        player: from,
+        card: { v: action.v, s: action.s },
+        suit: newSuit,
+        count: action.count,
+      },
+      { shuffle },
     );
 
-    const reshuffledCount = cardsToReshuffle.length;
-
-    // Build new deck: reshuffled cards at bottom, remaining deck cards on top
-    gameState.deck = [...reshuffleResult.newDeck, ...remainingDeckCards];
+    if (!result.valid) {
+      return {
+        valid: false,
+        reason: result.reason,
+        card: result.card as CardType | undefined,
+      };
+    }
 
-    // Keep only the top card in played cards
-    gameState.playedCards = [topCard];
+    state = result.state as GameState;
+    events.push(...(result.events as GameEventData[]));
+  }
 
-    
+  // A reduced penalty has to be drawn within the same move
+  if (state.status !== 'FINISHED' && (state.pendingDraw || 0) > 0) {
+    return {
+      valid: false,
+      reason: `Must draw ${state.pendingDraw} penalty card(s)`,
+    };
+  }
 
-    // Notify all players about the reshuffle
+  if (state.fairness) {
+    state = { ...state, fairness: { ...state.fairness, reshuffles } };
+  }
 
-    // const { moveTimeout, waitTimeout, ...newGameState } = gameState;
+  return { valid: true, state, events };
+};
 
-    // console.log(
-    //   JSON.stringify(newGameState),
-    //   `Reshuffled ${reshuffledCount} played cards back into deck (kept top card). New deck size: ${gameState.deck.length}`,
-    // );
+// The parts of a state the invariants cover, for the diagnostic log
+const snapshot = (state: GameState) =>
+  structuredClone({
+    seats: state.seats,
+    players: state.players,
+    deck: state.deck,
+    playedCards: state.playedCards,
+    cuttingCard: state.cuttingCard,
+    currentCard: state.currentCard,
+    currentTurn: state.currentTurn,
+    chosenSuit: state.chosenSuit,
+    activePenaltyCount: state.activePenaltyCount,
+    pendingDraw: state.pendingDraw,
+    status: state.status,
+  });
 
-    // const player = clients.get(from);
-    // player?.ws.send(
-    //   JSON.stringify({
-    //     type: WebSocketMessageType.RESHUFFLE,
-    //     data: {
-    //       gameId,
-    //       gameState: newGameState,
-    //       reshuffledCardsCount: reshuffledCount,
-    //     },
-    //   }),
-    // );
+// Stops a game the engine has taken into an impossible state. The live game
+// keeps its last sound state and every player gets their stake back.
+const haltCorruptGame = (
+  gameState: GameState,
+  move: MoveData,
+  corrupted: GameState,
+  violations: string[],
+): void => {
+  const diagnostic = {
+    violations,
+    move,
+    before: snapshot(gameState),
+    after: snapshot(corrupted),
+  };
+  console.error(
+    `Game ${gameState.gameId} reached an impossible state:`,
+    JSON.stringify(diagnostic),
+  );
+  appendGameLog(gameState, LogEntryType.INVARIANT_VIOLATED, diagnostic);
 
-    return { reshuffled: true, count: reshuffledCount };
-  }
-  return { reshuffled: false, count: 0 };
+  endGame({
+    gameId: gameState.gameId,
+    outcome: GameOutcome.SERVER_ERROR,
+    reason: 'STATE_CORRUPTED',
+    additionalData: { violations },
+  });
 };
 
-// Helper function to process draw actions
-const processDrawAction = (
+// Applies a legal move to the live game and notifies the players; used for
+// player and bot moves and for the draw made for a player who timed out
+export const applyMove = (
   gameState: GameState,
-  from: string,
-  drawnCards: CardType[],
-  ws: WebSocket,
-): {
-  success: boolean;
-  reshuffled: boolean;
-} => {
-  // Handle potential reshuffle before validation
-  const reshuffleResult = handleDeckReshuffle(
-    gameState,
-    gameState.gameId || '',
-    from,
-  );
+  move: MoveData,
+  { timedOut = false }: { timedOut?: boolean } = {},
+): MoveResult => {
+  const { gameId, from, to, cards, newSuit } = move;
+
+  const reduced = reduceMove(gameState, move);
+  if (!reduced.valid) {
+    return { valid: false, reason: reduced.reason, card: reduced.card };
+  }
 
-  // Validate that the drawn cards match the top cards of the deck
-  // if (!validateDrawnCards(gameState.deck, drawnCards)) {
-  //   ws.send(
-  //     JSON.stringify({
-  //       type: 'ERROR',
-  //       message: 'Network issue: drawn cards do not match deck state',
-  //     }),
-  //   );
-  //   return {
-  //     success: false,
-  //     reshuffleInfo: { occurred: reshuffleResult.reshuffled },
-  //   };
-  // }
-  // Remove the drawn cards from the deck (from the end/top)
-  gameState.deck.splice(-drawnCards.length);
-
-  // Add the drawn cards to the player's hand
-  gameState.players[from].push(...drawnCards);
-
-  console.log(
-    `Player ${from} drew ${drawnCards.length} cards. Deck size now: ${gameState.deck.length}`,
-  );
+  // The move was legal, so the game is over rather than the move refused
+  const violations = checkInvariants(reduced.state!);
+  if (violations.length) {
+    haltCorruptGame(gameState, move, reduced.state!, violations);
+    return { valid: true };
+  }
 
-  return {
-    success: true,
-    reshuffled: reshuffleResult.reshuffled,
-  };
-};
+  const outOfTime = chargeClock(gameState, from);
 
-// Helper function to process penalty cards
-const processPenaltyCard = (gameState: GameState, action: CardType): void => {
-  const isPenaltyCard = (value: number | undefined) =>
-    value !== undefined && PENALTY_CARDS.includes(value);
-
-  const getPenaltyValue = (value: number) => (value === 50 ? 5 : value);
-
-  const currentValue = gameState.currentCard?.v;
-  const previousPenaltyCard = isPenaltyCard(currentValue)
-    ? gameState.currentCard
-    : null;
-
-  if (isPenaltyCard(action.v)) {
-    const newPenaltyValue = getPenaltyValue(action.v!);
-
-    if (previousPenaltyCard) {
-      const previousValue = getPenaltyValue(previousPenaltyCard.v);
-
-      if (previousValue === newPenaltyValue) {
-        gameState.activePenaltyCount = newPenaltyValue;
-        console.log('======0');
-      } else if (previousValue > newPenaltyValue) {
-        console.log('=======1');
-        gameState.activePenaltyCount = 0;
-      } else {
-        console.log('=======2');
-        gameState.activePenaltyCount = newPenaltyValue;
-      }
-    } else {
-      console.log('=======3');
-      gameState.activePenaltyCount = newPenaltyValue;
-    }
+  // Commit the engine's state, keeping the live object and its timers
+  Object.assign(gameState, reduced.state);
+  gameState.waitTimeout = null;
+  gameState.endOffers = [];
+  if (!timedOut && gameState.timeouts?.[from]) {
+    gameState.timeouts[from].consecutive = 0;
   }
-};
 
-// Helper function to process play actions
-const processPlayAction = (
-  gameState: GameState,
-  from: string,
-  action: CardType,
-  newSuit?: string,
-): { isCuttingCard: boolean; remainingCards: number } => {
-  // Clear chosen suit if it exists
-  if (gameState.chosenSuit) {
-    gameState.chosenSuit = null;
+  // An empty bank would make every later turn of theirs last no time at all
+  if (outOfTime && !gameState.result) {
+    const ranking = getForfeitRanking(gameState, from);
+    gameState.result = {
+      reason: 'TIMEOUT',
+      winner: ranking[0],
+      loser: from,
+      ranking,
+    };
   }
 
-  // Process penalty cards
-  processPenaltyCard(gameState, action);
+  if (gameState.result) {
+    const { winner, loser, ranking, tied, reason } = gameState.result;
+    const events = reduced.events!.map((event) =>
+      createGameEvent(gameState, event),
+    );
+    logGameEvents(gameState, events);
+    broadcastGameEvents({ gameState, events });
+    endGame({
+      gameId,
+      winner,
+      loser,
+      ranking,
+      tied,
+      reason,
+      additionalData: { from, to, cards, newSuit },
+    });
+    return { valid: true };
+  }
 
-  // Determine if this is a cutting card
-  const isCuttingCard = action.v === 7 && action.s === gameState.cuttingCard.s;
+  // Continue game with the player the engine picked
+  startTimeout(gameId);
 
-  // Set new suit if provided (e.g. after a joker)
-  if (newSuit) {
-    gameState.chosenSuit = newSuit;
-  }
+  // No deadline while the player to move is disconnected; their clock is paused
+  const turnExpiresAt = gameState.disconnected?.[gameState.currentTurn]
+    ? undefined
+    : Date.now() + getTurnDuration(gameState);
+  gameState.turnExpiresAt = turnExpiresAt;
+  gameStates.set(gameId, gameState);
 
-  // Remove the played card from the player's hand
-  gameState.players[from] = gameState.players[from].filter(
-    (c) => !(c.v === action.v && c.s === action.s),
+  const clocks = gameState.clocks && { ...gameState.clocks };
+  const events = reduced.events!.map((event) =>
+    createGameEvent(
+      gameState,
+      event.type === GameEventType.TURN_CHANGED
+        ? { ...event, turnExpiresAt, clocks }
+        : event,
+    ),
   );
+  logGameEvents(gameState, events);
+  saveGame(gameState);
 
-  // Add the played card to playedCards and update currentCard
-  gameState.playedCards.push(action);
-  gameState.currentCard = action;
+  // Notify all players about the move
+  broadcastGameEvents({ gameState, events });
 
-  // Return result including remaining cards count
-  return {
-    isCuttingCard,
-    remainingCards: gameState.players[from].length,
-  };
+  // Hand over to the bot if it is now its turn
+  scheduleBotTurn(gameState, applyMove);
+  return { valid: true };
 };
 
+interface HandleMoveProps {
+  ws: WebSocket & { uid?: string };
+  data: MoveData;
+}
+
 // Main implementation
-export const handleMove = async ({ ws, data }: WsProps): Promise<void> => {
-  const { gameId, from, to, cards, newSuit } = data;
+export const handleMove = async ({
+  ws,
+  data,
+}: HandleMoveProps): Promise<void> => {
+  const { gameId, from, cards } = data;
   const gameState = gameStates.get(gameId);
+  const uid = ws.uid;
 
   console.log('=========cards', cards);
 
@@ -222,152 +247,45 @@ export const handleMove = async ({ ws, data }: WsProps): Promise<void> => {
     ws.send(JSON.stringify({ type: 'ERROR', message: 'Game not found' }));
     return;
   }
-  if (!gameState.players[from]) {
+  if (!uid || !gameState.players[uid]) {
     ws.send(
       JSON.stringify({ type: 'ERROR', message: 'Player not found in game' }),
     );
     return;
   }
-
-  gameState.waitTimeout = null;
-
-  let cuttingCardPlayed = false;
-  let reshuffleOccurred = false;
-  // Separate draw and play actions
-  const drawActions = cards.filter((card) => card.type === 'DRAW');
-  const playActions = cards.filter((card) => card.type === 'PLAY');
-
-  // Process draw actions first
-  if (drawActions.length > 0) {
-    // Extract the actual drawn cards from the draw actions
-    const drawnCards = drawActions.map((action) => ({
-      v: action.v,
-      s: action.s,
-    })) as CardType[];
-
-    const drawResult = processDrawAction(gameState, from, drawnCards, ws);
-
-    if (!drawResult.success) {
-      return; // Error already sent in processDrawAction
-    }
-
-    reshuffleOccurred = drawResult.reshuffled;
-  }
-
-  // Process play actions
-  for (const action of playActions) {
-    const actionCard: CardType = { v: action.v, s: action.s };
-    const result = processPlayAction(gameState, from, actionCard, newSuit);
-
-    if (result.isCuttingCard) {
-      cuttingCardPlayed = true;
-    }
-
-    // End game immediately if player has no more cards
-    if (result.remainingCards === 1) {
-      const opponent = Object.keys(gameState.players).find((id) => id !== from);
-      endGame({
-        gameId,
-        winner: from,
-        loser: opponent,
-        reason: 'NO_CARDS',
-        additionalData: { from, to, cards, newSuit },
-      });
-      return;
-    }
+  // Nobody moves until every player is ready, nor after the game is over
+  if (gameState.status !== 'STARTED') {
+    ws.send(
+      JSON.stringify({
+        type: 'ERROR',
+        message:
+          gameState.status === 'FINISHED'
+            ? 'Game is already over'
+            : 'Game has not started yet',
+      }),
+    );
+    return;
   }
-
-  // Game over conditions
-  // if (gameState.players[from].length === 0) {
-  //   const opponent = Object.keys(gameState.players).find((id) => id !== from);
-  //   endGame({
-  //     gameId,
-  //     winner: from,
-  //     loser: opponent,
-  //     reason: 'NO_CARDS',
-  //     additionalData: { from, to, cards, newSuit },
-  //   });
-  //   return;
-  // }
-
-  if (cuttingCardPlayed) {
-    const allPlayers = Object.keys(gameState.players);
-    const playerCardSums = allPlayers.map((id) => ({
-      id,
-      totalValue: gameState.players[id].reduce(
-        (sum, card) => sum + Number(card.v),
-        0,
-      ),
-    }));
-    playerCardSums.sort((a, b) => a.totalValue - b.totalValue);
-    endGame({
-      gameId,
-      winner: playerCardSums[0].id,
-      loser: playerCardSums[1].id,
-      reason: 'CUTTING_CARD',
-      additionalData: { from, to, cards, newSuit },
-    });
+  // The mover is whoever the socket identified as; `from` may only confirm it
+  if (from && from !== uid) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'Cannot move for another player' }),
+    );
     return;
   }
 
-  // Continue game
-  gameState.currentTurn = to;
-
-  startTimeout(gameId);
-
-  const turnExpiresAt = Date.now() + PLAY_TIMEOUT_DURATION;
-  gameState.turnExpiresAt = turnExpiresAt;
-  gameStates.set(gameId, gameState);
-
-  // Notify all players about the move
-  Object.keys(gameState.players).forEach((playerId) => {
-    const player = clients.get(playerId);
-
-    const moveDataCards = cards.map((card) => {
-      if (card.type === 'DRAW') {
-        return {
-          type: 'DRAW',
-          s: card.s,
-          v: card.v,
-        };
-      }
-      gameState.currentCard = card as CardType;
-
-      if (newSuit) {
-        gameState.chosenSuit = newSuit;
-      } else {
-        gameState.chosenSuit = null;
-      }
-
-      return {
-        type: 'PLAY',
-        s: card.s,
-        v: card.v,
-      };
-    });
-
-    const { waitTimeout, moveTimeout, ...newGameState } = gameState;
-
-    const moveData = {
-      from,
-      to,
-      cards: moveDataCards,
-      newSuit,
-      gameState: newGameState,
-      reshuffled: reshuffleOccurred
-    };
-
-    player?.ws.send(
+  // Illegal moves leave the game untouched
+  const result = applyMove(gameState, { ...data, from: uid });
+  if (!result.valid) {
+    ws.send(
       JSON.stringify({
-        type: WebSocketMessageType.MOVE,
-        data: moveData,
+        type: WebSocketMessageType.INVALID_MOVE,
+        data: {
+          gameId,
+          reason: result.reason,
+          card: result.card,
+        },
       }),
     );
-  });
-
-  if (gameState.activePenaltyCount) {
-    gameState.activePenaltyCount = 0;
-    return;
   }
-  // Reset penalty count after notifying all players
 };
@@ -0,0 +1,88 @@
+import { handleOfferEndGame } from './handleOfferEndGame';
+import { clients, gameStates, playerGameMap } from './../state';
+import { connectPlayers, received, TestSocket } from './../testClients';
+import { GameState } from './../types';
+import { settleEscrow } from './../../utils/escrow';
+
+jest.mock('./../wsUtil');
+jest.mock('./../gameStore');
+jest.mock('./../eventLog');
+jest.mock('./../spectators');
+jest.mock('./handleNearbyPlayers');
+jest.mock('./handleRematch');
+jest.mock('./../../controllers/battle.controller');
+jest.mock('./../../models/User', () => ({ findOne: jest.fn() }));
+jest.mock('./../../utils/escrow');
+jest.mock('./../bots', () => ({
+  isBot: (uid: string) => uid.startsWith('bot:'),
+}));
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  playerGameMap: new Map(),
+}));
+
+describe('offering to end the game', () => {
+  let sockets: Record<string, TestSocket>;
+
+  const offer = (uid: string) =>
+    handleOfferEndGame({ ws: sockets[uid], data: { gameId: 'g1' } });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    gameStates.clear();
+    playerGameMap.clear();
+
+    sockets = connectPlayers('alice', 'bob');
+    (settleEscrow as jest.Mock).mockImplementation(async ({ payouts }) => payouts);
+    gameStates.set('g1', {
+      gameId: 'g1',
+      players: { alice: [{ v: 5, s: 'H' }], bob: [{ v: 9, s: 'D' }] },
+      seats: ['alice', 'bob'],
+      status: 'STARTED',
+      currentTurn: 'alice',
+      seq: 6,
+      stake: { amount: 1000, charge: 50, points: 5 },
+    } as unknown as GameState);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should wait for every player to agree', async () => {
+    await offer('alice');
+
+    expect(gameStates.get('g1')!.status).toBe('STARTED');
+    expect(received(sockets.bob)).toEqual([
+      expect.objectContaining({
+        type: 'END_GAME_OFFERED',
+        data: { gameId: 'g1', from: 'alice', offers: ['alice'] },
+      }),
+    ]);
+  });
+
+  test('should return the stakes and keep the charge once everyone agrees', async () => {
+    await offer('alice');
+    await offer('bob');
+
+    expect(settleEscrow).toHaveBeenCalledWith(
+      expect.objectContaining({
+        escrowId: 'g1',
+        payouts: { alice: -50, bob: -50 },
+      }),
+    );
+    const gameOver = received(sockets.alice).find(({ type }) => type === 'GAME_OVER');
+    expect(gameOver.data).toMatchObject({
+      outcome: 'MUTUAL_AGREEMENT',
+      settlement: 'CHARGE_ONLY',
+      ranking: ['alice', 'bob'],
+      payouts: { alice: -50, bob: -50 },
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { WebSocket } from 'ws';
+import { WebSocketMessageType } from '../../types/messageTypes';
+import { clients, gameStates } from '../state';
+import { isBot } from '../bots';
+import { saveGame } from '../gameStore';
+import { endGame } from './endGame';
+import { GameOutcome } from '../../utils/settlement';
+import { getSeats } from '../../../rules/engine';
+
+interface HandleOfferEndGameProps {
+  ws: WebSocket & { uid?: string };
+  data: {
+    gameId: string;
+  };
+}
+
+// Records a player's offer to stop the game. Once every player has offered,
+// the game ends by mutual agreement: stakes are returned and the charge kept.
+// Bots always agree, and an offer lapses as soon as anyone moves.
+export const handleOfferEndGame = async ({
+  ws,
+  data,
+}: HandleOfferEndGameProps): Promise<void> => {
+  const { gameId } = data;
+  const gameState = gameStates.get(gameId);
+  const uid = ws.uid;
+
+  if (!gameState || !uid || !gameState.players[uid]) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'Invalid game or player' }),
+    );
+    return;
+  }
+
+  if (gameState.status !== 'STARTED' || gameState.result) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'Game is not in progress' }),
+    );
+    return;
+  }
+
+  const offers = new Set(gameState.endOffers);
+  offers.add(uid);
+  gameState.endOffers = [...offers];
+
+  const seats: string[] = getSeats(gameState);
+  const humans = seats.filter((seat) => !isBot(seat));
+
+  if (humans.every((seat) => offers.has(seat))) {
+    console.log(`Game ${gameId} ended by agreement`);
+    // Everyone seated pays the charge
+    await endGame({
+      gameId,
+      outcome: GameOutcome.MUTUAL_AGREEMENT,
+      ranking: seats,
+      reason: 'MUTUAL_AGREEMENT',
+    });
+    return;
+  }
+
+  saveGame(gameState);
+
+  for (const seat of humans) {
+    clients.get(seat)?.ws.send(
+      JSON.stringify({
+        type: WebSocketMessageType.END_GAME_OFFERED,
+        data: { gameId, from: uid, offers: gameState.endOffers },
+      }),
+    );
+  }
+};
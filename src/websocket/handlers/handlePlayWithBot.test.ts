@@ -0,0 +1,58 @@
+import { handlePlayWithBot } from './handlePlayWithBot';
+import { clients, practiceSeeds } from './../state';
+import { connectPlayer, received, TestSocket } from './../testClients';
+import { generateId } from './../wsUtil';
+import { createGame } from './../createGame';
+import { hashSeed } from './../../utils/fairness';
+
+jest.mock('./../wsUtil');
+jest.mock('./../gameView');
+jest.mock('./../createGame');
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  playerGameMap: new Map(),
+  practiceSeeds: new Map(),
+}));
+
+describe('playing with a bot', () => {
+  let ws: TestSocket;
+
+  const play = (data = {}) => handlePlayWithBot({ ws, data });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clients.clear();
+    practiceSeeds.clear();
+
+    ws = connectPlayer('alice');
+    (generateId as jest.Mock).mockReturnValue('g1');
+    (createGame as jest.Mock).mockReturnValue({ gameId: 'g1' });
+  });
+
+  test('should commit to a server seed before taking the player\'s', async () => {
+    await play({ clientSeed: 'too-early' });
+
+    const serverSeed = practiceSeeds.get('alice')!;
+    expect(received(ws)).toEqual([
+      { type: 'PLAY_WITH_BOT', data: { serverSeedHash: hashSeed(serverSeed) } },
+    ]);
+    expect(createGame).not.toHaveBeenCalled();
+  });
+
+  test('should deal the committed seed with the seed sent after it', async () => {
+    await play();
+    const serverSeed = practiceSeeds.get('alice');
+
+    await play({ clientSeed: 'lucky' });
+
+    expect(createGame).toHaveBeenCalledWith(
+      expect.objectContaining({
+        gameId: 'g1',
+        seats: ['alice', 'bot:g1'],
+        serverSeed,
+        clientSeeds: { alice: 'lucky' },
+      }),
+    );
+    expect(practiceSeeds.has('alice')).toBe(false);
+  });
+});
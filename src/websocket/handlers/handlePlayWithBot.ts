@@ -0,0 +1,110 @@
+import { WebSocket } from 'ws';
+import { WebSocketMessageType } from '../../types/messageTypes';
+import {
+  generateSeed,
+  hashSeed,
+  sanitizeClientSeed,
+} from '../../utils/fairness';
+import { clients, playerGameMap, practiceSeeds } from '../state';
+import { generateId } from '../wsUtil';
+import { broadcastGameView } from '../gameView';
+import { createGame } from '../createGame';
+import { DEFAULT_TIME_CONTROL } from '../clock';
+import { BOT_ID_PREFIX } from '../bots';
+import { BotDifficulty } from '../../../rules/bot';
+import { getRulesProfile } from '../../../rules/profiles';
+
+interface HandlePlayWithBotProps {
+  ws: WebSocket & { uid?: string };
+  data?: {
+    difficulty?: string;
+    clientSeed?: string;
+    rules?: string; // Rules profile id to practise, Kampala standard by default
+  };
+}
+
+// Starts a practice game against a server-side bot in the second seat. The
+// first request only commits to a server seed and sends its hash; the game is
+// dealt on the next one, mixing in any seed the player sends with it.
+export const handlePlayWithBot = async ({
+  ws,
+  data,
+}: HandlePlayWithBotProps): Promise<void> => {
+  const uid = ws.uid;
+  const player = uid ? clients.get(uid) : undefined;
+
+  if (!uid || !player) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'Identify before playing' }),
+    );
+    return;
+  }
+
+  if (playerGameMap.has(uid)) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'You are already in a game' }),
+    );
+    return;
+  }
+
+  const requested = data?.difficulty;
+  const difficulty =
+    requested && Object.values(BotDifficulty).includes(requested)
+      ? requested
+      : BotDifficulty.MEDIUM;
+
+  const rules = getRulesProfile(data?.rules);
+  if (!rules) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: `Unknown rules profile ${data?.rules}` }),
+    );
+    return;
+  }
+
+  // Commit to the server seed before the player picks theirs
+  const serverSeed = practiceSeeds.get(uid);
+  if (!serverSeed) {
+    const committed = generateSeed();
+    practiceSeeds.set(uid, committed);
+    ws.send(
+      JSON.stringify({
+        type: WebSocketMessageType.PLAY_WITH_BOT,
+        data: { serverSeedHash: hashSeed(committed) },
+      }),
+    );
+    return;
+  }
+  practiceSeeds.delete(uid);
+
+  const gameId = generateId();
+  const botId = `${BOT_ID_PREFIX}${gameId}`;
+  const clientSeed = sanitizeClientSeed(data?.clientSeed);
+  const gameState = createGame({
+    gameId,
+    seats: [uid, botId],
+    stake: { charge: 0, amount: 0, points: 0 },
+    rules,
+    timeControl: DEFAULT_TIME_CONTROL,
+    meta: {
+      [uid]: {
+        username: player.username,
+        avatar: player.avatar,
+        balance: player.balance,
+      },
+      [botId]: {
+        username: `Bot (${difficulty.toLowerCase()})`,
+        avatar: '',
+        balance: 0,
+      },
+    },
+    serverSeed,
+    clientSeeds: clientSeed ? { [uid]: clientSeed } : {},
+    bots: { [botId]: difficulty },
+  });
+
+  // Same flow as an accepted game request from here on
+  broadcastGameView({
+    gameState,
+    type: WebSocketMessageType.GAME_REQUEST_ACCEPTED,
+  });
+};
@@ -1,9 +1,15 @@
 import { WebSocket } from 'ws';
 import { WebSocketMessageType } from '../../types/messageTypes';
-import { gameStates, PLAY_TIMEOUT_DURATION } from '../state';
-import { endGame } from './endGame';
+import { gameStates } from '../state';
+import {
+  startGraceForAbsentPlayers,
+  startTimeout,
+  startWaitTimeout,
+} from '../wsUtil';
 import { GameStatesMap, WsProps } from '../types';
-import { broadcastToGame } from '../wsUtil';
+import { broadcastGameView } from '../gameView';
+import { saveGame } from '../gameStore';
+import { appendGameLog, LogEntryType } from '../eventLog';
 
 // Type Definitions
 interface PlayerReadyData {
@@ -17,7 +23,6 @@ export const handlePlayerReady = async ({
   data,
 }: WsProps): Promise<void> => {
   const { gameId, uid } = data;
-  const turnExpiresAt = Date.now() + PLAY_TIMEOUT_DURATION;
 
   const gameState = gameStates.get(gameId);
 
@@ -31,12 +36,12 @@ export const handlePlayerReady = async ({
   // Mark this player as ready
   gameState.ready.add(uid);
 
-  const allReady = gameState.ready.size === 2;
+  const allReady =
+    gameState.ready.size === Object.keys(gameState.players).length;
 
-  // If both players are ready and game hasn't started
+  // If every player is ready and game hasn't started
   if (allReady && gameState.status !== 'STARTED') {
     gameState.status = 'STARTED';
-    gameState.turnExpiresAt = turnExpiresAt;
 
     // Clear waiting timeout
     if (gameState.waitTimeout) {
@@ -44,35 +49,25 @@ export const handlePlayerReady = async ({
       gameState.waitTimeout = null;
     }
 
+    // Anyone who readied and then dropped gets the usual window to come back
+    startGraceForAbsentPlayers(gameId);
+
     // Set move timeout (for player not making a move)
     if (!gameState.moveTimeout) {
-      gameState.moveTimeout = setTimeout(() => {
-        const currentTurnPlayer = gameState.currentTurn;
-        const otherPlayer = Object.keys(gameState.players).find(
-          (id) => id !== currentTurnPlayer,
-        )!;
-
-        console.log(`Player ${currentTurnPlayer} timed out`);
-        endGame({
-          gameId,
-          winner: otherPlayer,
-          loser: currentTurnPlayer,
-          reason: 'TIMEOUT',
-        });
-      }, PLAY_TIMEOUT_DURATION);
+      startTimeout(gameId);
     }
-    const { moveTimeout, waitTimeout, ...newGameState } = gameState;
-    // Notify both players the game is starting
-    broadcastToGame({
-      gameId,
-      message: {
-        type: WebSocketMessageType.START,
-        data: {
-          gameId,
-          currentTurn: gameState.currentTurn,
-          turnExpiresAt,
-          gameState: newGameState,
-        },
+    const { turnExpiresAt } = gameState;
+    appendGameLog(gameState, LogEntryType.GAME_STARTED, { turnExpiresAt });
+    saveGame(gameState);
+
+    // Notify every player the game is starting
+    broadcastGameView({
+      gameState,
+      type: WebSocketMessageType.START,
+      data: {
+        gameId,
+        currentTurn: gameState.currentTurn,
+        turnExpiresAt,
       },
     });
 
@@ -81,9 +76,8 @@ export const handlePlayerReady = async ({
 
   // If only one player is ready, set a wait timeout (only once)
   if (gameState.ready.size === 1 && !gameState.waitTimeout) {
-    gameState.waitTimeout = setTimeout(() => {
-      console.log(`Second player did not join in time for game ${gameId}`);
-      endGame({ gameId, winner: uid, reason: 'OPPONENT_NO_SHOW' });
-    }, PLAY_TIMEOUT_DURATION);
+    startWaitTimeout(gameId, uid);
   }
+
+  saveGame(gameState);
 };
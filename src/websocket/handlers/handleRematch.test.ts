@@ -0,0 +1,240 @@
+import {
+  handleRematchAccept,
+  handleRematchDecline,
+  handleRematchOffer,
+  openRematch,
+} from './handleRematch';
+import { clients, gameStates, playerGameMap, rematches } from './../state';
+import { connectPlayers, received, TestSocket } from './../testClients';
+import { generateId, getStakeSettings, validateNewStake } from './../wsUtil';
+import { GameState } from './../types';
+import { hashSeed } from './../../utils/fairness';
+import User from './../../models/User';
+import { holdStakes, refundEscrow } from './../../utils/escrow';
+import { DEFAULT_RULES_PROFILE } from './../../../rules/profiles';
+
+jest.mock('./../wsUtil');
+jest.mock('./../gameStore');
+jest.mock('./../eventLog');
+jest.mock('./../../models/User', () => ({ find: jest.fn() }));
+jest.mock('./../../utils/escrow');
+jest.mock('./../bots', () => ({
+  isBot: (uid: string) => uid.startsWith('bot:'),
+}));
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  playerGameMap: new Map(),
+  rematches: new Map(),
+  PLAY_TIMEOUT_DURATION: 30000,
+  REMATCH_WINDOW_DURATION: 30000,
+}));
+
+describe('rematch', () => {
+  const stake = { amount: 1000, charge: 50, points: 5 };
+  let sockets: Record<string, TestSocket>;
+  let balances: Record<string, number>;
+
+  // Messages a player has been sent so far
+  const finishedGame = (overrides: Partial<GameState> = {}) =>
+    ({
+      gameId: 'g1',
+      players: { alice: [], bob: [] },
+      seats: ['alice', 'bob'],
+      stake,
+      meta: {
+        alice: { username: 'Alice', avatar: 'a.png', balance: 3000 },
+        bob: { username: 'Bob', avatar: 'b.png', balance: 3000 },
+      },
+      ...overrides,
+    }) as unknown as GameState;
+
+  const offer = (uid: string) =>
+    handleRematchOffer({ ws: sockets[uid], data: { gameId: 'g1' } });
+  const accept = (uid: string) =>
+    handleRematchAccept({ ws: sockets[uid], data: { gameId: 'g1' } });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    gameStates.clear();
+    playerGameMap.clear();
+    rematches.clear();
+
+    sockets = connectPlayers('alice', 'bob');
+    balances = { alice: 2050, bob: 3000 };
+    (User.find as jest.Mock).mockImplementation(async () =>
+      Object.entries(balances).map(([uid, balance]) => ({ uid, balance })),
+    );
+    (generateId as jest.Mock).mockReturnValue('g2');
+    (holdStakes as jest.Mock).mockResolvedValue(true);
+    (getStakeSettings as jest.Mock).mockResolvedValue({
+      rules: DEFAULT_RULES_PROFILE,
+      timeControl: { bank: null, increment: 0, warnings: [] },
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should open a window and commit to the seed of the next deal', () => {
+    const window = openRematch(finishedGame());
+
+    const rematch = rematches.get('g1')!;
+    expect(window).toEqual({
+      expiresAt: Date.now() + 30000,
+      serverSeedHash: hashSeed(rematch.serverSeed),
+    });
+  });
+
+  test('should not offer rematches of practice or battle games', () => {
+    expect(openRematch(finishedGame({ isPractice: true }))).toBeUndefined();
+    expect(openRematch(finishedGame({ isBattle: true }))).toBeUndefined();
+    expect(
+      openRematch(
+        finishedGame({ seats: ['alice', 'bot:1'], players: { alice: [], 'bot:1': [] } }),
+      ),
+    ).toBeUndefined();
+    expect(rematches.size).toBe(0);
+  });
+
+  test('should pass an offer on to the other player', async () => {
+    openRematch(finishedGame());
+
+    await offer('alice');
+
+    expect(received(sockets.bob)).toEqual([
+      {
+        type: 'REMATCH_OFFERED',
+        data: {
+          gameId: 'g1',
+          from: 'alice',
+          accepted: ['alice'],
+          expiresAt: Date.now() + 30000,
+        },
+      },
+    ]);
+    expect(gameStates.size).toBe(0);
+  });
+
+  test('should refuse to accept a rematch nobody offered', async () => {
+    openRematch(finishedGame());
+
+    await accept('bob');
+
+    expect(received(sockets.bob)[0]).toEqual({
+      type: 'ERROR',
+      message: 'No rematch has been offered',
+    });
+  });
+
+  test('should deal the same stake with the other seat moving first', async () => {
+    openRematch(finishedGame());
+
+    await offer('alice');
+    await accept('bob');
+
+    const gameState = gameStates.get('g2')!;
+    expect(gameState.seats).toEqual(['bob', 'alice']);
+    expect(gameState.currentTurn).toBe('bob');
+    expect(gameState.stake).toEqual(stake);
+    expect(validateNewStake).not.toHaveBeenCalled();
+    expect(holdStakes).toHaveBeenCalledWith('g2', ['alice', 'bob'], stake);
+    expect(gameState.meta.bob).toEqual({ username: 'Bob', avatar: 'b.png', balance: 3000 });
+    expect(playerGameMap.get('alice')).toBe('g2');
+    expect(rematches.size).toBe(0);
+
+    const started = received(sockets.alice).pop();
+    expect(started.type).toBe('GAME_REQUEST_ACCEPTED');
+    expect(started.data.rematchOf).toBe('g1');
+    expect(started.data.gameState.gameId).toBe('g2');
+  });
+
+  test('should drop to the level the loser can still afford', async () => {
+    balances.bob = 950;
+    (validateNewStake as jest.Mock).mockResolvedValue({
+      amount: 500,
+      charge: 25,
+      points: 2,
+      name: 'Royal Ramble',
+    });
+    openRematch(finishedGame());
+
+    await offer('bob');
+    await accept('alice');
+
+    expect(validateNewStake).toHaveBeenCalledWith(950);
+    expect(gameStates.get('g2')!.stake).toEqual({ amount: 500, charge: 25, points: 2 });
+    expect(getStakeSettings).toHaveBeenCalledWith({ amount: 500, charge: 25, points: 2 });
+  });
+
+  test('should call it off when a player cannot afford any level', async () => {
+    balances.bob = 10;
+    (validateNewStake as jest.Mock).mockResolvedValue(null);
+    openRematch(finishedGame());
+
+    await offer('alice');
+    await accept('bob');
+
+    expect(gameStates.size).toBe(0);
+    expect(received(sockets.alice).pop()).toEqual({
+      type: 'REMATCH_DECLINED',
+      data: { gameId: 'g1', reason: 'LOW_BALANCE' },
+    });
+  });
+
+  test('should call it off when a player is already in another game', async () => {
+    openRematch(finishedGame());
+    await offer('alice');
+    playerGameMap.set('bob', 'other');
+
+    await accept('bob');
+
+    expect(gameStates.size).toBe(0);
+    expect(received(sockets.alice).pop().data.reason).toBe('UNAVAILABLE');
+    expect(refundEscrow).toHaveBeenCalledWith('g2');
+  });
+
+  test('should call it off when the stakes cannot be held', async () => {
+    (holdStakes as jest.Mock).mockResolvedValue(false);
+    openRematch(finishedGame());
+
+    await offer('alice');
+    await accept('bob');
+
+    expect(gameStates.size).toBe(0);
+    expect(received(sockets.bob).pop().data.reason).toBe('LOW_BALANCE');
+    expect(refundEscrow).not.toHaveBeenCalled();
+  });
+
+  test('should close the window when a player declines', async () => {
+    openRematch(finishedGame());
+    await offer('alice');
+
+    await handleRematchDecline({ ws: sockets.bob, data: { gameId: 'g1' } });
+
+    expect(rematches.size).toBe(0);
+    expect(received(sockets.alice).pop()).toEqual({
+      type: 'REMATCH_DECLINED',
+      data: { gameId: 'g1', from: 'bob', reason: 'DECLINED' },
+    });
+  });
+
+  test('should tell whoever offered when the window runs out', async () => {
+    openRematch(finishedGame());
+    await offer('alice');
+
+    jest.advanceTimersByTime(30000);
+
+    expect(rematches.size).toBe(0);
+    expect(received(sockets.alice).pop()).toEqual({
+      type: 'REMATCH_DECLINED',
+      data: { gameId: 'g1', reason: 'EXPIRED' },
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import { WebSocket } from 'ws';
+import { WebSocketMessageType } from '../../types/messageTypes';
+import {
+  clients,
+  playerGameMap,
+  REMATCH_WINDOW_DURATION,
+  rematches,
+} from '../state';
+import { GameState, Rematch } from '../types';
+import { generateId, getStakeSettings, validateNewStake } from '../wsUtil';
+import { broadcastGameView } from '../gameView';
+import { createGame } from '../createGame';
+import { isBot } from '../bots';
+import User from '../../models/User';
+import { holdStakes, refundEscrow } from '../../utils/escrow';
+import {
+  generateSeed,
+  hashSeed,
+  sanitizeClientSeed,
+} from '../../utils/fairness';
+import { getSeats } from '../../../rules/engine';
+
+interface HandleRematchProps {
+  ws: WebSocket & { uid?: string };
+  data: {
+    gameId: string; // The game that just ended
+    clientSeed?: string;
+  };
+}
+
+const sendToSeats = (
+  uids: string[],
+  type: string,
+  data: Record<string, unknown>,
+): void => {
+  for (const uid of uids) {
+    clients.get(uid)?.ws.send(JSON.stringify({ type, data }));
+  }
+};
+
+const closeRematch = (rematch: Rematch): void => {
+  clearTimeout(rematch.timeout);
+  rematches.delete(rematch.gameId);
+};
+
+// Opens the rematch window for a finished game between people. Practice and
+// battle games have their own ways to play on. Returns what GAME_OVER tells
+// the players: when the window closes and the seed the rematch is dealt from.
+export const openRematch = (
+  gameState: GameState,
+): { expiresAt: number; serverSeedHash: string } | undefined => {
+  const seats: string[] = getSeats(gameState);
+  if (gameState.isPractice || gameState.isBattle || seats.some(isBot)) {
+    return undefined;
+  }
+
+  const { gameId } = gameState;
+  const serverSeed = generateSeed();
+  const rematch: Rematch = {
+    gameId,
+    seats,
+    stake: gameState.stake,
+    meta: gameState.meta,
+    accepted: new Set(),
+    expiresAt: Date.now() + REMATCH_WINDOW_DURATION,
+    timeout: setTimeout(() => {
+      closeRematch(rematch);
+      sendToSeats([...rematch.accepted], WebSocketMessageType.REMATCH_DECLINED, {
+        gameId,
+        reason: 'EXPIRED',
+      });
+    }, REMATCH_WINDOW_DURATION),
+    serverSeed,
+    clientSeeds: {},
+  };
+  rematches.set(gameId, rematch);
+
+  return { expiresAt: rematch.expiresAt, serverSeedHash: hashSeed(serverSeed) };
+};
+
+// Deals the rematch once everyone has agreed. Players keep the stake if they
+// can all still afford it; otherwise it drops to the level the poorest of them
+// can afford, which after a settled game is the loser's new level.
+const startRematch = async (rematch: Rematch): Promise<void> => {
+  closeRematch(rematch);
+  const { gameId, seats } = rematch;
+
+  const decline = (reason: string) =>
+    sendToSeats(seats, WebSocketMessageType.REMATCH_DECLINED, { gameId, reason });
+
+  const users = await User.find({ uid: { $in: seats } });
+  const balances = Object.fromEntries(
+    users.map((user) => [user.uid, user.balance]),
+  );
+  const lowestBalance = Math.min(...seats.map((uid) => balances[uid] ?? 0));
+
+  let { stake } = rematch;
+  if (lowestBalance < stake.amount + stake.charge) {
+    const level = await validateNewStake(lowestBalance);
+    if (!level) {
+      decline('LOW_BALANCE');
+      return;
+    }
+    stake = { amount: level.amount, charge: level.charge, points: level.points };
+  }
+  const { rules, timeControl } = await getStakeSettings(stake);
+
+  const escrowId = generateId();
+  if (!(await holdStakes(escrowId, seats, stake))) {
+    decline('LOW_BALANCE');
+    return;
+  }
+
+  // Checked last so nothing can change between the check and the deal
+  if (seats.some((uid) => !clients.has(uid) || playerGameMap.has(uid))) {
+    decline('UNAVAILABLE');
+    await refundEscrow(escrowId);
+    return;
+  }
+
+  // Whoever sat second moves first, so the opening move alternates
+  const gameState = createGame({
+    gameId: escrowId,
+    seats: [...seats.slice(1), seats[0]],
+    stake,
+    rules,
+    timeControl,
+    meta: Object.fromEntries(
+      seats.map((uid) => [
+        uid,
+        { ...rematch.meta?.[uid], balance: balances[uid] },
+      ]),
+    ),
+    serverSeed: rematch.serverSeed,
+    clientSeeds: rematch.clientSeeds,
+  });
+
+  console.log(`Rematch of ${gameId} started as ${gameState.gameId}`);
+  broadcastGameView({
+    gameState,
+    type: WebSocketMessageType.GAME_REQUEST_ACCEPTED,
+    data: { rematchOf: gameId },
+  });
+};
+
+// Finds the open rematch window `ws` may act on, or tells them why not
+const getRematch = (
+  ws: HandleRematchProps['ws'],
+  gameId: string,
+): Rematch | undefined => {
+  const rematch = rematches.get(gameId);
+  if (!rematch || !ws.uid || !rematch.seats.includes(ws.uid)) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'No rematch open for this game' }),
+    );
+    return undefined;
+  }
+  return rematch;
+};
+
+const agreeToRematch = async (
+  uid: string,
+  rematch: Rematch,
+  clientSeed?: string,
+): Promise<void> => {
+  rematch.accepted.add(uid);
+  const seed = sanitizeClientSeed(clientSeed);
+  if (seed) rematch.clientSeeds[uid] = seed;
+
+  if (rematch.seats.every((seat) => rematch.accepted.has(seat))) {
+    await startRematch(rematch);
+    return;
+  }
+
+  sendToSeats(
+    rematch.seats.filter((seat) => seat !== uid),
+    WebSocketMessageType.REMATCH_OFFERED,
+    {
+      gameId: rematch.gameId,
+      from: uid,
+      accepted: [...rematch.accepted],
+      expiresAt: rematch.expiresAt,
+    },
+  );
+};
+
+// Offers the other players a rematch of a game that just ended
+export const handleRematchOffer = async ({
+  ws,
+  data,
+}: HandleRematchProps): Promise<void> => {
+  const rematch = getRematch(ws, data.gameId);
+  if (!rematch) return;
+
+  await agreeToRematch(ws.uid!, rematch, data.clientSeed);
+};
+
+// Takes up a rematch someone else has offered
+export const handleRematchAccept = async ({
+  ws,
+  data,
+}: HandleRematchProps): Promise<void> => {
+  const rematch = getRematch(ws, data.gameId);
+  if (!rematch) return;
+
+  if (![...rematch.accepted].some((uid) => uid !== ws.uid)) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'No rematch has been offered' }),
+    );
+    return;
+  }
+
+  await agreeToRematch(ws.uid!, rematch, data.clientSeed);
+};
+
+// Turns the rematch down for everyone
+export const handleRematchDecline = async ({
+  ws,
+  data,
+}: HandleRematchProps): Promise<void> => {
+  const rematch = getRematch(ws, data.gameId);
+  if (!rematch) return;
+
+  closeRematch(rematch);
+  sendToSeats(
+    rematch.seats.filter((seat) => seat !== ws.uid),
+    WebSocketMessageType.REMATCH_DECLINED,
+    { gameId: rematch.gameId, from: ws.uid, reason: 'DECLINED' },
+  );
+};
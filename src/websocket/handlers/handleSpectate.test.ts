@@ -0,0 +1,179 @@
+import { handleSpectate, handleUnspectate } from './handleSpectate';
+import { clients, gameStates, spectatorGameMap } from './../state';
+import { connectPlayers, received, TestSocket } from './../testClients';
+import { GameState } from './../types';
+import { broadcastGameEvents, GameEventType } from './../gameEvents';
+import { broadcastGameView } from './../gameView';
+import { listLiveGames } from './../spectators';
+
+jest.mock('./../state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  spectatorGameMap: new Map(),
+  PLAY_TIMEOUT_DURATION: 30000,
+  SPECTATOR_DELAY: 5000,
+}));
+
+describe('spectators', () => {
+  let sockets: Record<string, TestSocket>;
+
+  const liveGame = (overrides: Partial<GameState> = {}) => {
+    const gameState = {
+      gameId: 'g1',
+      status: 'STARTED',
+      userId: 'alice',
+      currentTurn: 'alice',
+      players: {
+        alice: [{ v: 7, s: 'H' }],
+        bob: [{ v: 9, s: 'S' }, { v: 3, s: 'C' }],
+      },
+      seats: ['alice', 'bob'],
+      deck: [{ v: 4, s: 'D' }],
+      cuttingCard: { v: 5, s: 'H' },
+      currentCard: { v: 7, s: 'D' },
+      stake: { amount: 1000, charge: 50, points: 5 },
+      meta: {
+        alice: { username: 'Alice', avatar: 'a.png', balance: 3000 },
+        bob: { username: 'Bob', avatar: 'b.png', balance: 900 },
+      },
+      ...overrides,
+    } as unknown as GameState;
+    gameStates.set(gameState.gameId, gameState);
+    return gameState;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    clients.clear();
+    gameStates.clear();
+    spectatorGameMap.clear();
+    sockets = connectPlayers('alice', 'bob', 'carol');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends the public view once the delay has passed', async () => {
+    const gameState = liveGame();
+
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'g1' } });
+    expect(received(sockets.carol)).toEqual([]);
+
+    jest.advanceTimersByTime(5000);
+    const [message] = received(sockets.carol);
+    expect(message.type).toBe('SPECTATE');
+    expect(message.data.delay).toBe(5000);
+    expect(message.data.gameState.hand).toBeUndefined();
+    expect(message.data.gameState.handCounts).toEqual({ alice: 1, bob: 2 });
+    expect(message.data.gameState.meta).toEqual({
+      alice: { username: 'Alice', avatar: 'a.png' },
+      bob: { username: 'Bob', avatar: 'b.png' },
+    });
+    expect(message.data.gameState.spectatorCount).toBe(1);
+    expect(gameState.spectators).toEqual(new Set(['carol']));
+  });
+
+  it('turns away players of the game and games that are not live', async () => {
+    liveGame();
+    liveGame({ gameId: 'practice', isPractice: true } as Partial<GameState>);
+
+    await handleSpectate({ ws: sockets.alice, data: { gameId: 'g1' } });
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'practice' } });
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'missing' } });
+
+    expect(received(sockets.alice)[0].message).toBe(
+      'Players cannot spectate their own game',
+    );
+    expect(received(sockets.carol).map((message) => message.message)).toEqual([
+      'Game is not open to spectators',
+      'Game is not open to spectators',
+    ]);
+    expect(spectatorGameMap.size).toBe(0);
+  });
+
+  it('hides every drawn card from spectators and keeps them behind', async () => {
+    const gameState = liveGame();
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'g1' } });
+    jest.advanceTimersByTime(5000);
+    sockets.carol.send.mockClear();
+
+    broadcastGameEvents({
+      gameState,
+      events: [
+        {
+          seq: 1,
+          type: GameEventType.CARDS_DRAWN,
+          player: 'alice',
+          cards: [{ v: 4, s: 'D' }],
+        },
+      ],
+    });
+
+    expect(received(sockets.alice)[0].data.events[0].cards).toEqual([
+      { v: 4, s: 'D' },
+    ]);
+    expect(received(sockets.carol)).toEqual([]);
+
+    jest.advanceTimersByTime(5000);
+    const [message] = received(sockets.carol);
+    expect(message.type).toBe('GAME_EVENTS');
+    expect(message.data.events[0]).toEqual({
+      seq: 1,
+      type: GameEventType.CARDS_DRAWN,
+      player: 'alice',
+    });
+  });
+
+  it('stops sending to spectators who leave', async () => {
+    const gameState = liveGame();
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'g1' } });
+    await handleUnspectate({ ws: sockets.carol });
+
+    broadcastGameView({ gameState, type: 'TURN_CHANGED' });
+    jest.advanceTimersByTime(5000);
+
+    expect(received(sockets.carol).map((message) => message.type)).toEqual([
+      'UNSPECTATE',
+      'SPECTATE',
+    ]);
+    expect(gameState.spectators!.size).toBe(0);
+    expect(spectatorGameMap.has('carol')).toBe(false);
+  });
+
+  it('moves a spectator who picks another game', async () => {
+    const first = liveGame();
+    const second = liveGame({
+      gameId: 'g2',
+      players: { dave: [], erin: [] },
+      seats: ['dave', 'erin'],
+    } as Partial<GameState>);
+
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'g1' } });
+    await handleSpectate({ ws: sockets.carol, data: { gameId: 'g2' } });
+
+    expect(first.spectators!.size).toBe(0);
+    expect(second.spectators).toEqual(new Set(['carol']));
+    expect(spectatorGameMap.get('carol')).toBe('g2');
+  });
+
+  it('lists live games highest stakes first', () => {
+    liveGame({ gameId: 'low', stake: { amount: 100, charge: 5, points: 1 } });
+    liveGame({ gameId: 'high', isBattle: true, battleId: 'b1' });
+    liveGame({ gameId: 'bots', isPractice: true } as Partial<GameState>);
+    liveGame({ gameId: 'over', result: { reason: 'WIN' } } as Partial<GameState>);
+
+    const games = listLiveGames();
+
+    expect(games.map((game) => game.gameId)).toEqual(['high', 'low']);
+    expect(games[0]).toMatchObject({
+      isBattle: true,
+      battleId: 'b1',
+      spectatorCount: 0,
+      players: [
+        { uid: 'alice', cardCount: 1 },
+        { uid: 'bob', cardCount: 2 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { WebSocket } from 'ws';
+import { WebSocketMessageType } from '../../types/messageTypes';
+import { gameStates, SPECTATOR_DELAY } from '../state';
+import { buildSpectatorView } from '../gameView';
+import {
+  sendToSpectators,
+  startSpectating,
+  stopSpectating,
+} from '../spectators';
+
+interface HandleSpectateProps {
+  ws: WebSocket & { uid?: string };
+  data: {
+    gameId: string;
+  };
+}
+
+const sendError = (ws: WebSocket, message: string): void => {
+  ws.send(JSON.stringify({ type: 'ERROR', message }));
+};
+
+// Starts watching a live game. The reply carries the public view and, like
+// everything else spectators receive, arrives SPECTATOR_DELAY late.
+export const handleSpectate = async ({
+  ws,
+  data,
+}: HandleSpectateProps): Promise<void> => {
+  const { uid } = ws;
+  if (!uid) {
+    sendError(ws, 'Invalid player');
+    return;
+  }
+
+  const gameState = gameStates.get(data.gameId);
+  if (!gameState || gameState.result || gameState.isPractice) {
+    sendError(ws, 'Game is not open to spectators');
+    return;
+  }
+  if (gameState.players[uid]) {
+    sendError(ws, 'Players cannot spectate their own game');
+    return;
+  }
+
+  startSpectating(gameState, uid);
+  sendToSpectators(
+    gameState,
+    {
+      type: WebSocketMessageType.SPECTATE,
+      data: {
+        gameId: gameState.gameId,
+        delay: SPECTATOR_DELAY,
+        gameState: buildSpectatorView(gameState),
+      },
+    },
+    [uid],
+  );
+};
+
+// Stops watching; answered straight away since nothing about the game is sent
+export const handleUnspectate = async ({
+  ws,
+}: Pick<HandleSpectateProps, 'ws'>): Promise<void> => {
+  if (!ws.uid) return;
+
+  stopSpectating(ws.uid);
+  ws.send(JSON.stringify({ type: WebSocketMessageType.UNSPECTATE, data: {} }));
+};
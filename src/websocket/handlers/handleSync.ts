@@ -0,0 +1,37 @@
+import { WebSocket } from 'ws';
+import { WebSocketMessageType } from '../../types/messageTypes';
+import { gameStates } from '../state';
+import { buildPlayerView } from '../gameView';
+import { sendToClient } from '../wsUtil';
+
+interface HandleSyncProps {
+  ws: WebSocket & { uid?: string };
+  data: {
+    gameId: string;
+  };
+}
+
+// Sends a full snapshot to a client that detected a gap in the event sequence
+export const handleSync = async ({
+  ws,
+  data,
+}: HandleSyncProps): Promise<void> => {
+  const { gameId } = data;
+  const gameState = gameStates.get(gameId);
+
+  // Only the identified socket's own view is ever returned
+  if (!gameState || !ws.uid || !gameState.players[ws.uid]) {
+    ws.send(
+      JSON.stringify({ type: 'ERROR', message: 'Invalid game or player' }),
+    );
+    return;
+  }
+
+  sendToClient({
+    ws,
+    message: {
+      type: WebSocketMessageType.SYNC,
+      data: { gameId, gameState: buildPlayerView(gameState, ws.uid) },
+    },
+  });
+};
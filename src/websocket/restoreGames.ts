@@ -0,0 +1,63 @@
+import { gameStates, playerGameMap } from './state';
+import { loadUnfinishedGames } from './gameStore';
+import {
+  startGraceForAbsentPlayers,
+  startTimeout,
+  startWaitTimeout,
+} from './wsUtil';
+import { isBot, scheduleBotTurn } from './bots';
+import { applyMove } from './handlers/handleMove';
+import { endGame } from './handlers/endGame';
+import { getSeats } from '../../rules/engine';
+import { GameOutcome } from '../utils/settlement';
+
+// Puts every unsettled game back in memory after a restart and re-arms its
+// timers from the stored expiry times
+export const restoreGames = async (): Promise<void> => {
+  const games = await loadUnfinishedGames();
+  const now = Date.now();
+
+  for (const gameState of games) {
+    const { gameId } = gameState;
+
+    gameStates.set(gameId, gameState);
+    getSeats(gameState)
+      .filter((uid: string) => !isBot(uid))
+      .forEach((uid: string) => playerGameMap.set(uid, gameId));
+
+    // The game ended but the server went down before it was settled
+    if (gameState.result) {
+      const { winner, loser, ranking, tied, outcome, reason } = gameState.result;
+      endGame({ gameId, winner, loser, ranking, tied, outcome, reason });
+      continue;
+    }
+
+    try {
+      if (gameState.status === 'STARTED') {
+        // A paused clock has no expiry, just the time that was left
+        startTimeout(
+          gameId,
+          gameState.turnExpiresAt
+            ? Math.max(0, gameState.turnExpiresAt - now)
+            : gameState.turnRemaining,
+        );
+        // Nobody is connected after a restart; everyone gets the window to return
+        startGraceForAbsentPlayers(gameId);
+        scheduleBotTurn(gameState, applyMove);
+      } else if (gameState.waitExpiresAt) {
+        const [firstReady] = gameState.ready;
+        startWaitTimeout(
+          gameId,
+          firstReady,
+          Math.max(0, gameState.waitExpiresAt - now),
+        );
+      }
+    } catch (err) {
+      // A game that cannot be resumed is called off and refunded
+      console.error(`Failed to resume game ${gameId}:`, err);
+      endGame({ gameId, outcome: GameOutcome.SERVER_ERROR, reason: 'RESTORE_FAILED' });
+    }
+  }
+
+  console.log(`Restored ${games.length} unfinished game(s)`);
+};
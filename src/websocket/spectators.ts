@@ -0,0 +1,74 @@
+import { clients, gameStates, SPECTATOR_DELAY, spectatorGameMap } from './state';
+import { GameState } from './types';
+
+// Sends a message to the given spectators SPECTATOR_DELAY after the players
+// see it. Every message waits the same time, so they still arrive in order.
+export const sendToSpectators = (
+  gameState: GameState,
+  message: unknown,
+  uids: string[] = [...(gameState.spectators || [])],
+): void => {
+  if (!uids.length) return;
+
+  const payload = JSON.stringify(message);
+  const send = () =>
+    uids.forEach((uid) => clients.get(uid)?.ws.send(payload));
+
+  if (SPECTATOR_DELAY > 0) {
+    setTimeout(send, SPECTATOR_DELAY);
+  } else {
+    send();
+  }
+};
+
+export const startSpectating = (gameState: GameState, uid: string): void => {
+  stopSpectating(uid);
+  gameState.spectators = gameState.spectators || new Set();
+  gameState.spectators.add(uid);
+  spectatorGameMap.set(uid, gameState.gameId);
+};
+
+// Takes `uid` out of whichever game they are watching, if any
+export const stopSpectating = (uid: string): void => {
+  const gameId = spectatorGameMap.get(uid);
+  if (!gameId) return;
+
+  spectatorGameMap.delete(uid);
+  gameStates.get(gameId)?.spectators?.delete(uid);
+};
+
+// Lets everyone watching go once the game is over
+export const releaseSpectators = (gameState: GameState): void => {
+  for (const uid of gameState.spectators || []) {
+    if (spectatorGameMap.get(uid) === gameState.gameId) {
+      spectatorGameMap.delete(uid);
+    }
+  }
+  gameState.spectators?.clear();
+};
+
+// Games still being played that anyone may watch, highest stakes first.
+// Practice games against bots are left out.
+export const listLiveGames = () =>
+  [...gameStates.values()]
+    .filter((gameState) => !gameState.result && !gameState.isPractice)
+    .map((gameState) => {
+      const seats = gameState.seats || Object.keys(gameState.players);
+      return {
+        gameId: gameState.gameId,
+        status: gameState.status,
+        players: seats.map((uid) => ({
+          uid,
+          username: gameState.meta?.[uid]?.username,
+          avatar: gameState.meta?.[uid]?.avatar,
+          cardCount: gameState.players[uid]?.length || 0,
+        })),
+        currentTurn: gameState.currentTurn,
+        stake: gameState.stake,
+        isBattle: Boolean(gameState.isBattle),
+        battleId: gameState.battleId,
+        spectatorCount: gameState.spectators?.size || 0,
+        createdAt: gameState.createdAt,
+      };
+    })
+    .sort((a, b) => (b.stake?.amount || 0) - (a.stake?.amount || 0));
@@ -0,0 +1,48 @@
+describe('settings from the environment', () => {
+  const env = process.env;
+
+  const loadState = async (settings: Record<string, string>) => {
+    process.env = { ...env, ...settings };
+    let state: typeof import('./state') | undefined;
+    await jest.isolateModulesAsync(async () => {
+      state = await import('./state');
+    });
+    return state!;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test('should use the defaults when nothing is set', async () => {
+    const state = await loadState({});
+
+    expect(state.SPECTATOR_DELAY).toBe(5000);
+    expect(state.DISCONNECT_GRACE_DURATION).toBe(60000);
+    expect(state.TIMEOUT_POLICY).toEqual({ maxConsecutive: 3, maxTotal: 5 });
+  });
+
+  test('should take valid settings, including no spectator delay', async () => {
+    const state = await loadState({
+      SPECTATOR_DELAY: '0',
+      DISCONNECT_GRACE_DURATION: '30000',
+      MAX_CONSECUTIVE_TIMEOUTS: '1',
+    });
+
+    expect(state.SPECTATOR_DELAY).toBe(0);
+    expect(state.DISCONNECT_GRACE_DURATION).toBe(30000);
+    expect(state.TIMEOUT_POLICY.maxConsecutive).toBe(1);
+  });
+
+  test('should fall back to the defaults for settings that make no sense', async () => {
+    const state = await loadState({
+      SPECTATOR_DELAY: 'soon',
+      DISCONNECT_GRACE_DURATION: '-1',
+      MAX_TOTAL_TIMEOUTS: '0',
+    });
+
+    expect(state.SPECTATOR_DELAY).toBe(5000);
+    expect(state.DISCONNECT_GRACE_DURATION).toBe(60000);
+    expect(state.TIMEOUT_POLICY.maxTotal).toBe(5);
+  });
+});
@@ -3,6 +3,7 @@ import {
   GameStatesMap,
   PlayerGameMap,
   PendingRequestsMap,
+  RematchMap,
 } from './types';
 
 // Initialize typed maps
@@ -10,8 +11,35 @@ export const clients: ClientsMap = new Map(); // uid -> PlayerData
 export const pendingRequests: PendingRequestsMap = new Map(); // requestId -> GameRequest
 export const gameStates: GameStatesMap = new Map(); // gameId -> GameState
 export const playerGameMap: PlayerGameMap = new Map(); // uid -> gameId
+export const rematches: RematchMap = new Map(); // finished gameId -> Rematch
+export const spectatorGameMap: PlayerGameMap = new Map(); // spectator uid -> gameId
+export const practiceSeeds: Map<string, string> = new Map(); // uid -> server seed committed for their next practice game
 
 export const bestOf: number = 11;
 
+// A setting from the environment, or `fallback` when it is unset, not a
+// number or below `min`
+const numberFromEnv = (name: string, fallback: number, min = 0): number => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= min
+    ? value
+    : fallback;
+};
+
 export const PLAY_TIMEOUT_DURATION = 30000; // 30 seconds
+// How long a player who drops out of a started game has to reconnect
+export const DISCONNECT_GRACE_DURATION = numberFromEnv(
+  'DISCONNECT_GRACE_DURATION',
+  60000, // 60 seconds
+);
+// A missed turn is drawn for the player. Missing this many turns in a row, or
+// in all, forfeits the game; a limit of 1 forfeits on the first miss.
+export const TIMEOUT_POLICY = {
+  maxConsecutive: numberFromEnv('MAX_CONSECUTIVE_TIMEOUTS', 3, 1),
+  maxTotal: numberFromEnv('MAX_TOTAL_TIMEOUTS', 5, 1),
+};
+// How long players have to agree on a rematch after a game ends
+export const REMATCH_WINDOW_DURATION = 30000; // 30 seconds
+// How far spectators trail the players, so nobody can coach from the stands
+export const SPECTATOR_DELAY = numberFromEnv('SPECTATOR_DELAY', 5000);
 export const REQUEST_TIMEOUT_DURATION = 10000; // 10 seconds
@@ -0,0 +1,34 @@
+// Connected players for handler tests. Import it after jest.mock('./state').
+import { jest } from '@jest/globals';
+import { clients } from './state';
+import { PlayerData } from './types';
+
+export type TestSocket = PlayerData['ws'] & {
+  send: jest.Mock<(message: string) => void>;
+};
+
+// Registers `uid` as connected, on a socket that records what it is sent
+export const connectPlayer = (
+  uid: string,
+  details: Partial<Omit<PlayerData, 'ws' | 'uid'>> = {},
+): TestSocket => {
+  const ws = { uid, send: jest.fn() } as unknown as TestSocket;
+  clients.set(uid, {
+    ws,
+    uid,
+    username: uid,
+    avatar: '',
+    balance: 0,
+    stake: { amount: 0, charge: 0, points: 0 },
+    ...details,
+  });
+  return ws;
+};
+
+// Connects every player given, keyed by uid
+export const connectPlayers = (...uids: string[]): Record<string, TestSocket> =>
+  Object.fromEntries(uids.map((uid) => [uid, connectPlayer(uid)]));
+
+// Every message a socket has been sent so far, parsed
+export const received = (ws: TestSocket) =>
+  ws.send.mock.calls.map(([message]) => JSON.parse(message));
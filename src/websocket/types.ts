@@ -1,7 +1,9 @@
 // Type Definitions
 import { WebSocket } from 'ws';
+import { GameFairness } from '../utils/fairness';
+import { GameOutcome } from '../utils/settlement';
 
-interface GameStake {
+export interface GameStake {
   charge: number;
   amount: number;
   points: number;
@@ -18,10 +20,27 @@ export interface PlayerInfo {
 export interface GameRequest {
   user: PlayerInfo;
   opponent: PlayerInfo;
+  opponents?: PlayerInfo[]; // Everyone invited to a 3-6 player table
+  accepted?: Set<string>; // Invitees who have accepted so far
   stake: GameStake;
   timestamp: number;
   isBattle?: boolean;
   timeout?: NodeJS.Timeout | null;
+  serverSeed: string; // Committed when the request is sent, revealed at game over
+  clientSeeds: Record<string, string>; // Seeds sent with the request and acceptances
+}
+
+// Offer window opened when a game ends, keyed by the finished game's id
+export interface Rematch {
+  gameId: string;
+  seats: string[]; // Seat order of the finished game
+  stake: GameStake;
+  meta: GameState['meta'];
+  accepted: Set<string>; // Players who have offered or accepted
+  expiresAt: number;
+  timeout: NodeJS.Timeout;
+  serverSeed: string; // Committed in GAME_OVER, before anyone accepts
+  clientSeeds: Record<string, string>;
 }
 
 export enum Suit {
@@ -38,9 +57,35 @@ export type CardType = {
   s: Suit;
 };
 
+// House rules a table plays under, see rules/profiles.js
+export interface RulesProfile {
+  id: string;
+  name: string;
+  penaltyValues: number[];
+  jokerPenalty: number;
+  skipValues: number[];
+  masterCard: { v: number; s: string } | null;
+  cuttingValue: number | null;
+  cardPoints: Record<number, number>;
+  tieRule: string;
+}
+
+// Outcome set by the rules engine when a play ends the game
+export interface GameResult {
+  reason: string;
+  winner: string | null; // null for a draw
+  loser?: string;
+  ranking: string[];
+  totals?: Record<string, number>;
+  tied?: string[]; // Players who drew, first in the ranking
+  tieBreak?: string; // Tie rule that picked the winner out of a tie
+  outcome?: GameOutcome; // Set by endGame, decides how stakes are settled
+}
+
 export interface GameState {
   gameId: string;
   players: Record<string, CardType[]>;
+  seats?: string[]; // Turn order
   status: string;
   userId: string;
   currentTurn: string;
@@ -52,11 +97,32 @@ export interface GameState {
   chosenSuit: string | null;
   createdAt: Date;
   turnExpiresAt?: number;
+  waitExpiresAt?: number; // When the no-show timer ends a game that has not started
   waitTimeout?: NodeJS.Timeout | null;
   moveTimeout?: NodeJS.Timeout | null;
+  turnRemaining?: number; // Turn time left while the player to move is disconnected
+  disconnected?: Record<string, number>; // Disconnected player -> reconnect deadline
+  graceTimeouts?: Record<string, NodeJS.Timeout>;
+  timeouts?: Record<string, TurnTimeouts>; // Turns each player has let run out
+  timeControl?: TimeControl; // Fixed turns when missing
+  clocks?: Record<string, number>; // Bank each player has left; the mover's runs to turnExpiresAt
+  warningTimeouts?: NodeJS.Timeout[];
   stake: GameStake;
   activePenaltyCount?: number;
+  pendingDraw?: number; // Cards the current player still owes after reducing a penalty
+  seq: number; // Sequence number of the last game event sent to clients
   isBattle?: boolean;
+  battleId?: string; // Series this game is a round of
+  isPractice?: boolean; // Bot games: nothing is staked or settled
+  bots?: Record<string, string>; // Bot player id -> difficulty
+  botTimeout?: NodeJS.Timeout | null;
+  result?: GameResult;
+  fairness?: GameFairness;
+  rules?: RulesProfile; // Kampala standard when missing
+  endedAt?: Date; // Set once endGame has settled the game
+  logSize?: number; // Entries written to the game's event log
+  endOffers?: string[]; // Players offering to end the game by agreement
+  spectators?: Set<string>; // Connected watchers; not stored
   meta: {
     [uid: string]: {
       username: string;
@@ -77,15 +143,28 @@ export interface PlayerData {
 
 export interface MoveAction {
   type: 'DRAW' | 'PLAY';
+  // Card being played (PLAY only)
   v?: number;
   s?: string;
+  // Optional for DRAW; the server deals the penalty count or a single card
   count?: number;
 }
 
+export interface TimeControl {
+  bank: number | null; // Each player's thinking time for the game in ms, null for fixed turns
+  increment: number; // Added to a player's bank after each of their moves
+  warnings: number[]; // Time left, in ms, at which TURN_WARNING is sent
+}
+
+export interface TurnTimeouts {
+  consecutive: number; // Reset whenever the player moves themselves
+  total: number;
+}
+
 export interface MoveData {
   gameId: string;
   from: string;
-  to: string;
+  to?: string; // Informational only; the engine decides who plays next
   cards: MoveAction[];
   newSuit?: string;
 }
@@ -102,13 +181,15 @@ export interface RequestData {
   requestId: string;
   user: PlayerInfo;
   opponent: PlayerInfo;
+  opponents?: PlayerInfo[];
   stake: GameStake;
   expiresAt: number;
   isBattle?: boolean;
+  clientSeed?: string; // Mixed into the deal, see README
 }
 
 export interface WsRequestProps {
-  ws: WebSocket;
+  ws: WebSocket & { uid?: string };
   data: RequestData;
 }
 
@@ -126,5 +207,6 @@ export type UpdateStakePayload = {
 
 export type ClientsMap = Map<string, PlayerData>;
 export type PendingRequestsMap = Map<string, GameRequest>;
+export type RematchMap = Map<string, Rematch>;
 export type PlayerGameMap = Map<string, string>;
 export type GameStatesMap = Map<string, GameState>;
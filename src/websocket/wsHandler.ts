@@ -3,12 +3,22 @@ import { WebSocketMessageType } from '../types/messageTypes';
 import { handleGameRequest } from './handlers/handleGameRequest';
 import { handleGameRequestAccepted } from './handlers/handleGameRequestAccepted';
 import { handleGameRequestDeclined } from './handlers/handleGameRequestDeclined';
-import { handleGameStart } from './handlers/handleGameStart';
 import { handleIdentify } from './handlers/handleIdentify';
 import { handleMove } from './handlers/handleMove';
 import { handleOnlineUsersRequest } from './handlers/handleOnlineUsersRequest';
 import { handlePlayerReady } from './handlers/handlePlayerReady';
+import { handlePlayWithBot } from './handlers/handlePlayWithBot';
 import { handleUpdateStake } from './handlers/handleUpdateStake';
+import { handleSync } from './handlers/handleSync';
+import { handleOfferEndGame } from './handlers/handleOfferEndGame';
+import {
+  handleRematchAccept,
+  handleRematchDecline,
+  handleRematchOffer,
+} from './handlers/handleRematch';
+import { handleBattleForfeit } from './handlers/handleBattleForfeit';
+import { handleSpectate, handleUnspectate } from './handlers/handleSpectate';
+import { handleHint } from './handlers/handleHint';
 import { handleDisconnect } from './wsUtil';
 import { WebSocket } from 'ws';
 
@@ -26,12 +36,36 @@ export const handleWebSocketConnection = (ws: WebSocket) => {
         case WebSocketMessageType.UPDATE_STAKE:
           await handleUpdateStake({ ws, data });
           break;
-        case WebSocketMessageType.START:
-          await handleGameStart({ ws, data });
-          break;
         case WebSocketMessageType.MOVE:
           await handleMove({ ws, data });
           break;
+        case WebSocketMessageType.SYNC:
+          await handleSync({ ws, data });
+          break;
+        case WebSocketMessageType.OFFER_END_GAME:
+          await handleOfferEndGame({ ws, data });
+          break;
+        case WebSocketMessageType.REMATCH_OFFER:
+          await handleRematchOffer({ ws, data });
+          break;
+        case WebSocketMessageType.REMATCH_ACCEPT:
+          await handleRematchAccept({ ws, data });
+          break;
+        case WebSocketMessageType.REMATCH_DECLINE:
+          await handleRematchDecline({ ws, data });
+          break;
+        case WebSocketMessageType.BATTLE_FORFEIT:
+          await handleBattleForfeit({ ws, data });
+          break;
+        case WebSocketMessageType.SPECTATE:
+          await handleSpectate({ ws, data });
+          break;
+        case WebSocketMessageType.UNSPECTATE:
+          await handleUnspectate({ ws });
+          break;
+        case WebSocketMessageType.HINT:
+          await handleHint({ ws, data });
+          break;
         case WebSocketMessageType.PING:
           ws.send(JSON.stringify({ type: 'PONG' }));
           break;
@@ -45,6 +79,9 @@ export const handleWebSocketConnection = (ws: WebSocket) => {
         case WebSocketMessageType.GAME_REQUEST_ACCEPTED:
           await handleGameRequestAccepted({ ws, data });
           break;
+        case WebSocketMessageType.PLAY_WITH_BOT:
+          await handlePlayWithBot({ ws, data });
+          break;
         case WebSocketMessageType.GAME_REQUEST_DECLINED:
           await handleGameRequestDeclined({ ws, data });
           break;
@@ -63,6 +100,6 @@ export const handleWebSocketConnection = (ws: WebSocket) => {
     }
   });
   ws.on('close', () => {
-    handleDisconnect(ws);
+    handleDisconnect({ ws });
   });
 };
@@ -0,0 +1,311 @@
+import {
+  handleDisconnect,
+  resumePlayer,
+  startGraceTimeout,
+  startTimeout,
+} from './wsUtil';
+import { clients, gameStates, playerGameMap } from './state';
+import { connectPlayer, received, TestSocket } from './testClients';
+import { endGame } from './handlers/endGame';
+import { applyMove } from './handlers/handleMove';
+import { GameState } from './types';
+
+jest.mock('./handlers/endGame');
+jest.mock('./handlers/handleMove');
+jest.mock('./handlers/broadcastOnlineUsers');
+jest.mock('./gameStore');
+jest.mock('./eventLog');
+jest.mock('./state', () => ({
+  clients: new Map(),
+  gameStates: new Map(),
+  playerGameMap: new Map(),
+  spectatorGameMap: new Map(),
+  PLAY_TIMEOUT_DURATION: 30000,
+  DISCONNECT_GRACE_DURATION: 60000,
+  TIMEOUT_POLICY: { maxConsecutive: 2, maxTotal: 3 },
+}));
+
+describe('disconnect grace period', () => {
+  let gameState: GameState;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    gameStates.clear();
+    playerGameMap.clear();
+    (applyMove as jest.Mock).mockReturnValue({ valid: true });
+
+    gameState = {
+      gameId: 'g1',
+      players: { player1: [{ v: 5, s: 'H' }], player2: [{ v: 9, s: 'D' }] },
+      seats: ['player1', 'player2'],
+      status: 'STARTED',
+      currentTurn: 'player1',
+      seq: 4,
+    } as unknown as GameState;
+    gameStates.set('g1', gameState);
+    playerGameMap.set('player1', 'g1');
+    playerGameMap.set('player2', 'g1');
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should pause the turn clock of a player who drops on their turn', () => {
+    startTimeout('g1');
+    jest.advanceTimersByTime(10000);
+
+    startGraceTimeout('g1', 'player1');
+
+    expect(gameState.turnExpiresAt).toBeUndefined();
+    expect(gameState.turnRemaining).toBe(20000);
+
+    // The turn timer no longer fires inside the grace window
+    jest.advanceTimersByTime(59000);
+    expect(endGame).not.toHaveBeenCalled();
+  });
+
+  test('should forfeit a player who does not come back in time', () => {
+    startGraceTimeout('g1', 'player1');
+    jest.advanceTimersByTime(60000);
+
+    expect(endGame).toHaveBeenCalledWith({
+      gameId: 'g1',
+      winner: 'player2',
+      loser: 'player1',
+      ranking: ['player2', 'player1'],
+      reason: 'DISCONNECTED',
+    });
+  });
+
+  test('should restart the turn clock with the time left on return', () => {
+    startTimeout('g1');
+    jest.advanceTimersByTime(10000);
+    startGraceTimeout('g1', 'player1');
+    jest.advanceTimersByTime(30000);
+
+    expect(resumePlayer('g1', 'player1')).toBe(true);
+    expect(gameState.disconnected).toEqual({});
+    expect(gameState.turnExpiresAt).toBe(Date.now() + 20000);
+
+    jest.advanceTimersByTime(19999);
+    expect(applyMove).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(applyMove).toHaveBeenCalled();
+  });
+
+  test('should keep the clock paused when the turn reaches a disconnected player', () => {
+    gameState.currentTurn = 'player2';
+    startGraceTimeout('g1', 'player1');
+    gameState.currentTurn = 'player1';
+
+    startTimeout('g1');
+
+    expect(gameState.turnExpiresAt).toBeUndefined();
+    expect(gameState.turnRemaining).toBe(30000);
+  });
+
+  test('should tell the other players when someone drops', async () => {
+    const ws1 = connectPlayer('player1');
+    const ws2 = connectPlayer('player2');
+
+    await handleDisconnect({ ws: ws1 });
+
+    expect(clients.has('player1')).toBe(false);
+    expect(gameState.disconnected?.player1).toBe(Date.now() + 60000);
+    const message = received(ws2)[0];
+    expect(message).toEqual({
+      type: 'PLAYER_DISCONNECTED',
+      data: {
+        gameId: 'g1',
+        uid: 'player1',
+        reconnectBy: Date.now() + 60000,
+      },
+    });
+  });
+
+  test('should ignore the close of a socket that was already replaced', async () => {
+    const stale = connectPlayer('player1');
+    connectPlayer('player1');
+
+    await handleDisconnect({ ws: stale });
+
+    expect(clients.has('player1')).toBe(true);
+    expect(gameState.disconnected).toBeUndefined();
+  });
+});
+
+describe('turn timeouts', () => {
+  let gameState: GameState;
+  let ws2: TestSocket;
+
+  // Lets the current turn run out
+  const timeOut = () => {
+    startTimeout('g1');
+    jest.advanceTimersByTime(30000);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    clients.clear();
+    gameStates.clear();
+
+    ws2 = connectPlayer('player2');
+    (applyMove as jest.Mock).mockReturnValue({ valid: true });
+
+    gameState = {
+      gameId: 'g1',
+      players: { player1: [{ v: 5, s: 'H' }], player2: [{ v: 9, s: 'D' }] },
+      seats: ['player1', 'player2'],
+      status: 'STARTED',
+      currentTurn: 'player1',
+      seq: 4,
+    } as unknown as GameState;
+    gameStates.set('g1', gameState);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should draw for a player whose turn runs out and tell the table', () => {
+    timeOut();
+
+    expect(endGame).not.toHaveBeenCalled();
+    expect(applyMove).toHaveBeenCalledWith(
+      gameState,
+      { gameId: 'g1', from: 'player1', cards: [{ type: 'DRAW' }] },
+      { timedOut: true },
+    );
+    expect(gameState.timeouts).toEqual({ player1: { consecutive: 1, total: 1 } });
+    const messages = received(ws2);
+    expect(messages).toContainEqual({
+      type: 'TURN_TIMED_OUT',
+      data: {
+        gameId: 'g1',
+        uid: 'player1',
+        consecutive: 1,
+        total: 1,
+        maxConsecutive: 2,
+        maxTotal: 3,
+      },
+    });
+  });
+
+  test('should forfeit a player who misses too many turns in a row', () => {
+    timeOut();
+    timeOut();
+
+    expect(applyMove).toHaveBeenCalledTimes(1);
+    expect(endGame).toHaveBeenCalledWith({
+      gameId: 'g1',
+      winner: 'player2',
+      loser: 'player1',
+      ranking: ['player2', 'player1'],
+      reason: 'TIMEOUT',
+    });
+  });
+
+  test('should forfeit a player who misses too many turns in all', () => {
+    gameState.timeouts = { player1: { consecutive: 0, total: 2 } };
+
+    timeOut();
+
+    expect(applyMove).not.toHaveBeenCalled();
+    expect(endGame).toHaveBeenCalledWith(
+      expect.objectContaining({ loser: 'player1', reason: 'TIMEOUT' }),
+    );
+  });
+
+  test('should forfeit when the draw cannot be made', () => {
+    (applyMove as jest.Mock).mockReturnValue({ valid: false, reason: 'No cards' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    timeOut();
+
+    expect(endGame).toHaveBeenCalledWith(
+      expect.objectContaining({ loser: 'player1', reason: 'TIMEOUT' }),
+    );
+  });
+});
+
+describe('time banks and turn warnings', () => {
+  let gameState: GameState;
+  let ws2: TestSocket;
+
+  // TURN_WARNING messages received by player2 so far
+  const warnings = () =>
+    received(ws2).filter((message) => message.type === 'TURN_WARNING');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    clients.clear();
+    gameStates.clear();
+
+    ws2 = connectPlayer('player2');
+
+    gameState = {
+      gameId: 'g1',
+      players: { player1: [{ v: 5, s: 'H' }], player2: [{ v: 9, s: 'D' }] },
+      seats: ['player1', 'player2'],
+      status: 'STARTED',
+      currentTurn: 'player1',
+      seq: 4,
+      timeControl: { bank: 60000, increment: 2000, warnings: [10000, 5000] },
+      clocks: { player1: 20000, player2: 60000 },
+    } as unknown as GameState;
+    gameStates.set('g1', gameState);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('should give the player to move what is left of their bank', () => {
+    startTimeout('g1');
+    expect(gameState.turnExpiresAt).toBe(Date.now() + 20000);
+  });
+
+  test('should warn the table as the clock passes each threshold', () => {
+    startTimeout('g1');
+    const turnExpiresAt = gameState.turnExpiresAt;
+
+    jest.advanceTimersByTime(9999);
+    expect(warnings()).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(warnings()).toEqual([
+      {
+        type: 'TURN_WARNING',
+        data: { gameId: 'g1', uid: 'player1', timeLeft: 10000, turnExpiresAt },
+      },
+    ]);
+
+    jest.advanceTimersByTime(5000);
+    expect(warnings().map(({ data }) => data.timeLeft)).toEqual([10000, 5000]);
+  });
+
+  test('should drop the warnings of a turn that is over', () => {
+    gameState.clocks!.player1 = 8000;
+    startTimeout('g1');
+
+    // Only the 5 second warning fits in an 8 second turn
+    expect(gameState.warningTimeouts).toHaveLength(1);
+
+    gameState.currentTurn = 'player2';
+    startTimeout('g1');
+    jest.advanceTimersByTime(49999);
+
+    expect(warnings()).toEqual([]);
+  });
+});
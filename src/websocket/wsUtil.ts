@@ -1,15 +1,35 @@
 import { WebSocket } from 'ws';
 import { broadcastOnlineUsers } from './handlers/broadcastOnlineUsers';
-import { clients, gameStates, PLAY_TIMEOUT_DURATION } from './state';
+import {
+  clients,
+  DISCONNECT_GRACE_DURATION,
+  gameStates,
+  playerGameMap,
+  PLAY_TIMEOUT_DURATION,
+  TIMEOUT_POLICY,
+} from './state';
 import {
   ClientsMap,
+  GameStake,
   PlayerData,
   PlayerInfo,
+  RulesProfile,
+  TimeControl,
   UpdateStakePayload,
 } from './types';
 import { endGame } from './handlers/endGame';
+import { applyMove } from './handlers/handleMove';
 import User from '../models/User';
 import Prize from '../models/Prize';
+import { getSeats, rankByHandTotal } from '../../rules/engine';
+import { DEFAULT_RULES_PROFILE, getRulesProfile } from '../../rules/profiles';
+import { appendGameLog, LogEntryType } from './eventLog';
+import { saveGame } from './gameStore';
+import { isBot } from './bots';
+import { WebSocketMessageType } from '../types/messageTypes';
+import { GameOutcome } from '../utils/settlement';
+import { DEFAULT_TIME_CONTROL, getTurnDuration } from './clock';
+import { sendToSpectators, stopSpectating } from './spectators';
 
 interface GameRequest {
   from: string;
@@ -25,11 +45,17 @@ interface GameState {
   currentTurn?: string;
   status?: string;
   turnExpiresAt?: number;
+  waitExpiresAt?: number;
   gameOver?: boolean;
   winner?: string;
   ready?: Set<string>;
-  waitTimeout?: NodeJS.Timeout;
-  moveTimeout?: NodeJS.Timeout;
+  waitTimeout?: NodeJS.Timeout | null;
+  moveTimeout?: NodeJS.Timeout | null;
+  turnRemaining?: number;
+  disconnected?: Record<string, number>;
+  graceTimeouts?: Record<string, NodeJS.Timeout>;
+  warningTimeouts?: NodeJS.Timeout[];
+  result?: unknown;
 }
 
 type PendingRequestsMap = Map<string, GameRequest>;
@@ -83,6 +109,7 @@ export const broadcastToGame = ({
       client.ws.send(JSON.stringify(message));
     }
   }
+  sendToSpectators(gameState, message);
 };
 
 export const registerClient = (playerData: PlayerData): void => {
@@ -101,42 +128,144 @@ export const sendToClient = ({ ws, message }: SendToClientProps): void => {
 
 interface HandleDisconnectProps {
   ws: WebSocket & { uid?: string };
-  clients: ClientsMap;
 }
 
 export const handleDisconnect = async ({
   ws,
 }: HandleDisconnectProps): Promise<void> => {
-  if (ws?.uid) {
-    clients.delete(ws.uid);
-    console.log(`Player ${ws.uid} disconnected`);
-    await broadcastOnlineUsers();
+  const uid = ws?.uid;
+  // A socket replaced by a newer connection of the same player changes nothing
+  if (!uid || clients.get(uid)?.ws !== ws) return;
+
+  clients.delete(uid);
+  stopSpectating(uid);
+  console.log(`Player ${uid} disconnected`);
+
+  const gameId = playerGameMap.get(uid);
+  const gameState = gameId ? gameStates.get(gameId) : undefined;
+  if (gameId && gameState?.status === 'STARTED' && !gameState.result) {
+    startGraceTimeout(gameId, uid);
+    appendGameLog(gameState, LogEntryType.PLAYER_DISCONNECTED, { player: uid });
+    broadcastToGame({
+      gameId,
+      message: {
+        type: WebSocketMessageType.PLAYER_DISCONNECTED,
+        data: {
+          gameId,
+          uid,
+          reconnectBy: gameState.disconnected![uid],
+          turnExpiresAt: gameState.turnExpiresAt,
+        },
+      },
+    });
+    saveGame(gameState);
   }
-};
 
-export const startTimeout = (gameId: string) => {
-  const gameState = gameStates.get(gameId);
-  if (!gameState) return;
+  await broadcastOnlineUsers();
+};
 
-  // Always clear existing move timeout
+// Cancels the running turn's timeout and any warnings still to come
+const clearTurnTimers = (gameState: GameState): void => {
   if (gameState.moveTimeout) {
     clearTimeout(gameState.moveTimeout);
+    gameState.moveTimeout = undefined;
   }
+  gameState.warningTimeouts?.forEach(clearTimeout);
+  gameState.warningTimeouts = [];
+};
 
-  gameState.moveTimeout = setTimeout(() => {
-    const inactivePlayer = gameState.currentTurn;
-    const opponent = Object.keys(gameState.players).find(
-      (playerId) => playerId !== inactivePlayer,
-    );
+// Stops the clock of the player to move, keeping what is left of their turn
+const pauseTurnClock = (gameState: GameState): void => {
+  clearTurnTimers(gameState);
+  if (gameState.turnExpiresAt) {
+    gameState.turnRemaining = Math.max(0, gameState.turnExpiresAt - Date.now());
+  }
+  gameState.turnExpiresAt = undefined;
+};
 
-    console.log(`Player ${inactivePlayer} timed out`);
+// Gives a dropped player `duration` to come back before they forfeit. Their
+// turn clock is paused whenever it is their move, so the window is never cut
+// short by the turn timer.
+export const startGraceTimeout = (
+  gameId: string,
+  uid: string,
+  duration: number = DISCONNECT_GRACE_DURATION,
+) => {
+  const gameState = gameStates.get(gameId);
+  if (!gameState) return;
+
+  gameState.disconnected = {
+    ...gameState.disconnected,
+    [uid]: Date.now() + duration,
+  };
+  gameState.graceTimeouts = gameState.graceTimeouts || {};
+  clearTimeout(gameState.graceTimeouts[uid]);
+  gameState.graceTimeouts[uid] = setTimeout(() => {
+    const ranking = getForfeitRanking(gameState, uid);
+
+    console.log(`Player ${uid} did not reconnect to game ${gameId}`);
     endGame({
       gameId,
-      winner: opponent!,
-      loser: inactivePlayer,
-      reason: 'TIMEOUT',
+      winner: ranking[0],
+      loser: uid,
+      ranking,
+      reason: 'DISCONNECTED',
     });
-  }, PLAY_TIMEOUT_DURATION);
+  }, duration);
+
+  if (gameState.currentTurn === uid) {
+    pauseTurnClock(gameState);
+  }
+};
+
+// Starts the grace window for every player of the game who is not connected,
+// e.g. when the game starts without them or after a server restart
+export const startGraceForAbsentPlayers = (gameId: string): void => {
+  const gameState = gameStates.get(gameId);
+  if (!gameState) return;
+
+  getSeats(gameState)
+    .filter((uid: string) => !isBot(uid) && !clients.has(uid))
+    .forEach((uid: string) => startGraceTimeout(gameId, uid));
+};
+
+// Ends a returning player's grace window and restarts their turn clock with
+// the time they had left
+export const resumePlayer = (gameId: string, uid: string): boolean => {
+  const gameState = gameStates.get(gameId);
+  if (!gameState?.disconnected?.[uid]) return false;
+
+  clearTimeout(gameState.graceTimeouts?.[uid]);
+  delete gameState.graceTimeouts?.[uid];
+  delete gameState.disconnected[uid];
+
+  if (gameState.currentTurn === uid && gameState.turnRemaining !== undefined) {
+    const remaining = gameState.turnRemaining;
+    gameState.turnRemaining = undefined;
+    startTimeout(gameId, remaining);
+  }
+  return true;
+};
+
+// A forfeiting player finishes last; the rest are ranked by hand total
+export const getForfeitRanking = (
+  gameState: { players: Record<string, unknown[]>; seats?: string[] },
+  loser: string,
+): string[] => {
+  const others = getSeats(gameState).filter((uid: string) => uid !== loser);
+  return [...rankByHandTotal(gameState, others), loser];
+};
+
+// Runs the clock of the player to move for `duration`, by default the fixed
+// turn time or what is left of their bank. It is shorter when a restored game
+// resumes part way through a turn. Sets turnExpiresAt, or leaves it unset
+// while the player to move is away.
+export const startTimeout = (gameId: string, duration?: number) => {
+  const gameState = gameStates.get(gameId);
+  if (!gameState) return;
+  duration = duration ?? getTurnDuration(gameState);
+
+  clearTurnTimers(gameState);
 
   // Also clear waitTimeout if it exists (you might want to extract this separately)
   if (gameState.waitTimeout) {
@@ -144,9 +273,123 @@ export const startTimeout = (gameId: string) => {
     gameState.waitTimeout = null;
   }
 
+  // A disconnected player's turn waits for them; their grace window is the limit
+  if (gameState.disconnected?.[gameState.currentTurn!]) {
+    gameState.turnRemaining = duration;
+    gameState.turnExpiresAt = undefined;
+    return;
+  }
+
+  const player = gameState.currentTurn;
+  const turnExpiresAt = Date.now() + duration;
+  gameState.turnExpiresAt = turnExpiresAt;
+  gameState.moveTimeout = setTimeout(() => handleTurnTimeout(gameId), duration);
+
+  const { warnings } = gameState.timeControl || DEFAULT_TIME_CONTROL;
+  gameState.warningTimeouts = warnings
+    .filter((timeLeft) => timeLeft < duration)
+    .map((timeLeft) =>
+      setTimeout(
+        () =>
+          broadcastToGame({
+            gameId,
+            message: {
+              type: WebSocketMessageType.TURN_WARNING,
+              data: { gameId, uid: player, timeLeft, turnExpiresAt },
+            },
+          }),
+        duration - timeLeft,
+      ),
+    );
+
   gameStates.set(gameId, gameState); // Update state
 };
 
+// Draws for a player whose turn ran out, taking any penalty they faced. Past
+// the TIMEOUT_POLICY limits the player forfeits instead.
+const handleTurnTimeout = (gameId: string): void => {
+  const gameState = gameStates.get(gameId);
+  if (!gameState || gameState.result) return;
+
+  const inactivePlayer = gameState.currentTurn;
+  const previous = gameState.timeouts?.[inactivePlayer];
+  const timeouts = {
+    consecutive: (previous?.consecutive || 0) + 1,
+    total: (previous?.total || 0) + 1,
+  };
+  gameState.timeouts = { ...gameState.timeouts, [inactivePlayer]: timeouts };
+
+  console.log(`Player ${inactivePlayer} timed out`, timeouts);
+  appendGameLog(gameState, LogEntryType.TURN_TIMED_OUT, {
+    player: inactivePlayer,
+    ...timeouts,
+  });
+
+  const forfeit = () => {
+    const ranking = getForfeitRanking(gameState, inactivePlayer);
+    endGame({
+      gameId,
+      winner: ranking[0],
+      loser: inactivePlayer,
+      ranking,
+      reason: 'TIMEOUT',
+    });
+  };
+
+  if (
+    timeouts.consecutive >= TIMEOUT_POLICY.maxConsecutive ||
+    timeouts.total >= TIMEOUT_POLICY.maxTotal
+  ) {
+    forfeit();
+    return;
+  }
+
+  // Sent before the draw so clients can tell it apart from a move
+  broadcastToGame({
+    gameId,
+    message: {
+      type: WebSocketMessageType.TURN_TIMED_OUT,
+      data: {
+        gameId,
+        uid: inactivePlayer,
+        ...timeouts,
+        maxConsecutive: TIMEOUT_POLICY.maxConsecutive,
+        maxTotal: TIMEOUT_POLICY.maxTotal,
+      },
+    },
+  });
+
+  const result = applyMove(
+    gameState,
+    { gameId, from: inactivePlayer, cards: [{ type: 'DRAW' }] },
+    { timedOut: true },
+  );
+  if (!result.valid) {
+    console.error(`Auto-draw failed for ${inactivePlayer}: ${result.reason}`);
+    forfeit();
+  }
+};
+
+// Calls the game off, refunding everyone, if the rest of the table never joins `uid`
+export const startWaitTimeout = (
+  gameId: string,
+  uid: string,
+  duration: number = PLAY_TIMEOUT_DURATION,
+) => {
+  const gameState = gameStates.get(gameId);
+  if (!gameState || gameState.waitTimeout) return;
+
+  gameState.waitExpiresAt = Date.now() + duration;
+  gameState.waitTimeout = setTimeout(() => {
+    console.log(`Not every player joined ${uid} in time for game ${gameId}`);
+    endGame({
+      gameId,
+      outcome: GameOutcome.ABORTED_BEFORE_START,
+      reason: 'OPPONENT_NO_SHOW',
+    });
+  }, duration);
+};
+
 export const validateNewStake = async (balance: number) => {
   const prizeConfig = await Prize.findOne(); // adjust query if needed
   if (!prizeConfig) return null;
@@ -161,3 +404,43 @@ export const validateNewStake = async (balance: number) => {
     sortedLevels.find((level) => balance >= level.amount + level.charge) || null
   );
 };
+
+// The Prize level a player asked to play at, priced from the config rather
+// than from what the client sent, or null if no level matches
+export const getStakeLevel = async (stake?: {
+  amount: number;
+  charge: number;
+}): Promise<GameStake | null> => {
+  const prizeConfig = await Prize.findOne();
+  const level = prizeConfig?.levels.find(
+    (level) => level.amount === stake?.amount && level.charge === stake?.charge,
+  );
+
+  return level
+    ? { amount: level.amount, charge: level.charge, points: level.points }
+    : null;
+};
+
+// Rules profile and time control of the Prize level matching the stake, or
+// Kampala standard with fixed turns if none does
+export const getStakeSettings = async (stake?: {
+  amount: number;
+  charge: number;
+}): Promise<{ rules: RulesProfile; timeControl: TimeControl }> => {
+  const prizeConfig = await Prize.findOne();
+  const level = prizeConfig?.levels.find(
+    (level) => level.amount === stake?.amount && level.charge === stake?.charge,
+  );
+  const timeControl = level?.timeControl;
+
+  return {
+    rules: getRulesProfile(level?.rules) || DEFAULT_RULES_PROFILE,
+    timeControl: timeControl
+      ? {
+          bank: timeControl.bank ?? null,
+          increment: timeControl.increment ?? 0,
+          warnings: [...(timeControl.warnings ?? [])],
+        }
+      : DEFAULT_TIME_CONTROL,
+  };
+};